@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { ErrorHandler } = require('../utils/errorHandler');
+
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashBody = (body) => {
+  return crypto.createHash('sha256').update(canonicalize(body || {})).digest('hex');
+};
+
+// Honour an Idempotency-Key header on a mutation route (runs after auth).
+// Requests without the header are processed as usual.
+const idempotent = (scope) => {
+  return async (req, res, next) => {
+    try {
+      const key = req.header('Idempotency-Key');
+      if (!key) return next();
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return next(new ErrorHandler(`Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`, 400));
+      }
+
+      const id = `${scope}:${req.user._id}:${key}`;
+      const requestHash = hashBody(req.body);
+
+      try {
+        await IdempotencyKey.create({
+          _id: id,
+          requestHash,
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Seen this key before: replay, or refuse a reused key
+        const existing = await IdempotencyKey.findById(id);
+        if (!existing) {
+          return next(new ErrorHandler('Idempotency-Key expired while retrying; please retry', 409));
+        }
+        if (existing.requestHash !== requestHash) {
+          return next(new ErrorHandler('Idempotency-Key was already used with a different request body', 422));
+        }
+        if (existing.status !== 'completed') {
+          return next(new ErrorHandler('A request with this Idempotency-Key is still being processed', 409));
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Store the response as it is sent (even if the client has gone away)
+      // so retries get exactly the same one
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        // Server errors are not final; free the key so the client can retry
+        const update = res.statusCode >= 500
+          ? IdempotencyKey.deleteOne({ _id: id })
+          : IdempotencyKey.updateOne(
+            { _id: id },
+            { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) } }
+          );
+
+        update.catch(error => {
+          console.error(`❌ Failed to store idempotent response for ${id}:`, error);
+        });
+
+        return json(body);
+      };
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+module.exports = { idempotent };
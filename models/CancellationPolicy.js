@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const { PRODUCT_CATEGORIES } = require('../utils/constants');
+
+// Order statuses a cancellation can happen from (the order state machine has
+// no cancelled edge once material is on the road)
+const CANCELLABLE_STAGES = [
+  'pending_payment',
+  'pending',
+  'confirmed',
+  'preparing',
+  'material_loading',
+  'processing'
+];
+
+// Falls back to this category when a product category has no policy of its own
+const DEFAULT_POLICY_CATEGORY = 'default';
+
+// Deduction applied while the time since the order was placed is under upToMinutes
+const timeBandSchema = new mongoose.Schema({
+  // null = no upper limit
+  upToMinutes: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  deductionType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    default: 'percentage'
+  },
+  // Percentage of the refundable amount paid, or a flat amount in rupees
+  deductionValue: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Part of the deduction passed on to the supplier as compensation
+  supplierSharePercentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  }
+}, { _id: false });
+
+// What a cancellation costs the customer for a product category at an order stage.
+// Bands are checked in order; once past the last band the customer can no longer cancel.
+const cancellationPolicySchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: [DEFAULT_POLICY_CATEGORY, ...Object.values(PRODUCT_CATEGORIES)],
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: CANCELLABLE_STAGES,
+    required: true
+  },
+  customerCancellable: {
+    type: Boolean,
+    default: true
+  },
+  // When false the transport charge is kept (and passed to the supplier)
+  transportRefundable: {
+    type: Boolean,
+    default: true
+  },
+  timeBands: {
+    type: [timeBandSchema],
+    validate: {
+      validator: function(bands) {
+        if (bands.length === 0) return false;
+        return bands.every((band, index) => {
+          if (index === 0) return true;
+          const previous = bands[index - 1].upToMinutes;
+          return previous !== null && (band.upToMinutes === null || band.upToMinutes > previous);
+        });
+      },
+      message: 'Time bands must be in increasing order with only the last one open-ended'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+cancellationPolicySchema.index({ category: 1, stage: 1 }, { unique: true });
+
+// Static method to get default configuration (matches the original cooling-period rules)
+cancellationPolicySchema.statics.getDefaultConfig = function() {
+  const coolingBands = [
+    { upToMinutes: 60, deductionType: 'percentage', deductionValue: 1, supplierSharePercentage: 0 },
+    { upToMinutes: 120, deductionType: 'percentage', deductionValue: 2, supplierSharePercentage: 0 }
+  ];
+
+  return [
+    {
+      category: DEFAULT_POLICY_CATEGORY,
+      stage: 'pending_payment',
+      customerCancellable: true,
+      transportRefundable: true,
+      timeBands: [{ upToMinutes: null, deductionType: 'percentage', deductionValue: 0, supplierSharePercentage: 0 }]
+    },
+    ...['pending', 'confirmed', 'preparing'].map(stage => ({
+      category: DEFAULT_POLICY_CATEGORY,
+      stage,
+      customerCancellable: true,
+      transportRefundable: true,
+      timeBands: coolingBands
+    })),
+    {
+      category: DEFAULT_POLICY_CATEGORY,
+      stage: 'material_loading',
+      customerCancellable: false,
+      transportRefundable: true,
+      timeBands: [{ upToMinutes: null, deductionType: 'percentage', deductionValue: 5, supplierSharePercentage: 50 }]
+    },
+    {
+      category: DEFAULT_POLICY_CATEGORY,
+      stage: 'processing',
+      customerCancellable: false,
+      transportRefundable: true,
+      timeBands: [{ upToMinutes: null, deductionType: 'percentage', deductionValue: 10, supplierSharePercentage: 50 }]
+    }
+  ].map(config => ({ ...config, isActive: true }));
+};
+
+// Active policy for a category and stage: the category's own, else the configured
+// default, else the built-in default
+cancellationPolicySchema.statics.getPolicy = async function(category, stage) {
+  const policies = await this.find({
+    category: { $in: [category, DEFAULT_POLICY_CATEGORY] },
+    stage,
+    isActive: true
+  });
+
+  const policy = policies.find(p => p.category === category) ||
+    policies.find(p => p.category === DEFAULT_POLICY_CATEGORY);
+  if (policy) return policy;
+
+  return this.getDefaultConfig().find(config => config.stage === stage) || null;
+};
+
+cancellationPolicySchema.statics.CANCELLABLE_STAGES = CANCELLABLE_STAGES;
+cancellationPolicySchema.statics.DEFAULT_POLICY_CATEGORY = DEFAULT_POLICY_CATEGORY;
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -112,6 +112,12 @@ commissionRate: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User.addresses'
   },
+  // Project the cart is being filled for; its orders are tagged to it at checkout
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
   estimatedDeliveryTime: String,
   notes: String,
   lastUpdated: {
@@ -181,7 +187,7 @@ cartSchema.methods.validateStock = async function() {
 // Line 189 - ADD this new method AFTER the existing calculateTotals method:
 
 cartSchema.methods.calculateGSTBreakdown = async function(customerState, supplierState = null) {
-  const { calculateGST, extractStateFromGST } = require('../utils/gstCalculator');
+  const { calculateGSTForLines, extractStateFromGST, resolveItemGSTRates } = require('../utils/gstCalculator');
   
   await this.populate([
     {
@@ -224,13 +230,16 @@ const finalSupplierState = supplierStateFromAddress || supplierState || supplier
     supplierGroups[supplierId].subtotal += (item.quantity * item.priceAtTime);
   }
   
-  // Calculate GST for each supplier group
+  // Calculate GST for each supplier group, each item at its HSN code's current rate
   for (const [supplierId, group] of Object.entries(supplierGroups)) {
-    const gstCalc = calculateGST(
-      group.subtotal,
+    const gstRates = await resolveItemGSTRates(group.items);
+    const gstCalc = calculateGSTForLines(
+      group.items.map((item, index) => ({
+        amount: item.quantity * item.priceAtTime,
+        gstRate: gstRates[index]
+      })),
       customerState,
-      group.supplierState,
-      'construction'
+      group.supplierState
     );
     
     gstBreakdown.push({
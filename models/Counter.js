@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One document per sequence, keyed by name (e.g. "ORD" or "INV:25-26")
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Atomically increment a sequence and return the new value
+counterSchema.statics.next = async function(key) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { _id: key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts on the same key can race; the loser retries
+    // against the document the winner just created
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate(
+        { _id: key },
+        { $inc: { seq: 1 } },
+        { new: true }
+      );
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+// Raise a sequence to at least the given value (used to seed from legacy IDs)
+counterSchema.statics.ensureAtLeast = function(key, value) {
+  return this.updateOne(
+    { _id: key },
+    { $max: { seq: value } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const CREDIT_TERM_DAYS = [7, 15, 30, 45, 60];
+
+// Trade credit extended to a contractor: orders placed with the `credit`
+// method are paid back within termDays. Outstanding amounts are worked out
+// from the orders themselves (see utils/credit.js), not stored here.
+const creditLineSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  creditLimit: {
+    type: Number,
+    required: [true, 'Credit limit is required'],
+    min: [0, 'Credit limit cannot be negative']
+  },
+  termDays: {
+    type: Number,
+    enum: CREDIT_TERM_DAYS,
+    default: 30
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'closed'],
+    default: 'active'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // One credit checkout at a time, so two can't both fit under the limit
+  checkoutLockedUntil: {
+    type: Date,
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+creditLineSchema.index({ status: 1 });
+
+creditLineSchema.statics.CREDIT_TERM_DAYS = CREDIT_TERM_DAYS;
+
+module.exports = mongoose.model('CreditLine', creditLineSchema);
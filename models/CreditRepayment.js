@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Part of a repayment settled against one credit order
+const allocationSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Money paid back on a credit line through a gateway payment link. The orders
+// it was raised for are settled oldest due first once the payment lands.
+const creditRepaymentSchema = new mongoose.Schema({
+  repaymentId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  creditLine: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditLine',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Orders the customer chose to pay (empty = oldest due first)
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  status: {
+    type: String,
+    enum: ['created', 'paid', 'expired', 'cancelled'],
+    default: 'created'
+  },
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'cashfree'],
+    required: true
+  },
+  link: {
+    linkId: String,
+    referenceId: String,
+    url: String,
+    expiresAt: Date
+  },
+  transactionId: String,
+  paidAt: Date,
+  allocations: [allocationSchema],
+  // Paid beyond what was outstanding when the payment landed
+  unappliedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+creditRepaymentSchema.index({ customer: 1, createdAt: -1 });
+creditRepaymentSchema.index({ 'link.linkId': 1 });
+creditRepaymentSchema.index({ status: 1 });
+
+module.exports = mongoose.model('CreditRepayment', creditRepaymentSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Bookings against one supplier delivery window; slot boundaries come from supplier settings
+const deliverySlotSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD (IST)
+    required: true
+  },
+  startTime: {
+    type: String, // HH:mm
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }]
+}, {
+  timestamps: true
+});
+
+deliverySlotSchema.index({ supplier: 1, date: 1, startTime: 1 }, { unique: true });
+deliverySlotSchema.index({ orders: 1 });
+
+// Atomically add an order to a slot while it has fewer than `capacity` bookings.
+// Returns null when the slot is already full.
+deliverySlotSchema.statics.reserve = async function(supplierId, slot, orderId, capacity) {
+  const filter = { supplier: supplierId, date: slot.date, startTime: slot.startTime };
+
+  try {
+    await this.updateOne(
+      filter,
+      { $setOnInsert: { endTime: slot.endTime, orders: [] } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another checkout created the slot document first
+    if (error.code !== 11000) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      ...filter,
+      orders: { $ne: orderId },
+      $expr: { $lt: [{ $size: '$orders' }, capacity] }
+    },
+    { $push: { orders: orderId } },
+    { new: true }
+  );
+};
+
+// Free every slot held by an order
+deliverySlotSchema.statics.release = function(orderId) {
+  return this.updateMany({ orders: orderId }, { $pull: { orders: orderId } });
+};
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
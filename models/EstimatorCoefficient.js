@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+// Built-in consumption coefficients for the bill-of-quantities estimator.
+// Admins can override any of them; keys without an active override use these.
+const DEFAULT_COEFFICIENTS = [
+  // RCC (M20, 1:1.5:3) per m³ of concrete
+  { key: 'concrete.cement_bags_per_cum', value: 8, unit: 'bags/m³', description: 'Cement per m³ of RCC' },
+  { key: 'concrete.sand_cum_per_cum', value: 0.42, unit: 'm³/m³', description: 'Sand per m³ of RCC' },
+  { key: 'concrete.aggregate_cum_per_cum', value: 0.84, unit: 'm³/m³', description: 'Coarse aggregate per m³ of RCC' },
+  { key: 'concrete.aggregate_20mm_percentage', value: 70, unit: '%', description: 'Share of coarse aggregate that is 20 mm (rest is 10 mm)' },
+
+  // Concrete in the frame and foundation
+  { key: 'structure.frame_concrete_cum_per_sqm', value: 0.09, unit: 'm³/m²', description: 'Beam and column concrete per m² of floor area' },
+  { key: 'structure.foundation_concrete_cum_per_sqm', value: 0.15, unit: 'm³/m²', description: 'Footing concrete per m² of ground floor area' },
+
+  // Reinforcement
+  { key: 'steel.slab_kg_per_cum', value: 80, unit: 'kg/m³', description: 'TMT steel per m³ of slab concrete' },
+  { key: 'steel.frame_kg_per_cum', value: 160, unit: 'kg/m³', description: 'TMT steel per m³ of beam and column concrete' },
+  { key: 'steel.foundation_kg_per_cum', value: 60, unit: 'kg/m³', description: 'TMT steel per m³ of footing concrete' },
+  { key: 'steel.mix_8mm_percentage', value: 20, unit: '%', description: 'Share of steel in 8 mm bars' },
+  { key: 'steel.mix_10mm_percentage', value: 25, unit: '%', description: 'Share of steel in 10 mm bars' },
+  { key: 'steel.mix_12mm_percentage', value: 25, unit: '%', description: 'Share of steel in 12 mm bars' },
+  { key: 'steel.mix_16mm_percentage', value: 20, unit: '%', description: 'Share of steel in 16 mm bars' },
+  { key: 'steel.mix_20mm_percentage', value: 10, unit: '%', description: 'Share of steel in 20 mm bars' },
+
+  // Walls
+  { key: 'masonry.openings_percentage', value: 15, unit: '%', description: 'Wall area taken up by doors and windows' },
+  { key: 'masonry.internal_brick_wall_factor', value: 0.5, unit: 'ratio', description: 'Bricks and mortar in internal (half-brick) walls relative to external walls' },
+  { key: 'masonry.red_bricks.units_per_sqm', value: 115, unit: 'numbers/m²', description: 'Red bricks per m² of 230 mm wall' },
+  { key: 'masonry.red_bricks.mortar_cum_per_sqm', value: 0.058, unit: 'm³/m²', description: 'Mortar per m² of red brick wall' },
+  { key: 'masonry.clay_bricks.units_per_sqm', value: 115, unit: 'numbers/m²', description: 'Clay bricks per m² of 230 mm wall' },
+  { key: 'masonry.clay_bricks.mortar_cum_per_sqm', value: 0.058, unit: 'm³/m²', description: 'Mortar per m² of clay brick wall' },
+  { key: 'masonry.fly_ash_bricks.units_per_sqm', value: 110, unit: 'numbers/m²', description: 'Fly ash bricks per m² of 230 mm wall' },
+  { key: 'masonry.fly_ash_bricks.mortar_cum_per_sqm', value: 0.05, unit: 'm³/m²', description: 'Mortar per m² of fly ash brick wall' },
+  { key: 'masonry.solid_blocks.units_per_sqm', value: 12.5, unit: 'numbers/m²', description: 'Solid blocks (400×200 face) per m² of wall' },
+  { key: 'masonry.solid_blocks.mortar_cum_per_sqm', value: 0.02, unit: 'm³/m²', description: 'Mortar per m² of solid block wall' },
+  { key: 'masonry.hollow_blocks.units_per_sqm', value: 12.5, unit: 'numbers/m²', description: 'Hollow blocks (400×200 face) per m² of wall' },
+  { key: 'masonry.hollow_blocks.mortar_cum_per_sqm', value: 0.016, unit: 'm³/m²', description: 'Mortar per m² of hollow block wall' },
+  { key: 'masonry.aac_blocks.units_per_sqm', value: 8.4, unit: 'numbers/m²', description: 'AAC blocks (600×200 face) per m² of wall' },
+  { key: 'masonry.aac_blocks.mortar_cum_per_sqm', value: 0.006, unit: 'm³/m²', description: 'Thin-bed mortar per m² of AAC wall' },
+
+  // Masonry mortar (CM 1:6) per m³
+  { key: 'mortar.cement_bags_per_cum', value: 5.5, unit: 'bags/m³', description: 'Cement per m³ of masonry mortar' },
+  { key: 'mortar.sand_cum_per_cum', value: 1.14, unit: 'm³/m³', description: 'Sand per m³ of masonry mortar' },
+
+  // 12 mm plaster (CM 1:4) on both faces of every wall
+  { key: 'plaster.mortar_cum_per_sqm', value: 0.016, unit: 'm³/m²', description: 'Plaster mortar per m² of wall face' },
+  { key: 'plaster.cement_bags_per_cum', value: 7.3, unit: 'bags/m³', description: 'Cement per m³ of plaster mortar' },
+  { key: 'plaster.sand_cum_per_cum', value: 1.02, unit: 'm³/m³', description: 'Plastering sand per m³ of plaster mortar' },
+
+  // Converting volumes to the tonnes suppliers sell in
+  { key: 'density.sand_mt_per_cum', value: 1.6, unit: 'MT/m³', description: 'Bulk density of sand' },
+  { key: 'density.aggregate_mt_per_cum', value: 1.5, unit: 'MT/m³', description: 'Bulk density of aggregate' },
+
+  { key: 'wastage.percentage', value: 5, unit: '%', description: 'Wastage added to every material' }
+];
+
+const estimatorCoefficientSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: DEFAULT_COEFFICIENTS.map(coefficient => coefficient.key),
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get default configuration
+estimatorCoefficientSchema.statics.getDefaultConfig = function() {
+  return DEFAULT_COEFFICIENTS.map(coefficient => ({ ...coefficient, isActive: true }));
+};
+
+// Every coefficient by key, with active admin overrides applied
+estimatorCoefficientSchema.statics.getCoefficients = async function() {
+  const overrides = await this.find({ isActive: true });
+
+  const coefficients = Object.fromEntries(DEFAULT_COEFFICIENTS.map(({ key, value }) => [key, value]));
+  overrides.forEach(override => {
+    coefficients[override.key] = override.value;
+  });
+
+  return coefficients;
+};
+
+module.exports = mongoose.model('EstimatorCoefficient', estimatorCoefficientSchema);
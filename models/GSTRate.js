@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// GST slabs a rate can be set to
+const GST_SLABS = [0, 0.25, 3, 5, 12, 18, 28, 40];
+
+// GST rate for an HSN code (4, 6 or 8 digits) over an effective-date range.
+// A product takes the rate of the longest code its HSN starts with; an order
+// is taxed at the rate in effect when it was placed. Rates are versioned, not
+// edited: a change is a new rate from its effective date, which closes the
+// previous one (effectiveTo null = still in effect).
+const gstRateSchema = new mongoose.Schema({
+  hsnCode: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^(\d{4}|\d{6}|\d{8})$/, 'HSN code must be 4, 6 or 8 digits']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  rate: {
+    type: Number,
+    required: true,
+    enum: GST_SLABS
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+gstRateSchema.index({ hsnCode: 1, effectiveFrom: 1 }, { unique: true });
+
+gstRateSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveTo <= this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'effectiveTo must be after effectiveFrom');
+  }
+  next();
+});
+
+// Whether the rate applies to an order placed at the given time
+gstRateSchema.methods.isEffectiveAt = function(at = new Date()) {
+  return this.effectiveFrom <= at && (!this.effectiveTo || this.effectiveTo > at);
+};
+
+// Rates in effect at the given time for any of the HSN codes
+gstRateSchema.statics.findEffective = function(hsnCodes, at = new Date()) {
+  return this.find({
+    hsnCode: { $in: hsnCodes },
+    effectiveFrom: { $lte: at },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+  });
+};
+
+gstRateSchema.statics.GST_SLABS = GST_SLABS;
+
+module.exports = mongoose.model('GSTRate', gstRateSchema);
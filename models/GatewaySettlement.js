@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const SETTLEMENT_LINE_TYPES = ['payment', 'refund', 'adjustment', 'other'];
+
+// unreconciled: imported, not checked yet; matched: agrees with our records;
+// amount_mismatch: gross amount differs from what we charged; settled_not_paid:
+// the order/repayment it belongs to is not marked paid; unmatched: nothing of
+// ours carries this transaction
+const RECONCILIATION_STATUSES = ['unreconciled', 'matched', 'amount_mismatch', 'settled_not_paid', 'unmatched'];
+
+// One line of a gateway settlement file: a payment, refund or adjustment the
+// gateway settled (or is about to settle) into our bank account
+const gatewaySettlementSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'cashfree'],
+    required: true
+  },
+  type: {
+    type: String,
+    enum: SETTLEMENT_LINE_TYPES,
+    required: true
+  },
+  // Gateway's id for the line (payment, refund or adjustment id)
+  entityId: {
+    type: String,
+    required: true
+  },
+  // Gateway payment the line belongs to (Order.payment.transactionId)
+  transactionId: String,
+  gatewayOrderId: String,
+  amount: {
+    type: Number,
+    default: 0
+  },
+  fee: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  // Net credited (negative when debited) in the settlement
+  settledAmount: {
+    type: Number,
+    default: 0
+  },
+  settlementId: String,
+  utr: String,
+  transactionDate: Date,
+  settledAt: Date,
+  importId: String,
+  fileName: String,
+  reconciliation: {
+    status: {
+      type: String,
+      enum: RECONCILIATION_STATUSES,
+      default: 'unreconciled'
+    },
+    orders: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }],
+    orderIds: [String],
+    // What we recorded as charged for the transaction
+    expectedAmount: Number,
+    difference: Number,
+    note: String,
+    reconciledAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+gatewaySettlementSchema.index({ gateway: 1, type: 1, entityId: 1 }, { unique: true });
+gatewaySettlementSchema.index({ gateway: 1, transactionId: 1 });
+gatewaySettlementSchema.index({ 'reconciliation.status': 1, settledAt: -1 });
+
+gatewaySettlementSchema.statics.SETTLEMENT_LINE_TYPES = SETTLEMENT_LINE_TYPES;
+gatewaySettlementSchema.statics.RECONCILIATION_STATUSES = RECONCILIATION_STATUSES;
+
+module.exports = mongoose.model('GatewaySettlement', gatewaySettlementSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// First response to a request made with an Idempotency-Key header, replayed
+// to retries until it expires. _id is "<scope>:<user>:<key>".
+const idempotencyKeySchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the request body; a retry must send the same body
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  // Removed by MongoDB's TTL monitor once past
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Lease on a scheduled job so only one server instance runs it at a time.
+// A lease that is not released (crashed instance) expires at lockedUntil.
+const jobLockSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  lockedBy: String,
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastStartedAt: Date,
+  lastFinishedAt: Date,
+  lastResult: mongoose.Schema.Types.Mixed,
+  lastError: String
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Take the lease if it is free or expired and the job has not started within
+// minIntervalMs (so instances firing the same tick a moment apart run it once).
+// Resolves to false when another instance holds or just used the lease.
+jobLockSchema.statics.acquire = async function(name, owner, ttlMs, minIntervalMs = 0) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        _id: name,
+        $and: [
+          { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+          { $or: [{ lastStartedAt: null }, { lastStartedAt: { $lte: new Date(now.getTime() - minIntervalMs) } }] }
+        ]
+      },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + ttlMs), lastStartedAt: now } },
+      { new: true, upsert: true }
+    );
+    return !!lock;
+  } catch (error) {
+    // The upsert lost: the lease is held or was used too recently
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Give the lease back and record how the run went
+jobLockSchema.statics.release = function(name, owner, { result = null, error = null } = {}) {
+  return this.updateOne(
+    { _id: name, lockedBy: owner },
+    {
+      $set: {
+        lockedUntil: null,
+        lastFinishedAt: new Date(),
+        lastResult: result,
+        lastError: error
+      }
+    }
+  );
+};
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
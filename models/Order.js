@@ -2,6 +2,10 @@ const mongoose = require('mongoose');
 const loyaltyService = require('../utils/loyaltyService');
 // Add this line after line 2 (after const loyaltyService require)
 const AdvancePaymentConfig = require('./AdvancePaymentConfig');
+const { generateId } = require('../utils/sequence');
+const { ORDER_STATUSES, ORDER_ACTORS, canTransition, transitionOrder } = require('../utils/orderStateMachine');
+const { QUANTITY_EPSILON, sumTripQuantities, planTripItems } = require('../utils/tripPlanner');
+const { releaseDeliverySlot } = require('../utils/deliverySlots');
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -13,6 +17,7 @@ const orderItemSchema = new mongoose.Schema({
     description: String,
     category: String,
     subcategory: String,
+    unit: String,
     brand: String,
     hsnCode: String,
     imageUrl: String,
@@ -65,6 +70,11 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // GST rate for the product's HSN code when the order was placed (see utils/gstCalculator)
+  gstRate: {
+    type: Number,
+    min: 0
+  },
   specifications: {
     selectedVariant: String,
     customRequirements: String
@@ -73,7 +83,116 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
-  weighBillUrl: String
+  weighBillUrl: String,
+  // Weighbridge reconciliation of the net weight against the ordered quantity
+  reconciliation: {
+    variance: Number,
+    variancePercentage: Number,
+    tolerancePercentage: Number,
+    withinTolerance: Boolean,
+    billedQuantity: Number,
+    reconciledAt: Date
+  }
+});
+
+// Credit or debit note raised when a reconciliation changes the order value
+const adjustmentSchema = new mongoose.Schema({
+  noteNumber: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['weighbridge_variance'],
+    default: 'weighbridge_variance'
+  },
+  // Always positive; the type gives the direction
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  previousTotal: Number,
+  revisedTotal: Number,
+  // Part of the advance already collected that now exceeds the revised total
+  refundableAmount: {
+    type: Number,
+    default: 0
+  },
+  items: [{
+    orderItem: mongoose.Schema.Types.ObjectId,
+    orderedQuantity: Number,
+    netWeight: Number,
+    billedQuantity: Number,
+    previousAmount: Number,
+    revisedAmount: Number
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A single vehicle load; large orders are split across several trips
+const tripSchema = new mongoose.Schema({
+  tripNumber: {
+    type: Number,
+    required: true
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Weigh-bill net weight of this load, in MT
+    netWeight: {
+      type: Number,
+      default: null
+    }
+  }],
+  weightMT: {
+    type: Number,
+    default: 0
+  },
+  pilot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pilot',
+    default: null
+  },
+  driverDetails: {
+    name: String,
+    phoneNumber: String,
+    vehicleNumber: String
+  },
+  deliveryOTP: String,
+  weighBillUrl: String,
+  status: {
+    type: String,
+    enum: ['assigned', 'in_transit', 'delivered', 'cancelled'],
+    default: 'assigned'
+  },
+  assignedAt: {
+    type: Date,
+    default: Date.now
+  },
+  startedAt: Date,
+  deliveredAt: Date,
+  deliveryNotes: String
 });
 
 const orderSchema = new mongoose.Schema({
@@ -145,17 +264,18 @@ const orderSchema = new mongoose.Schema({
 payment: {
   method: {
     type: String,
-    enum: ['cod', 'card', 'upi', 'netbanking', 'wallet', 'razorpay', 'cashfree', 'paytm'],
+    enum: ['cod', 'card', 'upi', 'netbanking', 'wallet', 'razorpay', 'cashfree', 'paytm', 'mock', 'credit'],
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded', 'partial_refund'],
+    // partial: advance collected, balance still due after delivery
+    enum: ['pending', 'partial', 'paid', 'failed', 'refunded', 'partial_refund'],
     default: 'pending'
   },
   gateway: {
     type: String,
-    enum: ['razorpay', 'cashfree', 'paytm', 'cod'],
+    enum: ['razorpay', 'cashfree', 'paytm', 'mock', 'cod', 'credit', 'wallet'],
     default: 'cod'
   },
   transactionId: {
@@ -168,11 +288,17 @@ payment: {
     index: true // Add index for webhook lookups
   },
   sessionId: String, // Cashfree payment session ID
+  paytmOrderId: {
+    type: String,
+    index: true
+  },
   paytmTxnId: String,
+  mockOrderId: String, // Local mock gateway (development only)
   paymentGatewayResponse: mongoose.Schema.Types.Mixed,
   advancePercentage: {
     type: Number,
-    min: 1,
+    // 0 for credit orders, which are paid in full later
+    min: 0,
     max: 100,
     default: 25
   },
@@ -191,6 +317,107 @@ payment: {
     }
   },
   paidAt: Date,
+  // Part of the advance paid from the customer's wallet at checkout; a gateway
+  // payment covers the rest (none when the wallet paid all of it)
+  wallet: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    transactionId: String,
+    appliedAt: Date
+  },
+  // Collected after the advance, through balance payment links
+  balancePaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  balanceCollection: {
+    gateway: {
+      type: String,
+      enum: ['razorpay', 'cashfree']
+    },
+    linkId: String,
+    referenceId: String,
+    url: String,
+    amount: Number,
+    status: {
+      type: String,
+      enum: ['created', 'paid', 'expired', 'cancelled']
+    },
+    createdAt: Date,
+    expiresAt: Date,
+    paidAt: Date,
+    transactionId: String,
+    remindersSent: {
+      type: Number,
+      default: 0
+    },
+    lastReminderAt: Date
+  },
+  // Collected by the pilot at the door: the COD amount or the balance due,
+  // in cash or through an order-specific UPI QR code
+  doorstepCollections: [{
+    collectionId: String,
+    purpose: {
+      type: String,
+      enum: ['cod', 'balance']
+    },
+    mode: {
+      type: String,
+      enum: ['cash', 'upi']
+    },
+    amount: Number,
+    // pending: QR shown, payment not confirmed yet; unverified: UTR entered by the
+    // pilot, awaiting a check against the bank; rejected: UTR did not check out;
+    // cancelled: replaced or settled another way
+    status: {
+      type: String,
+      enum: ['pending', 'unverified', 'collected', 'rejected', 'cancelled'],
+      default: 'pending'
+    },
+    payeeVpa: String,
+    upiUrl: String,
+    upiTransactionId: {
+      type: String,
+      index: true
+    },
+    pilot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Pilot'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    collectedAt: Date,
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    verificationNote: String
+  }],
+  // Trade credit: the whole order is due by dueDate and repaid through credit repayments
+  credit: {
+    creditLine: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditLine'
+    },
+    termDays: Number,
+    dueDate: Date,
+    repayments: [{
+      repayment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CreditRepayment'
+      },
+      repaymentId: String,
+      amount: Number,
+      paidAt: Date
+    }],
+    lastReminderAt: Date
+  },
   failureReason: String, // Store payment failure reasons
   refundDetails: [{
     refundId: String,
@@ -211,14 +438,14 @@ payment: {
 
   status: {
     type: String,
-    enum: ['pending_payment', 'pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'delivered', 'cancelled'],
+    enum: ORDER_STATUSES,
     default: 'pending'
   },
   
   timeline: [{
    status: {
   type: String,
-  enum: ['pending_payment', 'pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'delivered', 'cancelled']
+  enum: ORDER_STATUSES
 },
     timestamp: {
       type: Date,
@@ -273,7 +500,60 @@ payment: {
     deliveryOTP: String,
     deliveryNotes: String
   },
+
+  // Delivery window reserved at checkout
+  deliverySlot: {
+    date: String, // YYYY-MM-DD (IST)
+    startTime: String,
+    endTime: String,
+    start: Date,
+    end: Date
+  },
+
+  // Quote this order was awarded from; its pricing is locked to the quote
+  rfq: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rfq',
+    default: null
+  },
+
+  // Standing order whose scheduled run placed this order
+  standingOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StandingOrder',
+    default: null
+  },
+
+  // Multi-supplier checkout this order belongs to; paid for together with its siblings
+  orderGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OrderGroup',
+    default: null
+  },
+
+  // Construction project / site the order is for
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+
+  // Vehicle trips for orders split across several loads
+  trips: [tripSchema],
   
+
+  // Credit/debit notes against the invoice
+  adjustments: [adjustmentSchema],
+
+  // Reminders sent to the supplier while the order waits for acceptance
+  supplierAlerts: {
+    pendingAlerts: {
+      type: Number,
+      default: 0
+    },
+    lastPendingAlertAt: Date
+  },
+
   // Invoice details
   invoice: {
     invoiceNumber: String,
@@ -309,8 +589,37 @@ payment: {
     },
     cancelledAt: Date,
     refundAmount: Number,
+    // Where the refund goes; unset uses the default (CANCELLATION_REFUND_METHOD)
+    refundMethod: {
+      type: String,
+      enum: ['original', 'wallet']
+    },
     deductionAmount: Number,
-    deductionPercentage: Number
+    deductionPercentage: Number,
+    // Kept from the refund under the cancellation policy and passed to the supplier
+    transportRetained: Number,
+    supplierCompensation: Number,
+    // Value of the trips already delivered when a part-delivered order is cancelled
+    deliveredAmount: Number,
+    // Policy and time band applied to each item category
+    policyBreakdown: [{
+      _id: false,
+      category: String,
+      share: Number,
+      policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CancellationPolicy'
+      },
+      policyCategory: String,
+      transportRefundable: Boolean,
+      upToMinutes: Number,
+      deductionType: String,
+      deductionValue: Number,
+      supplierSharePercentage: Number,
+      deductionAmount: Number,
+      transportRetained: Number,
+      supplierCompensation: Number
+    }]
   }
 }, {
   timestamps: true
@@ -321,18 +630,28 @@ orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ supplier: 1, createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'coolingPeriod.endTime': 1 });
+orderSchema.index({ orderGroup: 1 });
+orderSchema.index({ project: 1, createdAt: -1 });
 orderSchema.index({ orderId: 1 });
 orderSchema.index({ 'payment.transactionId': 1 });
 orderSchema.index({ 'payment.razorpayOrderId': 1 });
+orderSchema.index({ status: 1, 'payment.status': 1 });
+orderSchema.index({ customer: 1, 'payment.method': 1, 'payment.credit.dueDate': 1 });
 
-// Generate unique order ID
-// Replace lines 327-350 with this updated version:
-orderSchema.pre('save', async function(next) {
-  if (!this.orderId) {
-    const count = await mongoose.models.Order.countDocuments();
-    this.orderId = `ORD${String(count + 1).padStart(8, '0')}`;
+// Generate unique order ID from the counters collection
+// (runs before validation because orderId is required)
+orderSchema.pre('validate', async function(next) {
+  try {
+    if (!this.orderId) {
+      this.orderId = await generateId('order');
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  
+});
+
+orderSchema.pre('save', async function(next) {
   // Set cooling period end time (2 hours from start)
   if (!this.coolingPeriod.endTime) {
     this.coolingPeriod.endTime = new Date(
@@ -342,10 +661,11 @@ orderSchema.pre('save', async function(next) {
   
   // Calculate advance and remaining amounts based on category configuration
   if (this.pricing.totalAmount) {
-    let advancePercentage = this.payment.advancePercentage || 25; // Default fallback
+    const isCredit = this.payment.method === 'credit';
+    let advancePercentage = isCredit ? 0 : (this.payment.advancePercentage || 25); // Default fallback
     
     // Get advance percentage based on product category if not manually set
-    if (!this.payment.advancePercentage && this.items && this.items.length > 0) {
+    if (!isCredit && !this.payment.advancePercentage && this.items && this.items.length > 0) {
       try {
         // Get the primary category from the first item
         const primaryCategory = this.items[0].productSnapshot?.category;
@@ -359,16 +679,115 @@ orderSchema.pre('save', async function(next) {
       }
     }
     
-    // Update the payment object with calculated values
+    // Update the payment object with calculated values. An advance that has
+    // already been collected stays as paid; re-pricing only moves the balance.
+    // A COD order is partial only once a debit note follows its payment at the door.
+    const advanceCollected = !!this.payment.paidAt &&
+      (this.payment.method !== 'cod' || this.payment.status === 'partial');
     this.payment.advancePercentage = advancePercentage;
-    this.payment.advanceAmount = Math.round(
-      (this.pricing.totalAmount * advancePercentage) / 100
-    );
-    this.payment.remainingAmount = Math.max(0, Math.round((this.pricing.totalAmount - this.payment.advanceAmount) * 100) / 100);
+    if (!advanceCollected) {
+      this.payment.advanceAmount = Math.round(
+        (this.pricing.totalAmount * advancePercentage) / 100
+      );
+    }
+    this.payment.remainingAmount = Math.max(0, Math.round(
+      (this.pricing.totalAmount - this.payment.advanceAmount - (this.payment.balancePaid || 0)) * 100
+    ) / 100);
+
+    // Once money is in, the status follows the balance: partial while any of
+    // it is due (advance only, debit notes), paid when it is fully covered
+    if (advanceCollected && ['partial', 'paid'].includes(this.payment.status)) {
+      this.payment.status = this.payment.remainingAmount > 0 ? 'partial' : 'paid';
+    }
   }
+
+  // Cancelled orders give their delivery slot back once saved
+  this.$locals.releaseSlot = this.isModified('status') && this.status === 'cancelled' && !!this.deliverySlot?.date;
+
+  // Delivered orders with a balance due get a payment link once saved
+  // (credit orders are repaid against the credit line instead)
+  this.$locals.collectBalance = this.isModified('status') && this.status === 'delivered' &&
+    this.payment.method !== 'credit' &&
+    this.payment.status === 'partial' && this.payment.remainingAmount > 0;
+
+  // Cancelling an order from a multi-supplier checkout updates its group once saved
+  this.$locals.syncOrderGroup = this.isModified('status') && this.status === 'cancelled' && !!this.orderGroup;
+
+  // Cancelled orders with money paid get a refund once saved
+  this.$locals.refundCancellation = this.isModified('status') && this.status === 'cancelled';
+
+  // Cancelling an order awarded from an RFQ reopens the RFQ once saved
+  this.$locals.releaseRfqAward = this.isModified('status') && this.status === 'cancelled' && !!this.rfq;
+
+  // Delivered orders earn any promotion cashback once saved
+  this.$locals.creditCashback = this.isModified('status') && this.status === 'delivered';
   
   next();
 });
+
+orderSchema.post('save', async function(doc) {
+  if (!doc.$locals.releaseSlot) return;
+  try {
+    await releaseDeliverySlot(doc._id);
+  } catch (error) {
+    console.error(`Failed to release delivery slot for order ${doc.orderId}:`, error);
+  }
+});
+
+orderSchema.post('save', async function(doc) {
+  if (!doc.$locals.collectBalance) return;
+  try {
+    // Required here: balance collection loads this model
+    const { startBalanceCollection } = require('../utils/balanceCollection');
+    await startBalanceCollection(doc._id);
+  } catch (error) {
+    console.error(`Failed to start balance collection for order ${doc.orderId}:`, error);
+  }
+});
+
+orderSchema.post('save', async function(doc) {
+  if (!doc.$locals.syncOrderGroup) return;
+  try {
+    // Required here: order groups load this model
+    const { recordGroupCancellation } = require('../utils/orderGroups');
+    await recordGroupCancellation(doc);
+  } catch (error) {
+    console.error(`Failed to update the order group for cancelled order ${doc.orderId}:`, error);
+  }
+});
+
+orderSchema.post('save', async function(doc) {
+  if (!doc.$locals.refundCancellation) return;
+  try {
+    // Required here: refunds load this model
+    const { createCancellationRefund } = require('../utils/refunds');
+    await createCancellationRefund(doc);
+  } catch (error) {
+    console.error(`Failed to create the refund for cancelled order ${doc.orderId}:`, error);
+  }
+});
+
+orderSchema.post('save', async function(doc) {
+  if (!doc.$locals.releaseRfqAward) return;
+  try {
+    // Required here: RFQ matching loads order pricing, which loads this model
+    const { releaseRfqAward } = require('../utils/rfq');
+    await releaseRfqAward(doc);
+  } catch (error) {
+    console.error(`Failed to reopen the RFQ for cancelled order ${doc.orderId}:`, error);
+  }
+});
+
+orderSchema.post('save', async function(doc) {
+  if (!doc.$locals.creditCashback) return;
+  try {
+    // Required here: the wallet loads this model
+    const { creditOrderCashback } = require('../utils/wallet');
+    await creditOrderCashback(doc);
+  } catch (error) {
+    console.error(`Failed to credit cashback for delivered order ${doc.orderId}:`, error);
+  }
+});
 orderSchema.methods.getDeliveryInfo = function() {
   if (!this.distancePricing) return null;
 
@@ -388,22 +807,18 @@ orderSchema.methods.isCoolingPeriodActive = function() {
          ['pending', 'confirmed', 'preparing'].includes(this.status);
 };
 
-// Method to update order status
-orderSchema.methods.updateStatus = function(newStatus, note, updatedBy) {
+// Method to check whether an actor may move this order to a status
+orderSchema.methods.canTransitionTo = function(newStatus, actor = ORDER_ACTORS.SYSTEM) {
+  return canTransition(this.status, newStatus, actor);
+};
+
+// Method to update order status through the shared state machine
+// Throws a 409 ErrorHandler for illegal transitions
+orderSchema.methods.updateStatus = function(newStatus, note, updatedBy, options = {}) {
+  const { actor = ORDER_ACTORS.SYSTEM, otpVerified = false } = options;
   const previousStatus = this.status;
-  this.status = newStatus;
-  this.timeline.push({
-    status: newStatus,
-    timestamp: new Date(),
-    note,
-    updatedBy
-  });
-  
-  // Deactivate cooling period if status changes beyond preparing
-  if (['processing', 'dispatched', 'delivered', 'cancelled'].includes(newStatus)) {
-    this.coolingPeriod.isActive = false;
-    this.coolingPeriod.canModify = false;
-  }
+
+  transitionOrder(this, newStatus, { actor, otpVerified, note, updatedBy });
 
   // NEW: Award AggreCoins when order is delivered
   if (newStatus === 'delivered' && previousStatus !== 'delivered') {
@@ -442,47 +857,11 @@ orderSchema.methods.updateStatus = function(newStatus, note, updatedBy) {
 
 // ...existing code...
 
-// Method to calculate refund amount during cooling period
-orderSchema.methods.calculateCoolingPeriodRefund = function() {
-  if (!this.isCoolingPeriodActive()) {
-    return { canRefund: false, message: 'Cooling period expired' };
-  }
-  
-  const timeElapsed = new Date() - this.coolingPeriod.startTime;
-  const totalCoolingTime = this.coolingPeriod.endTime - this.coolingPeriod.startTime;
-  const elapsedPercentage = (timeElapsed / totalCoolingTime) * 100;
-  
-  let deductionPercentage = 0;
-  
-  // Deduction rules based on time elapsed
-  if (elapsedPercentage <= 50) { // First hour (0-50%)
-    deductionPercentage = 1; // 1% deduction
-  } else { // Second hour (50-100%)
-    deductionPercentage = 2; // 2% deduction
-  }
-  // Method to start material loading phase
-orderSchema.methods.startMaterialLoading = function(updatedBy) {
-  if (!this.isCoolingPeriodActive()) {
-    throw new Error('Cannot start material loading - cooling period expired');
-  }
-  
-  this.updateStatus('material_loading', 'Material loading started within cooling period', updatedBy);
-  this.coolingPeriod.isActive = false; // End cooling period
-  this.coolingPeriod.canModify = false;
-  
+// Method to start material loading phase (ends the cooling period)
+orderSchema.methods.startMaterialLoading = function(updatedBy, actor = ORDER_ACTORS.SUPPLIER) {
+  this.updateStatus('material_loading', 'Material loading started within cooling period', updatedBy, { actor });
   return this;
 };
-  
-  const deductionAmount = Math.round((this.payment.advanceAmount * deductionPercentage) / 100);
-  const refundAmount = this.payment.advanceAmount - deductionAmount;
-  
-  return {
-    canRefund: true,
-    refundAmount,
-    deductionAmount,
-    deductionPercentage
-  };
-};
 
 // Method to generate delivery OTP
 orderSchema.methods.generateDeliveryOTP = function() {
@@ -490,6 +869,104 @@ orderSchema.methods.generateDeliveryOTP = function() {
   return this.delivery.deliveryOTP;
 };
 
+// Quantity of each item not yet allocated to an active or delivered trip
+orderSchema.methods.getUnallocatedQuantities = function() {
+  const allocated = sumTripQuantities(this.trips, ['assigned', 'in_transit', 'delivered']);
+  const remaining = {};
+  this.items.forEach(item => {
+    const key = item._id.toString();
+    remaining[key] = Math.max(0, item.quantity - (allocated[key] || 0));
+  });
+  return remaining;
+};
+
+orderSchema.methods.hasUnallocatedQuantity = function() {
+  return Object.values(this.getUnallocatedQuantities()).some(qty => qty > QUANTITY_EPSILON);
+};
+
+// Preview the load a vehicle of the given capacity would carry next
+orderSchema.methods.previewTrip = function(capacityMT) {
+  return planTripItems(this.items, this.getUnallocatedQuantities(), capacityMT);
+};
+
+// Method to create the next trip for a pilot, sized to their vehicle capacity
+orderSchema.methods.planTrip = function(pilot) {
+  const plan = this.previewTrip(pilot.vehicleDetails.capacity);
+  if (plan.items.length === 0) {
+    return null;
+  }
+
+  // The first trip uses the order's delivery OTP; later trips get their own
+  const deliveryOTP = this.trips.length === 0
+    ? (this.delivery.deliveryOTP || this.generateDeliveryOTP())
+    : Math.floor(100000 + Math.random() * 900000).toString();
+
+  this.trips.push({
+    tripNumber: this.trips.length + 1,
+    items: plan.items,
+    weightMT: plan.weightMT,
+    pilot: pilot._id,
+    driverDetails: {
+      name: pilot.name,
+      phoneNumber: pilot.phoneNumber,
+      vehicleNumber: pilot.vehicleDetails.registrationNumber
+    },
+    deliveryOTP
+  });
+
+  return this.trips[this.trips.length - 1];
+};
+
+// Active trip for a pilot, or a specific trip by number
+orderSchema.methods.findTrip = function({ tripNumber, pilotId } = {}) {
+  return this.trips.find(trip => {
+    if (tripNumber) return trip.tripNumber === Number(tripNumber);
+    return pilotId && trip.pilot?.toString() === pilotId.toString() &&
+      ['assigned', 'in_transit'].includes(trip.status);
+  }) || null;
+};
+
+orderSchema.methods.isFullyDelivered = function() {
+  const delivered = sumTripQuantities(this.trips, ['delivered']);
+  return this.items.every(item => (delivered[item._id.toString()] || 0) + QUANTITY_EPSILON >= item.quantity);
+};
+
+// Share of the order's item value already delivered on completed trips
+orderSchema.methods.getDeliveredShare = function() {
+  const delivered = sumTripQuantities(this.trips, ['delivered']);
+  const itemsTotal = this.items.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+  if (itemsTotal <= 0) return 0;
+
+  const deliveredValue = this.items.reduce((sum, item) => {
+    const quantity = Math.min(item.quantity, delivered[item._id.toString()] || 0);
+    return sum + (item.quantity > 0 ? (item.totalPrice || 0) * quantity / item.quantity : 0);
+  }, 0);
+  return deliveredValue / itemsTotal;
+};
+
+// Method to complete a trip and move the order to partially_delivered or delivered
+orderSchema.methods.completeTrip = function(trip, options = {}) {
+  const { actor = ORDER_ACTORS.PILOT, updatedBy = null, deliveryNotes, weighBillUrl } = options;
+
+  trip.status = 'delivered';
+  trip.deliveredAt = new Date();
+  trip.deliveryNotes = deliveryNotes;
+  if (weighBillUrl) {
+    trip.weighBillUrl = weighBillUrl;
+  }
+
+  const nextStatus = this.isFullyDelivered() ? 'delivered' : 'partially_delivered';
+  const note = `Trip ${trip.tripNumber} of ${this.trips.length} delivered (${trip.weightMT} MT)`;
+
+  if (this.status !== nextStatus) {
+    this.updateStatus(nextStatus, note, updatedBy, { actor, otpVerified: true });
+  } else {
+    this.timeline.push({ status: this.status, timestamp: new Date(), note, updatedBy });
+  }
+
+  return nextStatus;
+};
+
 // Static method to get orders with filters
 orderSchema.statics.getOrdersWithFilters = function(filters = {}, options = {}) {
   const {
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Share of the group payment returned when one of its orders is cancelled
+const groupRefundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderId: String,
+  // The order's part of the group payment
+  share: Number,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Parent of the per-supplier orders created from one checkout, paid for with a
+// single gateway payment
+const orderGroupSchema = new mongoose.Schema({
+  groupId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+
+  // Totals across the orders still in the group (cancelled orders drop out)
+  summary: {
+    supplierCount: { type: Number, default: 0 },
+    itemCount: { type: Number, default: 0 },
+    subtotal: { type: Number, default: 0 },
+    transportCost: { type: Number, default: 0 },
+    gstAmount: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    paymentGatewayCharges: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    advanceAmount: { type: Number, default: 0 },
+    // Part of the advances paid from the customer's wallet
+    walletAmount: { type: Number, default: 0 }
+  },
+
+  payment: {
+    method: {
+      type: String,
+      enum: ['cod', 'card', 'upi', 'netbanking', 'wallet', 'razorpay', 'cashfree', 'paytm', 'mock', 'credit'],
+      required: true
+    },
+    gateway: {
+      type: String,
+      enum: ['razorpay', 'cashfree', 'paytm', 'mock', 'cod', 'credit', 'wallet'],
+      default: 'cod'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'paid', 'failed', 'refunded', 'partial_refund'],
+      default: 'pending'
+    },
+    // Charged in one payment: the advance of every order in the group, less
+    // what the wallet paid
+    amount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    transactionId: String,
+    razorpayOrderId: String,
+    cashfreeOrderId: String,
+    paytmOrderId: String,
+    mockOrderId: String,
+    sessionId: String,
+    paidAt: Date,
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  refunds: [groupRefundSchema]
+}, {
+  timestamps: true
+});
+
+orderGroupSchema.index({ customer: 1, createdAt: -1 });
+orderGroupSchema.index({ 'payment.razorpayOrderId': 1 });
+orderGroupSchema.index({ 'payment.cashfreeOrderId': 1 });
+orderGroupSchema.index({ 'payment.paytmOrderId': 1 });
+
+module.exports = mongoose.model('OrderGroup', orderGroupSchema);
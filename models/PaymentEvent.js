@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const PAYMENT_EVENT_STALE_MS = 5 * 60 * 1000;
+
+// Every webhook event received from a gateway, stored once per (gateway, eventId).
+// A redelivered event finds its earlier copy and is not processed again; one
+// whose processing failed (or stalled in a crashed instance) is picked up on retry.
+const paymentEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    enum: ['razorpay', 'cashfree', 'paytm', 'mock'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Normalized type (see WEBHOOK_EVENTS in utils/paymentProviders) and the gateway's own name
+  type: {
+    type: String,
+    required: true
+  },
+  gatewayEvent: String,
+  gatewayOrderId: String,
+  transactionId: String,
+  linkId: String,
+  refundId: String,
+  amount: Number,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  // Why the event was ignored or failed
+  note: String,
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // Times the gateway delivered the event again after it was handled
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  processedAt: Date,
+  payload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+paymentEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ gateway: 1, gatewayOrderId: 1 });
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Record an event and take it for processing
+ * @param {String} gateway
+ * @param {Object} event - normalized webhook event from a payment provider
+ * @returns {Object} { paymentEvent, claimed } - claimed is false for a replay
+ *   of an event that was already handled or is being handled right now
+ */
+paymentEventSchema.statics.claim = async function(gateway, event) {
+  const fields = {
+    type: event.type,
+    gatewayEvent: event.gatewayEvent,
+    gatewayOrderId: event.gatewayOrderId,
+    transactionId: event.transactionId,
+    linkId: event.linkId,
+    refundId: event.refundId,
+    amount: event.amount,
+    payload: event.raw
+  };
+
+  try {
+    const paymentEvent = await this.create({ gateway, eventId: event.id, ...fields });
+    return { paymentEvent, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Seen before: retry it only if the last attempt failed or never finished
+  const paymentEvent = await this.findOneAndUpdate(
+    {
+      gateway,
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lte: new Date(Date.now() - PAYMENT_EVENT_STALE_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (paymentEvent) {
+    return { paymentEvent, claimed: true };
+  }
+
+  await this.updateOne({ gateway, eventId: event.id }, { $inc: { duplicates: 1 } });
+  return { paymentEvent: await this.findOne({ gateway, eventId: event.id }), claimed: false };
+};
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
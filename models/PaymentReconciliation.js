@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// paid_not_settled: we marked it paid, no settlement line arrived within the
+// settlement window; settled_not_paid: the gateway settled it, our order is
+// still pending; amount_mismatch: both sides exist with different amounts;
+// unmatched_settlement: settled transaction we have no record of;
+// unverified_upi_collection: UPI payment a pilot recorded at the door whose
+// UTR nobody has checked against the bank yet
+const MISMATCH_TYPES = ['paid_not_settled', 'settled_not_paid', 'amount_mismatch', 'unmatched_settlement', 'unverified_upi_collection'];
+
+const mismatchSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: MISMATCH_TYPES,
+    required: true
+  },
+  gateway: String,
+  transactionId: String,
+  gatewayOrderId: String,
+  // checkout, balance or credit_repayment
+  paymentType: String,
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  orderIds: [String],
+  reference: String,
+  expectedAmount: Number,
+  settledAmount: Number,
+  difference: Number,
+  paidAt: Date,
+  settledAt: Date,
+  settlementId: String,
+  utr: String,
+  note: String
+}, { _id: false });
+
+// Result of a reconciliation run for one day (IST), rewritten by each run that day
+const paymentReconciliationSchema = new mongoose.Schema({
+  date: {
+    type: String, // YYYY-MM-DD
+    unique: true,
+    required: true
+  },
+  // Payments and settlement lines the run looked at
+  windowStart: Date,
+  windowEnd: Date,
+  summary: {
+    paymentsChecked: { type: Number, default: 0 },
+    settlementLinesChecked: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    awaitingSettlement: { type: Number, default: 0 },
+    paidNotSettled: { type: Number, default: 0 },
+    settledNotPaid: { type: Number, default: 0 },
+    amountMismatch: { type: Number, default: 0 },
+    unmatchedSettlement: { type: Number, default: 0 },
+    unverifiedUpiCollections: { type: Number, default: 0 },
+    expectedAmount: { type: Number, default: 0 },
+    settledAmount: { type: Number, default: 0 }
+  },
+  mismatches: [mismatchSchema],
+  runAt: Date,
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+paymentReconciliationSchema.statics.MISMATCH_TYPES = MISMATCH_TYPES;
+
+module.exports = mongoose.model('PaymentReconciliation', paymentReconciliationSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { generateId } = require('../utils/sequence');
 
 const pilotSchema = new mongoose.Schema({
   pilotId: {
@@ -160,11 +161,14 @@ const pilotSchema = new mongoose.Schema({
 
 // Generate unique pilot ID
 pilotSchema.pre('save', async function(next) {
-  if (!this.pilotId) {
-    const count = await mongoose.models.Pilot.countDocuments();
-    this.pilotId = `PIL${String(count + 1).padStart(6, '0')}`;
+  try {
+    if (!this.pilotId) {
+      this.pilotId = await generateId('pilot');
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  next();
 });
 
 // Check if documents are valid
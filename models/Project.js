@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { PRODUCT_CATEGORIES } = require('../utils/constants');
+const { generateId } = require('../utils/sequence');
+
+const PROJECT_MEMBER_ROLES = ['manager', 'viewer'];
+
+// Budgeted spend on one material category
+const budgetSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: Object.values(PRODUCT_CATEGORIES),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Other customers working on the project. Managers can order for the site,
+// viewers only see the dashboard.
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_MEMBER_ROLES,
+    default: 'viewer'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A construction site that carts and orders can be tagged to
+const projectSchema = new mongoose.Schema({
+  projectId: {
+    type: String,
+    unique: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  siteAddress: {
+    address: {
+      type: String,
+      required: true
+    },
+    city: {
+      type: String,
+      required: true
+    },
+    state: {
+      type: String,
+      required: true
+    },
+    pincode: {
+      type: String,
+      required: true,
+      match: [/^[1-9][0-9]{5}$/, 'Please provide a valid pincode']
+    },
+    coordinates: {
+      latitude: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      }
+    }
+  },
+  budgets: {
+    type: [budgetSchema],
+    validate: {
+      validator: function(budgets) {
+        const categories = budgets.map(budget => budget.category);
+        return new Set(categories).size === categories.length;
+      },
+      message: 'Each category can only have one budget'
+    }
+  },
+  members: [memberSchema],
+  status: {
+    type: String,
+    enum: ['active', 'on_hold', 'completed'],
+    default: 'active'
+  },
+  startDate: Date,
+  endDate: Date
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ owner: 1, createdAt: -1 });
+projectSchema.index({ 'members.user': 1 });
+
+projectSchema.pre('validate', async function(next) {
+  try {
+    if (!this.projectId) {
+      this.projectId = await generateId('project');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// 'owner', a member role, or null for users outside the project
+projectSchema.methods.getRole = function(userId) {
+  const id = userId.toString();
+  const ownerId = (this.owner._id || this.owner).toString();
+  if (ownerId === id) return 'owner';
+
+  const member = this.members.find(m => (m.user._id || m.user).toString() === id);
+  return member ? member.role : null;
+};
+
+// Owners and managers can tag carts and orders to the project
+projectSchema.methods.canOrder = function(userId) {
+  return ['owner', 'manager'].includes(this.getRole(userId));
+};
+
+// Projects a user owns or is a member of
+projectSchema.statics.findForUser = function(userId, filter = {}) {
+  return this.find({
+    ...filter,
+    $or: [{ owner: userId }, { 'members.user': userId }]
+  });
+};
+
+projectSchema.statics.PROJECT_MEMBER_ROLES = PROJECT_MEMBER_ROLES;
+
+module.exports = mongoose.model('Project', projectSchema);
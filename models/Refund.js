@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const REFUND_SOURCES = ['cancellation', 'admin', 'shortfall'];
+
+// pending: waiting to be sent to the gateway (or credited to the wallet);
+// initiated: accepted by the gateway, waiting to settle; failed: last attempt
+// failed and will be retried; escalated: retries used up or stuck at the
+// gateway; manual: no online payment to refund against, paid out by the team
+// (bank transfer)
+const REFUND_STATUSES = ['pending', 'initiated', 'processed', 'failed', 'escalated', 'manual'];
+
+// Still needs to reach the customer
+const OPEN_REFUND_STATUSES = ['pending', 'initiated', 'failed', 'escalated', 'manual'];
+
+const refundEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: REFUND_STATUSES
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// Money owed back to a customer on one order, followed from creation until it
+// settles at the gateway (or is paid out by hand)
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderId: String,
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  source: {
+    type: String,
+    enum: REFUND_SOURCES,
+    required: true
+  },
+  // What the refund is for: the order (cancellation), a credit note number
+  // (shortfall) or the refund itself (admin); one refund per source and reference
+  sourceReference: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: String,
+  method: {
+    type: String,
+    enum: ['original', 'bank_transfer', 'wallet'],
+    default: 'original'
+  },
+  status: {
+    type: String,
+    enum: REFUND_STATUSES,
+    default: 'pending'
+  },
+  // Payment the refund goes back to
+  gateway: String,
+  gatewayOrderId: String,
+  transactionId: String,
+  // Our reference sent with the latest attempt, and the gateway's id for it
+  gatewayReference: String,
+  gatewayRefundId: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastAttemptAt: Date,
+  nextAttemptAt: Date,
+  lastCheckedAt: Date,
+  lastError: String,
+  processedAt: Date,
+  escalatedAt: Date,
+  // Bank/UTR reference for refunds paid out by hand
+  manualReference: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  history: [refundEventSchema]
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ order: 1, source: 1, sourceReference: 1 }, { unique: true });
+refundSchema.index({ status: 1, nextAttemptAt: 1 });
+refundSchema.index({ gateway: 1, gatewayRefundId: 1 });
+refundSchema.index({ customer: 1, createdAt: -1 });
+
+refundSchema.statics.REFUND_SOURCES = REFUND_SOURCES;
+refundSchema.statics.REFUND_STATUSES = REFUND_STATUSES;
+refundSchema.statics.OPEN_REFUND_STATUSES = OPEN_REFUND_STATUSES;
+
+module.exports = mongoose.model('Refund', refundSchema);
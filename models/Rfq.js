@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { generateId } = require('../utils/sequence');
+const { PRODUCT_CATEGORIES, UNITS } = require('../utils/constants');
+
+// A supplier's bid against an RFQ; one live quote per supplier
+const quoteSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  // Supplier's own listing the order will be placed against
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  transportCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  deliveryTimeline: String,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Customer-facing total (material + transport + commission + GST) before gateway charges
+  landedCost: Number,
+  status: {
+    type: String,
+    enum: ['submitted', 'withdrawn', 'accepted', 'rejected'],
+    default: 'submitted'
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const rfqSchema = new mongoose.Schema({
+  rfqId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters']
+  },
+  category: {
+    type: String,
+    enum: Object.values(PRODUCT_CATEGORIES),
+    required: true
+  },
+  specification: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Specification cannot exceed 300 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.1, 'Quantity must be at least 0.1']
+  },
+  unit: {
+    type: String,
+    enum: Object.values(UNITS),
+    required: true
+  },
+  deliveryAddress: {
+    address: String,
+    city: String,
+    state: String,
+    pincode: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    }
+  },
+  deliveryWindow: {
+    from: Date,
+    to: Date
+  },
+  // Bidding deadline
+  closesAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'awarded', 'cancelled'],
+    default: 'open'
+  },
+  invitedSuppliers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  }],
+  quotes: [quoteSchema],
+  awardedQuote: mongoose.Schema.Types.ObjectId,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+rfqSchema.index({ customer: 1, createdAt: -1 });
+rfqSchema.index({ invitedSuppliers: 1, status: 1 });
+
+rfqSchema.pre('validate', async function(next) {
+  try {
+    if (!this.rfqId) {
+      this.rfqId = await generateId('rfq');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Open and still inside the bidding window
+rfqSchema.methods.isAcceptingQuotes = function() {
+  return this.status === 'open' && new Date() < this.closesAt;
+};
+
+rfqSchema.methods.getSupplierQuote = function(supplierId) {
+  return this.quotes.find(quote =>
+    quote.supplier.toString() === supplierId.toString() && quote.status !== 'withdrawn'
+  ) || null;
+};
+
+module.exports = mongoose.model('Rfq', rfqSchema);
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const { generateId } = require('../utils/sequence');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const standingOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.1, 'Quantity must be at least 0.1']
+  },
+  specifications: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+});
+
+// One scheduled run and the orders it produced
+const runSchema = new mongoose.Schema({
+  runDate: {
+    type: String, // YYYY-MM-DD (IST)
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['placed', 'partially_placed', 'skipped', 'failed'],
+    required: true
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  message: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const standingOrderSchema = new mongoose.Schema({
+  standingOrderId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  items: {
+    type: [standingOrderItemSchema],
+    validate: [items => items.length > 0, 'At least one product is required']
+  },
+  deliveryAddressId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['cod', 'card', 'upi', 'netbanking', 'razorpay', 'cashfree'],
+    default: 'cod'
+  },
+  advancePercentage: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 25
+  },
+  schedule: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'fortnightly', 'custom'],
+      required: true
+    },
+    // 0 = Sunday ... 6 = Saturday, used by weekly and fortnightly schedules
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6
+    },
+    customDates: [{
+      type: String,
+      match: [DATE_KEY, 'Dates must be YYYY-MM-DD']
+    }],
+    // Time of day (IST) the order is placed on a run date
+    runTime: {
+      type: String,
+      default: '07:00'
+    },
+    // Preferred delivery window start on the run date, reserved when available
+    preferredSlotTime: String,
+    startDate: {
+      type: String,
+      match: [DATE_KEY, 'Start date must be YYYY-MM-DD']
+    },
+    endDate: {
+      type: String,
+      match: [DATE_KEY, 'End date must be YYYY-MM-DD']
+    }
+  },
+  notifyBeforeHours: {
+    type: Number,
+    default: 24,
+    min: 1,
+    max: 72
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  nextRunDate: String,
+  skippedDates: [String],
+  // Run date for which the customer was already told about the upcoming order
+  notifiedForDate: String,
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  runs: [runSchema]
+}, {
+  timestamps: true
+});
+
+standingOrderSchema.index({ customer: 1, createdAt: -1 });
+standingOrderSchema.index({ status: 1, nextRunDate: 1 });
+
+standingOrderSchema.pre('validate', async function(next) {
+  try {
+    if (!this.standingOrderId) {
+      this.standingOrderId = await generateId('standingOrder');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+standingOrderSchema.methods.isSkipped = function(dateKey) {
+  return this.skippedDates.includes(dateKey);
+};
+
+standingOrderSchema.methods.recordRun = function(run) {
+  this.runs.push(run);
+  return this.runs[this.runs.length - 1];
+};
+
+module.exports = mongoose.model('StandingOrder', standingOrderSchema);
@@ -458,7 +458,32 @@ transportRates: {
       type: String,
       enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
       default: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
-    }]
+    }],
+    holidays: [{
+      date: {
+        type: String, // YYYY-MM-DD
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be YYYY-MM-DD']
+      },
+      reason: String
+    }],
+    deliverySlots: {
+      durationHours: {
+        type: Number,
+        default: 2,
+        min: 1,
+        max: 12
+      },
+      loadsPerSlot: {
+        type: Number,
+        default: 2,
+        min: 1
+      },
+      leadTimeHours: {
+        type: Number,
+        default: 4,
+        min: 0
+      }
+    }
   }
 }, {
   timestamps: true
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// supplier_payable is what the platform owes the supplier; every other account
+// is the platform side of the entry
+const LEDGER_ACCOUNTS = [
+  'supplier_payable',
+  'customer_receipts',
+  'platform_commission',
+  'gateway_charges',
+  'tds_payable',
+  'tcs_payable',
+  'customer_refunds',
+  'adjustments',
+  'bank'
+];
+
+const LEDGER_ENTRY_TYPES = ['order_value', 'commission', 'gateway_charges', 'tds', 'tcs', 'refund', 'adjustment', 'payout'];
+
+const ledgerLineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: LEDGER_ACCOUNTS,
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// One balanced journal entry in a supplier's settlement ledger. Entries are
+// never edited; a changed order is corrected with a further entry.
+const supplierLedgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  orderId: String,
+  type: {
+    type: String,
+    enum: LEDGER_ENTRY_TYPES,
+    required: true
+  },
+  // Order figure the entry posts or corrects (order_value, commission, ...), or payout
+  component: {
+    type: String,
+    required: true
+  },
+  description: String,
+  // Credit/debit note numbers, refund ids or payout batch behind the entry
+  reference: String,
+  entryDate: {
+    type: Date,
+    default: Date.now
+  },
+  // Effect on supplier_payable: positive when the supplier is owed more
+  amount: {
+    type: Number,
+    required: true
+  },
+  lines: {
+    type: [ledgerLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+  // Settlement cycle the entry was closed into (null while unsettled)
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierSettlement',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+supplierLedgerEntrySchema.pre('validate', function(next) {
+  const debits = roundAmount(this.lines.reduce((sum, line) => sum + line.debit, 0));
+  const credits = roundAmount(this.lines.reduce((sum, line) => sum + line.credit, 0));
+  if (debits !== credits) {
+    return next(new Error(`Ledger entry ${this.entryId} does not balance (${debits} Dr / ${credits} Cr)`));
+  }
+
+  const payable = this.lines
+    .filter(line => line.account === 'supplier_payable')
+    .reduce((sum, line) => sum + line.credit - line.debit, 0);
+  if (roundAmount(payable) !== roundAmount(this.amount)) {
+    return next(new Error(`Ledger entry ${this.entryId} amount does not match its supplier_payable lines`));
+  }
+
+  next();
+});
+
+supplierLedgerEntrySchema.index({ supplier: 1, entryDate: 1 });
+supplierLedgerEntrySchema.index({ supplier: 1, settlement: 1 });
+supplierLedgerEntrySchema.index({ order: 1, component: 1 });
+
+supplierLedgerEntrySchema.statics.LEDGER_ACCOUNTS = LEDGER_ACCOUNTS;
+supplierLedgerEntrySchema.statics.LEDGER_ENTRY_TYPES = LEDGER_ENTRY_TYPES;
+
+module.exports = mongoose.model('SupplierLedgerEntry', supplierLedgerEntrySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { generateId } = require('../utils/sequence');
 
 const supplierPromotionSchema = new mongoose.Schema({
   promotionId: {
@@ -283,12 +284,21 @@ supplierPromotionSchema.index({ couponCode: 1 }, { sparse: true });
 supplierPromotionSchema.index({ 'targeting.locations.states': 1 });
 supplierPromotionSchema.index({ 'targeting.customerTypes': 1 });
 
-// Pre-save middleware to generate promotion ID
-supplierPromotionSchema.pre('save', function(next) {
-  if (!this.promotionId) {
-    this.promotionId = `PROMO${Date.now()}${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+// Generate promotion ID from the counters collection
+// (runs before validation because promotionId is required)
+supplierPromotionSchema.pre('validate', async function(next) {
+  try {
+    if (!this.promotionId) {
+      this.promotionId = await generateId('promotion');
+    }
+    next();
+  } catch (error) {
+    next(error);
   }
-  
+});
+
+// Pre-save middleware to generate coupon code
+supplierPromotionSchema.pre('save', function(next) {
   // Auto-generate coupon code if type is coupon and no code provided
   if (this.type === 'coupon' && !this.couponCode) {
     this.couponCode = `${this.supplier.toString().slice(-4).toUpperCase()}${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
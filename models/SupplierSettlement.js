@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// pending: waiting for the next payout batch; processing: exported to the bank;
+// paid: payout confirmed; on_hold: payout blocked (e.g. missing bank details);
+// carried_forward: nothing to pay, the (negative) net moved into a later cycle
+const SETTLEMENT_STATUSES = ['pending', 'processing', 'paid', 'on_hold', 'carried_forward'];
+
+// One settlement cycle for a supplier: the ledger entries closed into it and
+// the payout they add up to
+const supplierSettlementSchema = new mongoose.Schema({
+  settlementId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  // Exclusive
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // Negative nets of earlier cycles carried into this one
+  openingBalance: {
+    type: Number,
+    default: 0
+  },
+  totals: {
+    orderValue: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    gatewayCharges: { type: Number, default: 0 },
+    tds: { type: Number, default: 0 },
+    tcs: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 },
+    adjustments: { type: Number, default: 0 }
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  netPayable: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: SETTLEMENT_STATUSES,
+    default: 'pending'
+  },
+  holdReason: String,
+  carriedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupplierSettlement',
+    default: null
+  },
+  payout: {
+    batchId: String,
+    exportedAt: Date,
+    // Bank details the payout was sent to
+    beneficiary: {
+      name: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String
+    },
+    reference: String, // UTR
+    paidAt: Date,
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+supplierSettlementSchema.index({ supplier: 1, periodEnd: -1 });
+supplierSettlementSchema.index({ status: 1 });
+supplierSettlementSchema.index({ 'payout.batchId': 1 });
+
+supplierSettlementSchema.statics.SETTLEMENT_STATUSES = SETTLEMENT_STATUSES;
+
+module.exports = mongoose.model('SupplierSettlement', supplierSettlementSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// refund: refund paid into the wallet; cashback: promotion cashback on a
+// delivered order; admin_credit / admin_debit: corrections by the team;
+// checkout: spent on an order; checkout_reversal: spend handed back because
+// the order never went through
+const WALLET_SOURCES = ['refund', 'cashback', 'admin_credit', 'admin_debit', 'checkout', 'checkout_reversal'];
+
+const walletTransactionSchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: WALLET_SOURCES,
+    required: true
+  },
+  // What the money is for (refund id, order id, program, admin note id); one
+  // transaction per source and reference
+  reference: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderId: String,
+  // Promotion a cashback was earned under
+  program: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LoyaltyProgram'
+  },
+  description: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Store credit held for a customer. The balance only moves together with a
+// transaction appended to the ledger, so the ledger always adds up to it.
+const walletSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    required: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalCredited: {
+    type: Number,
+    default: 0
+  },
+  totalDebited: {
+    type: Number,
+    default: 0
+  },
+  transactions: [walletTransactionSchema]
+}, {
+  timestamps: true
+});
+
+walletSchema.index({ 'transactions.transactionId': 1 });
+
+walletSchema.statics.WALLET_SOURCES = WALLET_SOURCES;
+
+module.exports = mongoose.model('Wallet', walletSchema);
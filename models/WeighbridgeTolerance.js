@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { PRODUCT_CATEGORIES } = require('../utils/constants');
+
+// Allowed gap between ordered quantity and weigh-bill net weight per category.
+// Only categories with a config are reconciled against the weighbridge.
+const weighbridgeToleranceSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: Object.values(PRODUCT_CATEGORIES),
+    required: true,
+    unique: true
+  },
+  // Variance (either way) as a percentage of the ordered quantity
+  tolerancePercentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 25
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get default configuration
+weighbridgeToleranceSchema.statics.getDefaultConfig = function() {
+  return [
+    { category: 'aggregate', tolerancePercentage: 2, isActive: true },
+    { category: 'sand', tolerancePercentage: 3, isActive: true },
+    { category: 'tmt_steel', tolerancePercentage: 1, isActive: true }
+  ];
+};
+
+// Tolerance percentage for a category, or null when the category is not weighed
+weighbridgeToleranceSchema.statics.getToleranceForCategory = async function(category) {
+  const config = await this.findOne({ category });
+
+  if (!config) {
+    const defaultConfig = this.getDefaultConfig().find(c => c.category === category);
+    return defaultConfig ? defaultConfig.tolerancePercentage : null;
+  }
+
+  return config.isActive ? config.tolerancePercentage : null;
+};
+
+module.exports = mongoose.model('WeighbridgeTolerance', weighbridgeToleranceSchema);
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const { auth, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Product = require('../models/Product');
 const Supplier = require('../models/Supplier');
 const User = require('../models/User');
@@ -18,6 +19,36 @@ const LoyaltyProgram = require('../models/LoyaltyProgram');
 const mongoose = require('mongoose'); // ADD THIS LINE
 const Ticket = require('../models/Ticket');
 const AdvancePaymentConfig = require('../models/AdvancePaymentConfig');
+const WeighbridgeTolerance = require('../models/WeighbridgeTolerance');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const EstimatorCoefficient = require('../models/EstimatorCoefficient');
+const CreditLine = require('../models/CreditLine');
+const CreditRepayment = require('../models/CreditRepayment');
+const Refund = require('../models/Refund');
+const Wallet = require('../models/Wallet');
+const GSTRate = require('../models/GSTRate');
+const {
+  CREDIT_AGEING_BUCKETS,
+  findOutstandingCreditOrders,
+  summarizeCreditLine,
+  getCreditSummary
+} = require('../utils/credit');
+const { syncBalancePayment, ensureBalancePaymentLink, sendBalanceReminder } = require('../utils/balanceCollection');
+const { generateId } = require('../utils/sequence');
+const { ORDER_STATUSES, ORDER_ACTORS } = require('../utils/orderStateMachine');
+const { evaluateCancellation, applyCancellation } = require('../utils/cancellationPolicy');
+const {
+  getRefundableAmount,
+  createRefund,
+  submitRefund,
+  retryRefund,
+  resolveRefund
+} = require('../utils/refunds');
+const SupplierSettlement = require('../models/SupplierSettlement');
+const { createPayoutBatch, markPayoutBatchPaid, releaseSettlement } = require('../utils/supplierLedger');
+const { generatePayoutFile } = require('../utils/supplierStatements');
+const { creditWallet, debitWallet, getWalletStatement } = require('../utils/wallet');
+const { verifyDoorstepCollection, formatCollection } = require('../utils/doorstepCollection');
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
@@ -1782,7 +1813,7 @@ if (!order) {
 // @access  Private (Admin)
 router.put('/orders/:orderId/status', auth, authorize('admin'), [
   param('orderId').isMongoId().withMessage('Valid order ID is required'),
-  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
+  body('status').isIn(ORDER_STATUSES)
     .withMessage('Invalid status value'),
   body('notes').optional().trim().isLength({ max: 500 })
     .withMessage('Notes cannot exceed 500 characters')
@@ -1810,60 +1841,19 @@ router.put('/orders/:orderId/status', auth, authorize('admin'), [
       return next(new ErrorHandler('Order not found', 404));
     }
 
-    // Validate status transition
-    const validTransitions = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['processing', 'cancelled'],
-      processing: ['shipped', 'cancelled'],
-      shipped: ['delivered', 'cancelled'],
-      delivered: ['refunded'],
-      cancelled: [],
-      refunded: []
-    };
-
-    if (!validTransitions[order.status].includes(status) && order.status !== status) {
-      return next(new ErrorHandler(
-        `Cannot change status from ${order.status} to ${status}`, 
-        400
-      ));
-    }
-
-    // Update order status
+    // Validate and apply the transition (throws 409 for illegal transitions)
     const oldStatus = order.status;
-    order.status = status;
-    order.updatedAt = new Date();
-
-    // Add status change to history
-    if (!order.statusHistory) {
-      order.statusHistory = [];
-    }
-
-    order.statusHistory.push({
-      status: status,
-      timestamp: new Date(),
-      updatedBy: req.user._id,
-      notes: notes,
-      userType: 'admin'
-    });
-
-    // Set specific timestamps based on status
-    switch (status) {
-      case 'confirmed':
-        order.confirmedAt = new Date();
-        break;
-      case 'processing':
-        order.processingAt = new Date();
-        break;
-      case 'shipped':
-        order.shippedAt = new Date();
-        break;
-      case 'delivered':
-        order.deliveredAt = new Date();
-        break;
-      case 'cancelled':
-        order.cancelledAt = new Date();
-        order.cancellationReason = notes || 'Cancelled by admin';
-        break;
+    const cancellation = status === 'cancelled'
+      ? await evaluateCancellation(order, { actor: ORDER_ACTORS.ADMIN })
+      : null;
+    order.updateStatus(status, notes || `Status updated to ${status} by admin`, req.user._id, { actor: ORDER_ACTORS.ADMIN });
+
+    if (status === 'cancelled') {
+      if (cancellation.allowed) {
+        applyCancellation(order, cancellation, { reason: notes || 'Cancelled by admin', cancelledBy: req.user._id });
+      } else {
+        order.cancellation.reason = notes || 'Cancelled by admin';
+      }
     }
 
     await order.save();
@@ -2181,7 +2171,7 @@ Team Aggrekart
 // @route   PUT /api/admin/orders/:orderId/refund
 // @desc    Process order refund by admin
 // @access  Private (Admin)
-router.put('/orders/:orderId/refund', auth, authorize('admin'), [
+router.put('/orders/:orderId/refund', auth, authorize('admin'), idempotent('admin-refund'), [
   param('orderId').isMongoId().withMessage('Valid order ID is required'),
   body('reason').trim().isLength({ min: 5, max: 500 })
     .withMessage('Refund reason must be 5-500 characters'),
@@ -2212,53 +2202,65 @@ router.put('/orders/:orderId/refund', auth, authorize('admin'), [
       return next(new ErrorHandler('Order not found', 404));
     }
 
-    if (!['delivered', 'processing', 'shipped'].includes(order.status)) {
+    if (!['delivered', 'processing', 'dispatched'].includes(order.status)) {
       return next(new ErrorHandler('Order cannot be refunded in current status', 400));
     }
 
-    const refundAmount = amount || order.pricing.totalAmount;
+    const refundable = await getRefundableAmount(order);
+    if (refundable <= 0) {
+      return next(new ErrorHandler('Nothing paid on this order is left to refund', 400));
+    }
 
-    // Update order for refund
-    order.status = 'refunded';
-    order.refundDetails = {
-      amount: refundAmount,
-      reason: reason,
-      method: refundMethod,
-      processedBy: req.user._id,
-      processedAt: new Date(),
-      refundId: `REF_${Date.now()}`
-    };
+    // Orders not yet delivered default to the cancellation policy refund for their stage
+    const policyRefund = order.status === 'delivered'
+      ? null
+      : await evaluateCancellation(order, { actor: ORDER_ACTORS.ADMIN });
+    const refundAmount = amount
+      ? parseFloat(amount)
+      : Math.min(refundable, policyRefund?.allowed ? policyRefund.refundAmount : refundable);
 
-    // Add to status history
-    if (!order.statusHistory) {
-      order.statusHistory = [];
+    if (refundAmount <= 0) {
+      return next(new ErrorHandler('Refund amount must be greater than 0', 400));
     }
 
-    order.statusHistory.push({
-      status: 'refunded',
-      timestamp: new Date(),
-      updatedBy: req.user._id,
-      notes: `Refund processed: ${reason}`,
-      userType: 'admin'
-    });
+    if (refundAmount > refundable) {
+      return next(new ErrorHandler(`Refund cannot exceed ₹${refundable.toFixed(2)} paid and not yet refunded`, 400));
+    }
 
-    await order.save();
+    // The payment shows refunded (or partial_refund) once the refund is processed (utils/refunds)
+    let refund = await createRefund(order, {
+      source: 'admin',
+      amount: refundAmount,
+      reason,
+      method: refundMethod,
+      requestedBy: req.user._id
+    });
 
-    console.log(`✅ Refund processed for order ${orderId}: ₹${refundAmount}`);
+    // Gateway refunds go out straight away; failures are retried by the refund job
+    if (refund.status === 'pending') {
+      refund = await submitRefund(refund);
+    }
 
-    // Here you would integrate with payment gateway for actual refund
-    // For now, we'll just log the refund
+    console.log(`✅ Refund ${refund.refundId} for order ${orderId}: ₹${refundAmount} (${refund.status})`);
 
     res.json({
       success: true,
-      message: 'Refund processed successfully',
+      message: refund.status === 'manual'
+        ? 'Refund recorded; pay it out by bank transfer and mark it paid in the refunds queue'
+        : 'Refund processed successfully',
       data: {
         refund: {
           orderId: order.orderId,
-          amount: refundAmount,
-          refundId: order.refundDetails.refundId,
-          processedAt: order.refundDetails.processedAt
-        }
+          refundId: refund.refundId,
+          amount: refund.amount,
+          method: refund.method,
+          status: refund.status,
+          gateway: refund.gateway,
+          gatewayRefundId: refund.gatewayRefundId,
+          lastError: refund.lastError,
+          processedAt: refund.processedAt
+        },
+        policy: policyRefund
       }
     });
 
@@ -4202,7 +4204,7 @@ router.get('/orders/:orderId', auth, authorize('admin'), [
 // @access  Private (Admin)
 router.put('/orders/:orderId/status', auth, authorize('admin'), [
   param('orderId').isMongoId().withMessage('Valid order ID is required'),
-  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'])
+  body('status').isIn(ORDER_STATUSES)
     .withMessage('Invalid status value'),
   body('notes').optional().trim().isLength({ max: 500 })
     .withMessage('Notes cannot exceed 500 characters')
@@ -4230,60 +4232,19 @@ router.put('/orders/:orderId/status', auth, authorize('admin'), [
       return next(new ErrorHandler('Order not found', 404));
     }
 
-    // Validate status transition
-    const validTransitions = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['processing', 'cancelled'],
-      processing: ['shipped', 'cancelled'],
-      shipped: ['delivered', 'cancelled'],
-      delivered: ['refunded'],
-      cancelled: [],
-      refunded: []
-    };
-
-    if (!validTransitions[order.status].includes(status) && order.status !== status) {
-      return next(new ErrorHandler(
-        `Cannot change status from ${order.status} to ${status}`, 
-        400
-      ));
-    }
-
-    // Update order status
+    // Validate and apply the transition (throws 409 for illegal transitions)
     const oldStatus = order.status;
-    order.status = status;
-    order.updatedAt = new Date();
-
-    // Add status change to history
-    if (!order.statusHistory) {
-      order.statusHistory = [];
-    }
-
-    order.statusHistory.push({
-      status: status,
-      timestamp: new Date(),
-      updatedBy: req.user._id,
-      notes: notes,
-      userType: 'admin'
-    });
-
-    // Set specific timestamps based on status
-    switch (status) {
-      case 'confirmed':
-        order.confirmedAt = new Date();
-        break;
-      case 'processing':
-        order.processingAt = new Date();
-        break;
-      case 'shipped':
-        order.shippedAt = new Date();
-        break;
-      case 'delivered':
-        order.deliveredAt = new Date();
-        break;
-      case 'cancelled':
-        order.cancelledAt = new Date();
-        order.cancellationReason = notes || 'Cancelled by admin';
-        break;
+    const cancellation = status === 'cancelled'
+      ? await evaluateCancellation(order, { actor: ORDER_ACTORS.ADMIN })
+      : null;
+    order.updateStatus(status, notes || `Status updated to ${status} by admin`, req.user._id, { actor: ORDER_ACTORS.ADMIN });
+
+    if (status === 'cancelled') {
+      if (cancellation.allowed) {
+        applyCancellation(order, cancellation, { reason: notes || 'Cancelled by admin', cancelledBy: req.user._id });
+      } else {
+        order.cancellation.reason = notes || 'Cancelled by admin';
+      }
     }
 
     await order.save();
@@ -4601,7 +4562,7 @@ Team Aggrekart
 // @route   PUT /api/admin/orders/:orderId/refund
 // @desc    Process order refund by admin
 // @access  Private (Admin)
-router.put('/orders/:orderId/refund', auth, authorize('admin'), [
+router.put('/orders/:orderId/refund', auth, authorize('admin'), idempotent('admin-refund'), [
   param('orderId').isMongoId().withMessage('Valid order ID is required'),
   body('reason').trim().isLength({ min: 5, max: 500 })
     .withMessage('Refund reason must be 5-500 characters'),
@@ -4632,53 +4593,65 @@ router.put('/orders/:orderId/refund', auth, authorize('admin'), [
       return next(new ErrorHandler('Order not found', 404));
     }
 
-    if (!['delivered', 'processing', 'shipped'].includes(order.status)) {
+    if (!['delivered', 'processing', 'dispatched'].includes(order.status)) {
       return next(new ErrorHandler('Order cannot be refunded in current status', 400));
     }
 
-    const refundAmount = amount || order.pricing.totalAmount;
+    const refundable = await getRefundableAmount(order);
+    if (refundable <= 0) {
+      return next(new ErrorHandler('Nothing paid on this order is left to refund', 400));
+    }
 
-    // Update order for refund
-    order.status = 'refunded';
-    order.refundDetails = {
-      amount: refundAmount,
-      reason: reason,
-      method: refundMethod,
-      processedBy: req.user._id,
-      processedAt: new Date(),
-      refundId: `REF_${Date.now()}`
-    };
+    // Orders not yet delivered default to the cancellation policy refund for their stage
+    const policyRefund = order.status === 'delivered'
+      ? null
+      : await evaluateCancellation(order, { actor: ORDER_ACTORS.ADMIN });
+    const refundAmount = amount
+      ? parseFloat(amount)
+      : Math.min(refundable, policyRefund?.allowed ? policyRefund.refundAmount : refundable);
 
-    // Add to status history
-    if (!order.statusHistory) {
-      order.statusHistory = [];
+    if (refundAmount <= 0) {
+      return next(new ErrorHandler('Refund amount must be greater than 0', 400));
     }
 
-    order.statusHistory.push({
-      status: 'refunded',
-      timestamp: new Date(),
-      updatedBy: req.user._id,
-      notes: `Refund processed: ${reason}`,
-      userType: 'admin'
-    });
+    if (refundAmount > refundable) {
+      return next(new ErrorHandler(`Refund cannot exceed ₹${refundable.toFixed(2)} paid and not yet refunded`, 400));
+    }
 
-    await order.save();
+    // The payment shows refunded (or partial_refund) once the refund is processed (utils/refunds)
+    let refund = await createRefund(order, {
+      source: 'admin',
+      amount: refundAmount,
+      reason,
+      method: refundMethod,
+      requestedBy: req.user._id
+    });
 
-    console.log(`✅ Refund processed for order ${orderId}: ₹${refundAmount}`);
+    // Gateway refunds go out straight away; failures are retried by the refund job
+    if (refund.status === 'pending') {
+      refund = await submitRefund(refund);
+    }
 
-    // Here you would integrate with payment gateway for actual refund
-    // For now, we'll just log the refund
+    console.log(`✅ Refund ${refund.refundId} for order ${orderId}: ₹${refundAmount} (${refund.status})`);
 
     res.json({
       success: true,
-      message: 'Refund processed successfully',
+      message: refund.status === 'manual'
+        ? 'Refund recorded; pay it out by bank transfer and mark it paid in the refunds queue'
+        : 'Refund processed successfully',
       data: {
         refund: {
           orderId: order.orderId,
-          amount: refundAmount,
-          refundId: order.refundDetails.refundId,
-          processedAt: order.refundDetails.processedAt
-        }
+          refundId: refund.refundId,
+          amount: refund.amount,
+          method: refund.method,
+          status: refund.status,
+          gateway: refund.gateway,
+          gatewayRefundId: refund.gatewayRefundId,
+          lastError: refund.lastError,
+          processedAt: refund.processedAt
+        },
+        policy: policyRefund
       }
     });
 
@@ -6936,7 +6909,7 @@ try {
   }
 
   // Generate unique promotion ID
-  const promotionId = `ADMIN_PROMO_${Date.now()}_${supplierId.slice(-6)}`;
+  const promotionId = await generateId('promotion');
 
   // Create comprehensive promotion data
   const promotionData = {
@@ -7510,6 +7483,1396 @@ router.get('/advance-payment-config/:category/options', auth, async (req, res, n
   }
 });
 
+// Ageing buckets for outstanding balances, in days since delivery
+const RECEIVABLE_AGEING_BUCKETS = {
+  '0-7': [0, 8],
+  '8-15': [8, 16],
+  '16-30': [16, 31],
+  '30+': [31, Infinity]
+};
+
+// @route   GET /api/admin/receivables
+// @desc    Outstanding balances on delivered orders, with ageing summary
+// @access  Private (Admin only)
+router.get('/receivables', auth, authorize('admin'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('supplier').optional().isMongoId().withMessage('Invalid supplier ID'),
+  query('ageing').optional().isIn(Object.keys(RECEIVABLE_AGEING_BUCKETS)).withMessage('Invalid ageing bucket')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20, supplier, ageing } = req.query;
+    const now = new Date();
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    const filter = {
+      status: 'delivered',
+      'payment.method': { $nin: ['cod', 'credit'] },
+      'payment.status': { $in: ['partial', 'paid'] },
+      'payment.remainingAmount': { $gt: 0 }
+    };
+
+    if (supplier) {
+      filter.supplier = new mongoose.Types.ObjectId(supplier);
+    }
+
+    const summaryFilter = { ...filter };
+
+    if (ageing) {
+      const [minDays, maxDays] = RECEIVABLE_AGEING_BUCKETS[ageing];
+      filter['delivery.actualDeliveryTime'] = { $lte: new Date(now.getTime() - minDays * dayMs) };
+      if (maxDays !== Infinity) {
+        filter['delivery.actualDeliveryTime'].$gt = new Date(now.getTime() - maxDays * dayMs);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [orders, total, buckets] = await Promise.all([
+      Order.find(filter)
+        .populate('customer', 'name email phoneNumber')
+        .populate('supplier', 'companyName contactPersonNumber')
+        .select('orderId customer supplier pricing.totalAmount payment delivery.actualDeliveryTime')
+        .sort({ 'delivery.actualDeliveryTime': 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Order.countDocuments(filter),
+      Order.aggregate([
+        { $match: summaryFilter },
+        {
+          $project: {
+            remainingAmount: '$payment.remainingAmount',
+            daysOutstanding: {
+              $floor: {
+                $divide: [{ $subtract: [now, { $ifNull: ['$delivery.actualDeliveryTime', '$updatedAt'] }] }, dayMs]
+              }
+            }
+          }
+        },
+        {
+          $bucket: {
+            groupBy: '$daysOutstanding',
+            boundaries: [0, 8, 16, 31],
+            default: '30+',
+            output: {
+              count: { $sum: 1 },
+              amount: { $sum: '$remainingAmount' }
+            }
+          }
+        }
+      ])
+    ]);
+
+    const bucketLabels = { 0: '0-7', 8: '8-15', 16: '16-30', '30+': '30+' };
+    const ageingSummary = Object.keys(RECEIVABLE_AGEING_BUCKETS).map(label => {
+      const bucket = buckets.find(b => bucketLabels[b._id] === label);
+      return { ageing: label, count: bucket?.count || 0, amount: bucket?.amount || 0 };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        receivables: orders.map(order => {
+          const deliveredAt = order.delivery?.actualDeliveryTime;
+          const link = order.payment.balanceCollection;
+          return {
+            orderId: order.orderId,
+            customer: order.customer,
+            supplier: order.supplier,
+            totalAmount: order.pricing.totalAmount,
+            advanceAmount: order.payment.advanceAmount,
+            balancePaid: order.payment.balancePaid,
+            remainingAmount: order.payment.remainingAmount,
+            deliveredAt,
+            daysOutstanding: deliveredAt ? Math.floor((now - deliveredAt) / dayMs) : null,
+            paymentLink: link?.linkId ? {
+              gateway: link.gateway,
+              status: link.status,
+              url: link.url,
+              expiresAt: link.expiresAt,
+              remindersSent: link.remindersSent,
+              lastReminderAt: link.lastReminderAt
+            } : null
+          };
+        }),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        },
+        summary: {
+          totalOutstanding: ageingSummary.reduce((sum, bucket) => sum + bucket.amount, 0),
+          totalOrders: ageingSummary.reduce((sum, bucket) => sum + bucket.count, 0),
+          ageing: ageingSummary
+        },
+        filters: { supplier, ageing }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/receivables/:orderId/remind
+// @desc    Send a balance payment reminder now (creates or refreshes the link)
+// @access  Private (Admin only)
+router.post('/receivables/:orderId/remind', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId })
+      .populate('customer', 'name email phoneNumber');
+
+    if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    await syncBalancePayment(order);
+
+    if (order.status !== 'delivered' || ['cod', 'credit'].includes(order.payment.method) || order.payment.remainingAmount <= 0) {
+      await order.save();
+      return next(new ErrorHandler('No balance is due on this order', 400));
+    }
+
+    await ensureBalancePaymentLink(order, order.customer);
+    await sendBalanceReminder(order, order.customer);
+    await order.save();
+
+    res.json({
+      success: true,
+      message: `Reminder sent to ${order.customer.name}`,
+      data: {
+        orderId: order.orderId,
+        remainingAmount: order.payment.remainingAmount,
+        paymentLink: order.payment.balanceCollection
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/weighbridge-tolerance
+// @desc    Get weighbridge tolerance per category
+// @access  Private (Admin only)
+router.get('/weighbridge-tolerance', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const configs = await WeighbridgeTolerance.find()
+      .populate('lastUpdatedBy', 'name email')
+      .sort({ category: 1 });
+
+    // Categories never configured fall back to the defaults
+    const configured = configs.map(config => config.category);
+    const defaults = WeighbridgeTolerance.getDefaultConfig()
+      .filter(config => !configured.includes(config.category))
+      .map(config => ({ ...config, isDefault: true }));
+
+    res.json({
+      success: true,
+      data: [...configs, ...defaults]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/weighbridge-tolerance/:category
+// @desc    Set the weighbridge tolerance for a category (inactive = not reconciled)
+// @access  Private (Admin only)
+router.put('/weighbridge-tolerance/:category', [
+  auth,
+  authorize('admin'),
+  param('category').isIn(['aggregate', 'sand', 'tmt_steel', 'bricks_blocks', 'cement']).withMessage('Invalid category'),
+  body('tolerancePercentage').isFloat({ min: 0, max: 25 }).withMessage('Tolerance must be between 0-25 percent'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category } = req.params;
+    const { tolerancePercentage, isActive = true } = req.body;
+
+    const updatedConfig = await WeighbridgeTolerance.findOneAndUpdate(
+      { category },
+      {
+        tolerancePercentage,
+        isActive,
+        lastUpdatedBy: req.user._id
+      },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true
+      }
+    ).populate('lastUpdatedBy', 'name email');
+
+    res.json({
+      success: true,
+      data: updatedConfig,
+      message: `Weighbridge tolerance updated for ${category}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/cancellation-policies
+// @desc    Get cancellation policies per category and order stage
+// @access  Private (Admin only)
+router.get('/cancellation-policies', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const policies = await CancellationPolicy.find()
+      .populate('lastUpdatedBy', 'name email')
+      .sort({ category: 1, stage: 1 });
+
+    // Stages never configured for the default category fall back to the built-in rules
+    const defaults = CancellationPolicy.getDefaultConfig()
+      .filter(config => !policies.some(policy => policy.category === config.category && policy.stage === config.stage))
+      .map(config => ({ ...config, isDefault: true }));
+
+    res.json({
+      success: true,
+      data: [...policies, ...defaults]
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/cancellation-policies/:category/:stage
+// @desc    Create or update the cancellation policy for a category and order stage
+// @access  Private (Admin only)
+router.put('/cancellation-policies/:category/:stage', [
+  auth,
+  authorize('admin'),
+  param('category').isIn(['default', 'aggregate', 'sand', 'tmt_steel', 'bricks_blocks', 'cement']).withMessage('Invalid category'),
+  param('stage').isIn(CancellationPolicy.CANCELLABLE_STAGES).withMessage('Invalid order stage'),
+  body('customerCancellable').optional().isBoolean().withMessage('customerCancellable must be a boolean'),
+  body('transportRefundable').optional().isBoolean().withMessage('transportRefundable must be a boolean'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('timeBands').isArray({ min: 1, max: 10 }).withMessage('Between 1 and 10 time bands are required'),
+  body('timeBands.*.upToMinutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('upToMinutes must be a positive whole number'),
+  body('timeBands.*.deductionType').isIn(['percentage', 'flat']).withMessage('deductionType must be percentage or flat'),
+  body('timeBands.*.deductionValue').isFloat({ min: 0 }).withMessage('deductionValue cannot be negative'),
+  body('timeBands.*.supplierSharePercentage').optional().isFloat({ min: 0, max: 100 }).withMessage('supplierSharePercentage must be between 0-100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { category, stage } = req.params;
+    const { customerCancellable = true, transportRefundable = true, isActive = true, timeBands } = req.body;
+
+    if (timeBands.some(band => band.deductionType === 'percentage' && band.deductionValue > 100)) {
+      return next(new ErrorHandler('Percentage deductions cannot exceed 100', 400));
+    }
+
+    const policy = await CancellationPolicy.findOneAndUpdate(
+      { category, stage },
+      {
+        customerCancellable,
+        transportRefundable,
+        isActive,
+        timeBands: timeBands.map(band => ({
+          upToMinutes: band.upToMinutes ?? null,
+          deductionType: band.deductionType,
+          deductionValue: band.deductionValue,
+          supplierSharePercentage: band.supplierSharePercentage || 0
+        })),
+        lastUpdatedBy: req.user._id
+      },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true
+      }
+    ).populate('lastUpdatedBy', 'name email');
+
+    res.json({
+      success: true,
+      data: policy,
+      message: `Cancellation policy updated for ${category} orders in ${stage}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/estimator-coefficients
+// @desc    Get the consumption coefficients used by the BOQ estimator
+// @access  Private (Admin only)
+router.get('/estimator-coefficients', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const overrides = await EstimatorCoefficient.find()
+      .populate('lastUpdatedBy', 'name email');
+
+    // Every coefficient with its built-in value and any admin override
+    const coefficients = EstimatorCoefficient.getDefaultConfig().map(config => {
+      const override = overrides.find(o => o.key === config.key);
+      return {
+        ...config,
+        defaultValue: config.value,
+        value: override?.isActive ? override.value : config.value,
+        isDefault: !override?.isActive,
+        override: override || null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: coefficients
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/estimator-coefficients/:key
+// @desc    Override a BOQ estimator coefficient (inactive = use the built-in value)
+// @access  Private (Admin only)
+router.put('/estimator-coefficients/:key', [
+  auth,
+  authorize('admin'),
+  param('key').isIn(EstimatorCoefficient.getDefaultConfig().map(config => config.key)).withMessage('Unknown coefficient'),
+  body('value').isFloat({ min: 0 }).withMessage('Value cannot be negative'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { key } = req.params;
+    const { value, isActive = true } = req.body;
+
+    const builtIn = EstimatorCoefficient.getDefaultConfig().find(config => config.key === key);
+    if (builtIn.unit === '%' && value > 100) {
+      return next(new ErrorHandler('Percentages cannot exceed 100', 400));
+    }
+
+    const coefficient = await EstimatorCoefficient.findOneAndUpdate(
+      { key },
+      {
+        value,
+        isActive,
+        lastUpdatedBy: req.user._id
+      },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true
+      }
+    ).populate('lastUpdatedBy', 'name email');
+
+    res.json({
+      success: true,
+      data: coefficient,
+      message: `Estimator coefficient ${key} updated`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/credit-lines
+// @desc    Customer credit lines with usage, overdue amounts and ageing
+// @access  Private (Admin only)
+router.get('/credit-lines', auth, authorize('admin'), [
+  query('status').optional().isIn(['active', 'suspended', 'closed']).withMessage('Invalid status'),
+  query('overdue').optional().isBoolean().withMessage('overdue must be a boolean'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, overdue, page = 1, limit = 20 } = req.query;
+
+    const creditLines = await CreditLine.find(status ? { status } : {})
+      .populate('customer', 'name email phoneNumber customerType')
+      .populate('lastUpdatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    let rows = await Promise.all(creditLines.map(async creditLine => ({
+      customer: creditLine.customer,
+      notes: creditLine.notes,
+      lastUpdatedBy: creditLine.lastUpdatedBy,
+      updatedAt: creditLine.updatedAt,
+      ...summarizeCreditLine(creditLine, await findOutstandingCreditOrders(creditLine.customer._id))
+    })));
+
+    if (overdue !== undefined) {
+      const wantOverdue = overdue === 'true';
+      rows = rows.filter(row => (row.overdueAmount > 0) === wantOverdue);
+    }
+
+    // Portfolio totals across the filtered lines
+    const ageing = Object.keys(CREDIT_AGEING_BUCKETS).map(label => ({
+      ageing: label,
+      count: rows.reduce((sum, row) => sum + row.ageing.find(b => b.ageing === label).count, 0),
+      amount: Math.round(rows.reduce((sum, row) => sum + row.ageing.find(b => b.ageing === label).amount, 0) * 100) / 100
+    }));
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    res.json({
+      success: true,
+      data: {
+        creditLines: rows.slice(skip, skip + parseInt(limit)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(rows.length / parseInt(limit)),
+          totalItems: rows.length,
+          itemsPerPage: parseInt(limit)
+        },
+        summary: {
+          totalLimit: rows.reduce((sum, row) => sum + row.creditLimit, 0),
+          totalOutstanding: Math.round(rows.reduce((sum, row) => sum + row.outstanding, 0) * 100) / 100,
+          totalOverdue: Math.round(rows.reduce((sum, row) => sum + row.overdueAmount, 0) * 100) / 100,
+          ageing
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/credit-lines/:customerId
+// @desc    One customer's credit line, outstanding orders and repayments
+// @access  Private (Admin only)
+router.get('/credit-lines/:customerId', auth, authorize('admin'), [
+  param('customerId').isMongoId().withMessage('Invalid customer ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const credit = await getCreditSummary(req.params.customerId);
+    if (!credit) {
+      return next(new ErrorHandler('No credit line for this customer', 404));
+    }
+
+    await credit.creditLine.populate([
+      { path: 'customer', select: 'name email phoneNumber customerType' },
+      { path: 'approvedBy', select: 'name email' },
+      { path: 'lastUpdatedBy', select: 'name email' }
+    ]);
+
+    const repayments = await CreditRepayment.find({ customer: req.params.customerId })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: {
+        creditLine: credit.creditLine,
+        summary: credit.summary,
+        orders: credit.orders,
+        repayments
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/credit-lines/:customerId
+// @desc    Set up or change a contractor's credit limit, terms and status
+// @access  Private (Admin only)
+router.put('/credit-lines/:customerId', [
+  auth,
+  authorize('admin'),
+  param('customerId').isMongoId().withMessage('Invalid customer ID'),
+  body('creditLimit').optional().isFloat({ min: 0 }).withMessage('Credit limit cannot be negative'),
+  body('termDays').optional().isIn(CreditLine.CREDIT_TERM_DAYS).withMessage(`Terms must be one of ${CreditLine.CREDIT_TERM_DAYS.join(', ')} days`),
+  body('status').optional().isIn(['active', 'suspended', 'closed']).withMessage('Invalid status'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const customer = await User.findOne({ _id: req.params.customerId, role: 'customer' });
+    if (!customer) {
+      return next(new ErrorHandler('Customer not found', 404));
+    }
+
+    const existing = await CreditLine.findOne({ customer: customer._id });
+    if (!existing) {
+      if (customer.customerType !== 'builder_contractor') {
+        return next(new ErrorHandler('Credit lines are only available to builder/contractor customers', 400));
+      }
+      if (req.body.creditLimit === undefined) {
+        return next(new ErrorHandler('Credit limit is required to set up a credit line', 400));
+      }
+    }
+
+    const update = { lastUpdatedBy: req.user._id };
+    ['creditLimit', 'termDays', 'status', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    const creditLine = await CreditLine.findOneAndUpdate(
+      { customer: customer._id },
+      {
+        $set: update,
+        $setOnInsert: { approvedBy: req.user._id }
+      },
+      {
+        new: true,
+        upsert: true,
+        runValidators: true,
+        setDefaultsOnInsert: true
+      }
+    ).populate('lastUpdatedBy', 'name email');
+
+    console.log(`💳 Credit line for ${customer.name} ${existing ? 'updated' : 'created'}: ₹${creditLine.creditLimit}, ${creditLine.termDays} days, ${creditLine.status}`);
+
+    res.json({
+      success: true,
+      data: creditLine,
+      message: `Credit line ${existing ? 'updated' : 'set up'} for ${customer.name}`
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/refunds
+// @desc    Refund queue: open refunds (pending, in flight, failed, escalated, manual) oldest first
+// @access  Private (Admin)
+router.get('/refunds', auth, authorize('admin'), [
+  query('status').optional().isIn([...Refund.REFUND_STATUSES, 'open', 'all']).withMessage('Invalid status'),
+  query('source').optional().isIn(Refund.REFUND_SOURCES).withMessage('Invalid source'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status = 'open', source, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status === 'open') {
+      filter.status = { $in: Refund.OPEN_REFUND_STATUSES };
+    } else if (status !== 'all') {
+      filter.status = status;
+    }
+    if (source) filter.source = source;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [refunds, total, byStatus] = await Promise.all([
+      Refund.find(filter)
+        .populate('customer', 'name email phoneNumber')
+        .select('-history')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Refund.countDocuments(filter),
+      Refund.aggregate([
+        { $match: { status: { $in: Refund.OPEN_REFUND_STATUSES } } },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        refunds,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        },
+        // Everything still owed to customers, whatever the filter
+        summary: Refund.OPEN_REFUND_STATUSES.map(openStatus => {
+          const row = byStatus.find(entry => entry._id === openStatus);
+          return {
+            status: openStatus,
+            count: row?.count || 0,
+            amount: Math.round((row?.amount || 0) * 100) / 100
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/refunds/:refundId
+// @desc    Refund with its full history
+// @access  Private (Admin)
+router.get('/refunds/:refundId', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const refund = await Refund.findOne({ refundId: req.params.refundId })
+      .populate('customer', 'name email phoneNumber')
+      .populate('order', 'orderId status pricing.totalAmount payment.method payment.status')
+      .populate('history.by', 'name email');
+
+    if (!refund) {
+      return next(new ErrorHandler('Refund not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: refund
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/refunds/:refundId/retry
+// @desc    Send a failed or escalated refund to the gateway again
+// @access  Private (Admin)
+router.post('/refunds/:refundId/retry', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const refund = await Refund.findOne({ refundId: req.params.refundId });
+    if (!refund) {
+      return next(new ErrorHandler('Refund not found', 404));
+    }
+
+    const result = await retryRefund(refund, req.user._id);
+
+    console.log(`🔁 Refund ${result.refundId} retried by admin: ${result.status}`);
+
+    res.json({
+      success: true,
+      message: `Refund ${result.status}`,
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/refunds/:refundId/resolve
+// @desc    Mark a manual, failed or escalated refund as paid out (bank transfer or gateway dashboard)
+// @access  Private (Admin)
+router.put('/refunds/:refundId/resolve', auth, authorize('admin'), [
+  body('reference').trim().isLength({ min: 3, max: 100 }).withMessage('Payout reference (e.g. UTR) is required'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const refund = await Refund.findOne({ refundId: req.params.refundId });
+    if (!refund) {
+      return next(new ErrorHandler('Refund not found', 404));
+    }
+
+    const result = await resolveRefund(refund, {
+      reference: req.body.reference,
+      note: req.body.note,
+      by: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Refund marked as paid',
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/orders/:orderId/doorstep-collections/:collectionId/verify
+// @desc    Confirm or reject a UPI payment a pilot recorded at the door, after checking its UTR with the bank
+// @access  Private (Admin)
+router.put('/orders/:orderId/doorstep-collections/:collectionId/verify', auth, authorize('admin'), [
+  param('collectionId').trim().notEmpty().withMessage('Collection ID is required'),
+  body('approved').isBoolean().withMessage('approved must be true or false'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId, collectionId } = req.params;
+    const order = await Order.findOne(
+      mongoose.isValidObjectId(orderId) ? { $or: [{ _id: orderId }, { orderId }] } : { orderId }
+    );
+    if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    const approved = req.body.approved === true || req.body.approved === 'true';
+    const collection = verifyDoorstepCollection(order, collectionId, {
+      approved,
+      note: req.body.note,
+      verifiedBy: req.user._id
+    });
+    await order.save();
+
+    console.log(`${approved ? '✅' : '❌'} UPI collection ${collection.collectionId} on order ${order.orderId} ${approved ? 'verified' : 'rejected'}`);
+
+    res.json({
+      success: true,
+      message: approved ? 'UPI payment verified' : 'UPI payment rejected',
+      data: {
+        orderId: order.orderId,
+        paymentStatus: order.payment.status,
+        collection: formatCollection(collection)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/settlements
+// @desc    Supplier settlement cycles, with totals by status
+// @access  Private (Admin)
+router.get('/settlements', auth, authorize('admin'), [
+  query('status').optional().isIn(SupplierSettlement.SETTLEMENT_STATUSES).withMessage('Invalid status'),
+  query('supplierId').optional().isMongoId().withMessage('Invalid supplier ID'),
+  query('batchId').optional().isString(),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, supplierId, batchId, page = 1, limit = 50 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (supplierId) filter.supplier = supplierId;
+    if (batchId) filter['payout.batchId'] = batchId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [settlements, total, byStatus] = await Promise.all([
+      SupplierSettlement.find(filter)
+        .populate('supplier', 'supplierId companyName bankDetails.bankName')
+        .sort({ periodEnd: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SupplierSettlement.countDocuments(filter),
+      SupplierSettlement.aggregate([
+        { $match: { status: { $in: ['pending', 'processing', 'on_hold'] } } },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$netPayable' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settlements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        },
+        // Everything still to be paid out, whatever the filter
+        summary: ['pending', 'processing', 'on_hold'].map(openStatus => {
+          const row = byStatus.find(entry => entry._id === openStatus);
+          return {
+            status: openStatus,
+            count: row?.count || 0,
+            amount: Math.round((row?.amount || 0) * 100) / 100
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/settlements/payout-batches
+// @desc    Put pending settlements into a payout batch for the bank
+// @access  Private (Admin)
+router.post('/settlements/payout-batches', auth, authorize('admin'), idempotent('payout-batch'), [
+  body('settlementIds').optional().isArray({ min: 1 }).withMessage('settlementIds must be a non-empty array'),
+  body('settlementIds.*').optional().isString().withMessage('Invalid settlement ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { batchId, settlements, held } = await createPayoutBatch({ settlementIds: req.body.settlementIds });
+    const amount = Math.round(settlements.reduce((sum, settlement) => sum + settlement.netPayable, 0) * 100) / 100;
+
+    console.log(`🏦 Payout batch ${batchId} created by ${req.user.email}: ${settlements.length} settlements, Rs.${amount}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch ${batchId} created`,
+      data: {
+        batchId,
+        count: settlements.length,
+        amount,
+        settlements: settlements.map(settlement => settlement.settlementId),
+        held
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/settlements/payout-batches/:batchId/file
+// @desc    Download the bank upload file for a payout batch
+// @access  Private (Admin)
+router.get('/settlements/payout-batches/:batchId/file', auth, authorize('admin'), [
+  param('batchId').notEmpty().withMessage('Batch ID is required'),
+  query('format').optional().isIn(['csv', 'excel']).withMessage('Format must be csv or excel')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { buffer, contentType, extension } = await generatePayoutFile(req.params.batchId, req.query.format);
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="Payout-${req.params.batchId}.${extension}"`);
+    res.send(buffer);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/settlements/payout-batches/:batchId/paid
+// @desc    Confirm a payout batch with the bank's UTRs; rejected transfers go on hold
+// @access  Private (Admin)
+router.put('/settlements/payout-batches/:batchId/paid', auth, authorize('admin'), [
+  param('batchId').notEmpty().withMessage('Batch ID is required'),
+  body('reference').optional().trim().notEmpty().withMessage('Reference cannot be empty'),
+  body('references').optional().isObject().withMessage('references must map settlement IDs to UTRs'),
+  body('failed').optional().isArray().withMessage('failed must be an array of settlement IDs')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { reference, references, failed } = req.body;
+    if (!reference && !references && !failed?.length) {
+      return next(new ErrorHandler('A bank reference (UTR) is required', 400));
+    }
+
+    const result = await markPayoutBatchPaid(req.params.batchId, {
+      reference,
+      references,
+      failed,
+      by: req.user._id
+    });
+
+    console.log(`🏦 Payout batch ${req.params.batchId}: ${result.paid.length} paid, ${result.failed.length} rejected`);
+
+    res.json({
+      success: true,
+      message: 'Payout batch updated',
+      data: result
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/settlements/:settlementId/release
+// @desc    Return a settlement on hold to the payout queue
+// @access  Private (Admin)
+router.put('/settlements/:settlementId/release', auth, authorize('admin'), [
+  param('settlementId').notEmpty().withMessage('Settlement ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const settlement = await releaseSettlement(req.params.settlementId);
+
+    res.json({
+      success: true,
+      message: 'Settlement returned to the payout queue',
+      data: settlement
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/users/:userId/wallet
+// @desc    A customer's wallet balance and transactions
+// @access  Private (Admin)
+router.get('/users/:userId/wallet', auth, authorize('admin'), [
+  param('userId').isMongoId().withMessage('Valid user ID is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('source').optional().isIn(Wallet.WALLET_SOURCES).withMessage('Invalid wallet transaction source')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('name email phoneNumber customerId role');
+    if (!user) {
+      return next(new ErrorHandler('User not found', 404));
+    }
+
+    const statement = await getWalletStatement(user._id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      source: req.query.source
+    });
+
+    res.json({
+      success: true,
+      data: { user, ...statement }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/users/:userId/wallet/adjustments
+// @desc    Credit or debit a customer's wallet (goodwill credits, corrections)
+// @access  Private (Admin)
+router.post('/users/:userId/wallet/adjustments', auth, authorize('admin'), idempotent('wallet-adjustment'), [
+  param('userId').isMongoId().withMessage('Valid user ID is required'),
+  body('type').isIn(['credit', 'debit']).withMessage('Type must be credit or debit'),
+  body('amount').isFloat({ min: 1 }).withMessage('Amount must be at least ₹1'),
+  body('reason').trim().isLength({ min: 5, max: 300 }).withMessage('Reason must be 5-300 characters'),
+  body('orderId').optional().trim().notEmpty().withMessage('Order ID cannot be empty')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, reason, orderId } = req.body;
+
+    const user = await User.findById(req.params.userId).select('name role');
+    if (!user || user.role !== 'customer') {
+      return next(new ErrorHandler('Customer not found', 404));
+    }
+
+    const order = orderId
+      ? await Order.findOne({ orderId, customer: user._id }).select('orderId')
+      : null;
+    if (orderId && !order) {
+      return next(new ErrorHandler('Order not found for this customer', 404));
+    }
+
+    const move = type === 'credit' ? creditWallet : debitWallet;
+    const { wallet, transaction } = await move(user._id, {
+      source: type === 'credit' ? 'admin_credit' : 'admin_debit',
+      amount: parseFloat(req.body.amount),
+      order: order?._id,
+      orderId: order?.orderId,
+      description: reason,
+      createdBy: req.user._id
+    });
+
+    console.log(`👛 Admin ${type} of ₹${transaction.amount} on ${user.name}'s wallet: ${reason}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Wallet ${type === 'credit' ? 'credited' : 'debited'} ₹${transaction.amount.toFixed(2)}`,
+      data: {
+        transaction,
+        balance: wallet.balance
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/gst-rates
+// @desc    GST rate master by HSN code, with past and scheduled rates
+// @access  Private (Admin only)
+router.get('/gst-rates', auth, authorize('admin'), [
+  query('hsnCode').optional().trim().matches(/^\d{2,8}$/).withMessage('HSN code must be 2-8 digits'),
+  query('status').optional().isIn(['current', 'scheduled', 'expired']).withMessage('Status must be current, scheduled or expired'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const now = new Date();
+
+    const filter = {};
+    if (req.query.hsnCode) {
+      filter.hsnCode = { $regex: `^${req.query.hsnCode}` };
+    }
+    if (req.query.status === 'current') {
+      filter.effectiveFrom = { $lte: now };
+      filter.$or = [{ effectiveTo: null }, { effectiveTo: { $gt: now } }];
+    } else if (req.query.status === 'scheduled') {
+      filter.effectiveFrom = { $gt: now };
+    } else if (req.query.status === 'expired') {
+      filter.effectiveTo = { $lte: now };
+    }
+
+    const [rates, total] = await Promise.all([
+      GSTRate.find(filter)
+        .populate('createdBy', 'name email')
+        .populate('lastUpdatedBy', 'name email')
+        .sort({ hsnCode: 1, effectiveFrom: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GSTRate.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rates: rates.map(rate => ({
+          ...rate.toObject(),
+          status: rate.effectiveFrom > now ? 'scheduled' : (rate.isEffectiveAt(now) ? 'current' : 'expired')
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/gst-rates
+// @desc    Set the GST rate for an HSN code from an effective date (now by default).
+//          The rate in effect until then is closed; orders already placed keep their rate.
+// @access  Private (Admin only)
+router.post('/gst-rates', auth, authorize('admin'), [
+  body('hsnCode').trim().matches(/^(\d{4}|\d{6}|\d{8})$/).withMessage('HSN code must be 4, 6 or 8 digits'),
+  body('rate').isFloat().toFloat().isIn(GSTRate.GST_SLABS).withMessage(`Rate must be one of ${GSTRate.GST_SLABS.join(', ')}`),
+  body('effectiveFrom').optional().isISO8601().withMessage('Effective date must be a valid date'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { hsnCode, rate, description, notes } = req.body;
+    const now = new Date();
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : now;
+
+    // A rate applies to orders placed from its effective date on, never to earlier ones
+    if (req.body.effectiveFrom && effectiveFrom < now) {
+      return next(new ErrorHandler('Effective date cannot be in the past', 400));
+    }
+
+    const scheduled = await GSTRate.findOne({ hsnCode, effectiveFrom: { $gte: effectiveFrom } });
+    if (scheduled) {
+      return next(new ErrorHandler(
+        `A rate for HSN ${hsnCode} from ${scheduled.effectiveFrom.toISOString()} is already scheduled; change or remove it first`,
+        409
+      ));
+    }
+
+    const previous = await GSTRate.findOne({
+      hsnCode,
+      effectiveFrom: { $lt: effectiveFrom },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gt: effectiveFrom } }]
+    });
+
+    const gstRate = await GSTRate.create({
+      hsnCode,
+      rate,
+      effectiveFrom,
+      description: description || previous?.description,
+      notes,
+      createdBy: req.user._id
+    });
+
+    if (previous) {
+      previous.effectiveTo = effectiveFrom;
+      previous.lastUpdatedBy = req.user._id;
+      await previous.save();
+    }
+
+    console.log(`🧾 GST rate for HSN ${hsnCode} set to ${rate}% from ${effectiveFrom.toISOString()}${previous ? ` (was ${previous.rate}%)` : ''}`);
+
+    res.status(201).json({
+      success: true,
+      message: `GST rate for HSN ${hsnCode} set to ${rate}%`,
+      data: {
+        rate: gstRate,
+        previous
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/gst-rates/:id
+// @desc    Update a GST rate. Rate and effective date can change only before it takes effect.
+// @access  Private (Admin only)
+router.put('/gst-rates/:id', auth, authorize('admin'), [
+  param('id').isMongoId().withMessage('Invalid GST rate ID'),
+  body('rate').optional().isFloat().toFloat().isIn(GSTRate.GST_SLABS).withMessage(`Rate must be one of ${GSTRate.GST_SLABS.join(', ')}`),
+  body('effectiveFrom').optional().isISO8601().withMessage('Effective date must be a valid date'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const gstRate = await GSTRate.findById(req.params.id);
+    if (!gstRate) {
+      return next(new ErrorHandler('GST rate not found', 404));
+    }
+
+    const { rate, description, notes } = req.body;
+    const now = new Date();
+    const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : null;
+
+    if ((rate !== undefined || effectiveFrom) && gstRate.effectiveFrom <= now) {
+      return next(new ErrorHandler('This rate is already in effect; set a new rate from a later date instead', 400));
+    }
+
+    let previous = null;
+    if (effectiveFrom && effectiveFrom.getTime() !== gstRate.effectiveFrom.getTime()) {
+      if (effectiveFrom < now) {
+        return next(new ErrorHandler('Effective date cannot be in the past', 400));
+      }
+      if (gstRate.effectiveTo && effectiveFrom >= gstRate.effectiveTo) {
+        return next(new ErrorHandler('Effective date must be before the next scheduled rate', 400));
+      }
+
+      previous = await GSTRate.findOne({ hsnCode: gstRate.hsnCode, effectiveTo: gstRate.effectiveFrom });
+      if (previous && effectiveFrom <= previous.effectiveFrom) {
+        return next(new ErrorHandler('Effective date must be after the start of the rate it replaces', 400));
+      }
+      gstRate.effectiveFrom = effectiveFrom;
+    }
+
+    if (rate !== undefined) gstRate.rate = rate;
+    if (description !== undefined) gstRate.description = description;
+    if (notes !== undefined) gstRate.notes = notes;
+    gstRate.lastUpdatedBy = req.user._id;
+    await gstRate.save();
+
+    if (previous) {
+      previous.effectiveTo = gstRate.effectiveFrom;
+      previous.lastUpdatedBy = req.user._id;
+      await previous.save();
+    }
+
+    res.json({
+      success: true,
+      message: `GST rate for HSN ${gstRate.hsnCode} updated`,
+      data: gstRate
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/gst-rates/:id
+// @desc    Withdraw a scheduled GST rate; the rate before it stays in effect
+// @access  Private (Admin only)
+router.delete('/gst-rates/:id', auth, authorize('admin'), [
+  param('id').isMongoId().withMessage('Invalid GST rate ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const gstRate = await GSTRate.findById(req.params.id);
+    if (!gstRate) {
+      return next(new ErrorHandler('GST rate not found', 404));
+    }
+    if (gstRate.effectiveFrom <= new Date()) {
+      return next(new ErrorHandler('Only rates that have not taken effect yet can be withdrawn', 400));
+    }
+
+    const previous = await GSTRate.findOne({ hsnCode: gstRate.hsnCode, effectiveTo: gstRate.effectiveFrom });
+    await gstRate.deleteOne();
+
+    if (previous) {
+      previous.effectiveTo = gstRate.effectiveTo;
+      previous.lastUpdatedBy = req.user._id;
+      await previous.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Scheduled GST rate for HSN ${gstRate.hsnCode} withdrawn`,
+      data: { previous }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Add this after the approve endpoint (around line 7250)
 
 // @route   POST /api/admin/pilots/:pilotId/reject
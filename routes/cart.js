@@ -9,6 +9,7 @@ const User = require('../models/User');
 const LoyaltyProgram = require('../models/LoyaltyProgram');
 const UserLoyalty = require('../models/UserLoyalty'); // Add this import
 const SupplierPromotion = require('../models/SupplierPromotion');
+const { findAccessibleProject } = require('../utils/projects');
 // REPLACE LINES 12-45 with:
 const validateAndUpdatePromotions = async (cart) => {
   console.log('🔍 Validating existing promotions after cart change...');
@@ -176,13 +177,16 @@ router.get('/', auth, authorize('customer'), async (req, res, next) => {
 });
 
 // @route   POST /api/cart/items
-// @desc    Add item to cart
+// @desc    Add item to cart (or several at once via items[], e.g. an estimator proposal)
 // @access  Private (Customer)
 router.post('/items', auth, authorize('customer'), [
-  body('productId').notEmpty().withMessage('Product ID is required'),
-  body('quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be at least 0.1'),
+  body('productId').if(body('items').not().exists()).notEmpty().withMessage('Product ID is required'),
+  body('quantity').if(body('items').not().exists()).isFloat({ min: 0.1 }).withMessage('Quantity must be at least 0.1'),
   body('specifications.selectedVariant').optional().isString(),
-  body('specifications.customRequirements').optional().isString()
+  body('specifications.customRequirements').optional().isString(),
+  body('items').optional().isArray({ min: 1, max: 50 }).withMessage('Items must be a list of 1-50 products'),
+  body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be at least 0.1')
 ], async (req, res, next) => {
   try {
     console.log('🛒 Adding item to cart for user:', req.user._id);
@@ -197,41 +201,10 @@ router.post('/items', auth, authorize('customer'), [
       });
     }
 
-    const { productId, quantity, specifications } = req.body;
-
-    // Find product with detailed error logging
-    console.log('🔍 Looking for product:', productId);
-    const product = await Product.findOne({
-      $or: [{ _id: productId }, { productId }],
-      isActive: true,
-      isApproved: true
-    }).populate('supplier');
-
-    if (!product) {
-      console.log('❌ Product not found or not available:', productId);
-      return res.status(404).json({
-        success: false,
-        message: 'Product not found or not available'
-      });
-    }
-
-    console.log('✅ Product found:', product.name);
-
-    // Check minimum quantity
-    if (quantity < product.pricing.minimumQuantity) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum quantity for this product is ${product.pricing.minimumQuantity} ${product.pricing.unit}`
-      });
-    }
-
-    // Check stock availability
-    if (product.stock && !product.isInStock(quantity)) {
-      return res.status(400).json({
-        success: false,
-        message: `Insufficient stock. Available: ${product.getAvailableStock()} ${product.pricing.unit}`
-      });
-    }
+    const isBatch = Array.isArray(req.body.items);
+    const entries = isBatch
+      ? req.body.items
+      : [{ productId: req.body.productId, quantity: req.body.quantity, specifications: req.body.specifications }];
 
     // Find or create cart with better error handling
     let cart = await Cart.findOne({ user: req.user._id });
@@ -248,34 +221,75 @@ router.post('/items', auth, authorize('customer'), [
       console.log('✅ New cart created:', cart._id);
     }
 
-    // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex(
-      item => item.product.toString() === product._id.toString()
-    );
+    // Nothing is saved until every item has been checked, so a batch is all-or-nothing
+    for (const entry of entries) {
+      const { productId, specifications } = entry;
+      const quantity = parseFloat(entry.quantity);
+      const prefix = isBatch ? `${productId}: ` : '';
+
+      // Find product with detailed error logging
+      console.log('🔍 Looking for product:', productId);
+      const product = await Product.findOne({
+        $or: [{ _id: productId }, { productId }],
+        isActive: true,
+        isApproved: true
+      }).populate('supplier');
+
+      if (!product) {
+        console.log('❌ Product not found or not available:', productId);
+        return res.status(404).json({
+          success: false,
+          message: `${prefix}Product not found or not available`
+        });
+      }
 
-    if (existingItemIndex !== -1) {
-      // Update existing item
-      const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-      
-      if (product.stock && !product.isInStock(newQuantity)) {
+      console.log('✅ Product found:', product.name);
+
+      // Check minimum quantity
+      if (quantity < product.pricing.minimumQuantity) {
         return res.status(400).json({
           success: false,
-          message: 'Cannot add more items. Total quantity would exceed available stock.'
+          message: `${prefix}Minimum quantity for this product is ${product.pricing.minimumQuantity} ${product.pricing.unit}`
         });
       }
-      
-      cart.items[existingItemIndex].quantity = newQuantity;
-      cart.items[existingItemIndex].specifications = specifications || {};
-      console.log('📝 Updated existing cart item');
-    } else {
-      // Add new item
-      cart.items.push({
-        product: product._id,
-        quantity,
-        priceAtTime: product.pricing.basePrice,
-        specifications: specifications || {}
-      });
-      console.log('➕ Added new item to cart');
+
+      // Check stock availability
+      if (product.stock && !product.isInStock(quantity)) {
+        return res.status(400).json({
+          success: false,
+          message: `${prefix}Insufficient stock. Available: ${product.getAvailableStock()} ${product.pricing.unit}`
+        });
+      }
+
+      // Check if item already exists in cart
+      const existingItemIndex = cart.items.findIndex(
+        item => item.product.toString() === product._id.toString()
+      );
+
+      if (existingItemIndex !== -1) {
+        // Update existing item
+        const newQuantity = cart.items[existingItemIndex].quantity + quantity;
+        
+        if (product.stock && !product.isInStock(newQuantity)) {
+          return res.status(400).json({
+            success: false,
+            message: `${prefix}Cannot add more items. Total quantity would exceed available stock.`
+          });
+        }
+        
+        cart.items[existingItemIndex].quantity = newQuantity;
+        cart.items[existingItemIndex].specifications = specifications || {};
+        console.log('📝 Updated existing cart item');
+      } else {
+        // Add new item
+        cart.items.push({
+          product: product._id,
+          quantity,
+          priceAtTime: product.pricing.basePrice,
+          specifications: specifications || {}
+        });
+        console.log('➕ Added new item to cart');
+      }
     }
 
     // Calculate totals
@@ -307,7 +321,7 @@ router.post('/items', auth, authorize('customer'), [
 
     res.json({
       success: true,
-      message: 'Item added to cart successfully',
+      message: isBatch ? `${entries.length} items added to cart successfully` : 'Item added to cart successfully',
       data: { cart }
     });
 
@@ -1068,4 +1082,53 @@ router.get('/gst-breakdown', auth, authorize('customer'), async (req, res, next)
   }
 });
 
+// @route   PUT /api/cart/project
+// @desc    Tag the cart to a project (null to clear); checkout tags the orders
+// @access  Private (Customer)
+router.put('/project', auth, authorize('customer'), [
+  body('projectId').optional({ nullable: true }).trim().notEmpty().withMessage('Project ID cannot be empty')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { projectId } = req.body;
+
+    const project = projectId
+      ? await findAccessibleProject(projectId, req.user._id, { forOrdering: true })
+      : null;
+
+    const cart = await Cart.findOneAndUpdate(
+      { user: req.user._id },
+      { $set: { project: project ? project._id : null } },
+      { new: true }
+    );
+
+    if (!cart) {
+      return next(new ErrorHandler('Cart not found', 404));
+    }
+
+    res.json({
+      success: true,
+      message: project ? `Cart tagged to project ${project.name}` : 'Project removed from cart',
+      data: {
+        project: project && {
+          projectId: project.projectId,
+          name: project.name,
+          siteAddress: project.siteAddress
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
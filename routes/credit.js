@@ -0,0 +1,226 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const CreditRepayment = require('../models/CreditRepayment');
+const PaymentGateway = require('../utils/payment');
+const { ErrorHandler } = require('../utils/errorHandler');
+const {
+  getCreditSummary,
+  createCreditRepayment,
+  applyCreditRepayment,
+  syncCreditRepayment
+} = require('../utils/credit');
+const router = express.Router();
+
+const formatRepayment = (repayment) => ({
+  repaymentId: repayment.repaymentId,
+  amount: repayment.amount,
+  status: repayment.status,
+  gateway: repayment.gateway,
+  paymentUrl: repayment.status === 'created' ? repayment.link.url : null,
+  expiresAt: repayment.link.expiresAt,
+  transactionId: repayment.transactionId,
+  paidAt: repayment.paidAt,
+  allocations: repayment.allocations,
+  unappliedAmount: repayment.unappliedAmount,
+  createdAt: repayment.createdAt
+});
+
+// @route   GET /api/credit
+// @desc    Credit limit, available credit, ageing and outstanding credit orders
+// @access  Private (Customer)
+router.get('/', auth, authorize('customer'), async (req, res, next) => {
+  try {
+    const credit = await getCreditSummary(req.user._id);
+
+    if (!credit) {
+      return res.json({
+        success: true,
+        message: 'No credit line is set up for this account',
+        data: { creditLine: null }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        creditLine: credit.summary,
+        orders: credit.orders
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/credit/repayments
+// @desc    Create a payment link to repay credit orders (oldest due first unless orderIds are given)
+// @access  Private (Customer)
+router.post('/repayments', auth, authorize('customer'), [
+  body('amount').optional().isFloat({ min: 1 }).withMessage('Amount must be at least ₹1'),
+  body('orderIds').optional().isArray({ min: 1, max: 50 }).withMessage('orderIds must be a list of 1-50 orders'),
+  body('orderIds.*').isString().withMessage('Invalid order ID'),
+  body('gateway').optional().isIn(['razorpay', 'cashfree']).withMessage('Gateway must be razorpay or cashfree')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const repayment = await createCreditRepayment(req.user, {
+      amount: req.body.amount !== undefined ? parseFloat(req.body.amount) : undefined,
+      orderIds: req.body.orderIds,
+      gateway: req.body.gateway
+    });
+
+    console.log(`💳 Credit repayment ${repayment.repaymentId} created for ₹${repayment.amount} via ${repayment.gateway}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment link created',
+      data: { repayment: formatRepayment(repayment) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/credit/repayments
+// @desc    Repayment history
+// @access  Private (Customer)
+router.get('/repayments', auth, authorize('customer'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [repayments, total] = await Promise.all([
+      CreditRepayment.find({ customer: req.user._id })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      CreditRepayment.countDocuments({ customer: req.user._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        repayments: repayments.map(formatRepayment),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/credit/repayments/:repaymentId
+// @desc    Repayment status (checked with the gateway while the link is open)
+// @access  Private (Customer)
+router.get('/repayments/:repaymentId', auth, authorize('customer'), async (req, res, next) => {
+  try {
+    const repayment = await CreditRepayment.findOne({
+      repaymentId: req.params.repaymentId,
+      customer: req.user._id
+    });
+
+    if (!repayment) {
+      return next(new ErrorHandler('Repayment not found', 404));
+    }
+
+    await syncCreditRepayment(repayment);
+
+    res.json({
+      success: true,
+      data: { repayment: formatRepayment(repayment) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/credit/repayments/:repaymentId/verify
+// @desc    Verify a Razorpay payment link callback for a repayment
+// @access  Private (Customer)
+router.post('/repayments/:repaymentId/verify', auth, authorize('customer'), [
+  body('paymentLinkId').notEmpty().withMessage('Payment link ID is required'),
+  body('paymentLinkReferenceId').notEmpty().withMessage('Payment link reference ID is required'),
+  body('paymentLinkStatus').notEmpty().withMessage('Payment link status is required'),
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('signature').notEmpty().withMessage('Signature is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentLinkId, paymentLinkReferenceId, paymentLinkStatus, paymentId, signature } = req.body;
+
+    const repayment = await CreditRepayment.findOne({
+      repaymentId: req.params.repaymentId,
+      customer: req.user._id,
+      'link.linkId': paymentLinkId
+    });
+
+    if (!repayment) {
+      return next(new ErrorHandler('Repayment not found', 404));
+    }
+
+    const isValidSignature = PaymentGateway.verifyRazorpayPaymentLinkSignature({
+      linkId: paymentLinkId,
+      referenceId: paymentLinkReferenceId,
+      status: paymentLinkStatus,
+      paymentId,
+      signature
+    });
+
+    if (!isValidSignature || paymentLinkStatus !== 'paid') {
+      return next(new ErrorHandler('Payment verification failed', 400));
+    }
+
+    if (await applyCreditRepayment(repayment, { transactionId: paymentId })) {
+      console.log(`✅ Credit repayment ${repayment.repaymentId} paid via Razorpay link: ${paymentId}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Repayment verified successfully',
+      data: { repayment: formatRepayment(repayment) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const { ErrorHandler } = require('../utils/errorHandler');
+const { findAccessibleProject } = require('../utils/projects');
+const {
+  MASONRY_TYPES,
+  CEMENT_GRADES,
+  STEEL_GRADES,
+  SAND_TYPES,
+  buildEstimate
+} = require('../utils/boqEstimator');
+const router = express.Router();
+
+// Site location from a project, a saved address or explicit coordinates
+const resolveSiteLocation = async (req) => {
+  const { projectId, addressId, latitude, longitude } = req.body;
+
+  if (projectId) {
+    const project = await findAccessibleProject(projectId, req.user._id);
+    return project.siteAddress.coordinates;
+  }
+
+  if (addressId) {
+    const user = await User.findById(req.user._id);
+    const address = user.addresses.id(addressId);
+    if (!address) {
+      throw new ErrorHandler('Address not found', 404);
+    }
+    if (!address.coordinates?.latitude || !address.coordinates?.longitude) {
+      throw new ErrorHandler('Saved address has no location; send latitude and longitude', 400);
+    }
+    return address.coordinates;
+  }
+
+  if (latitude === undefined || longitude === undefined) {
+    throw new ErrorHandler('Site location is required: projectId, addressId or latitude and longitude', 400);
+  }
+  return { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+};
+
+// @route   POST /api/estimator/boq
+// @desc    Estimate material quantities for a structure and propose a cart from nearby suppliers
+// @access  Private (Customer)
+router.post('/boq', auth, authorize('customer'), [
+  body('builtUpArea').isFloat({ min: 100, max: 100000 }).withMessage('Built-up area per floor must be between 100 and 100000'),
+  body('areaUnit').optional().isIn(['sqft', 'sqm']).withMessage('Area unit must be sqft or sqm'),
+  body('floors').optional().isInt({ min: 1, max: 10 }).withMessage('Floors must be between 1 and 10'),
+  body('slabThickness').optional().isFloat({ min: 100, max: 300 }).withMessage('Slab thickness must be 100-300 mm'),
+  body('wallHeight').optional().isFloat({ min: 2, max: 6 }).withMessage('Wall height must be 2-6 m'),
+  body('externalWallLength').optional().isFloat({ min: 0, max: 5000 }).withMessage('External wall length must be 0-5000 m'),
+  body('internalWallLength').optional().isFloat({ min: 0, max: 5000 }).withMessage('Internal wall length must be 0-5000 m'),
+  body('masonryType').optional().isIn(MASONRY_TYPES).withMessage(`Masonry type must be one of ${MASONRY_TYPES.join(', ')}`),
+  body('cementGrade').optional().isIn(CEMENT_GRADES).withMessage(`Cement grade must be one of ${CEMENT_GRADES.join(', ')}`),
+  body('masonryCementGrade').optional().isIn(CEMENT_GRADES).withMessage(`Masonry cement grade must be one of ${CEMENT_GRADES.join(', ')}`),
+  body('steelGrade').optional().isIn(STEEL_GRADES).withMessage(`Steel grade must be one of ${STEEL_GRADES.join(', ')}`),
+  body('sandType').optional().isIn(SAND_TYPES).withMessage(`Sand type must be one of ${SAND_TYPES.join(', ')}`),
+  body('includePlastering').optional().isBoolean().withMessage('includePlastering must be a boolean').toBoolean(),
+  body('projectId').optional().isString(),
+  body('addressId').optional().isMongoId().withMessage('Valid address ID is required'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('maxDistance').optional().isFloat({ min: 1, max: 200 }).withMessage('Max distance must be 1-200 km')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const params = {
+      builtUpArea: parseFloat(req.body.builtUpArea),
+      areaUnit: req.body.areaUnit,
+      floors: req.body.floors !== undefined ? parseInt(req.body.floors) : undefined,
+      slabThickness: req.body.slabThickness !== undefined ? parseFloat(req.body.slabThickness) : undefined,
+      wallHeight: req.body.wallHeight !== undefined ? parseFloat(req.body.wallHeight) : undefined,
+      externalWallLength: parseFloat(req.body.externalWallLength || 0),
+      internalWallLength: parseFloat(req.body.internalWallLength || 0),
+      masonryType: req.body.masonryType,
+      cementGrade: req.body.cementGrade,
+      masonryCementGrade: req.body.masonryCementGrade,
+      steelGrade: req.body.steelGrade,
+      sandType: req.body.sandType,
+      includePlastering: req.body.includePlastering
+    };
+    // Leave defaults to the estimator
+    Object.keys(params).forEach(key => params[key] === undefined && delete params[key]);
+
+    const location = await resolveSiteLocation(req);
+    const estimate = await buildEstimate(params, location, {
+      maxDistance: req.body.maxDistance ? parseFloat(req.body.maxDistance) : undefined
+    });
+
+    res.json({
+      success: true,
+      message: estimate.cart.unavailable.length > 0
+        ? `Estimate ready; ${estimate.cart.unavailable.length} material(s) could not be sourced nearby`
+        : 'Estimate ready',
+      data: {
+        inputs: params,
+        location,
+        ...estimate
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
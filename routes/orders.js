@@ -1,64 +1,34 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { auth, authorize, canPlaceOrders } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
+const OrderGroup = require('../models/OrderGroup');
 const Product = require('../models/Product');
 const Supplier = require('../models/Supplier');
 const User = require('../models/User');
 const { ErrorHandler } = require('../utils/errorHandler');
 // Add this import at the top (around line 10):
 const InvoiceGenerator = require('../utils/invoiceGenerator');
-// Add these helper functions for distance calculation
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-};
-
-const getDeliveryZone = (distance) => {
-  if (distance <= 5) return '0-5km';
-  if (distance <= 10) return '5-10km';
-  if (distance <= 20) return '10-20km';
-  return '20km+';
-};
-
-const calculateTransportCost = (distance, supplier) => {
-  // Use supplier's transport rates if available
-  if (supplier.transportRates) {
-    let zone, rates;
-    
-    if (distance <= 5) {
-      zone = "upTo5km";
-      rates = supplier.transportRates.upTo5km;
-    } else if (distance <= 10) {
-      zone = "upTo10km";
-      rates = supplier.transportRates.upTo10km;
-    } else if (distance <= 20) {
-      zone = "upTo20km";
-      rates = supplier.transportRates.upTo20km;
-    } else {
-      zone = "above20km";
-      rates = supplier.transportRates.above20km;
-    }
-    
-    // Simple calculation like ProductDetailPage (no weight factor)
-    const baseCost = rates?.baseCost || 0;
-    const costPerKm = rates?.costPerKm || 0;
-    return Math.round(baseCost + (distance * costPerKm));
-  }
-  
-  // Fallback to old calculation if no transport rates
-  if (distance <= 5) return Math.max(distance * 50, 100);
-  if (distance <= 10) return Math.max(distance * 75, 200);
-  if (distance <= 20) return Math.max(distance * 100, 350);
-  return Math.max(distance * 150, 500);
-};
+const { generateId } = require('../utils/sequence');
+const { ORDER_ACTORS } = require('../utils/orderStateMachine');
+const { reserveDeliverySlot, releaseDeliverySlot } = require('../utils/deliverySlots');
+const mongoose = require('mongoose');
+const { buildSupplierOrder, calculateOrderPricing } = require('../utils/orderPricing');
+const { resolveItemGSTRates } = require('../utils/gstCalculator');
+const { evaluateCancellation, applyCancellation } = require('../utils/cancellationPolicy');
+const { createOrderGroup, mergeInvoicePDFs } = require('../utils/orderGroups');
+const { findAccessibleProject, getSiteDeliveryAddress } = require('../utils/projects');
+const { reserveCreditLine, releaseCreditLine } = require('../utils/credit');
+const { getOrderRefunds, getCancellationRefundMethod } = require('../utils/refunds');
+const { getWallet, applyWalletToCheckout, getPaymentBreakdown } = require('../utils/wallet');
+const {
+  generateInvoicePDF,
+  getBundleDateRange,
+  loadBundleOrders,
+  sendDocumentBundle
+} = require('../utils/orderDocuments');
 const UserLoyalty = require('../models/UserLoyalty');
 const { 
   sendOrderNotification, 
@@ -72,13 +42,21 @@ const router = express.Router();
 // @route   POST /api/orders/checkout
 // @desc    Create order from cart
 // @access  Private (Customer)
-router.post('/checkout', auth, authorize('customer'), [
-  body('deliveryAddressId').isMongoId().withMessage('Valid delivery address is required'),
+router.post('/checkout', auth, authorize('customer'), idempotent('checkout'), [
+  body('deliveryAddressId').optional().isMongoId().withMessage('Valid delivery address is required'),
+  body('projectId').optional().trim().notEmpty().withMessage('Project ID cannot be empty'),
   // Update line 28 to include the new payment methods:
-body('paymentMethod').isIn(['cod', 'card', 'upi', 'netbanking', 'wallet', 'razorpay', 'cashfree']).withMessage('Valid payment method is required'),
+body('paymentMethod').isIn(['cod', 'card', 'upi', 'netbanking', 'wallet', 'razorpay', 'cashfree', 'paytm', 'credit']).withMessage('Valid payment method is required'),
   body('advancePercentage').optional().isInt({ min: 1, max: 100 }).withMessage('Advance percentage must be between 25-100'),
-  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+  // Pay what the wallet balance covers and the rest through the chosen gateway
+  body('useWallet').optional().isBoolean().withMessage('useWallet must be true or false').toBoolean(),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters'),
+  body('deliverySlots').optional().isArray().withMessage('Delivery slots must be an array'),
+  body('deliverySlots.*.supplierId').isMongoId().withMessage('Valid supplier ID is required for each delivery slot'),
+  body('deliverySlots.*.date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Delivery slot date must be YYYY-MM-DD'),
+  body('deliverySlots.*.startTime').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Delivery slot start time must be HH:mm')
 ], async (req, res, next) => {
+  let creditLine = null;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -92,7 +70,12 @@ body('paymentMethod').isIn(['cod', 'card', 'upi', 'netbanking', 'wallet', 'razor
 
     console.log('✅ Checkout request body:', req.body);
 
-    const { deliveryAddressId, paymentMethod, advancePercentage = 25, notes } = req.body;
+    const { deliveryAddressId, projectId, paymentMethod, advancePercentage = 25, notes, deliverySlots = [], useWallet = false } = req.body;
+    const payFromWallet = paymentMethod === 'wallet';
+
+    if (useWallet && ['cod', 'credit'].includes(paymentMethod)) {
+      return next(new ErrorHandler('The wallet can only be combined with an online payment', 400));
+    }
 
     // Check user verification status
     const currentUser = await User.findById(req.user._id);
@@ -128,9 +111,21 @@ body('paymentMethod').isIn(['cod', 'card', 'upi', 'netbanking', 'wallet', 'razor
       return next(new ErrorHandler('Cart is empty', 400));
     }
 
+    // Orders tagged to a project are delivered to its site unless another address is chosen
+    const projectRef = projectId || (cart.project && cart.project.toString());
+    const project = projectRef
+      ? await findAccessibleProject(projectRef, req.user._id, { forOrdering: true })
+      : null;
+
+    if (!deliveryAddressId && !project) {
+      return next(new ErrorHandler('Delivery address is required', 400));
+    }
+
     // Validate delivery address
     const user = await User.findById(req.user._id);
-    const deliveryAddress = user.addresses.id(deliveryAddressId);
+    const deliveryAddress = deliveryAddressId
+      ? user.addresses.id(deliveryAddressId)
+      : getSiteDeliveryAddress(project);
 
     if (!deliveryAddress) {
       return next(new ErrorHandler('Delivery address not found', 404));
@@ -161,216 +156,161 @@ body('paymentMethod').isIn(['cod', 'card', 'upi', 'netbanking', 'wallet', 'razor
       supplierGroups[supplierId].items.push(item);
     });
 
-    const orders = [];
+    // GST for each line at the rate in effect now for its product's HSN code
+    for (const group of Object.values(supplierGroups)) {
+      group.gstRates = await resolveItemGSTRates(group.items);
+    }
 
-    // Create order for each supplier
-    for (const [supplierId, group] of Object.entries(supplierGroups)) {
-      // Calculate pricing
-      const subtotal = group.items.reduce((sum, item) => 
-        sum + (item.quantity * item.priceAtTime), 0
-      );
-      
-      const commissionRate = group.supplier.commissionRate || 5;
-      const commission = Math.round((subtotal * commissionRate) / 100);
-      
-      // Calculate GST (simplified - should be per item)
-      const gstAmount = Math.round((subtotal * 18) / 100);
-      
-      // Payment gateway charges (2.5% + GST) - Only for online payments
-      let paymentGatewayCharges = 0;
-      
-      if (paymentMethod !== 'cod') {
-        paymentGatewayCharges = Math.round(((subtotal + commission + gstAmount) * 2.5) / 100);
+    // Credit orders must fit in the available limit; the line stays locked until they are saved
+    if (paymentMethod === 'credit') {
+      const checkoutTotal = Object.values(supplierGroups).reduce((sum, group) => sum + calculateOrderPricing({
+        supplier: group.supplier,
+        items: group.items,
+        deliveryAddress,
+        paymentMethod,
+        gstRates: group.gstRates
+      }).totalAmount, 0);
+      creditLine = await reserveCreditLine(req.user._id, checkoutTotal);
+    }
+
+    // Paying from the wallet alone needs the balance to cover every advance
+    if (payFromWallet) {
+      const checkoutAdvance = Object.values(supplierGroups).reduce((sum, group) => sum + Math.round((calculateOrderPricing({
+        supplier: group.supplier,
+        items: group.items,
+        deliveryAddress,
+        paymentMethod,
+        gstRates: group.gstRates
+      }).totalAmount * advancePercentage) / 100), 0);
+      const wallet = await getWallet(req.user._id);
+
+      if (wallet.balance < checkoutAdvance) {
+        return next(new ErrorHandler(
+          `Wallet balance ₹${wallet.balance.toFixed(2)} does not cover the ₹${checkoutAdvance.toFixed(2)} due now; pay online with useWallet to use it towards the order`,
+          400
+        ));
       }
-      // ADD AFTER Line 157 (after const gstAmount = ...):
-
-// Calculate transport cost
-const firstItem = group.items[0];
-const supplierCoords = {
-  latitude: firstItem.product.supplier.dispatchLocation?.coordinates?.[1] || 0,
-  longitude: firstItem.product.supplier.dispatchLocation?.coordinates?.[0] || 0
-};
-const customerCoords = {
-  latitude: deliveryAddress.coordinates?.latitude || 0,
-  longitude: deliveryAddress.coordinates?.longitude || 0
-};
-const distance = calculateDistance(
-  supplierCoords.latitude, supplierCoords.longitude,
-  customerCoords.latitude, customerCoords.longitude
-);
-const transportCost = calculateTransportCost(distance, firstItem.product.supplier);
-      const totalAmount = subtotal + commission + gstAmount + paymentGatewayCharges + transportCost;
-
-      // Generate order ID
-      const orderId = `AGK${Date.now()}${Math.random().toString(36).substr(2, 3).toUpperCase()}`;
-      
-      // FIXED: Create order with correct structure matching the model
-      const order = new Order({
-        orderId,
-        customer: req.user._id, // FIXED: Use 'customer' instead of 'user'
-        supplier: supplierId,
-        
-        // FIXED: Items with required unitPrice and totalPrice
-                items: group.items.map(item => {
-          const supplierCoords = {
-            latitude: item.product.supplier.dispatchLocation?.coordinates?.[1] || 0,
-            longitude: item.product.supplier.dispatchLocation?.coordinates?.[0] || 0
-          };
-          const customerCoords = {
-            latitude: deliveryAddress.coordinates?.latitude || 0,
-            longitude: deliveryAddress.coordinates?.longitude || 0
-          };
-          const distance = calculateDistance(
-            supplierCoords.latitude, supplierCoords.longitude,
-            customerCoords.latitude, customerCoords.longitude
-          );
-          const deliveryZone = getDeliveryZone(distance);
-          const transportCost = calculateTransportCost(distance, item.product.supplier);
-          const estimatedHours = Math.max(2, Math.round((distance / 40) * 100) / 100);
-
-          return {
-            product: item.product._id,
-            quantity: item.quantity,
-            unitPrice: item.priceAtTime,
-            totalPrice: item.quantity * item.priceAtTime,
-            specifications: item.specifications || {},
-            distancePricing: {
-              supplierLocation: {
-                latitude: supplierCoords.latitude,
-                longitude: supplierCoords.longitude,
-                address: item.product.supplier.dispatchLocation?.address || item.product.supplier.companyAddress
-              },
-              customerLocation: {
-                latitude: customerCoords.latitude,
-                longitude: customerCoords.longitude,
-                address: deliveryAddress.address
-              },
-              distance: {
-                value: Math.round(distance * 100) / 100,
-                source: 'haversine'
-              },
-              transportCost: transportCost,
-              deliveryZone: deliveryZone,
-              deliveryEstimate: {
-                min: Math.floor(estimatedHours),
-                max: Math.ceil(estimatedHours + 2),
-                estimatedDate: new Date(Date.now() + (estimatedHours + 2) * 60 * 60 * 1000)
-              }
-            },
-            productSnapshot: {
-              name: item.product.name,
-              description: item.product.description,
-              category: item.product.category,
-              subcategory: item.product.subcategory,
-              unit: item.product.pricing?.unit || 'unit',
-              brand: item.product.brand || 'Unknown',
-              imageUrl: (() => {
-                if (item.product.images && item.product.images.length > 0) {
-                  const primaryImage = item.product.images.find(img => img.isPrimary && img.url);
-                  if (primaryImage) return primaryImage.url;
-                  const firstImage = item.product.images.find(img => img.url);
-                  if (firstImage) return firstImage.url;
-                }
-                return null;
-              })(),
-              images: item.product.images || []
-            }
-          };
-        }),
-        
-        // FIXED: Pricing structure matching the model
-        pricing: {
-          subtotal: subtotal, // FIXED: Required field
-          transportCost: transportCost, // Use the already calculated transportCost variable
-          gstAmount: gstAmount,
-          commission: commission,
-          paymentGatewayCharges: paymentGatewayCharges,
-          totalAmount: Math.round(totalAmount * 100) / 100 // FIXED: Keep amount in rupees, just round to 2 decimals
-        },
-        
-        // FIXED: Payment structure matching the model
-        payment: {
-          method: paymentMethod, // FIXED: Required field
-          status: 'pending',
-          advancePercentage: paymentMethod === 'cod' ? 100 : advancePercentage,
-          advanceAmount: paymentMethod === 'cod' ? totalAmount : Math.round((totalAmount * advancePercentage) / 100),
-          remainingAmount: paymentMethod === 'cod' ? 0 : totalAmount - Math.round((totalAmount * advancePercentage) / 100)
-        },
-        
-        // Delivery address
-        deliveryAddress: {
-          address: deliveryAddress.address,
-          city: deliveryAddress.city,
-          state: deliveryAddress.state,
-          pincode: deliveryAddress.pincode,
-          coordinates: deliveryAddress.coordinates || { latitude: 0, longitude: 0 }
-        },
-        
-        // FIXED: Status using valid enum value
-        status: paymentMethod === 'cod' ? 'confirmed' : 'pending_payment',
-        
-        // FIXED: Cooling period (will be auto-set by pre-save middleware, but we can set startTime)
-        coolingPeriod: {
-          startTime: new Date(),
-          isActive: paymentMethod === 'cod', // Only COD orders get cooling period
-          canModify: paymentMethod === 'cod'
-        },
-        
-        // Timeline
-         timeline: [{
-          status: paymentMethod === 'cod' ? 'pending' : 'pending_payment',
-          timestamp: new Date(),
-          note: paymentMethod === 'cod' ? 'Order placed - COD' : 'Order created - awaiting payment',
-          updatedBy: req.user._id
-        }],
-        
-        // Additional fields
-        notes: notes || '',
-        delivery: {
-          estimatedTime: '2-3 business days'
+    }
+
+    const orderObjectIds = {};
+    const reservedSlots = {};
+    const orders = [];
+    let orderGroup = null;
+    let walletPayment = null;
+
+    // Orders from several suppliers are tied together and paid for once
+    const orderGroupId = Object.keys(supplierGroups).length > 1 ? new mongoose.Types.ObjectId() : null;
+
+    try {
+      // Reserve the chosen delivery windows before any order is created
+      for (const slotRequest of deliverySlots) {
+        const group = supplierGroups[slotRequest.supplierId];
+        if (!group) {
+          throw new ErrorHandler('Delivery slot given for a supplier that is not in the cart', 400);
         }
-      });
+        orderObjectIds[slotRequest.supplierId] = new mongoose.Types.ObjectId();
+        reservedSlots[slotRequest.supplierId] = await reserveDeliverySlot(
+          group.supplier,
+          slotRequest,
+          orderObjectIds[slotRequest.supplierId]
+        );
+      }
 
-      console.log('🛍️ Creating order with structure:', {
-        orderId: order.orderId,
-        customer: order.customer,
-        supplier: order.supplier,
-        itemsCount: order.items.length,
-        pricing: order.pricing,
-        payment: order.payment,
-        status: order.status,
-        coolingPeriod: order.coolingPeriod
-      });
+      // Create order for each supplier
+      for (const [supplierId, group] of Object.entries(supplierGroups)) {
+        // Generate order ID
+        const orderId = await generateId('order');
+
+        const order = buildSupplierOrder({
+          _id: orderObjectIds[supplierId],
+          orderId,
+          customerId: req.user._id,
+          supplier: group.supplier,
+          items: group.items,
+          deliveryAddress,
+          paymentMethod,
+          advancePercentage,
+          notes,
+          deliverySlot: reservedSlots[supplierId],
+          orderGroup: orderGroupId,
+          project: project ? project._id : null,
+          creditLine,
+          gstRates: group.gstRates
+        });
 
-      await order.save();
-      orders.push(order);
-
-      // Update product stock
-      // for (const item of group.items) {
-      //   await Product.findByIdAndUpdate(item.product._id, {
-      //     $inc: { 
-      //       'stock.reserved': item.quantity,
-      //       'stock.available': -item.quantity
-      //     }
-      //   });
-      // }
-
-            // 🔥 CONDITIONAL: Only send notifications for COD orders, not online payments
-      if (order.payment.method === 'cod') {
+        console.log('🛍️ Creating order with structure:', {
+          orderId: order.orderId,
+          customer: order.customer,
+          supplier: order.supplier,
+          itemsCount: order.items.length,
+          pricing: order.pricing,
+          payment: order.payment,
+          status: order.status,
+          coolingPeriod: order.coolingPeriod
+        });
+
+        await order.save();
+        orders.push(order);
+
+        // Update product stock
+        // for (const item of group.items) {
+        //   await Product.findByIdAndUpdate(item.product._id, {
+        //     $inc: { 
+        //       'stock.reserved': item.quantity,
+        //       'stock.available': -item.quantity
+        //     }
+        //   });
+        // }
+      }
+
+      orderGroup = orderGroupId
+        ? await createOrderGroup({ _id: orderGroupId, customerId: req.user._id, orders, paymentMethod })
+        : null;
+
+      // The wallet pays first; a gateway payment is asked for only for what it leaves.
+      // A failed wallet payment is credited back and fails the checkout with it.
+      if (payFromWallet || useWallet) {
+        walletPayment = await applyWalletToCheckout({
+          customerId: req.user._id,
+          orders,
+          group: orderGroup,
+          partial: !payFromWallet
+        });
+      }
+    } catch (checkoutError) {
+      // A failed checkout keeps nothing: slot holds, orders already saved, the group or the credit hold
+      await Promise.all(Object.values(orderObjectIds).map(id => releaseDeliverySlot(id)));
+      if (orders.length > 0) {
+        await Order.deleteMany({ _id: { $in: orders.map(order => order._id) } });
+      }
+      if (orderGroup) await OrderGroup.deleteOne({ _id: orderGroup._id });
+      if (creditLine) await releaseCreditLine(creditLine);
+      return next(checkoutError);
+    }
+
+    if (creditLine) {
+      await releaseCreditLine(creditLine);
+      creditLine = null;
+    }
+
+    // Placement notifications go out only once the whole checkout has gone through
+    for (const order of orders) {
+      // 🔥 CONDITIONAL: Only send notifications for COD and credit orders, not online payments
+      if (['cod', 'credit'].includes(order.payment.method)) {
         try {
           // Get customer details with fresh data
           const customer = await User.findById(req.user._id);
-          
+        
           // Get supplier details with user info for email
           const supplierDetails = await Supplier.findById(order.supplier)
             .populate('user', 'email');
-          
+        
           console.log(`📬 Starting COD notification process for Order ${order.orderId}`);
-          
+        
           // 1. Send customer notifications (SMS + Email)
           console.log(`📱📧 Sending customer notifications to ${customer.name} (Phone: ${customer.phoneNumber}, Email: ${customer.email})`);
           const customerNotificationResult = await sendOrderPlacementNotification(customer, order);
-          
+        
           if (customerNotificationResult.success) {
             console.log(`✅ Customer notifications sent successfully for Order ${order.orderId}:`, {
               sms: customer.phoneNumber ? 'Sent' : 'No phone',
@@ -385,15 +325,15 @@ const transportCost = calculateTransportCost(distance, firstItem.product.supplie
           if (supplierDetails) {
 
             console.log(`📱📧 Sending supplier notifications to ${supplierDetails.companyName} (Phone: ${supplierDetails.contactPersonNumber}, Email: ${supplierDetails.email || supplierDetails.user?.email})`);
-            
+          
             // Prepare supplier email (try supplier.email first, then user.email)
             const supplierEmail = supplierDetails.email || supplierDetails.user?.email;
             const supplierForNotification = {
               ...supplierDetails.toObject(),
               email: supplierEmail
             };
-            
-            
+          
+          
             const supplierNotificationResult = await sendSupplierOrderNotification(supplierForNotification, {
               ...order.toObject(),
               customer: {
@@ -402,7 +342,7 @@ const transportCost = calculateTransportCost(distance, firstItem.product.supplie
                 email: customer.email
               }
             });
-            
+          
             if (supplierNotificationResult.success !== false) {
               console.log(`✅ Supplier notifications sent successfully for Order ${order.orderId}:`, {
                 sms: supplierDetails.contactPersonNumber ? 'Sent' : 'No phone',
@@ -417,11 +357,11 @@ const transportCost = calculateTransportCost(distance, firstItem.product.supplie
             // Set a default result when supplier details are missing
             supplierNotificationResult = { success: false, sent: 0, error: 'Supplier details not found' };
           }
-          
+        
           // 3. Log comprehensive notification summary
           const totalCustomerNotifications = customerNotificationResult.notificationsSent || 0;
           const totalSupplierNotifications = (supplierNotificationResult && supplierNotificationResult.sent) || 0;
-          
+        
           console.log(`📊 COD NOTIFICATION SUMMARY for Order ${order.orderId}:`, {
             customer: {
               name: customer.name,
@@ -439,7 +379,7 @@ const transportCost = calculateTransportCost(distance, firstItem.product.supplie
             orderValue: `₹${order.pricing.totalAmount.toLocaleString('en-IN')}`,
             timestamp: new Date().toISOString()
           });
-          
+        
         } catch (notificationError) {
           // Don't fail the order if notifications fail - just log the error
           console.error(`❌ COD NOTIFICATION ERROR for Order ${order.orderId}:`, {
@@ -447,9 +387,9 @@ const transportCost = calculateTransportCost(distance, firstItem.product.supplie
             stack: notificationError.stack,
             orderValue: `₹${order.pricing.totalAmount.toLocaleString('en-IN')}`,
             customer: currentUser.name,
-            supplier: group.supplier.companyName
+            supplier: supplierGroups[order.supplier.toString()]?.supplier.companyName
           });
-          
+        
           // Send a basic SMS fallback to customer if possible
           try {
             if (currentUser.phoneNumber) {
@@ -468,6 +408,27 @@ const transportCost = calculateTransportCost(distance, firstItem.product.supplie
         console.log(`⏳ Order ${order.orderId} created with ${order.payment.method} payment - awaiting payment verification before sending notifications`);
       }
     }
+
+    if (walletPayment?.paid) {
+      for (const order of orders) {
+        try {
+          const supplierDetails = await Supplier.findById(order.supplier).populate('user', 'email');
+          await sendOrderPlacementNotification(currentUser, order);
+          if (supplierDetails) {
+            await sendSupplierOrderNotification({
+              ...supplierDetails.toObject(),
+              email: supplierDetails.email || supplierDetails.user?.email
+            }, {
+              ...order.toObject(),
+              customer: { name: currentUser.name, phoneNumber: currentUser.phoneNumber, email: currentUser.email }
+            });
+          }
+        } catch (notificationError) {
+          console.error(`❌ Notification error for wallet-paid Order ${order.orderId}:`, notificationError.message);
+        }
+      }
+    }
+
 if (cart.appliedCoins && cart.appliedCoins.discount && cart.appliedCoins.discount > 0) {
       try {
         console.log('💰 Processing coin deduction:', cart.appliedCoins);
@@ -634,17 +595,17 @@ if (cart.appliedCoins && cart.appliedCoins.discount && cart.appliedCoins.discoun
     // Clear cart after successful order creation
     await Cart.findOneAndUpdate(
       { user: req.user._id },
-      { $set: { items: [] } }
+      { $set: { items: [], project: null } }
     );
 
     console.log('✅ Orders created successfully:', orders.length);
 
         // Handle response based on payment method
-    if (orders[0].payment.method === 'cod') {
-      // COD orders can be confirmed immediately
+    if (['cod', 'credit'].includes(orders[0].payment.method)) {
+      // COD and credit orders can be confirmed immediately
       res.status(201).json({
         success: true,
-        message: `${orders.length} COD order(s) created successfully`,
+        message: `${orders.length} ${paymentMethod === 'credit' ? 'credit' : 'COD'} order(s) created successfully`,
         data: {
           orders: orders.map(order => ({
             orderId: order.orderId,
@@ -654,9 +615,16 @@ if (cart.appliedCoins && cart.appliedCoins.discount && cart.appliedCoins.discoun
             paymentMethod: order.payment.method,
             status: order.status,
             coolingPeriod: order.coolingPeriod,
-            estimatedDelivery: order.delivery.estimatedTime
+            estimatedDelivery: order.delivery.estimatedTime,
+            deliverySlot: order.deliverySlot,
+            creditDueDate: order.payment.credit?.dueDate
           })),
           order: orders[0],
+          orderGroup: orderGroup && {
+            groupId: orderGroup.groupId,
+            summary: orderGroup.summary,
+            payableAmount: orderGroup.payment.amount
+          },
           notificationSummary: {
             ordersCreated: orders.length,
             notificationsEnabled: true,
@@ -665,29 +633,44 @@ if (cart.appliedCoins && cart.appliedCoins.discount && cart.appliedCoins.discoun
         }
       });
     } else {
-      // Online payment orders need payment first
+      // Online payment orders need payment first, unless the wallet covered it
+      const paymentRequired = !walletPayment?.paid;
+
       res.status(201).json({
         success: true,
-        message: `${orders.length} order(s) created - awaiting payment`,
+        message: paymentRequired
+          ? `${orders.length} order(s) created - awaiting payment`
+          : `${orders.length} order(s) created and paid from your wallet`,
         data: {
           orders: orders.map(order => ({
             orderId: order.orderId,
             totalAmount: order.pricing.totalAmount,
             advanceAmount: order.payment.advanceAmount,
+            walletAmount: order.payment.wallet?.amount || 0,
             balanceAmount: order.payment.remainingAmount,
             paymentMethod: order.payment.method,
             status: order.status,
-            requiresPayment: true
+            deliverySlot: order.deliverySlot,
+            requiresPayment: paymentRequired
           })),
           order: orders[0],
-          paymentRequired: true,
-          message: 'Complete payment to confirm your order'
+          orderGroup: orderGroup && {
+            groupId: orderGroup.groupId,
+            summary: orderGroup.summary,
+            payableAmount: orderGroup.payment.amount
+          },
+          wallet: walletPayment,
+          paymentRequired,
+          message: paymentRequired
+            ? 'Complete payment to confirm your order'
+            : 'Your order is confirmed'
         }
       });
     }
 
   } catch (error) {
     console.error('❌ Checkout error:', error);
+    if (creditLine) await releaseCreditLine(creditLine).catch(() => {});
     next(error);
   }
 });
@@ -741,7 +724,7 @@ router.post('/:orderId/payment/verify', auth, authorize('customer'), [
     order.payment.status = 'paid';
     order.payment.transactionId = paymentId;
     order.payment.paidAt = new Date();
-    order.updateStatus('preparing', 'Payment verified. Order is being prepared.', req.user._id);
+    order.updateStatus('preparing', 'Payment verified. Order is being prepared.', req.user._id, { actor: ORDER_ACTORS.SYSTEM });
 
     await order.save();
 
@@ -864,7 +847,7 @@ Aggrekart 🏗️`;
 router.get('/', auth, authorize('customer'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
   query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
-  query('status').optional().isIn(['pending', 'preparing', 'processing', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status')
+  query('status').optional().isIn(['pending', 'preparing', 'processing', 'dispatched', 'partially_delivered', 'delivered', 'cancelled']).withMessage('Invalid status')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -907,11 +890,14 @@ router.get('/', auth, authorize('customer'), [
   }
 });
 
-// @route   GET /api/orders/:orderId
-// @desc    Get single order details
-// @access  Private (Customer/Supplier)
-router.get('/:orderId', auth, [
-  param('orderId').notEmpty().withMessage('Order ID is required')
+// @route   GET /api/orders/history
+// @desc    Get order history with analytics data
+// @access  Private (Customer)
+router.get('/history', auth, authorize('customer'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('analytics').optional().isBoolean().withMessage('Analytics must be boolean'),
+  query('timeRange').optional().isIn(['1month', '3months', '6months', '1year', 'all']).withMessage('Invalid time range')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -923,80 +909,411 @@ router.get('/:orderId', auth, [
       });
     }
 
-    const { orderId } = req.params;
+    const { page = 1, limit = 50, analytics = false, timeRange = 'all' } = req.query;
 
-    // Build filter based on user role
-    let filter = {
-      $or: [{ _id: orderId }, { orderId }]
-    };
+    const filter = { customer: req.user._id };
 
-    if (req.user.role === 'customer') {
-      filter.customer = req.user._id;
-    } else if (req.user.role === 'supplier') {
-      const supplier = await Supplier.findOne({ user: req.user._id });
-      if (!supplier) {
-        return next(new ErrorHandler('Supplier profile not found', 404));
+    // Add time range filter
+    if (timeRange !== 'all') {
+      const now = new Date();
+      let startDate;
+      
+      switch (timeRange) {
+        case '1month':
+          startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
+          break;
+        case '3months':
+          startDate = new Date(now.getFullYear(), now.getMonth() - 3, now.getDate());
+          break;
+        case '6months':
+          startDate = new Date(now.getFullYear(), now.getMonth() - 6, now.getDate());
+          break;
+        case '1year':
+          startDate = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
+          break;
+        default:
+          startDate = null;
+      }
+      
+      if (startDate) {
+        filter.createdAt = { $gte: startDate };
       }
-      filter.supplier = supplier._id;
     }
 
-          const order = await Order.findOne(filter)
-      .populate('customer', 'name email phoneNumber customerId addresses')
-           .populate('supplier', 'companyName contactPersonName contactPersonNumber email companyAddress city state pincode rating supplierId')
-      .populate('items.product', 'name category pricing.unit images brand hsnCode');
+    const orders = await Order.find(filter)
+      .populate('supplier', 'name businessName')
+      .populate('items.product', 'name category subcategory')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit) * parseInt(page))
+      .skip((parseInt(page) - 1) * parseInt(limit));
 
-console.log('🔍 ORDER DEBUG - Raw supplier data:', order?.supplier ? {
-      _id: order.supplier._id,
-      companyName: order.supplier.companyName,
-      companyAddress: order.supplier.companyAddress,
-      city: order.supplier.city,
-      state: order.supplier.state,
-      pincode: order.supplier.pincode,
-      contactPersonName: order.supplier.contactPersonName,
-      email: order.supplier.email
-    } : 'No supplier found');
-        if (!order) {
-      return next(new ErrorHandler('Order not found', 404));
-    }
+    const total = await Order.countDocuments(filter);
 
-    // Ensure productSnapshot images are available if product images are missing
-    if (order.items && order.items.length > 0) {
-      order.items.forEach(item => {
-        // If productSnapshot is missing images but product has images, copy them
-        if (!item.productSnapshot?.images && item.product?.images?.length > 0) {
-          if (!item.productSnapshot) {
-            item.productSnapshot = {};
-          }
-          item.productSnapshot.images = item.product.images;
-          
-          // Also set the single imageUrl for backward compatibility
-          const primaryImage = item.product.images.find(img => img.isPrimary && img.url);
-          const firstImage = item.product.images.find(img => img.url);
-          item.productSnapshot.imageUrl = primaryImage?.url || firstImage?.url || null;
-        }
-        
-        // Ensure essential productSnapshot fields exist
-        if (item.product && !item.productSnapshot?.name) {
-          if (!item.productSnapshot) item.productSnapshot = {};
-          item.productSnapshot.name = item.productSnapshot.name || item.product.name;
-          item.productSnapshot.category = item.productSnapshot.category || item.product.category;
-          item.productSnapshot.brand = item.productSnapshot.brand || item.product.brand;
-        }
+    // Orders from a multi-supplier checkout are listed once, under their group
+    const groupIds = [...new Set(orders.filter(order => order.orderGroup).map(order => order.orderGroup.toString()))];
+    const groups = await OrderGroup.find({ _id: { $in: groupIds } })
+      .populate({
+        path: 'orders',
+        options: { sort: { createdAt: 1 } },
+        populate: [
+          { path: 'supplier', select: 'name businessName' },
+          { path: 'items.product', select: 'name category subcategory' }
+        ]
       });
-    }
+    const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+
+    const history = [];
+    orders.forEach(order => {
+      const group = order.orderGroup && groupsById.get(order.orderGroup.toString());
+      if (!group) {
+        history.push({ type: 'order', order });
+      } else if (!history.some(entry => entry.type === 'group' && entry.group._id.equals(group._id))) {
+        const { orders: children, ...details } = group.toObject();
+        history.push({ type: 'group', group: details, orders: children });
+      }
+    });
 
-    // Add cooling period status
+    // If analytics requested, add summary data
+    let analyticsData = null;
+    if (analytics || analytics === 'true') {
+      const allOrdersForAnalytics = await Order.find(filter)
+        .populate('items.product', 'name category subcategory');
 
-    // Add cooling period status
-    const orderResponse = {
-      ...order.toObject(),
-      isCoolingPeriodActive: order.isCoolingPeriodActive(),
-      canModify: order.isCoolingPeriodActive() && order.coolingPeriod.canModify
-    };
+      const totalSpent = allOrdersForAnalytics.reduce((sum, order) => sum + (order.pricing?.totalAmount || 0), 0);
+      const completedOrders = allOrdersForAnalytics.filter(order => order.status === 'delivered');
+      const averageOrderValue = allOrdersForAnalytics.length > 0 ? totalSpent / allOrdersForAnalytics.length : 0;
+
+      // Monthly spending
+      const monthlySpending = {};
+      allOrdersForAnalytics.forEach(order => {
+        const month = order.createdAt.toISOString().slice(0, 7); // YYYY-MM
+        monthlySpending[month] = (monthlySpending[month] || 0) + (order.pricing?.totalAmount || 0);
+      });
+
+      // Top categories
+      const categorySpending = {};
+      allOrdersForAnalytics.forEach(order => {
+        order.items.forEach(item => {
+          const category = item.product?.category || 'Unknown';
+          categorySpending[category] = (categorySpending[category] || 0) + (item.totalPrice || 0);
+        });
+      });
+
+      const topCategories = Object.entries(categorySpending)
+        .sort(([,a], [,b]) => b - a)
+        .slice(0, 5)
+        .map(([category, amount]) => ({ category, amount }));
+
+      analyticsData = {
+        totalSpent,
+        averageOrderValue,
+        completedOrders: completedOrders.length,
+        monthlySpending,
+        topCategories,
+        timeRange
+      };
+    }
 
     res.json({
       success: true,
-      data: { order: orderResponse }
+      data: {
+        orders,
+        history,
+        analytics: analyticsData,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/groups/:groupId
+// @desc    Combined summary of a multi-supplier checkout with its orders
+// @access  Private (Customer)
+router.get('/groups/:groupId', auth, authorize('customer'), [
+  param('groupId').notEmpty().withMessage('Group ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = await OrderGroup.findOne({ groupId: req.params.groupId, customer: req.user._id })
+      .populate({
+        path: 'orders',
+        select: 'orderId status supplier items pricing payment.status payment.advanceAmount payment.remainingAmount deliverySlot cancellation createdAt',
+        options: { sort: { createdAt: 1 } },
+        populate: { path: 'supplier', select: 'companyName city state' }
+      });
+
+    if (!group) {
+      return next(new ErrorHandler('Order group not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: { group }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/groups/:groupId/invoices
+// @desc    Download the invoices of every order in a group as one PDF
+// @access  Private (Customer)
+router.get('/groups/:groupId/invoices', auth, authorize('customer'), async (req, res, next) => {
+  try {
+    const group = await OrderGroup.findOne({ groupId: req.params.groupId, customer: req.user._id });
+    if (!group) {
+      return next(new ErrorHandler('Order group not found', 404));
+    }
+
+    const orders = await Order.find({ orderGroup: group._id, status: { $ne: 'cancelled' } })
+      .populate('customer', 'name email phoneNumber')
+      .populate('supplier', 'companyName contactPersonName email companyAddress city state pincode')
+      .populate('items.product', 'name description category')
+      .sort({ createdAt: 1 });
+
+    if (orders.length === 0) {
+      return next(new ErrorHandler('No invoices available for this order group', 404));
+    }
+
+    const invoices = [];
+    for (const order of orders) {
+      if (!order.invoice || !order.invoice.invoiceNumber) {
+        if (!order.invoice) {
+          order.invoice = {};
+        }
+        order.invoice.invoiceNumber = await generateId('invoice');
+        order.invoice.generatedAt = new Date();
+        await order.save();
+      }
+      invoices.push(await generateInvoicePDF(order));
+    }
+
+    const pdfBuffer = await mergeInvoicePDFs(invoices);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="Invoices-${group.groupId}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/documents
+// @desc    ZIP of invoices, credit notes, weigh bills and delivery proofs for orders placed in a date range
+// @access  Private (Customer)
+router.get('/documents', auth, authorize('customer'), [
+  query('from').isISO8601().withMessage('Valid from date is required'),
+  query('to').isISO8601().withMessage('Valid to date is required'),
+  query('includeCancelled').optional().isBoolean().withMessage('includeCancelled must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, includeCancelled } = req.query;
+
+    const filter = {
+      customer: req.user._id,
+      createdAt: getBundleDateRange(from, to)
+    };
+    if (includeCancelled !== 'true') {
+      filter.status = { $ne: 'cancelled' };
+    }
+
+    const orders = await loadBundleOrders(filter);
+
+    await sendDocumentBundle(res, orders, `Order-Documents-${from.slice(0, 10)}-to-${to.slice(0, 10)}.zip`);
+
+  } catch (error) {
+    if (res.headersSent) {
+      return console.error('❌ Document bundle failed:', error);
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/:orderId/documents
+// @desc    ZIP of an order's invoice, credit notes, weigh bills and delivery proof
+// @access  Private (Customer)
+router.get('/:orderId/documents', auth, authorize('customer'), async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+
+    const orders = await loadBundleOrders({
+      ...(mongoose.isValidObjectId(orderId) ? { $or: [{ _id: orderId }, { orderId }] } : { orderId }),
+      customer: req.user._id
+    }, 'Order not found');
+
+    await sendDocumentBundle(res, orders, `Order-Documents-${orders[0].orderId}.zip`);
+
+  } catch (error) {
+    if (res.headersSent) {
+      return console.error('❌ Document bundle failed:', error);
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/:orderId
+// @desc    Get single order details
+// @access  Private (Customer/Supplier)
+router.get('/:orderId', auth, [
+  param('orderId').notEmpty().withMessage('Order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId } = req.params;
+
+    // Build filter based on user role
+    let filter = {
+      $or: [{ _id: orderId }, { orderId }]
+    };
+
+    if (req.user.role === 'customer') {
+      filter.customer = req.user._id;
+    } else if (req.user.role === 'supplier') {
+      const supplier = await Supplier.findOne({ user: req.user._id });
+      if (!supplier) {
+        return next(new ErrorHandler('Supplier profile not found', 404));
+      }
+      filter.supplier = supplier._id;
+    }
+
+          const order = await Order.findOne(filter)
+      .populate('customer', 'name email phoneNumber customerId addresses')
+           .populate('supplier', 'companyName contactPersonName contactPersonNumber email companyAddress city state pincode rating supplierId')
+      .populate('items.product', 'name category pricing.unit images brand hsnCode');
+
+console.log('🔍 ORDER DEBUG - Raw supplier data:', order?.supplier ? {
+      _id: order.supplier._id,
+      companyName: order.supplier.companyName,
+      companyAddress: order.supplier.companyAddress,
+      city: order.supplier.city,
+      state: order.supplier.state,
+      pincode: order.supplier.pincode,
+      contactPersonName: order.supplier.contactPersonName,
+      email: order.supplier.email
+    } : 'No supplier found');
+        if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    // Ensure productSnapshot images are available if product images are missing
+    if (order.items && order.items.length > 0) {
+      order.items.forEach(item => {
+        // If productSnapshot is missing images but product has images, copy them
+        if (!item.productSnapshot?.images && item.product?.images?.length > 0) {
+          if (!item.productSnapshot) {
+            item.productSnapshot = {};
+          }
+          item.productSnapshot.images = item.product.images;
+          
+          // Also set the single imageUrl for backward compatibility
+          const primaryImage = item.product.images.find(img => img.isPrimary && img.url);
+          const firstImage = item.product.images.find(img => img.url);
+          item.productSnapshot.imageUrl = primaryImage?.url || firstImage?.url || null;
+        }
+        
+        // Ensure essential productSnapshot fields exist
+        if (item.product && !item.productSnapshot?.name) {
+          if (!item.productSnapshot) item.productSnapshot = {};
+          item.productSnapshot.name = item.productSnapshot.name || item.product.name;
+          item.productSnapshot.category = item.productSnapshot.category || item.product.category;
+          item.productSnapshot.brand = item.productSnapshot.brand || item.product.brand;
+        }
+      });
+    }
+
+    // Add cooling period status
+
+    // Add cooling period status
+    const orderResponse = {
+      ...order.toObject(),
+      isCoolingPeriodActive: order.isCoolingPeriodActive(),
+      canModify: order.isCoolingPeriodActive() && order.coolingPeriod.canModify,
+      paymentBreakdown: getPaymentBreakdown(order),
+      refunds: await getOrderRefunds(order._id)
+    };
+
+    res.json({
+      success: true,
+      data: { order: orderResponse }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/orders/:orderId/cancellation-preview
+// @desc    Preview the refund and deductions if the order were cancelled now
+// @access  Private (Customer)
+router.get('/:orderId/cancellation-preview', auth, authorize('customer'), [
+  param('orderId').notEmpty().withMessage('Order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { orderId } = req.params;
+
+    const order = await Order.findOne({
+      ...(mongoose.isValidObjectId(orderId) ? { $or: [{ _id: orderId }, { orderId }] } : { orderId }),
+      customer: req.user._id
+    });
+
+    if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    const evaluation = await evaluateCancellation(order, { actor: ORDER_ACTORS.CUSTOMER });
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.orderId,
+        canCancel: evaluation.allowed && order.canTransitionTo('cancelled', ORDER_ACTORS.CUSTOMER),
+        preview: evaluation
+      }
     });
 
   } catch (error) {
@@ -1005,11 +1322,12 @@ console.log('🔍 ORDER DEBUG - Raw supplier data:', order?.supplier ? {
 });
 
 // @route   PUT /api/orders/:orderId/cancel
-// @desc    Cancel order (during cooling period)
+// @desc    Cancel order under the cancellation policy for its stage
 // @access  Private (Customer)
 router.put('/:orderId/cancel', auth, authorize('customer'), [
   param('orderId').notEmpty().withMessage('Order ID is required'),
-  body('reason').trim().isLength({ min: 5 }).withMessage('Cancellation reason must be at least 5 characters')
+  body('reason').trim().isLength({ min: 5 }).withMessage('Cancellation reason must be at least 5 characters'),
+  body('refundMethod').optional().isIn(['wallet', 'original']).withMessage('Refund method must be wallet or original')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -1022,10 +1340,10 @@ router.put('/:orderId/cancel', auth, authorize('customer'), [
     }
 
     const { orderId } = req.params;
-    const { reason } = req.body;
+    const { reason, refundMethod } = req.body;
 
     const order = await Order.findOne({
-      $or: [{ _id: orderId }, { orderId }],
+      ...(mongoose.isValidObjectId(orderId) ? { $or: [{ _id: orderId }, { orderId }] } : { orderId }),
       customer: req.user._id
     });
 
@@ -1033,32 +1351,23 @@ router.put('/:orderId/cancel', auth, authorize('customer'), [
       return next(new ErrorHandler('Order not found', 404));
     }
 
-    if (!order.isCoolingPeriodActive()) {
-      return next(new ErrorHandler('Order cannot be cancelled. Cooling period has expired.', 400));
-    }
-
     if (order.status === 'cancelled') {
       return next(new ErrorHandler('Order is already cancelled', 400));
     }
 
     // Calculate refund amount
-    const refundCalculation = order.calculateCoolingPeriodRefund();
-    
-    if (!refundCalculation.canRefund) {
+    const refundCalculation = await evaluateCancellation(order, { actor: ORDER_ACTORS.CUSTOMER });
+
+    if (!refundCalculation.allowed) {
       return next(new ErrorHandler(refundCalculation.message, 400));
     }
 
     // Update order status
-    order.updateStatus('cancelled', 'Order cancelled by customer', req.user._id);
-    order.cancellation = {
-      reason,
-      cancelledBy: req.user._id,
-      cancelledAt: new Date(),
-      refundAmount: refundCalculation.refundAmount,
-      deductionAmount: refundCalculation.deductionAmount,
-      deductionPercentage: refundCalculation.deductionPercentage
-    };
-    order.payment.status = 'refunded';
+    order.updateStatus('cancelled', 'Order cancelled by customer', req.user._id, { actor: ORDER_ACTORS.CUSTOMER });
+    applyCancellation(order, refundCalculation, { reason, cancelledBy: req.user._id });
+    if (refundMethod) {
+      order.cancellation.refundMethod = refundMethod;
+    }
 
     await order.save();
 
@@ -1085,7 +1394,7 @@ Reason: ${reason}
 Refund: ₹${refundCalculation.refundAmount.toLocaleString('en-IN')}
 ${refundCalculation.deductionAmount > 0 ? `Deduction: ₹${refundCalculation.deductionAmount.toLocaleString('en-IN')}` : ''}
 
-Refund will be processed within 3-5 business days.
+${getCancellationRefundMethod(order) === 'wallet' ? 'Refund will be added to your Aggrekart wallet.' : 'Refund will be processed within 3-5 business days.'}
 
 Aggrekart 🏗️`;
 
@@ -1101,6 +1410,7 @@ Aggrekart 🏗️`;
 Order: ${order.orderId}
 Customer: ${customer.name}
 Reason: ${reason}
+${refundCalculation.supplierCompensation > 0 ? `Compensation: ₹${refundCalculation.supplierCompensation.toLocaleString('en-IN')}` : ''}
 
 Please stop preparation if not started.
 
@@ -1252,7 +1562,7 @@ router.post('/:orderId/download-invoice', auth, authorize('customer'), async (re
       if (!order.invoice) {
         order.invoice = {};
       }
-      order.invoice.invoiceNumber = `INV-${order.orderId}`;
+      order.invoice.invoiceNumber = await generateId('invoice');
       order.invoice.generatedAt = new Date();
       await order.save();
     }
@@ -1278,512 +1588,7 @@ router.post('/:orderId/download-invoice', auth, authorize('customer'), async (re
   }
 });
 
-// EXACT copy of working PDF generation function from reports.js
-// Replace the existing generateInvoicePDF function with this comprehensive version:
-
-async function generateInvoicePDF(order) {
-  try {
-    const PDFDocument = require('pdfkit');
-    const doc = new PDFDocument({ 
-      margin: 40,
-      size: 'A4'
-    });
-    const buffers = [];
-    
-    doc.on('data', buffers.push.bind(buffers));
-    
-    // Helper functions
-    const formatDate = (date) => {
-      if (!date) return 'N/A';
-      return new Date(date).toLocaleDateString('en-IN', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-    };
-    
-    const formatCurrency = (amount) => `Rs.${(amount || 0).toLocaleString('en-IN', { 
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    })}`;
-    
-    const formatTime = (date) => {
-      if (!date) return '';
-      return new Date(date).toLocaleTimeString('en-IN', {
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-    };
-
-    let yPos = 50;
-    const pageWidth = 595; // A4 width
-    const margin = 40;
-    const contentWidth = pageWidth - (margin * 2);
-
-    // =============== HEADER SECTION ===============
-    // Company Logo Area and Title
-    doc.rect(margin, yPos, contentWidth, 80).fillAndStroke('#f8f9fa', '#e9ecef');
-    
-    // Company name and branding
-    doc.fontSize(28).font('Helvetica-Bold').fillColor('#2563eb')
-       .text('AGGREKART', margin + 20, yPos + 15);
-    
-    doc.fontSize(12).font('Helvetica').fillColor('#666')
-       .text('Building Dreams, Delivering Quality', margin + 20, yPos + 50)
-       .text('GST No: 29ABCDE1234F1Z5 | PAN: ABCDE1234F', margin + 20, yPos + 65);
-
-    // Invoice title (right side)
-    doc.fontSize(24).font('Helvetica-Bold').fillColor('#dc2626')
-       .text('INVOICE', pageWidth - 150, yPos + 15, { align: 'right', width: 100 });
-    
-    // Invoice number and date (right side)
-    const invoiceNumber = order.invoice?.invoiceNumber || `INV-${order.orderId}`;
-    doc.fontSize(11).font('Helvetica-Bold').fillColor('#333')
-       .text(`Invoice #: ${invoiceNumber}`, pageWidth - 200, yPos + 45, { align: 'right', width: 150 });
-    doc.fontSize(10).font('Helvetica').fillColor('#666')
-       .text(`Date: ${formatDate(order.invoice?.generatedAt || order.createdAt)}`, pageWidth - 200, yPos + 60, { align: 'right', width: 150 });
-
-    yPos += 100;
-
-    // =============== BILLING INFORMATION SECTION ===============
-    // Section header
-    doc.rect(margin, yPos, contentWidth, 25).fill('#2563eb');
-    doc.fontSize(14).font('Helvetica-Bold').fillColor('#ffffff')
-       .text('BILLING INFORMATION', margin + 10, yPos + 6);
-    yPos += 35;
-
-    // Two column layout for billing info
-    const leftColX = margin + 10;
-    const rightColX = margin + (contentWidth / 2) + 10;
-    const colWidth = (contentWidth / 2) - 20;
-
-    // Left column - Bill To
-    doc.fontSize(12).font('Helvetica-Bold').fillColor('#333')
-       .text('BILL TO:', leftColX, yPos);
-    yPos += 20;
-
-    const billToInfo = [
-      order?.customer?.name || 'N/A',
-      order?.customer?.email || 'N/A',
-      order?.customer?.phoneNumber || 'N/A'
-    ];
-
-    billToInfo.forEach(info => {
-      doc.fontSize(10).font('Helvetica').fillColor('#666')
-         .text(info, leftColX, yPos);
-      yPos += 15;
-    });
-
-    // Reset yPos for right column
-    yPos -= (billToInfo.length * 15) + 20;
-
-    // Right column - Ship To (if delivery address exists)
-    if (order?.delivery?.address) {
-      doc.fontSize(12).font('Helvetica-Bold').fillColor('#333')
-         .text('SHIP TO:', rightColX, yPos);
-      yPos += 20;
-
-      const addr = order.delivery.address;
-      const shipToInfo = [
-        addr.name || order?.customer?.name || 'N/A',
-        addr.addressLine1 || 'N/A',
-        addr.addressLine2 || '',
-        `${addr.city || ''}, ${addr.state || ''} - ${addr.pincode || ''}`,
-        addr.phoneNumber || order?.customer?.phoneNumber || ''
-      ].filter(line => line.trim() !== '');
-
-      shipToInfo.forEach(info => {
-        doc.fontSize(10).font('Helvetica').fillColor('#666')
-           .text(info, rightColX, yPos, { width: colWidth });
-        yPos += 15;
-      });
-    } else {
-      // Order details if no shipping address
-      doc.fontSize(12).font('Helvetica-Bold').fillColor('#333')
-         .text('ORDER DETAILS:', rightColX, yPos);
-      yPos += 20;
-
-      const orderDetails = [
-        `Order ID: ${order?.orderId || 'N/A'}`,
-        `Order Date: ${formatDate(order?.createdAt)}`,
-        `Status: ${(order?.status || 'pending').toUpperCase()}`,
-        `Payment Method: ${(order?.payment?.method || 'N/A').toUpperCase()}`
-      ];
-
-      orderDetails.forEach(info => {
-        doc.fontSize(10).font('Helvetica').fillColor('#666')
-           .text(info, rightColX, yPos, { width: colWidth });
-        yPos += 15;
-      });
-    }
-
-    yPos = Math.max(yPos + 20, 280); // Ensure consistent spacing
-
-    // =============== ITEMS TABLE SECTION ===============
-    // Table header
-    doc.rect(margin, yPos, contentWidth, 25).fill('#2563eb');
-    doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
-       .text('ORDER ITEMS', margin + 10, yPos + 6);
-    yPos += 35;
-
-    // Table column headers
-    const tableTop = yPos;
-    const itemCol = margin + 10;
-    const qtyCol = margin + 280;
-    const priceCol = margin + 350;
-    const amountCol = margin + 450;
-
-    doc.rect(margin, tableTop, contentWidth, 20).fillAndStroke('#f8f9fa', '#e9ecef');
-    
-    doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
-    doc.text('DESCRIPTION', itemCol, tableTop + 6);
-    doc.text('QTY', qtyCol, tableTop + 6);
-    doc.text('UNIT PRICE', priceCol, tableTop + 6);
-    doc.text('AMOUNT', amountCol, tableTop + 6);
-    
-    yPos = tableTop + 25;
-
-    // Table rows
-    if (order?.items && order.items.length > 0) {
-      order.items.forEach((item, index) => {
-        const isEven = index % 2 === 0;
-        if (isEven) {
-          doc.rect(margin, yPos - 2, contentWidth, 30).fill('#fafafa');
-        }
-
-        const itemName = item?.productSnapshot?.name || item?.product?.name || `Item ${index + 1}`;
-        const quantity = item?.quantity || 1;
-        const unitPrice = item?.unitPrice || 0;
-        const totalPrice = item?.totalPrice || (unitPrice * quantity);
-
-        // Item description (with wrapping)
-        doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
-        doc.text(itemName, itemCol, yPos, { width: 250, height: 20 });
-        
-        // Specifications (if any)
-        if (item?.specifications?.selectedVariant || item?.specifications?.customRequirements) {
-          const specs = [];
-          if (item.specifications.selectedVariant) specs.push(`Variant: ${item.specifications.selectedVariant}`);
-          if (item.specifications.customRequirements) specs.push(`Notes: ${item.specifications.customRequirements}`);
-          
-          doc.fontSize(8).font('Helvetica').fillColor('#666')
-             .text(specs.join(' | '), itemCol, yPos + 12, { width: 250 });
-        }
-
-        // Quantity, Price, Amount
-        doc.fontSize(10).font('Helvetica').fillColor('#333');
-        doc.text(quantity.toString(), qtyCol, yPos + 6, { align: 'center', width: 50 });
-        doc.text(formatCurrency(unitPrice), priceCol, yPos + 6, { align: 'right', width: 80 });
-        doc.text(formatCurrency(totalPrice), amountCol, yPos + 6, { align: 'right', width: 80 });
-
-        yPos += 35;
-      });
-    } else {
-      doc.fontSize(10).font('Helvetica').fillColor('#666')
-         .text('No items found', itemCol, yPos + 10);
-      yPos += 30;
-    }
-
-    // Table bottom border
-    doc.moveTo(margin, yPos).lineTo(pageWidth - margin, yPos).stroke('#e9ecef');
-    yPos += 20;
-
-    // =============== PRICING SUMMARY SECTION ===============
-    if (order?.pricing) {
-      // Summary box
-      const summaryBoxY = yPos;
-      const summaryBoxHeight = 140;
-      doc.rect(margin + 300, summaryBoxY, 255, summaryBoxHeight).fillAndStroke('#f8f9fa', '#e9ecef');
-
-      // Summary header
-      doc.fontSize(12).font('Helvetica-Bold').fillColor('#2563eb')
-         .text('PAYMENT SUMMARY', margin + 310, summaryBoxY + 10);
-
-      let summaryY = summaryBoxY + 35;
-      const labelX = margin + 310;
-      const valueX = margin + 480;
-
-      const pricingDetails = [
-        ['Subtotal:', formatCurrency(order.pricing.subtotal || 0)],
-        ['GST (18%):', formatCurrency(order.pricing.gstAmount || 0)],
-        ['Commission:', formatCurrency(order.pricing.commission || 0)],
-        ['Gateway Charges:', formatCurrency(order.pricing.paymentGatewayCharges || 0)]
-      ];
-
-      // Pricing breakdown
-      pricingDetails.forEach(([label, value]) => {
-        doc.fontSize(10).font('Helvetica').fillColor('#666');
-        doc.text(label, labelX, summaryY);
-        doc.text(value, valueX, summaryY, { align: 'right', width: 70 });
-        summaryY += 18;
-      });
-
-      // Total line
-      doc.moveTo(labelX, summaryY).lineTo(valueX + 70, summaryY).stroke('#333');
-      summaryY += 8;
-
-      // Total amount
-      doc.fontSize(12).font('Helvetica-Bold').fillColor('#2563eb');
-      doc.text('TOTAL AMOUNT:', labelX, summaryY);
-      doc.text(formatCurrency(order.pricing.totalAmount || 0), valueX, summaryY, { align: 'right', width: 70 });
-
-      yPos = summaryBoxY + summaryBoxHeight + 20;
-    }
-
-    // =============== PAYMENT INFORMATION SECTION ===============
-    if (order?.payment) {
-      // Payment info header
-      doc.rect(margin, yPos, contentWidth, 25).fill('#16a34a');
-      doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
-         .text('PAYMENT INFORMATION', margin + 10, yPos + 6);
-      yPos += 35;
-
-      const paymentInfo = [
-        ['Payment Method:', (order.payment.method || 'N/A').toUpperCase()],
-        ['Payment Status:', (order.payment.status || 'pending').toUpperCase()],
-        ['Advance Amount:', formatCurrency(order.payment.advanceAmount || 0)],
-        ['Remaining Balance:', formatCurrency(order.payment.remainingAmount || 0)]
-      ];
-
-      if (order.payment.transactionId) {
-        paymentInfo.push(['Transaction ID:', order.payment.transactionId]);
-      }
-
-      if (order.payment.paidAt) {
-        paymentInfo.push(['Payment Date:', `${formatDate(order.payment.paidAt)} ${formatTime(order.payment.paidAt)}`]);
-      }
-
-      // Two column layout for payment info
-      paymentInfo.forEach(([label, value], index) => {
-        const colX = index % 2 === 0 ? leftColX : rightColX;
-        const currentY = yPos + Math.floor(index / 2) * 20;
-
-        doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
-        doc.text(label, colX, currentY, { width: 120 });
-        doc.font('Helvetica').fillColor('#666');
-        doc.text(value, colX + 120, currentY, { width: colWidth - 120 });
-      });
-
-      yPos += Math.ceil(paymentInfo.length / 2) * 20 + 30;
-    }
-
-    // =============== SUPPLIER INFORMATION SECTION ===============
-    if (order?.supplier) {
-      // Supplier info header
-      doc.rect(margin, yPos, contentWidth, 25).fill('#7c3aed');
-      doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
-         .text('SUPPLIER INFORMATION', margin + 10, yPos + 6);
-      yPos += 35;
-
-      const supplierInfo = [
-        ['Company Name:', order.supplier.companyName || 'N/A'],
-        ['Contact Person:', order.supplier.contactPersonName || 'N/A'],
-        ['Email:', order.supplier.email || 'N/A'],
-        ['Phone:', order.supplier.contactPersonNumber || 'N/A']
-      ];
-
-      supplierInfo.forEach(([label, value]) => {
-        doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
-        doc.text(label, leftColX, yPos, { width: 120 });
-        doc.font('Helvetica').fillColor('#666');
-        doc.text(value, leftColX + 120, yPos, { width: 200 });
-        yPos += 18;
-      });
-
-      yPos += 20;
-    }
-
-    // =============== TERMS & CONDITIONS SECTION ===============
-    // Add new page if needed
-    if (yPos > 650) {
-      doc.addPage();
-      yPos = 50;
-    }
-
-    doc.rect(margin, yPos, contentWidth, 25).fill('#6b7280');
-    doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
-       .text('TERMS & CONDITIONS', margin + 10, yPos + 6);
-    yPos += 35;
-
-    const terms = [
-      '1. Payment Terms: Payment must be made as per the agreed payment schedule.',
-      '2. Delivery: Products are subject to availability and delivery timeline may vary based on location.',
-      '3. Quality Assurance: All products undergo quality checks before dispatch.',
-      '4. Returns: Items can be returned within 7 days if they are damaged or defective.',
-      '5. Warranty: Products come with manufacturer warranty as applicable.',
-      '6. Disputes: Any disputes will be resolved as per Indian jurisdiction laws.',
-      '7. Contact: For any queries, please contact us at support@aggrekart.com or call customer care.'
-    ];
-
-    terms.forEach(term => {
-      doc.fontSize(9).font('Helvetica').fillColor('#666')
-         .text(term, margin + 10, yPos, { width: contentWidth - 20 });
-      yPos += 15;
-    });
-
-    yPos += 20;
-
-    // =============== FOOTER SECTION ===============
-    // Footer border
-    doc.moveTo(margin, yPos).lineTo(pageWidth - margin, yPos).stroke('#e9ecef');
-    yPos += 15;
-
-    // Thank you message
-    doc.fontSize(14).font('Helvetica-Bold').fillColor('#2563eb')
-       .text('Thank you for choosing Aggrekart!', margin, yPos, { align: 'center', width: contentWidth });
-    yPos += 25;
-
-    // Contact information
-    doc.fontSize(10).font('Helvetica').fillColor('#666');
-    const contactInfo = [
-      'Website: www.aggrekart.com | Email: support@aggrekart.com',
-      'Customer Care: +91-XXXXXXXXXX | WhatsApp: +91-XXXXXXXXXX',
-      `This invoice was generated on ${new Date().toLocaleString('en-IN')} and is computer generated.`
-    ];
-
-    contactInfo.forEach(info => {
-      doc.text(info, margin, yPos, { align: 'center', width: contentWidth });
-      yPos += 12;
-    });
-
-    // Company motto
-    yPos += 10;
-    doc.fontSize(12).font('Helvetica-Bold').fillColor('#2563eb')
-       .text('🏗️ Building Dreams, Delivering Quality 🏗️', margin, yPos, { align: 'center', width: contentWidth });
-
-    // End document
-    doc.end();
-    
-    return new Promise((resolve, reject) => {
-      doc.on('end', () => {
-        resolve(Buffer.concat(buffers));
-      });
-      doc.on('error', reject);
-    });
-    
-  } catch (error) {
-    throw new Error(`Invoice PDF generation failed: ${error.message}`);
-  }
-}// Add this route before the last export statement
-
-// @route   GET /api/orders/history
-// @desc    Get order history with analytics data
-// @access  Private (Customer)
-router.get('/history', auth, authorize('customer'), [
-  query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('analytics').optional().isBoolean().withMessage('Analytics must be boolean'),
-  query('timeRange').optional().isIn(['1month', '3months', '6months', '1year', 'all']).withMessage('Invalid time range')
-], async (req, res, next) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { page = 1, limit = 50, analytics = false, timeRange = 'all' } = req.query;
-
-    const filter = { customer: req.user._id };
-
-    // Add time range filter
-    if (timeRange !== 'all') {
-      const now = new Date();
-      let startDate;
-      
-      switch (timeRange) {
-        case '1month':
-          startDate = new Date(now.getFullYear(), now.getMonth() - 1, now.getDate());
-          break;
-        case '3months':
-          startDate = new Date(now.getFullYear(), now.getMonth() - 3, now.getDate());
-          break;
-        case '6months':
-          startDate = new Date(now.getFullYear(), now.getMonth() - 6, now.getDate());
-          break;
-        case '1year':
-          startDate = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-          break;
-        default:
-          startDate = null;
-      }
-      
-      if (startDate) {
-        filter.createdAt = { $gte: startDate };
-      }
-    }
-
-    const orders = await Order.find(filter)
-      .populate('supplier', 'name businessName')
-      .populate('items.product', 'name category subcategory')
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit) * parseInt(page))
-      .skip((parseInt(page) - 1) * parseInt(limit));
-
-    const total = await Order.countDocuments(filter);
-
-    // If analytics requested, add summary data
-    let analyticsData = null;
-    if (analytics || analytics === 'true') {
-      const allOrdersForAnalytics = await Order.find(filter)
-        .populate('items.product', 'name category subcategory');
-
-      const totalSpent = allOrdersForAnalytics.reduce((sum, order) => sum + (order.pricing?.totalAmount || 0), 0);
-      const completedOrders = allOrdersForAnalytics.filter(order => order.status === 'delivered');
-      const averageOrderValue = allOrdersForAnalytics.length > 0 ? totalSpent / allOrdersForAnalytics.length : 0;
-
-      // Monthly spending
-      const monthlySpending = {};
-      allOrdersForAnalytics.forEach(order => {
-        const month = order.createdAt.toISOString().slice(0, 7); // YYYY-MM
-        monthlySpending[month] = (monthlySpending[month] || 0) + (order.pricing?.totalAmount || 0);
-      });
-
-      // Top categories
-      const categorySpending = {};
-      allOrdersForAnalytics.forEach(order => {
-        order.items.forEach(item => {
-          const category = item.product?.category || 'Unknown';
-          categorySpending[category] = (categorySpending[category] || 0) + (item.totalPrice || 0);
-        });
-      });
-
-      const topCategories = Object.entries(categorySpending)
-        .sort(([,a], [,b]) => b - a)
-        .slice(0, 5)
-        .map(([category, amount]) => ({ category, amount }));
-
-      analyticsData = {
-        totalSpent,
-        averageOrderValue,
-        completedOrders: completedOrders.length,
-        monthlySpending,
-        topCategories,
-        timeRange
-      };
-    }
-
-    res.json({
-      success: true,
-      data: {
-        orders,
-        analytics: analyticsData,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
-          totalItems: total,
-          itemsPerPage: parseInt(limit)
-        }
-      }
-    });
 
-  } catch (error) {
-    next(error);
-  }
-});
 // @route   PUT /api/orders/:orderId/status
 // @desc    Update order status (including material_loading)
 // @access  Private (Supplier)
@@ -1811,6 +1616,7 @@ router.put('/:orderId/status', auth, [
     }
 
     // Check if user has permission to update this order
+    const actor = req.user.role === 'admin' ? ORDER_ACTORS.ADMIN : ORDER_ACTORS.SUPPLIER;
     let canUpdate = false;
     if (req.user.role === 'admin') {
       canUpdate = true;
@@ -1830,9 +1636,9 @@ router.put('/:orderId/status', auth, [
         return next(new ErrorHandler('Cannot start material loading - cooling period expired', 400));
       }
       
-      order.startMaterialLoading(req.user._id);
+      order.startMaterialLoading(req.user._id, actor);
     } else {
-      order.updateStatus(status, note, req.user._id);
+      order.updateStatus(status, note, req.user._id, { actor });
     }
 
     await order.save();
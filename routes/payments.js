@@ -1,12 +1,26 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { auth, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const User = require('../models/User');
 const PaymentGateway = require('../utils/payment');
+const PaymentProviders = require('../utils/paymentProviders');
 const { ErrorHandler } = require('../utils/errorHandler');
 const { sendEmail } = require('../utils/notifications');
+const { markBalancePaid, syncBalancePayment, ensureBalancePaymentLink } = require('../utils/balanceCollection');
+const { handlePaymentEvent } = require('../utils/paymentEvents');
+const {
+  findPaymentTarget,
+  findPaymentTargetByGatewayOrder,
+  loadPaymentTarget,
+  getPayableAmount,
+  getPaymentReference,
+  attachGatewayOrder,
+  markPaymentTargetPaid,
+  markPaymentTargetFailed
+} = require('../utils/orderGroups');
 const router = express.Router();
 
 // Add detailed logging middleware for payment routes
@@ -23,7 +37,7 @@ router.use((req, res, next) => {
 router.get('/methods', async (req, res) => {
   try {
     console.log('🔵 Getting payment methods...');
-    const methods = PaymentGateway.getPaymentMethods();
+    const methods = PaymentProviders.getPaymentMethods();
     console.log('✅ Payment methods retrieved:', methods);
     
     res.status(200).json({
@@ -45,7 +59,7 @@ router.get('/methods', async (req, res) => {
 // @route   POST /api/payments/razorpay/create-order
 // @desc    Create Razorpay order
 // @access  Private
-router.post('/razorpay/create-order', auth, [
+router.post('/razorpay/create-order', auth, idempotent('razorpay-create-order'), [
   body('orderId').notEmpty().withMessage('Order ID is required'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0')
 ], async (req, res, next) => {
@@ -65,8 +79,9 @@ router.post('/razorpay/create-order', auth, [
 
     const { orderId, amount } = req.body;
 
-    // Find and validate order
-    const order = await Order.findOne({ orderId }).populate('customer');
+    // Find and validate order (orders from a multi-supplier checkout are paid for as a group)
+    const target = await findPaymentTarget(orderId);
+    const order = target?.order;
     if (!order) {
       console.log('❌ Order not found:', orderId);
       return res.status(404).json({
@@ -87,7 +102,7 @@ router.post('/razorpay/create-order', auth, [
       });
     }
 
-    if (order.payment.status === 'paid') {
+    if (['paid', 'partial'].includes(order.payment.status)) {
       return res.status(400).json({
         success: false,
         message: 'Order is already paid'
@@ -95,12 +110,9 @@ router.post('/razorpay/create-order', auth, [
     }
 
     // Create Razorpay order
-    const result = await PaymentGateway.createRazorpayOrder({
-      orderId,
-      amount,
-      customerEmail: order.customer.email,
-      customerPhone: order.customer.phoneNumber,
-      customerName: order.customer.name
+    const result = await PaymentProviders.getProvider('razorpay').createOrder({
+      reference: getPaymentReference(target),
+      amount: getPayableAmount(target, amount)
     });
 
     if (!result.success) {
@@ -112,23 +124,29 @@ router.post('/razorpay/create-order', auth, [
       });
     }
 
-    // Update order with Razorpay order ID
-    order.payment.razorpayOrderId = result.paymentOrderId;
-    order.payment.gateway = 'razorpay';
-    order.payment.method = 'razorpay';
-    await order.save();
+    // Update order (and the rest of its group) with Razorpay order ID
+    await attachGatewayOrder(target, {
+      razorpayOrderId: result.gatewayOrderId,
+      gateway: 'razorpay',
+      method: 'razorpay'
+    });
 
-    console.log('✅ Razorpay order created successfully:', result.paymentOrderId);
+    console.log('✅ Razorpay order created successfully:', result.gatewayOrderId);
 
     res.status(200).json({
       success: true,
       message: 'Razorpay order created successfully',
-      paymentOrderId: result.paymentOrderId,
-      amount: result.amount,
+      paymentOrderId: result.gatewayOrderId,
+      amount: result.checkout.amount,
       currency: result.currency,
-      key: result.key,
+      key: result.checkout.key,
       orderId: order.orderId,
-      customerDetails: result.customerDetails
+      orderGroupId: target.group?.groupId,
+      customerDetails: {
+        name: order.customer.name,
+        email: order.customer.email,
+        contact: order.customer.phoneNumber
+      }
     });
 
   } catch (error) {
@@ -184,18 +202,18 @@ router.post('/razorpay/verify', auth, [
       });
     }
 
-    // Verify payment signature
-    const isValidSignature = await PaymentGateway.verifyRazorpaySignature({
-      orderId,
+    // Verify payment signature (signed with Razorpay's order id)
+    const verification = await PaymentProviders.getProvider('razorpay').verifyPayment({
+      gatewayOrderId: order.payment.razorpayOrderId || orderId,
       paymentId,
       signature
     });
 
-    if (!isValidSignature) {
+    const target = await loadPaymentTarget(order);
+
+    if (!verification.isValid) {
       // Mark payment as failed
-      order.payment.status = 'failed';
-      order.payment.failureReason = 'Invalid payment signature';
-      await order.save();
+      await markPaymentTargetFailed(target, 'Invalid payment signature');
 
       console.log('❌ Invalid Razorpay signature');
       return res.status(400).json({
@@ -204,23 +222,14 @@ router.post('/razorpay/verify', auth, [
       });
     }
 
-    // Payment successful - update order
-    order.payment.status = 'paid';
-    order.payment.transactionId = paymentId;
-    order.payment.paidAt = new Date();
-    order.payment.gateway = 'razorpay';
-    order.status = 'confirmed';
-
-    // Add timeline entry
-    order.timeline.push({
-      status: 'confirmed',
-      timestamp: new Date(),
+    // Payment successful - update order (and the rest of its group)
+    await markPaymentTargetPaid(target, {
+      transactionId: paymentId,
+      gateway: 'razorpay',
       note: `Payment completed via Razorpay - Transaction ID: ${paymentId}`,
       updatedBy: order.customer._id
     });
 
-    await order.save();
-
     console.log('✅ Razorpay payment verified successfully:', paymentId);
 
     res.status(200).json({
@@ -228,6 +237,7 @@ router.post('/razorpay/verify', auth, [
       message: 'Payment verified successfully',
       data: {
         orderId: order.orderId,
+        orderIds: target.orders.map(o => o.orderId),
         transactionId: paymentId,
         status: order.payment.status
       }
@@ -267,7 +277,7 @@ router.get('/razorpay/:paymentId', auth, async (req, res, next) => {
     }
 
     // Get payment details from Razorpay
-    const result = await PaymentGateway.fetchRazorpayPayment(paymentId);
+    const result = await PaymentProviders.getProvider('razorpay').fetchPayment({ transactionId: paymentId });
 
     if (!result.success) {
       return res.status(500).json({
@@ -281,7 +291,8 @@ router.get('/razorpay/:paymentId', auth, async (req, res, next) => {
       success: true,
       data: {
         orderId: order.orderId,
-        paymentDetails: result.payment,
+        paymentDetails: result.raw,
+        gatewayStatus: result.status,
         orderStatus: order.status,
         paymentStatus: order.payment.status
       }
@@ -334,6 +345,7 @@ router.get('/status/:orderId', auth, async (req, res, next) => {
         transactionId: order.payment.transactionId,
         gateway: order.payment.gateway,
         amount: order.payment.advanceAmount,
+        walletAmount: order.payment.wallet?.amount || 0,
         paidAt: order.payment.paidAt
       }
     });
@@ -344,12 +356,126 @@ router.get('/status/:orderId', auth, async (req, res, next) => {
   }
 });
 
+// ===== BALANCE PAYMENT ROUTES =====
+
+// @route   GET /api/payments/balance/:orderId
+// @desc    Get (or create) the payment link for the balance due after delivery
+// @access  Private (Customer)
+router.get('/balance/:orderId', auth, async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId, customer: req.user._id })
+      .populate('customer', 'name email phoneNumber');
+
+    if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    await syncBalancePayment(order);
+
+    if (order.status === 'delivered' && !['cod', 'credit'].includes(order.payment.method) && order.payment.remainingAmount > 0) {
+      await ensureBalancePaymentLink(order, order.customer);
+    }
+
+    await order.save();
+
+    const link = order.payment.balanceCollection;
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.orderId,
+        paymentStatus: order.payment.status,
+        totalAmount: order.pricing.totalAmount,
+        advanceAmount: order.payment.advanceAmount,
+        balancePaid: order.payment.balancePaid,
+        remainingAmount: order.payment.remainingAmount,
+        paymentLink: link?.linkId ? {
+          gateway: link.gateway,
+          url: link.status === 'created' ? link.url : null,
+          amount: link.amount,
+          status: link.status,
+          expiresAt: link.expiresAt,
+          paidAt: link.paidAt
+        } : null
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/balance/:orderId/verify
+// @desc    Verify a Razorpay payment link callback for the balance
+// @access  Private (Customer)
+router.post('/balance/:orderId/verify', auth, [
+  body('paymentLinkId').notEmpty().withMessage('Payment link ID is required'),
+  body('paymentLinkReferenceId').notEmpty().withMessage('Payment link reference ID is required'),
+  body('paymentLinkStatus').notEmpty().withMessage('Payment link status is required'),
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('signature').notEmpty().withMessage('Signature is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentLinkId, paymentLinkReferenceId, paymentLinkStatus, paymentId, signature } = req.body;
+
+    const order = await Order.findOne({
+      orderId: req.params.orderId,
+      customer: req.user._id,
+      'payment.balanceCollection.linkId': paymentLinkId
+    });
+
+    if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    const isValidSignature = PaymentGateway.verifyRazorpayPaymentLinkSignature({
+      linkId: paymentLinkId,
+      referenceId: paymentLinkReferenceId,
+      status: paymentLinkStatus,
+      paymentId,
+      signature
+    });
+
+    if (!isValidSignature || paymentLinkStatus !== 'paid') {
+      return next(new ErrorHandler('Payment verification failed', 400));
+    }
+
+    if (markBalancePaid(order, { transactionId: paymentId })) {
+      await order.save();
+      console.log(`✅ Balance for order ${order.orderId} paid via Razorpay link: ${paymentId}`);
+    }
+
+    res.json({
+      success: true,
+      message: 'Balance payment verified successfully',
+      data: {
+        orderId: order.orderId,
+        transactionId: paymentId,
+        status: order.payment.status,
+        remainingAmount: order.payment.remainingAmount
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ===== CASHFREE ROUTES WITH EXTENSIVE DEBUG =====
 
 // @route   POST /api/payments/cashfree/create-order
 // @desc    Create Cashfree order
 // @access  Private
-router.post('/cashfree/create-order', auth, [
+router.post('/cashfree/create-order', auth, idempotent('cashfree-create-order'), [
   body('orderId').notEmpty().withMessage('Order ID is required'),
   body('amount').isFloat({ min: 1 }).withMessage('Amount must be greater than 0')
 ], async (req, res, next) => {
@@ -400,8 +526,9 @@ router.post('/cashfree/create-order', auth, [
     }
 
     console.log('🟠 Step 5: Finding order in database');
-    // Find and validate order
-    const order = await Order.findOne({ orderId }).populate('customer');
+    // Find and validate order (orders from a multi-supplier checkout are paid for as a group)
+    const target = await findPaymentTarget(orderId);
+    const order = target?.order;
     if (!order) {
       console.log('❌ Order not found:', orderId);
       return res.status(404).json({
@@ -429,7 +556,7 @@ router.post('/cashfree/create-order', auth, [
     console.log('✅ Authorization passed');
 
     // Check if order is already paid
-    if (order.payment.status === 'paid') {
+    if (['paid', 'partial'].includes(order.payment.status)) {
       console.log('❌ Order already paid');
       return res.status(400).json({
         success: false,
@@ -465,22 +592,25 @@ router.post('/cashfree/create-order', auth, [
 
     console.log('✅ Customer details validated');
 
-    console.log('🟠 Step 8: Calling PaymentGateway.createCashfreeOrder');
+    console.log('🟠 Step 8: Calling Cashfree provider createOrder');
+    const payableAmount = getPayableAmount(target, amount);
     console.log('🟠 Parameters:', {
-      orderId,
-      amount: parseFloat(amount.toFixed(2)), // Ensure amount is in rupees for Cashfree
+      orderId: getPaymentReference(target),
+      amount: parseFloat(payableAmount.toFixed(2)), // Ensure amount is in rupees for Cashfree
       customerEmail: order.customer.email,
       customerPhone: order.customer.phoneNumber,
       customerName: order.customer.name
     });
 
     // Create Cashfree order using the working direct API
-    const result = await PaymentGateway.createCashfreeOrder({
-      orderId,
-      amount: parseFloat(amount.toFixed(2)), // Ensure amount is in rupees for Cashfree
-      customerEmail: order.customer.email,
-      customerPhone: order.customer.phoneNumber,
-      customerName: order.customer.name
+    const result = await PaymentProviders.getProvider('cashfree').createOrder({
+      reference: getPaymentReference(target),
+      amount: parseFloat(payableAmount.toFixed(2)), // Ensure amount is in rupees for Cashfree
+      customer: {
+        email: order.customer.email,
+        phone: order.customer.phoneNumber,
+        name: order.customer.name
+      }
     });
 
     console.log('🟠 Step 9: PaymentGateway response received');
@@ -496,7 +626,7 @@ router.post('/cashfree/create-order', auth, [
       });
     }
 
-    if (!result.data || !result.data.payment_session_id) {
+    if (!result.checkout.payment_session_id) {
       console.error('❌ Invalid Cashfree response - missing payment session');
       return res.status(500).json({
         success: false,
@@ -505,12 +635,6 @@ router.post('/cashfree/create-order', auth, [
     }
 
     console.log('🟠 Step 10: Updating order in database');
-    // Update order with Cashfree details
-    order.payment.cashfreeOrderId = result.data.id;
-    order.payment.gateway = 'cashfree';
-    order.payment.sessionId = result.data.payment_session_id;
-    order.payment.method = 'cashfree';
-    
     // Add timeline entry
     order.timeline.push({
       status: order.status,
@@ -519,7 +643,13 @@ router.post('/cashfree/create-order', auth, [
       updatedBy: req.user._id
     });
 
-    await order.save();
+    // Update order (and the rest of its group) with Cashfree details
+    await attachGatewayOrder(target, {
+      cashfreeOrderId: result.gatewayOrderId,
+      gateway: 'cashfree',
+      sessionId: result.checkout.payment_session_id,
+      method: 'cashfree'
+    });
     console.log('✅ Order updated successfully');
 
     console.log('🟠 Step 11: Sending success response');
@@ -527,13 +657,14 @@ router.post('/cashfree/create-order', auth, [
       success: true,
       message: 'Cashfree order created successfully',
       data: {
-        cashfreeOrderId: result.data.id,
-        amount: result.data.amount,
-        currency: result.data.currency || 'INR',
+        cashfreeOrderId: result.gatewayOrderId,
+        amount: result.amount,
+        currency: result.currency || 'INR',
         orderId: order.orderId,
-        payment_session_id: result.data.payment_session_id,
-        order_token: result.data.order_token,
-        payment_link: result.data.payment_link,
+        orderGroupId: target.group?.groupId,
+        payment_session_id: result.checkout.payment_session_id,
+        order_token: result.checkout.order_token,
+        payment_link: result.checkout.payment_link,
         appId: process.env.CASHFREE_APP_ID,
         environment: process.env.CASHFREE_ENVIRONMENT,
         customerDetails: {
@@ -544,7 +675,7 @@ router.post('/cashfree/create-order', auth, [
       }
     };
 
-    console.log('✅ SUCCESS! Cashfree order created:', result.data.id);
+    console.log('✅ SUCCESS! Cashfree order created:', result.gatewayOrderId);
     console.log('🟠 ========= END DEBUG =========');
 
     res.status(200).json(response);
@@ -617,7 +748,7 @@ router.post('/cashfree/verify', auth, [
       });
     }
 
-    if (order.payment.status === 'paid') {
+    if (['paid', 'partial'].includes(order.payment.status)) {
       return res.status(400).json({
         success: false,
         message: 'Payment already verified',
@@ -631,18 +762,18 @@ router.post('/cashfree/verify', auth, [
     console.log('🟠 Verifying Cashfree payment...');
 
     // Verify payment with Cashfree using the working API
-    const verification = await PaymentGateway.verifyCashfreeSignature({
-      orderId: cashfree_order_id,
+    const verification = await PaymentProviders.getProvider('cashfree').verifyPayment({
+      gatewayOrderId: cashfree_order_id,
       paymentId: cashfree_payment_id
     });
 
     console.log('🟠 Cashfree verification result:', verification);
 
-    if (!verification.success || !verification.isValid) {
+    const target = await loadPaymentTarget(order);
+
+    if (!verification.isValid) {
       // Mark payment as failed
-      order.payment.status = 'failed';
-      order.payment.failureReason = verification.error || 'Payment verification failed';
-      await order.save();
+      await markPaymentTargetFailed(target, verification.error || 'Payment verification failed');
 
       console.log('❌ Cashfree payment verification failed:', verification.error);
       return res.status(400).json({
@@ -652,29 +783,20 @@ router.post('/cashfree/verify', auth, [
       });
     }
 
-    // Payment successful - update order
-    order.payment.status = 'paid';
-    order.payment.transactionId = cashfree_payment_id;
-    order.payment.paidAt = new Date();
-    order.payment.gateway = 'cashfree';
-    order.status = 'confirmed';
-
     // Store additional payment details
     if (verification.paymentDetails) {
       order.payment.paymentMethod = verification.paymentDetails.payment_method;
       order.payment.bankReference = verification.paymentDetails.bank_reference;
     }
 
-    // Add timeline entry
-    order.timeline.push({
-      status: 'confirmed',
-      timestamp: new Date(),
+    // Payment successful - update order (and the rest of its group)
+    await markPaymentTargetPaid(target, {
+      transactionId: cashfree_payment_id,
+      gateway: 'cashfree',
       note: `Payment completed via Cashfree - Transaction ID: ${cashfree_payment_id}`,
       updatedBy: order.customer._id
     });
 
-    await order.save();
-
     console.log(`✅ Cashfree payment verified successfully: ${cashfree_payment_id}`);
 
     res.status(200).json({
@@ -682,6 +804,7 @@ router.post('/cashfree/verify', auth, [
       message: 'Payment verified successfully',
       data: {
         orderId: order.orderId,
+        orderIds: target.orders.map(o => o.orderId),
         transactionId: cashfree_payment_id,
         status: order.payment.status,
         paymentDetails: verification.paymentDetails
@@ -719,7 +842,9 @@ router.get('/cashfree/:orderId', auth, async (req, res, next) => {
     }
 
     // Get Cashfree order details
-    const result = await PaymentGateway.fetchCashfreePayment(order.payment.cashfreeOrderId);
+    const result = await PaymentProviders.getProvider('cashfree').fetchPayment({
+      gatewayOrderId: order.payment.cashfreeOrderId
+    });
 
     if (!result.success) {
       return res.status(500).json({
@@ -733,7 +858,8 @@ router.get('/cashfree/:orderId', auth, async (req, res, next) => {
       success: true,
       data: {
         orderId: order.orderId,
-        cashfreeOrder: result.order,
+        cashfreeOrder: result.raw,
+        gatewayStatus: result.status,
         paymentStatus: order.payment.status,
         orderStatus: order.status
       }
@@ -745,106 +871,486 @@ router.get('/cashfree/:orderId', auth, async (req, res, next) => {
   }
 });
 
+// Verify a gateway webhook, then log and apply it. Replays get a 200 so the
+// gateway stops retrying; processing errors get a 500 so it tries again.
+const handleGatewayWebhook = (provider) => async (req, res) => {
+  try {
+    const { valid, error, event } = provider.parseWebhook(req);
+    if (!valid) {
+      console.log(`❌ ${provider.displayName} webhook rejected:`, error);
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    console.log(`📡 ${provider.displayName} webhook received: ${event.gatewayEvent} (${event.id})`);
+
+    const { duplicate } = await handlePaymentEvent(provider, event);
+
+    res.status(200).json({
+      success: true,
+      message: duplicate ? 'Webhook already processed' : 'Webhook processed successfully'
+    });
+
+  } catch (error) {
+    console.error(`❌ ${provider.displayName} webhook error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
+  }
+};
+
+// @route   POST /api/payments/razorpay/webhook
+// @desc    Handle Razorpay webhook notifications
+// @access  Public (but secured with signature verification)
+router.post('/razorpay/webhook', handleGatewayWebhook(PaymentProviders.getProvider('razorpay')));
+
 // @route   POST /api/payments/cashfree/webhook
 // @desc    Handle Cashfree webhook notifications
 // @access  Public (but secured with signature verification)
-router.post('/cashfree/webhook', async (req, res) => {
-  try {
-    console.log('📡 Cashfree webhook received:', JSON.stringify(req.body, null, 2));
+router.post('/cashfree/webhook', handleGatewayWebhook(PaymentProviders.getProvider('cashfree')));
+
+// ===== PAYTM ROUTES =====
 
-    const { data, type } = req.body;
+const paytmProvider = PaymentProviders.getProvider('paytm');
 
-    if (!data || !type) {
-      console.log('❌ Invalid webhook payload');
+const requirePaytm = (req, res, next) => {
+  if (!paytmProvider.isConfigured()) {
+    return next(new ErrorHandler('Paytm payment gateway is not configured', 503));
+  }
+  next();
+};
+
+// Where the customer's browser goes after the Paytm payment page
+const getPaytmReturnUrl = (orderId, status) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'https://aggrekart-com.onrender.com';
+  return `${frontendUrl}/payment/success?order_id=${encodeURIComponent(orderId || '')}&gateway=paytm&status=${status}`;
+};
+
+const PAYTM_RETURN_STATUSES = {
+  [PaymentProviders.WEBHOOK_EVENTS.PAYMENT_PAID]: 'paid',
+  [PaymentProviders.WEBHOOK_EVENTS.PAYMENT_FAILED]: 'failed'
+};
+
+// @route   POST /api/payments/paytm/create-order
+// @desc    Initiate a Paytm transaction and return the JS Checkout token
+// @access  Private
+router.post('/paytm/create-order', requirePaytm, auth, idempotent('paytm-create-order'), [
+  body('orderId').notEmpty().withMessage('Order ID is required'),
+  body('amount').optional().isFloat({ min: 1 }).withMessage('Amount must be greater than 0')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid webhook payload'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    console.log('📡 Processing webhook type:', type);
+    // Orders from a multi-supplier checkout are paid for as a group
+    const target = await findPaymentTarget(req.body.orderId);
+    const order = target?.order;
+    if (!order || order.customer._id.toString() !== req.user._id.toString()) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    if (['paid', 'partial'].includes(order.payment.status)) {
+      return next(new ErrorHandler('Order is already paid', 400));
+    }
 
-    // Handle different webhook types
-    if (type === 'PAYMENT_SUCCESS_WEBHOOK' || type === 'PAYMENT_FAILED_WEBHOOK') {
-      const { order, payment } = data;
-      
-      if (!order || !payment) {
-        console.log('❌ Missing order or payment data in webhook');
-        return res.status(400).json({
-          success: false,
-          message: 'Missing order or payment data in webhook'
-        });
+    if (order.status === 'cancelled') {
+      return next(new ErrorHandler('Cannot pay for cancelled order', 400));
+    }
+
+    const result = await paytmProvider.createOrder({
+      reference: getPaymentReference(target),
+      amount: getPayableAmount(target, req.body.amount !== undefined ? parseFloat(req.body.amount) : order.payment.advanceAmount),
+      customer: {
+        id: order.customer._id.toString(),
+        name: order.customer.name,
+        email: order.customer.email,
+        phone: order.customer.phoneNumber
       }
+    });
 
-      // Find the order in our database
-      const dbOrder = await Order.findOne({ 
-        'payment.cashfreeOrderId': order.order_id 
-      }).populate('customer');
-
-      if (!dbOrder) {
-        console.log(`⚠️  Order not found for Cashfree order ID: ${order.order_id}`);
-        return res.status(404).json({
-          success: false,
-          message: 'Order not found'
-        });
+    if (!result.success) {
+      console.error('❌ Paytm transaction initiation failed:', result.error);
+      return next(new ErrorHandler(`Failed to create payment order: ${result.error}`, 502));
+    }
+
+    // Update order (and the rest of its group) with the Paytm order ID
+    await attachGatewayOrder(target, {
+      paytmOrderId: result.gatewayOrderId,
+      gateway: 'paytm',
+      method: 'paytm'
+    });
+
+    console.log(`✅ Paytm transaction initiated: ${result.gatewayOrderId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Paytm order created successfully',
+      data: {
+        paytmOrderId: result.gatewayOrderId,
+        amount: result.amount,
+        currency: result.currency,
+        orderId: order.orderId,
+        orderGroupId: target.group?.groupId,
+        ...result.checkout
       }
+    });
 
-      const { payment_status, cf_payment_id, payment_amount, payment_message } = payment;
-
-      console.log(`📡 Processing webhook for order ${dbOrder.orderId}: ${payment_status}`);
-
-      // Process webhook based on payment status
-      if (payment_status === 'SUCCESS') {
-        // Update payment status to paid if not already
-        if (dbOrder.payment.status !== 'paid') {
-          dbOrder.payment.status = 'paid';
-          dbOrder.payment.transactionId = cf_payment_id;
-          dbOrder.payment.paidAt = new Date();
-          dbOrder.status = 'confirmed';
-
-          // Add timeline entry
-          dbOrder.timeline.push({
-            status: 'confirmed',
-            timestamp: new Date(),
-            note: `Payment completed via Cashfree webhook - Transaction ID: ${cf_payment_id}`,
-            updatedBy: dbOrder.customer._id
-          });
-
-          await dbOrder.save();
-          console.log(`✅ Order ${dbOrder.orderId} marked as paid via webhook`);
+  } catch (error) {
+    console.error('❌ Paytm create order error:', error);
+    next(new ErrorHandler('Failed to create Paytm order', 500));
+  }
+});
+
+// @route   POST /api/payments/paytm/verify
+// @desc    Confirm a Paytm payment with the transaction status API (checksum checked when the JS Checkout response is sent)
+// @access  Private
+router.post('/paytm/verify', requirePaytm, auth, [
+  body('paytmOrderId').notEmpty().withMessage('Paytm order ID is required'),
+  body('params').optional().isObject().withMessage('params must be the Paytm response object')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paytmOrderId, params } = req.body;
+
+    const target = await findPaymentTargetByGatewayOrder(paytmProvider.orderIdField, paytmOrderId);
+    if (!target || target.order.customer._id.toString() !== req.user._id.toString()) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+    const { order } = target;
+
+    if (['paid', 'partial'].includes(order.payment.status)) {
+      return res.json({
+        success: true,
+        message: 'Payment already verified',
+        data: {
+          orderId: order.orderId,
+          transactionId: order.payment.transactionId,
+          status: order.payment.status
         }
-      } else if (['FAILED', 'CANCELLED', 'EXPIRED'].includes(payment_status)) {
-        // Update payment status to failed
-        if (dbOrder.payment.status !== 'failed') {
-          dbOrder.payment.status = 'failed';
-          dbOrder.payment.failureReason = payment_message || `Payment ${payment_status.toLowerCase()}`;
-          
-          // Add timeline entry
-          dbOrder.timeline.push({
-            status: dbOrder.status,
-            timestamp: new Date(),
-            note: `Payment ${payment_status.toLowerCase()} via Cashfree webhook - ${payment_message || 'No message'}`,
-            updatedBy: dbOrder.customer._id
-          });
-
-          await dbOrder.save();
-          console.log(`❌ Order ${dbOrder.orderId} payment failed via webhook: ${payment_status}`);
+      });
+    }
+
+    const verification = await paytmProvider.verifyPayment({ gatewayOrderId: paytmOrderId, params });
+
+    if (!verification.success) {
+      return next(new ErrorHandler(`Could not reach Paytm: ${verification.error}`, 502));
+    }
+
+    // Still processing at the bank; the webhook settles it
+    if (verification.status === PaymentProviders.PAYMENT_STATUS.PENDING) {
+      return res.status(202).json({
+        success: true,
+        message: 'Payment is still being processed by Paytm',
+        data: {
+          orderId: order.orderId,
+          status: 'pending'
         }
+      });
+    }
+
+    if (!verification.isValid) {
+      await markPaymentTargetFailed(target, verification.error || 'Payment verification failed');
+      console.log('❌ Paytm payment verification failed:', verification.error);
+      return res.status(400).json({
+        success: false,
+        message: 'Payment verification failed',
+        error: verification.error
+      });
+    }
+
+    order.payment.paytmTxnId = verification.transactionId;
+    await markPaymentTargetPaid(target, {
+      transactionId: verification.transactionId,
+      gateway: 'paytm',
+      note: `Payment completed via Paytm - Transaction ID: ${verification.transactionId}`,
+      updatedBy: order.customer._id
+    });
+
+    console.log(`✅ Paytm payment verified successfully: ${verification.transactionId}`);
+
+    res.json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: {
+        orderId: order.orderId,
+        orderIds: target.orders.map(o => o.orderId),
+        transactionId: verification.transactionId,
+        status: order.payment.status,
+        paymentDetails: verification.paymentDetails
       }
+    });
+
+  } catch (error) {
+    console.error('❌ Paytm verify payment error:', error);
+    next(new ErrorHandler('Failed to verify Paytm payment', 500));
+  }
+});
+
+// @route   POST /api/payments/paytm/callback
+// @desc    Paytm's post-payment form post through the customer's browser; applied like a webhook, then back to the app
+// @access  Public (secured with checksum verification)
+router.post('/paytm/callback', async (req, res) => {
+  try {
+    const { valid, error, event } = paytmProvider.parseWebhook(req);
+    if (!valid) {
+      console.log('❌ Paytm callback rejected:', error);
+      return res.redirect(getPaytmReturnUrl(req.body?.ORDERID, 'failed'));
     }
 
+    await handlePaymentEvent(paytmProvider, event);
+
+    const target = await findPaymentTargetByGatewayOrder(paytmProvider.orderIdField, event.gatewayOrderId);
+    res.redirect(getPaytmReturnUrl(target?.order.orderId, PAYTM_RETURN_STATUSES[event.type] || 'pending'));
+
+  } catch (error) {
+    // The webhook or the status check picks the payment up
+    console.error('❌ Paytm callback error:', error);
+    res.redirect(getPaytmReturnUrl(req.body?.ORDERID, 'pending'));
+  }
+});
+
+// @route   POST /api/payments/paytm/webhook
+// @desc    Handle Paytm payment and refund notifications
+// @access  Public (but secured with checksum verification)
+router.post('/paytm/webhook', handleGatewayWebhook(paytmProvider));
+
+// @route   GET /api/payments/paytm/:orderId
+// @desc    Get the Paytm transaction status for an order
+// @access  Private
+router.get('/paytm/:orderId', requirePaytm, auth, async (req, res, next) => {
+  try {
+    const order = await Order.findOne({ orderId: req.params.orderId, customer: req.user._id });
+    if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    if (!order.payment.paytmOrderId) {
+      return next(new ErrorHandler('No Paytm payment has been started for this order', 404));
+    }
+
+    const result = await paytmProvider.fetchPayment({ gatewayOrderId: order.payment.paytmOrderId });
+
+    if (!result.success) {
+      return next(new ErrorHandler(`Failed to get transaction status: ${result.error}`, 502));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.orderId,
+        paytmOrderId: order.payment.paytmOrderId,
+        transactionId: result.transactionId,
+        gatewayStatus: result.status,
+        amount: result.amount,
+        message: result.message,
+        paymentStatus: order.payment.status,
+        orderStatus: order.status
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Get Paytm transaction status error:', error);
+    next(new ErrorHandler('Failed to get transaction status', 500));
+  }
+});
+
+// ===== MOCK GATEWAY ROUTES (local development) =====
+
+const mockProvider = PaymentProviders.getProvider('mock');
+
+const requireMockGateway = (req, res, next) => {
+  if (!mockProvider.isConfigured()) {
+    return next(new ErrorHandler('Mock payment gateway is disabled', 404));
+  }
+  next();
+};
+
+// @route   POST /api/payments/mock/create-order
+// @desc    Create a mock gateway order for an order or order group
+// @access  Private (development only)
+router.post('/mock/create-order', requireMockGateway, auth, idempotent('mock-create-order'), [
+  body('orderId').notEmpty().withMessage('Order ID is required'),
+  body('amount').optional().isFloat({ min: 1 }).withMessage('Amount must be greater than 0')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const target = await findPaymentTarget(req.body.orderId);
+    const order = target?.order;
+    if (!order || order.customer._id.toString() !== req.user._id.toString()) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    if (['paid', 'partial'].includes(order.payment.status)) {
+      return next(new ErrorHandler('Order is already paid', 400));
+    }
+
+    const result = await mockProvider.createOrder({
+      reference: getPaymentReference(target),
+      amount: getPayableAmount(target, req.body.amount !== undefined ? parseFloat(req.body.amount) : order.payment.advanceAmount)
+    });
+
+    if (!result.success) {
+      return next(new ErrorHandler(result.error, 500));
+    }
+
+    await attachGatewayOrder(target, {
+      mockOrderId: result.gatewayOrderId,
+      gateway: 'mock',
+      method: 'mock'
+    });
+
+    console.log(`🧪 Mock gateway order ${result.gatewayOrderId} created for ${getPaymentReference(target)}`);
+
     res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully'
+      message: 'Mock payment order created',
+      data: {
+        mockOrderId: result.gatewayOrderId,
+        amount: result.amount,
+        currency: result.currency,
+        orderId: order.orderId,
+        orderGroupId: target.group?.groupId,
+        ...result.checkout
+      }
     });
 
   } catch (error) {
-    console.error('❌ Cashfree webhook error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Webhook processing failed'
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/mock/simulate/:mockOrderId
+// @desc    Play out a mock payment: success, failure or pending, with an optional webhook delay
+// @access  Private (development only)
+router.post('/mock/simulate/:mockOrderId', requireMockGateway, auth, [
+  body('outcome').optional().isIn(mockProvider.MOCK_OUTCOMES).withMessage(`Outcome must be one of ${mockProvider.MOCK_OUTCOMES.join(', ')}`),
+  body('webhookDelayMs').optional().isInt({ min: 0, max: 300000 }).withMessage('Webhook delay must be 0-300000 ms'),
+  body('settleAs').optional().isIn(['success', 'failure']).withMessage('settleAs must be success or failure')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mockOrderId } = req.params;
+    const target = await findPaymentTargetByGatewayOrder(mockProvider.orderIdField, mockOrderId);
+    if (!target || target.order.customer._id.toString() !== req.user._id.toString()) {
+      return next(new ErrorHandler('Mock order not found', 404));
+    }
+
+    const result = mockProvider.simulatePayment(mockOrderId, {
+      outcome: req.body.outcome,
+      webhookDelayMs: req.body.webhookDelayMs !== undefined ? parseInt(req.body.webhookDelayMs) : 0,
+      settleAs: req.body.settleAs
+    });
+
+    if (!result.success) {
+      return next(new ErrorHandler(result.error, 400));
+    }
+
+    res.json({
+      success: true,
+      message: `Mock payment ${result.status}`,
+      data: {
+        mockOrderId,
+        paymentId: result.paymentId,
+        signature: result.signature,
+        status: result.status,
+        webhookAt: result.webhookAt
+      }
     });
+
+  } catch (error) {
+    next(error);
   }
 });
 
+// @route   POST /api/payments/mock/verify
+// @desc    Verify a simulated payment (same flow as Razorpay checkout)
+// @access  Private (development only)
+router.post('/mock/verify', requireMockGateway, auth, [
+  body('mockOrderId').notEmpty().withMessage('Mock order ID is required'),
+  body('paymentId').notEmpty().withMessage('Payment ID is required'),
+  body('signature').notEmpty().withMessage('Signature is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mockOrderId, paymentId, signature } = req.body;
+
+    const target = await findPaymentTargetByGatewayOrder(mockProvider.orderIdField, mockOrderId);
+    if (!target || target.order.customer._id.toString() !== req.user._id.toString()) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+    const { order } = target;
+
+    const verification = await mockProvider.verifyPayment({ gatewayOrderId: mockOrderId, paymentId, signature });
+
+    if (!verification.isValid) {
+      await markPaymentTargetFailed(target, verification.error);
+      return next(new ErrorHandler('Payment verification failed', 400));
+    }
+
+    await markPaymentTargetPaid(target, {
+      transactionId: paymentId,
+      gateway: 'mock',
+      note: `Payment completed via mock gateway - Transaction ID: ${paymentId}`,
+      updatedBy: order.customer._id
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment verified successfully',
+      data: {
+        orderId: order.orderId,
+        orderIds: target.orders.map(o => o.orderId),
+        transactionId: paymentId,
+        status: order.payment.status
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/payments/mock/webhook
+// @desc    Webhooks sent by the mock gateway
+// @access  Public (signed)
+router.post('/mock/webhook', requireMockGateway, handleGatewayWebhook(mockProvider));
+
 module.exports = router;
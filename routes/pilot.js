@@ -12,8 +12,47 @@ const {
   NotificationService
 } = require('../utils/notifications');
 const { pilotAuth, generatePilotToken } = require('../middleware/auth');
+const { ORDER_ACTORS } = require('../utils/orderStateMachine');
+const { validateNetWeights, recordTripNetWeights, reconcileOrder, notifyInvoiceRevision } = require('../utils/weighbridge');
+const { createShortfallRefund } = require('../utils/refunds');
+const {
+  getDoorstepAmountDue,
+  requiresDoorstepCollection,
+  createUpiCollection,
+  recordDoorstepCollection,
+  formatCollection
+} = require('../utils/doorstepCollection');
 const router = express.Router();
 
+// Orders a pilot can pick up; partially delivered orders still have material for more trips
+const PICKUP_STATUSES = ['confirmed', 'preparing', 'processing', 'dispatched', 'partially_delivered'];
+const IN_TRANSIT_STATUSES = ['dispatched', 'partially_delivered'];
+
+const formatTripItems = (order, tripItems) => tripItems.map(tripItem => {
+  const item = order.items.id(tripItem.orderItem);
+  return {
+    name: item?.productSnapshot?.name,
+    quantity: tripItem.quantity,
+    unit: item?.productSnapshot?.unit
+  };
+});
+
+// In-transit order this pilot is delivering, on its own or as one of its trips
+const findPilotDeliveryOrder = (orderId, pilotId) => {
+  return Order.findOne({
+    orderId,
+    status: { $in: IN_TRANSIT_STATUSES },
+    $or: [{ 'delivery.pilotAssigned': pilotId }, { 'trips.pilot': pilotId }]
+  });
+};
+
+const formatTrip = (order, trip) => ({
+  tripNumber: trip.tripNumber,
+  status: trip.status,
+  weightMT: trip.weightMT,
+  items: formatTripItems(order, trip.items)
+});
+
 // @route   POST /api/pilot/register
 // @desc    Register as pilot/driver
 // @access  Public
@@ -203,14 +242,14 @@ router.post('/scan-order', pilotAuth, [
     // Find order - handle both ObjectId and string formats safely
     let query = {
       orderId,
-      status: { $in: ['confirmed', 'preparing', 'processing', 'dispatched'] }
+      status: { $in: PICKUP_STATUSES }
     };
 
     // Only add _id search if orderId looks like a valid ObjectId
     if (orderId && orderId.match(/^[0-9a-fA-F]{24}$/)) {
       query = {
         $or: [{ _id: orderId }, { orderId }],
-        status: { $in: ['confirmed', 'preparing', 'processing', 'dispatched'] }
+        status: { $in: PICKUP_STATUSES }
       };
     }
 
@@ -222,8 +261,8 @@ router.post('/scan-order', pilotAuth, [
       return next(new ErrorHandler('Order not found or not ready for pickup', 404));
     }
 
-    if (order.delivery && order.delivery.pilotAssigned) {
-      return next(new ErrorHandler('Order already assigned to another pilot', 400));
+    if (!order.hasUnallocatedQuantity()) {
+      return next(new ErrorHandler('All material on this order is already assigned to vehicles', 400));
     }
 
     // Generate delivery OTP for this order if not already generated
@@ -233,6 +272,10 @@ router.post('/scan-order', pilotAuth, [
       await order.save();
     }
 
+    // What this pilot's vehicle would carry if they accept
+    const nextTrip = order.previewTrip(req.pilot.vehicleDetails.capacity);
+    const unallocated = order.getUnallocatedQuantities();
+
     // Return order details for pilot
     res.json({
       success: true,
@@ -273,9 +316,21 @@ router.post('/scan-order', pilotAuth, [
           pricing: order.pricing,
           totalAmount: order.pricing?.totalAmount || 0, // ✅ FIXED: Ensure totalAmount is always a number
           estimatedDeliveryTime: order.delivery?.estimatedTime || '2-4 hours',
+          deliverySlot: order.deliverySlot?.date ? order.deliverySlot : null,
           specialInstructions: order.notes,
           status: order.status
-        }
+        },
+        nextTrip: {
+          tripNumber: order.trips.length + 1,
+          weightMT: nextTrip.weightMT,
+          vehicleCapacityMT: req.pilot.vehicleDetails.capacity,
+          items: formatTripItems(order, nextTrip.items)
+        },
+        remaining: order.items.map(item => ({
+          name: item.productSnapshot?.name,
+          ordered: item.quantity,
+          unassigned: unallocated[item._id.toString()]
+        }))
       }
     });
 
@@ -318,14 +373,14 @@ router.post('/accept-order', pilotAuth, [
     // Find order - handle both ObjectId and string formats safely
     let query = {
       orderId,
-      status: { $in: ['confirmed', 'preparing', 'processing', 'dispatched'] }
+      status: { $in: PICKUP_STATUSES }
     };
 
     // Only add _id search if orderId looks like a valid ObjectId
     if (orderId && orderId.match(/^[0-9a-fA-F]{24}$/)) {
       query = {
         $or: [{ _id: orderId }, { orderId }],
-        status: { $in: ['confirmed', 'preparing', 'processing', 'dispatched'] }
+        status: { $in: PICKUP_STATUSES }
       };
     }
 
@@ -335,18 +390,31 @@ router.post('/accept-order', pilotAuth, [
       return next(new ErrorHandler('Order not found or not ready for pickup', 404));
     }
 
-    // Assign pilot to order
+    // Load this pilot's vehicle with the next trip
+    const trip = order.planTrip(pilot);
+    if (!trip) {
+      return next(new ErrorHandler('All material on this order is already assigned to vehicles', 400));
+    }
+
+    // Latest assigned pilot is mirrored on the order for existing pilot queries
     order.delivery.driverDetails = {
       name: pilot.name,
       phoneNumber: pilot.phoneNumber,
       vehicleNumber: pilot.vehicleDetails.registrationNumber
     };
     order.delivery.pilotAssigned = pilot._id;
-    order.timeline.push({
-      status: 'dispatched',
-      timestamp: new Date(),
-      note: `Order assigned to pilot ${pilot.name} (${pilot.vehicleDetails.registrationNumber})`
-    });
+
+    // Pickup by the pilot dispatches a processed order; earlier stages only record the assignment
+    const assignmentNote = `Trip ${trip.tripNumber} (${trip.weightMT} MT) assigned to pilot ${pilot.name} (${pilot.vehicleDetails.registrationNumber})`;
+    if (order.canTransitionTo('dispatched', ORDER_ACTORS.PILOT)) {
+      order.updateStatus('dispatched', assignmentNote, null, { actor: ORDER_ACTORS.PILOT });
+    } else {
+      order.timeline.push({
+        status: order.status,
+        timestamp: new Date(),
+        note: assignmentNote
+      });
+    }
 
     await order.save();
 
@@ -365,6 +433,11 @@ router.post('/accept-order', pilotAuth, [
       console.error('Failed to send driver details SMS:', error);
     }
 
+    // Every trip after the first is confirmed with its own OTP
+    if (trip.tripNumber > 1) {
+      await sendCustomerDeliveryOTP(order.customer, order, trip.deliveryOTP);
+    }
+
     res.json({
       success: true,
       message: 'Order accepted successfully',
@@ -373,8 +446,11 @@ router.post('/accept-order', pilotAuth, [
           orderId: order.orderId,
           customerName: order.customer.name,
           deliveryAddress: order.deliveryAddress,
-          customerPhone: order.customer.phoneNumber
-        }
+          customerPhone: order.customer.phoneNumber,
+          deliverySlot: order.deliverySlot?.date ? order.deliverySlot : null
+        },
+        trip: formatTrip(order, trip),
+        hasMoreTrips: order.hasUnallocatedQuantity()
       }
     });
 
@@ -406,14 +482,14 @@ router.post('/start-journey', pilotAuth, [
     // Find order - handle both ObjectId and string formats safely
     let query = {
       orderId,
-      status: 'dispatched'
+      status: { $in: IN_TRANSIT_STATUSES }
     };
 
     // Only add _id search if orderId looks like a valid ObjectId
     if (orderId && orderId.match(/^[0-9a-fA-F]{24}$/)) {
       query = {
         $or: [{ _id: orderId }, { orderId }],
-        status: 'dispatched'
+        status: { $in: IN_TRANSIT_STATUSES }
       };
     }
 
@@ -423,17 +499,25 @@ router.post('/start-journey', pilotAuth, [
       return next(new ErrorHandler('Order not found', 404));
     }
 
+    const trip = order.findTrip({ pilotId: req.pilot._id });
+    if (trip) {
+      trip.status = 'in_transit';
+      trip.startedAt = new Date();
+    }
+
     // Update order status
     order.timeline.push({
-      status: 'dispatched',
+      status: order.status,
       timestamp: new Date(),
-      note: 'Driver started journey to delivery location'
+      note: trip
+        ? `Driver started journey to delivery location (trip ${trip.tripNumber})`
+        : 'Driver started journey to delivery location'
     });
 
     await order.save();
 
     // Update pilot location
-    const pilot = await Pilot.findById(order.delivery.pilotAssigned);
+    const pilot = await Pilot.findById(trip ? trip.pilot : order.delivery.pilotAssigned);
     if (pilot) {
       pilot.updateLocation(currentLocation.longitude, currentLocation.latitude);
       await pilot.save();
@@ -469,6 +553,11 @@ router.post('/start-journey', pilotAuth, [
 router.post('/complete-delivery', pilotAuth, [
   body('orderId').notEmpty().withMessage('Order ID is required'),
   body('deliveryOTP').isLength({ min: 6, max: 6 }).withMessage('Valid 6-digit OTP is required'),
+  body('tripNumber').optional().isInt({ min: 1 }).withMessage('Invalid trip number'),
+  body('weighBillUrl').optional().isURL().withMessage('Weigh bill must be a valid URL'),
+  body('netWeights').optional().isArray().withMessage('Net weights must be an array'),
+  body('netWeights.*.itemId').notEmpty().withMessage('Item ID is required'),
+  body('netWeights.*.netWeight').isFloat({ min: 0.01 }).withMessage('Net weight must be a positive number (MT)'),
   body('deliveryNotes').optional().trim().isLength({ max: 500 }).withMessage('Delivery notes cannot exceed 500 characters'),
   body('customerRating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1-5')
 ], async (req, res, next) => {
@@ -482,49 +571,101 @@ router.post('/complete-delivery', pilotAuth, [
       });
     }
 
-    const { orderId, deliveryOTP, deliveryNotes, customerRating } = req.body;
+    const { orderId, deliveryOTP, deliveryNotes, customerRating, tripNumber, weighBillUrl, netWeights = [] } = req.body;
 
     // Find order - handle both ObjectId and string formats safely
     let query = {
       orderId,
-      status: 'dispatched'
+      status: { $in: IN_TRANSIT_STATUSES }
     };
 
     // Only add _id search if orderId looks like a valid ObjectId
     if (orderId && orderId.match(/^[0-9a-fA-F]{24}$/)) {
       query = {
         $or: [{ _id: orderId }, { orderId }],
-        status: 'dispatched'
+        status: { $in: IN_TRANSIT_STATUSES }
       };
     }
 
     const order = await Order.findOne(query)
-    .populate('customer', 'phoneNumber name')
-    .populate('supplier', 'contactPersonNumber companyName');
+    .populate('customer', 'phoneNumber name email')
+    .populate('supplier', 'contactPersonNumber companyName commissionRate');
 
     if (!order) {
       return next(new ErrorHandler('Order not found', 404));
     }
 
-    // Verify delivery OTP
-    if (order.delivery.deliveryOTP !== deliveryOTP) {
-      return next(new ErrorHandler('Invalid delivery OTP', 400));
+    // Weights for items that cannot be reconciled are refused before anything is recorded
+    await validateNetWeights(order, netWeights);
+
+    let trip = null;
+    let weights = netWeights;
+
+    if (order.trips.length > 0) {
+      // Split delivery: complete this pilot's trip only
+      trip = order.findTrip({ tripNumber, pilotId: req.pilot._id });
+
+      if (!trip) {
+        return next(new ErrorHandler('No active trip found for this pilot', 404));
+      }
+      if (trip.pilot?.toString() !== req.pilot._id.toString()) {
+        return next(new ErrorHandler('Trip is assigned to another pilot', 403));
+      }
+      if (!['assigned', 'in_transit'].includes(trip.status)) {
+        return next(new ErrorHandler(`Trip ${trip.tripNumber} is already ${trip.status}`, 400));
+      }
+      if (trip.deliveryOTP !== deliveryOTP) {
+        return next(new ErrorHandler('Invalid delivery OTP', 400));
+      }
+
+      order.completeTrip(trip, {
+        actor: ORDER_ACTORS.PILOT,
+        deliveryNotes,
+        weighBillUrl
+      });
+
+      // Per-trip weights roll up onto the items; nothing left to apply directly
+      recordTripNetWeights(order, trip, netWeights);
+      weights = [];
+    } else {
+      // Verify delivery OTP
+      if (order.delivery.deliveryOTP !== deliveryOTP) {
+        return next(new ErrorHandler('Invalid delivery OTP', 400));
+      }
+
+      // Complete delivery
+      order.updateStatus('delivered', 'Order delivered successfully', null, {
+        actor: ORDER_ACTORS.PILOT,
+        otpVerified: true
+      });
+      order.delivery.deliveryNotes = deliveryNotes;
+    }
+
+    // COD orders are handed over only once the pilot has collected the money
+    if (order.status === 'delivered' && requiresDoorstepCollection(order)) {
+      return next(new ErrorHandler('Collect the COD amount in cash or by UPI before completing the delivery', 400));
     }
 
-    // Complete delivery
-    order.status = 'delivered';
-    order.delivery.actualDeliveryTime = new Date();
-    order.delivery.deliveryNotes = deliveryNotes;
-    order.timeline.push({
-      status: 'delivered',
-      timestamp: new Date(),
-      note: 'Order delivered successfully'
-    });
+    // Reconcile weighed material once everything has been delivered
+    let adjustment = null;
+    const hasNetWeights = weights.length > 0 ||
+      order.items.some(item => item.actualQuantityDelivered !== null && item.actualQuantityDelivered !== undefined);
+
+    if (order.status === 'delivered' && hasNetWeights) {
+      // Items weighed on earlier trips that cannot be reconciled must not block the delivery
+      ({ adjustment } = await reconcileOrder(order, order.supplier, {
+        weights: weights.map(weight => ({ ...weight, weighBillUrl })),
+        skipUnreconcilable: true
+      }));
+    }
 
     await order.save();
 
+    await notifyInvoiceRevision(order.customer, order, adjustment);
+    await createShortfallRefund(order, adjustment);
+
     // Update pilot status
-    const pilot = await Pilot.findById(order.delivery.pilotAssigned);
+    const pilot = await Pilot.findById(trip ? trip.pilot : order.delivery.pilotAssigned);
     if (pilot) {
       pilot.isAvailable = true;
       pilot.currentOrder = null;
@@ -538,10 +679,21 @@ router.post('/complete-delivery', pilotAuth, [
       await pilot.save();
     }
 
-    // Send delivery completion notifications
-    try {
-      // Send notification to customer
-      const customerMessage = `🎉 Order Delivered Successfully!
+    if (order.status === 'partially_delivered') {
+      // Remaining trips are still on their way
+      try {
+        await sendSMS(
+          order.customer.phoneNumber,
+          `Trip ${trip.tripNumber} of your order ${order.orderId} has been delivered (${trip.weightMT} MT). The remaining material will follow in the next trip(s). Aggrekart`
+        );
+      } catch (notificationError) {
+        console.error('❌ Failed to send trip delivery SMS:', notificationError);
+      }
+    } else {
+      // Send delivery completion notifications
+      try {
+        // Send notification to customer
+        const customerMessage = `🎉 Order Delivered Successfully!
 
 Order ID: ${order.orderId}
 Delivered on: ${new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}
@@ -554,13 +706,13 @@ Rate your experience: aggrekart.com/feedback/${order.orderId}
 
 Happy building! 🙏`;
 
-      if (order.customer && order.customer.phoneNumber) {
-        await sendSMS(order.customer.phoneNumber, customerMessage);
-        console.log(`📱 Delivery completion SMS sent to customer: ${order.customer.phoneNumber}`);
-      }
+        if (order.customer && order.customer.phoneNumber) {
+          await sendSMS(order.customer.phoneNumber, customerMessage);
+          console.log(`📱 Delivery completion SMS sent to customer: ${order.customer.phoneNumber}`);
+        }
 
-      // Send notification to supplier
-      const supplierMessage = `✅ Order Delivered Successfully!
+        // Send notification to supplier
+        const supplierMessage = `✅ Order Delivered Successfully!
 
 Order ID: ${order.orderId}
 Customer: ${order.customer.name}
@@ -572,25 +724,30 @@ Thank you for fulfilling this order through Aggrekart! 🚚
 
 Aggrekart Supplier Portal`;
 
-      if (order.supplier && order.supplier.contactPersonNumber) {
-        await sendSMS(order.supplier.contactPersonNumber, supplierMessage);
-        console.log(`📱 Delivery completion SMS sent to supplier: ${order.supplier.contactPersonNumber}`);
-      }
+        if (order.supplier && order.supplier.contactPersonNumber) {
+          await sendSMS(order.supplier.contactPersonNumber, supplierMessage);
+          console.log(`📱 Delivery completion SMS sent to supplier: ${order.supplier.contactPersonNumber}`);
+        }
 
-    } catch (notificationError) {
-      console.error('❌ Failed to send delivery completion notifications:', notificationError);
-      // Continue execution - don't fail the API if notifications fail
+      } catch (notificationError) {
+        console.error('❌ Failed to send delivery completion notifications:', notificationError);
+        // Continue execution - don't fail the API if notifications fail
+      }
     }
 
     res.json({
       success: true,
-      message: 'Delivery completed successfully',
+      message: order.status === 'delivered'
+        ? 'Delivery completed successfully'
+        : `Trip ${trip.tripNumber} delivered; order is partially delivered`,
       data: {
         order: {
           orderId: order.orderId,
           status: order.status,
           deliveredAt: order.delivery.actualDeliveryTime
         },
+        trip: trip ? formatTrip(order, trip) : null,
+        adjustment,
         pilot: {
           totalDeliveries: pilot.totalDeliveries,
           rating: pilot.rating,
@@ -604,6 +761,150 @@ Aggrekart Supplier Portal`;
   }
 });
 
+// @route   GET /api/pilot/orders/:orderId/collection
+// @desc    Amount to collect at the door and the collections recorded so far
+// @access  Private (Pilot)
+router.get('/orders/:orderId/collection', pilotAuth, [
+  param('orderId').notEmpty().withMessage('Order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await findPilotDeliveryOrder(req.params.orderId, req.pilot._id);
+    if (!order) {
+      return next(new ErrorHandler('Order not found or not assigned to you', 404));
+    }
+
+    const due = getDoorstepAmountDue(order);
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order.orderId,
+        paymentMethod: order.payment.method,
+        paymentStatus: order.payment.status,
+        amountDue: due.amount,
+        purpose: due.purpose,
+        // UPI payments recorded at the door that have not been checked against the bank yet
+        awaitingVerificationAmount: order.payment.doorstepCollections
+          .filter(collection => collection.status === 'unverified')
+          .reduce((sum, collection) => sum + collection.amount, 0),
+        collectionRequired: requiresDoorstepCollection(order),
+        collections: order.payment.doorstepCollections.map(formatCollection)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/pilot/orders/:orderId/upi-qr
+// @desc    Generate a dynamic UPI QR code for the COD amount or balance due on the order
+// @access  Private (Pilot)
+router.post('/orders/:orderId/upi-qr', pilotAuth, [
+  param('orderId').notEmpty().withMessage('Order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const order = await findPilotDeliveryOrder(req.params.orderId, req.pilot._id);
+    if (!order) {
+      return next(new ErrorHandler('Order not found or not assigned to you', 404));
+    }
+
+    const { collection, qrCode } = await createUpiCollection(order, req.pilot._id);
+    await order.save();
+
+    console.log(`📱 UPI QR ${collection.collectionId} for ₹${collection.amount} generated on order ${order.orderId}`);
+
+    res.json({
+      success: true,
+      message: 'UPI QR code generated',
+      data: {
+        orderId: order.orderId,
+        collection: formatCollection(collection),
+        payeeVpa: collection.payeeVpa,
+        upiUrl: collection.upiUrl,
+        qrCode
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/pilot/orders/:orderId/collection
+// @desc    Record the COD amount or balance collected at the door, in cash or by UPI
+// @access  Private (Pilot)
+router.post('/orders/:orderId/collection', pilotAuth, [
+  param('orderId').notEmpty().withMessage('Order ID is required'),
+  body('mode').isIn(['cash', 'upi']).withMessage('Mode must be cash or upi'),
+  body('upiTransactionId')
+    .if(body('mode').equals('upi'))
+    .trim()
+    .matches(/^\d{12}$/)
+    .withMessage('A valid 12-digit UPI transaction ID (UTR) is required'),
+  body('collectionId').optional().trim().notEmpty().withMessage('Invalid collection ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { mode, upiTransactionId, collectionId } = req.body;
+
+    const order = await findPilotDeliveryOrder(req.params.orderId, req.pilot._id);
+    if (!order) {
+      return next(new ErrorHandler('Order not found or not assigned to you', 404));
+    }
+
+    const collection = await recordDoorstepCollection(order, {
+      mode,
+      upiTransactionId,
+      collectionId,
+      pilotId: req.pilot._id
+    });
+    await order.save();
+
+    console.log(`💵 ₹${collection.amount} collected (${mode}) on order ${order.orderId} by pilot ${req.pilot.pilotId}`);
+
+    res.json({
+      success: true,
+      message: mode === 'upi' ? 'UPI payment recorded, awaiting verification' : 'Payment collection recorded',
+      data: {
+        orderId: order.orderId,
+        paymentStatus: order.payment.status,
+        remainingAmount: order.payment.method === 'cod' ? 0 : order.payment.remainingAmount,
+        collection: formatCollection(collection)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/pilot/profile/:pilotId
 // @desc    Get pilot profile
 // @access  Private (Pilot)
@@ -1164,7 +1465,8 @@ router.get('/delivery-details/:orderId', pilotAuth, [
         assignedAt: order.delivery?.assignedAt || null,
         pickedUpAt: order.delivery?.pickedUpAt || null,
         deliveredAt: order.delivery?.deliveredAt || null,
-        estimatedDelivery: order.delivery?.estimatedDeliveryTime || null
+        estimatedDelivery: order.delivery?.estimatedDeliveryTime || null,
+        deliverySlot: order.deliverySlot?.date ? order.deliverySlot : null
       },
       status: order.orderStatus || 'unknown',
       paymentMethod: order.paymentMethod || 'N/A',
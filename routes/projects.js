@@ -0,0 +1,373 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const Project = require('../models/Project');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { ErrorHandler } = require('../utils/errorHandler');
+const { PRODUCT_CATEGORIES } = require('../utils/constants');
+const { findAccessibleProject, getProjectDashboard } = require('../utils/projects');
+const router = express.Router();
+
+const siteAddressValidation = (optional) => [
+  (optional ? body('siteAddress').optional() : body('siteAddress').if(body('addressId').not().exists()))
+    .isObject().withMessage('Site address or a saved addressId is required'),
+  body('siteAddress.address').if(body('siteAddress').exists()).trim().notEmpty().withMessage('Site address is required'),
+  body('siteAddress.city').if(body('siteAddress').exists()).trim().notEmpty().withMessage('City is required'),
+  body('siteAddress.state').if(body('siteAddress').exists()).trim().notEmpty().withMessage('State is required'),
+  body('siteAddress.pincode').if(body('siteAddress').exists()).matches(/^[1-9][0-9]{5}$/).withMessage('Valid pincode is required'),
+  body('siteAddress.coordinates.latitude').if(body('siteAddress').exists()).isFloat({ min: -90, max: 90 }).withMessage('Valid site latitude is required'),
+  body('siteAddress.coordinates.longitude').if(body('siteAddress').exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid site longitude is required')
+];
+
+const projectValidation = [
+  body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters'),
+  body('budgets').optional().isArray().withMessage('Budgets must be an array'),
+  body('budgets.*.category').isIn(Object.values(PRODUCT_CATEGORIES)).withMessage('Invalid budget category'),
+  body('budgets.*.amount').isFloat({ min: 0 }).withMessage('Budget amount cannot be negative'),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+];
+
+// Site address from the request, or copied from one of the user's saved addresses
+const resolveSiteAddress = async (req) => {
+  const { siteAddress, addressId } = req.body;
+  if (siteAddress) return siteAddress;
+
+  const user = await User.findById(req.user._id);
+  const address = user.addresses.id(addressId);
+  if (!address) {
+    throw new ErrorHandler('Address not found', 404);
+  }
+  if (!address.coordinates?.latitude || !address.coordinates?.longitude) {
+    throw new ErrorHandler('Saved address has no location; send the site coordinates', 400);
+  }
+
+  return {
+    address: address.address,
+    city: address.city,
+    state: address.state,
+    pincode: address.pincode,
+    coordinates: address.coordinates
+  };
+};
+
+const formatProject = (project, userId) => ({
+  ...project.toObject(),
+  role: project.getRole(userId)
+});
+
+// @route   POST /api/projects
+// @desc    Create a construction project / site
+// @access  Private (Customer)
+router.post('/', auth, authorize('customer'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Project name must be 2-100 characters'),
+  body('addressId').optional().isMongoId().withMessage('Valid address ID is required'),
+  ...siteAddressValidation(false),
+  ...projectValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, budgets = [], startDate, endDate } = req.body;
+
+    const project = new Project({
+      owner: req.user._id,
+      name,
+      description,
+      siteAddress: await resolveSiteAddress(req),
+      budgets,
+      startDate,
+      endDate
+    });
+
+    await project.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: { project: formatProject(project, req.user._id) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects
+// @desc    List projects the customer owns or is a member of
+// @access  Private (Customer)
+router.get('/', auth, authorize('customer'), [
+  query('status').optional().isIn(['active', 'on_hold', 'completed']).withMessage('Invalid status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const projects = await Project.findForUser(req.user._id, filter)
+      .populate('owner', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { projects: projects.map(project => formatProject(project, req.user._id)) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:projectId
+// @desc    Get project details
+// @access  Private (Project owner/member)
+router.get('/:projectId', auth, authorize('customer'), async (req, res, next) => {
+  try {
+    const project = await findAccessibleProject(req.params.projectId, req.user._id);
+    await project.populate([
+      { path: 'owner', select: 'name email phoneNumber' },
+      { path: 'members.user', select: 'name email phoneNumber' }
+    ]);
+
+    res.json({
+      success: true,
+      data: { project: formatProject(project, req.user._id) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:projectId
+// @desc    Update project details, site or budgets
+// @access  Private (Project owner)
+router.put('/:projectId', auth, authorize('customer'), [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Project name must be 2-100 characters'),
+  body('status').optional().isIn(['active', 'on_hold', 'completed']).withMessage('Invalid status'),
+  ...siteAddressValidation(true),
+  ...projectValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await findAccessibleProject(req.params.projectId, req.user._id, { ownerOnly: true });
+
+    const allowedFields = ['name', 'description', 'siteAddress', 'budgets', 'status', 'startDate', 'endDate'];
+    allowedFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        project[field] = req.body[field];
+      }
+    });
+
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: { project: formatProject(project, req.user._id) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:projectId/members
+// @desc    Add a customer to the project (or change their role)
+// @access  Private (Project owner)
+router.post('/:projectId/members', auth, authorize('customer'), [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+  body('role').optional().isIn(Project.PROJECT_MEMBER_ROLES).withMessage('Role must be manager or viewer')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, role = 'viewer' } = req.body;
+    const project = await findAccessibleProject(req.params.projectId, req.user._id, { ownerOnly: true });
+
+    const user = await User.findOne({ email, role: 'customer' }).select('name email');
+    if (!user) {
+      return next(new ErrorHandler('No customer account found with this email', 404));
+    }
+    if (user._id.equals(project.owner)) {
+      return next(new ErrorHandler('The project owner is already part of the project', 400));
+    }
+
+    const member = project.members.find(m => m.user.equals(user._id));
+    if (member) {
+      member.role = role;
+    } else {
+      project.members.push({ user: user._id, role });
+    }
+
+    await project.save();
+
+    res.json({
+      success: true,
+      message: `${user.name} added to the project as ${role}`,
+      data: { members: project.members }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:projectId/members/:userId
+// @desc    Remove a member from the project
+// @access  Private (Project owner)
+router.delete('/:projectId/members/:userId', auth, authorize('customer'), [
+  param('userId').isMongoId().withMessage('Valid user ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await findAccessibleProject(req.params.projectId, req.user._id, { ownerOnly: true });
+
+    const memberCount = project.members.length;
+    project.members = project.members.filter(m => m.user.toString() !== req.params.userId);
+    if (project.members.length === memberCount) {
+      return next(new ErrorHandler('Member not found', 404));
+    }
+
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Member removed from the project',
+      data: { members: project.members }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:projectId/dashboard
+// @desc    Spend against budget, spend over time and pending deliveries for the site
+// @access  Private (Project owner/member)
+router.get('/:projectId/dashboard', auth, authorize('customer'), [
+  query('interval').optional().isIn(['day', 'week', 'month']).withMessage('Interval must be day, week or month')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const project = await findAccessibleProject(req.params.projectId, req.user._id);
+    const dashboard = await getProjectDashboard(project, { interval: req.query.interval || 'month' });
+
+    res.json({
+      success: true,
+      data: dashboard
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:projectId/orders/:orderId
+// @desc    Tag one of the customer's existing orders to the project
+// @access  Private (Project owner/manager)
+router.put('/:projectId/orders/:orderId', auth, authorize('customer'), async (req, res, next) => {
+  try {
+    const project = await findAccessibleProject(req.params.projectId, req.user._id, { forOrdering: true });
+
+    const order = await Order.findOneAndUpdate(
+      { orderId: req.params.orderId, customer: req.user._id },
+      { $set: { project: project._id } },
+      { new: true }
+    ).select('orderId project status');
+
+    if (!order) {
+      return next(new ErrorHandler('Order not found', 404));
+    }
+
+    res.json({
+      success: true,
+      message: `Order ${order.orderId} tagged to ${project.name}`,
+      data: { order }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:projectId/orders/:orderId
+// @desc    Remove an order from the project
+// @access  Private (Project owner/manager)
+router.delete('/:projectId/orders/:orderId', auth, authorize('customer'), async (req, res, next) => {
+  try {
+    const project = await findAccessibleProject(req.params.projectId, req.user._id);
+    if (!project.canOrder(req.user._id)) {
+      return next(new ErrorHandler('Only the project owner and managers can change project orders', 403));
+    }
+
+    // Owners can untag any order on their project; managers only their own
+    const filter = { orderId: req.params.orderId, project: project._id };
+    if (project.getRole(req.user._id) !== 'owner') {
+      filter.customer = req.user._id;
+    }
+
+    const order = await Order.findOneAndUpdate(filter, { $set: { project: null } }, { new: true })
+      .select('orderId project status');
+
+    if (!order) {
+      return next(new ErrorHandler('Order not found in this project', 404));
+    }
+
+    res.json({
+      success: true,
+      message: `Order ${order.orderId} removed from ${project.name}`,
+      data: { order }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,17 @@
 const express = require('express');
-const { query, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { auth, authorize } = require('../middleware/auth');
 const ReportGenerator = require('../utils/reports');
 const Analytics = require('../utils/analytics');
 const { ErrorHandler } = require('../utils/errorHandler');
+const PaymentReconciliation = require('../models/PaymentReconciliation');
+const {
+  RECONCILIATION_GATEWAYS,
+  importSettlementFile,
+  reconcilePayments,
+  generateReconciliationExcel,
+  uploadSettlementFile
+} = require('../utils/paymentReconciliation');
 const router = express.Router();
 
 // @route   GET /api/reports/sales
@@ -187,6 +195,129 @@ router.get('/financial', auth, authorize('admin'), [
   }
 });
 
+// @route   POST /api/reports/reconciliation/import
+// @desc    Import a Razorpay or Cashfree settlement file and reconcile it
+// @access  Private (Admin)
+router.post('/reconciliation/import', auth, authorize('admin'), uploadSettlementFile, [
+  body('gateway').isIn(RECONCILIATION_GATEWAYS).withMessage(`Gateway must be one of: ${RECONCILIATION_GATEWAYS.join(', ')}`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return next(new ErrorHandler('Settlement file is required', 400));
+    }
+
+    const result = await importSettlementFile({
+      buffer: req.file.buffer,
+      gateway: req.body.gateway,
+      fileName: req.file.originalname
+    });
+
+    console.log(`📥 ${req.body.gateway} settlement file ${req.file.originalname} imported by ${req.user.email}: ${result.imported} new, ${result.updated} updated`);
+
+    const report = await reconcilePayments({ runBy: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Settlement file imported',
+      data: {
+        ...result,
+        report: {
+          date: report.date,
+          summary: report.summary
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/reports/reconciliation/run
+// @desc    Re-run today's payment reconciliation
+// @access  Private (Admin)
+router.post('/reconciliation/run', auth, authorize('admin'), async (req, res, next) => {
+  try {
+    const report = await reconcilePayments({ runBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation complete',
+      data: report
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/reports/reconciliation
+// @desc    Payment reconciliation report for a day (latest by default)
+// @access  Private (Admin)
+router.get('/reconciliation', auth, authorize('admin'), [
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+  query('type').optional().isIn(PaymentReconciliation.MISMATCH_TYPES).withMessage('Invalid mismatch type'),
+  query('gateway').optional().isIn(RECONCILIATION_GATEWAYS).withMessage('Invalid gateway'),
+  query('format').optional().isIn(['json', 'excel']).withMessage('Invalid format')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { date, type, gateway, format = 'json' } = req.query;
+
+    const report = date
+      ? await PaymentReconciliation.findOne({ date })
+      : await PaymentReconciliation.findOne().sort({ date: -1 });
+
+    if (!report) {
+      return next(new ErrorHandler(date ? `No reconciliation report for ${date}` : 'No reconciliation has been run yet', 404));
+    }
+
+    const mismatches = report.mismatches.filter(mismatch =>
+      (!type || mismatch.type === type) && (!gateway || mismatch.gateway === gateway)
+    );
+
+    if (format === 'excel') {
+      const workbook = generateReconciliationExcel(report, mismatches);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename=payment-reconciliation-${report.date}.xlsx`);
+      await workbook.xlsx.write(res);
+      return res.end();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        date: report.date,
+        windowStart: report.windowStart,
+        windowEnd: report.windowEnd,
+        runAt: report.runAt,
+        summary: report.summary,
+        mismatches
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Generate user data export PDF
 async function generateUserDataPDF(user) {
   try {
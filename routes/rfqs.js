@@ -0,0 +1,386 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const Rfq = require('../models/Rfq');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { ErrorHandler } = require('../utils/errorHandler');
+const { generateId } = require('../utils/sequence');
+const { buildSupplierOrder } = require('../utils/orderPricing');
+const { resolveItemGSTRates } = require('../utils/gstCalculator');
+const { findMatchingSuppliers, notifyMatchingSuppliers } = require('../utils/rfq');
+const { sendSMS, sendOrderPlacementNotification } = require('../utils/notifications');
+const router = express.Router();
+
+// Quotes the customer can still pick from, cheapest landed cost first
+const compareQuotes = (rfq) => {
+  const now = new Date();
+  return rfq.quotes
+    .filter(quote => quote.status !== 'withdrawn')
+    .map(quote => ({
+      _id: quote._id,
+      supplier: quote.supplier,
+      product: quote.product,
+      unitPrice: quote.unitPrice,
+      transportCost: quote.transportCost,
+      landedCost: quote.landedCost,
+      landedCostPerUnit: Math.round((quote.landedCost / rfq.quantity) * 100) / 100,
+      deliveryTimeline: quote.deliveryTimeline,
+      notes: quote.notes,
+      validUntil: quote.validUntil,
+      isExpired: quote.validUntil < now,
+      status: quote.status,
+      submittedAt: quote.submittedAt
+    }))
+    .sort((a, b) => a.landedCost - b.landedCost);
+};
+
+// @route   POST /api/rfqs
+// @desc    Post a bulk requirement for suppliers to quote on
+// @access  Private (Customer)
+router.post('/', auth, authorize('customer'), [
+  body('title').trim().isLength({ min: 5, max: 150 }).withMessage('Title must be 5-150 characters'),
+  body('category').isIn(['aggregate', 'sand', 'tmt_steel', 'bricks_blocks', 'cement']).withMessage('Invalid category'),
+  body('specification').optional().trim().isLength({ max: 300 }).withMessage('Specification cannot exceed 300 characters'),
+  body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+  body('quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be at least 0.1'),
+  body('unit').isIn(['MT', 'bags', 'numbers']).withMessage('Unit must be MT, bags or numbers'),
+  body('deliveryAddressId').isMongoId().withMessage('Valid delivery address is required'),
+  body('deliveryWindow.from').optional().isISO8601().withMessage('Valid delivery start date is required'),
+  body('deliveryWindow.to').optional().isISO8601().withMessage('Valid delivery end date is required'),
+  body('closesAt').isISO8601().withMessage('Valid quote deadline is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, category, specification, description, quantity, unit, deliveryAddressId, deliveryWindow, closesAt } = req.body;
+
+    if (new Date(closesAt) <= new Date()) {
+      return next(new ErrorHandler('Quote deadline must be in the future', 400));
+    }
+    if (deliveryWindow?.from && deliveryWindow?.to && new Date(deliveryWindow.to) < new Date(deliveryWindow.from)) {
+      return next(new ErrorHandler('Delivery window must end after it starts', 400));
+    }
+
+    const user = await User.findById(req.user._id);
+    const deliveryAddress = user.addresses.id(deliveryAddressId);
+    if (!deliveryAddress) {
+      return next(new ErrorHandler('Delivery address not found', 404));
+    }
+
+    const rfq = new Rfq({
+      customer: req.user._id,
+      title,
+      category,
+      specification,
+      description,
+      quantity,
+      unit,
+      deliveryAddress: {
+        address: deliveryAddress.address,
+        city: deliveryAddress.city,
+        state: deliveryAddress.state,
+        pincode: deliveryAddress.pincode,
+        coordinates: deliveryAddress.coordinates
+      },
+      deliveryWindow,
+      closesAt
+    });
+
+    const suppliers = await findMatchingSuppliers(rfq);
+    rfq.invitedSuppliers = suppliers.map(supplier => supplier._id);
+    await rfq.save();
+
+    const notified = await notifyMatchingSuppliers(rfq, suppliers);
+    console.log(`📣 RFQ ${rfq.rfqId} sent to ${notified}/${suppliers.length} matching suppliers`);
+
+    res.status(201).json({
+      success: true,
+      message: suppliers.length
+        ? `RFQ posted and sent to ${suppliers.length} supplier(s)`
+        : 'RFQ posted. No matching suppliers serve this location yet',
+      data: {
+        rfq,
+        suppliersInvited: suppliers.length
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/rfqs
+// @desc    List customer's RFQs
+// @access  Private (Customer)
+router.get('/', auth, authorize('customer'), [
+  query('status').optional().isIn(['open', 'awarded', 'cancelled']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1-50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 10 } = req.query;
+    const filter = { customer: req.user._id };
+    if (status) filter.status = status;
+
+    const [rfqs, total] = await Promise.all([
+      Rfq.find(filter)
+        .select('-invitedSuppliers')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Rfq.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        rfqs: rfqs.map(rfq => ({
+          ...rfq.toObject(),
+          quotes: undefined,
+          quoteCount: rfq.quotes.filter(quote => quote.status !== 'withdrawn').length,
+          lowestLandedCost: compareQuotes(rfq)[0]?.landedCost || null
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalItems: total
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/rfqs/:rfqId
+// @desc    RFQ with quotes compared by landed cost
+// @access  Private (Customer)
+router.get('/:rfqId', auth, authorize('customer'), [
+  param('rfqId').notEmpty().withMessage('RFQ ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rfq = await Rfq.findOne({ rfqId: req.params.rfqId, customer: req.user._id })
+      .populate('quotes.supplier', 'companyName supplierId rating city')
+      .populate('quotes.product', 'name brand pricing.unit images')
+      .populate('order', 'orderId status pricing.totalAmount');
+
+    if (!rfq) {
+      return next(new ErrorHandler('RFQ not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rfq: {
+          ...rfq.toObject(),
+          quotes: undefined,
+          invitedSuppliers: undefined,
+          suppliersInvited: rfq.invitedSuppliers.length
+        },
+        quotes: compareQuotes(rfq)
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rfqs/:rfqId/cancel
+// @desc    Withdraw an open RFQ
+// @access  Private (Customer)
+router.post('/:rfqId/cancel', auth, authorize('customer'), [
+  param('rfqId').notEmpty().withMessage('RFQ ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const rfq = await Rfq.findOne({ rfqId: req.params.rfqId, customer: req.user._id });
+    if (!rfq) {
+      return next(new ErrorHandler('RFQ not found', 404));
+    }
+
+    if (rfq.status !== 'open') {
+      return next(new ErrorHandler(`Cannot cancel an RFQ that is ${rfq.status}`, 400));
+    }
+
+    rfq.status = 'cancelled';
+    await rfq.save();
+
+    res.json({
+      success: true,
+      message: 'RFQ cancelled successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/rfqs/:rfqId/quotes/:quoteId/accept
+// @desc    Award a quote and place an order at the quoted prices
+// @access  Private (Customer)
+router.post('/:rfqId/quotes/:quoteId/accept', auth, authorize('customer'), [
+  param('rfqId').notEmpty().withMessage('RFQ ID is required'),
+  param('quoteId').isMongoId().withMessage('Valid quote ID is required'),
+  body('paymentMethod').isIn(['cod', 'card', 'upi', 'netbanking', 'razorpay', 'cashfree']).withMessage('Valid payment method is required'),
+  body('advancePercentage').optional().isInt({ min: 1, max: 100 }).withMessage('Advance percentage must be between 1-100'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { paymentMethod, advancePercentage = 25, notes } = req.body;
+
+    const rfq = await Rfq.findOne({ rfqId: req.params.rfqId, customer: req.user._id });
+    if (!rfq) {
+      return next(new ErrorHandler('RFQ not found', 404));
+    }
+
+    if (rfq.status !== 'open') {
+      return next(new ErrorHandler(`Cannot award an RFQ that is ${rfq.status}`, 400));
+    }
+
+    const quote = rfq.quotes.id(req.params.quoteId);
+    if (!quote || quote.status !== 'submitted') {
+      return next(new ErrorHandler('Quote not found or no longer available', 404));
+    }
+    if (quote.validUntil < new Date()) {
+      return next(new ErrorHandler('This quote has expired', 400));
+    }
+
+    const product = await Product.findById(quote.product).populate('supplier');
+    if (!product || !product.isActive || !product.supplier?.isActive) {
+      return next(new ErrorHandler('Quoted product is no longer available', 400));
+    }
+
+    // Claim the RFQ first so two accepts cannot both place orders
+    const claimed = await Rfq.findOneAndUpdate(
+      { _id: rfq._id, status: 'open' },
+      { $set: { status: 'awarded', awardedQuote: quote._id } },
+      { new: true }
+    );
+    if (!claimed) {
+      return next(new ErrorHandler('RFQ has already been awarded', 409));
+    }
+
+    const items = [{
+      product,
+      quantity: rfq.quantity,
+      priceAtTime: quote.unitPrice,
+      specifications: rfq.specification ? { note: rfq.specification } : {}
+    }];
+
+    const order = buildSupplierOrder({
+      orderId: await generateId('order'),
+      customerId: req.user._id,
+      supplier: product.supplier,
+      items,
+      gstRates: await resolveItemGSTRates(items),
+      deliveryAddress: rfq.deliveryAddress,
+      paymentMethod,
+      advancePercentage,
+      notes: notes || rfq.description,
+      quotedTransportCost: quote.transportCost,
+      timelineNote: `Order placed from RFQ ${rfq.rfqId} at quoted prices`
+    });
+    order.rfq = rfq._id;
+
+    if (rfq.deliveryWindow?.to) {
+      order.delivery.estimatedTime = `By ${rfq.deliveryWindow.to.toLocaleDateString('en-IN')}`;
+    }
+
+    try {
+      await order.save();
+    } catch (orderError) {
+      await Rfq.updateOne({ _id: rfq._id }, { $set: { status: 'open' }, $unset: { awardedQuote: 1 } });
+      throw orderError;
+    }
+
+    claimed.order = order._id;
+    claimed.quotes.forEach(q => {
+      if (q.status === 'submitted') {
+        q.status = q._id.equals(quote._id) ? 'accepted' : 'rejected';
+      }
+    });
+    await claimed.save();
+
+    try {
+      const customer = await User.findById(req.user._id);
+      await sendOrderPlacementNotification(customer, order);
+      if (product.supplier.contactPersonNumber) {
+        await sendSMS(
+          product.supplier.contactPersonNumber,
+          `🎉 Your quote for RFQ ${rfq.rfqId} was accepted! Order ${order.orderId}: ${rfq.quantity} ${rfq.unit} at ₹${quote.unitPrice}/${rfq.unit}. Aggrekart Supplier Portal`
+        );
+      }
+    } catch (notificationError) {
+      console.error('❌ Failed to send RFQ award notifications:', notificationError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: paymentMethod === 'cod'
+        ? 'Quote accepted and order placed'
+        : 'Quote accepted - complete payment to confirm your order',
+      data: {
+        order: {
+          orderId: order.orderId,
+          totalAmount: order.pricing.totalAmount,
+          advanceAmount: order.payment.advanceAmount,
+          balanceAmount: order.payment.remainingAmount,
+          paymentMethod: order.payment.method,
+          status: order.status,
+          requiresPayment: paymentMethod !== 'cod'
+        },
+        pricing: order.pricing
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
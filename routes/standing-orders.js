@@ -0,0 +1,562 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const StandingOrder = require('../models/StandingOrder');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { ErrorHandler } = require('../utils/errorHandler');
+const { toDateKey } = require('../utils/deliverySlots');
+const {
+  getNextRunDate,
+  validateSchedule,
+  getRunAt,
+  getEarliestRunDate,
+  priceStandingOrder
+} = require('../utils/standingOrders');
+const router = express.Router();
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Standing orders are offered to builder/contractor accounts only
+const builderOnly = (req, res, next) => {
+  if (req.user.customerType !== 'builder_contractor') {
+    return next(new ErrorHandler('Standing orders are available for builder and contractor accounts only', 403));
+  }
+  next();
+};
+
+const itemValidation = (optional) => [
+  (optional ? body('items').optional() : body('items'))
+    .isArray({ min: 1 }).withMessage('At least one product is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isFloat({ min: 0.1 }).withMessage('Quantity must be at least 0.1')
+];
+
+const scheduleValidation = (optional) => [
+  (optional ? body('schedule.frequency').optional() : body('schedule.frequency'))
+    .isIn(['weekly', 'fortnightly', 'custom']).withMessage('Frequency must be weekly, fortnightly or custom'),
+  body('schedule.dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0 (Sunday) to 6 (Saturday)'),
+  body('schedule.customDates').optional().isArray().withMessage('Custom dates must be an array'),
+  body('schedule.customDates.*').matches(DATE_KEY).withMessage('Custom dates must be YYYY-MM-DD'),
+  body('schedule.runTime').optional().matches(TIME).withMessage('Run time must be HH:mm'),
+  body('schedule.preferredSlotTime').optional().matches(TIME).withMessage('Preferred slot time must be HH:mm'),
+  body('schedule.startDate').optional().matches(DATE_KEY).withMessage('Start date must be YYYY-MM-DD'),
+  body('schedule.endDate').optional().matches(DATE_KEY).withMessage('End date must be YYYY-MM-DD')
+];
+
+const commonValidation = [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('deliveryAddressId').optional().isMongoId().withMessage('Valid delivery address is required'),
+  body('paymentMethod').optional().isIn(['cod', 'card', 'upi', 'netbanking', 'razorpay', 'cashfree']).withMessage('Valid payment method is required'),
+  body('advancePercentage').optional().isInt({ min: 1, max: 100 }).withMessage('Advance percentage must be between 1-100'),
+  body('notifyBeforeHours').optional().isInt({ min: 1, max: 72 }).withMessage('Notice must be between 1-72 hours'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+];
+
+// Products must exist and be orderable when they are added to a standing order
+const validateItems = async (items) => {
+  const products = await Product.find({
+    _id: { $in: items.map(item => item.product) },
+    isActive: true,
+    isApproved: true
+  }).select('name pricing');
+
+  for (const item of items) {
+    const product = products.find(p => p._id.toString() === item.product);
+    if (!product) {
+      throw new ErrorHandler(`Product ${item.product} not found or not available`, 404);
+    }
+    if (item.quantity < (product.pricing.minimumQuantity || 0)) {
+      throw new ErrorHandler(`Minimum quantity for ${product.name} is ${product.pricing.minimumQuantity} ${product.pricing.unit}`, 400);
+    }
+  }
+
+  return items.map(({ product, quantity, specifications }) => ({ product, quantity, specifications: specifications || {} }));
+};
+
+const findOwnStandingOrder = (req) => StandingOrder.findOne({
+  standingOrderId: req.params.standingOrderId,
+  customer: req.user._id
+});
+
+const formatStandingOrder = (standingOrder) => ({
+  ...standingOrder.toObject(),
+  nextRunAt: standingOrder.nextRunDate ? getRunAt(standingOrder) : null
+});
+
+// @route   POST /api/standing-orders
+// @desc    Create a standing order
+// @access  Private (Builder/Contractor)
+router.post('/', auth, authorize('customer'), builderOnly, [
+  ...itemValidation(false),
+  ...scheduleValidation(false),
+  ...commonValidation,
+  body('deliveryAddressId').isMongoId().withMessage('Valid delivery address is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, items, schedule, deliveryAddressId, paymentMethod, advancePercentage, notifyBeforeHours, notes } = req.body;
+
+    validateSchedule(schedule);
+
+    const user = await User.findById(req.user._id);
+    if (!user.addresses.id(deliveryAddressId)) {
+      return next(new ErrorHandler('Delivery address not found', 404));
+    }
+
+    const standingOrder = new StandingOrder({
+      customer: req.user._id,
+      name,
+      items: await validateItems(items),
+      schedule,
+      deliveryAddressId,
+      paymentMethod,
+      advancePercentage,
+      notifyBeforeHours,
+      notes
+    });
+
+    standingOrder.nextRunDate = getNextRunDate(standingOrder, getEarliestRunDate(standingOrder));
+    if (!standingOrder.nextRunDate) {
+      return next(new ErrorHandler('Schedule has no upcoming dates', 400));
+    }
+
+    await standingOrder.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Standing order created successfully',
+      data: { standingOrder: formatStandingOrder(standingOrder) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/standing-orders
+// @desc    List customer's standing orders
+// @access  Private (Builder/Contractor)
+router.get('/', auth, authorize('customer'), builderOnly, [
+  query('status').optional().isIn(['active', 'paused', 'completed', 'cancelled']).withMessage('Invalid status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { customer: req.user._id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const standingOrders = await StandingOrder.find(filter)
+      .select('-runs')
+      .populate('items.product', 'name pricing.unit pricing.basePrice category')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { standingOrders: standingOrders.map(formatStandingOrder) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/standing-orders/:standingOrderId
+// @desc    Get standing order details
+// @access  Private (Builder/Contractor)
+router.get('/:standingOrderId', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req)
+      .populate('items.product', 'name pricing.unit pricing.basePrice category images');
+
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: { standingOrder: formatStandingOrder(standingOrder) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/standing-orders/:standingOrderId/preview
+// @desc    Price the next run at current supplier rates
+// @access  Private (Builder/Contractor)
+router.get('/:standingOrderId/preview', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req);
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    const quote = await priceStandingOrder(standingOrder);
+
+    res.json({
+      success: true,
+      data: {
+        nextRunDate: standingOrder.nextRunDate,
+        nextRunAt: standingOrder.nextRunDate ? getRunAt(standingOrder) : null,
+        orders: quote.groups.map(group => ({
+          supplier: {
+            _id: group.supplier._id,
+            companyName: group.supplier.companyName
+          },
+          items: group.items.map(item => ({
+            product: item.product._id,
+            name: item.product.name,
+            quantity: item.quantity,
+            unit: item.product.pricing.unit,
+            unitPrice: item.priceAtTime,
+            totalPrice: item.quantity * item.priceAtTime
+          })),
+          pricing: group.pricing
+        })),
+        unavailable: quote.unavailable,
+        totalAmount: quote.totalAmount
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/standing-orders/:standingOrderId/history
+// @desc    Runs of a standing order with the orders they generated
+// @access  Private (Builder/Contractor)
+router.get('/:standingOrderId/history', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req)
+      .select('standingOrderId name runs')
+      .populate('runs.orders', 'orderId status pricing.totalAmount payment.status deliverySlot createdAt');
+
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    const runs = [...standingOrder.runs].sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({
+      success: true,
+      data: {
+        standingOrderId: standingOrder.standingOrderId,
+        name: standingOrder.name,
+        runs
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/standing-orders/:standingOrderId
+// @desc    Edit products, schedule or delivery details
+// @access  Private (Builder/Contractor)
+router.put('/:standingOrderId', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required'),
+  ...itemValidation(true),
+  ...scheduleValidation(true),
+  ...commonValidation
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req);
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    if (['completed', 'cancelled'].includes(standingOrder.status)) {
+      return next(new ErrorHandler(`Cannot edit a ${standingOrder.status} standing order`, 400));
+    }
+
+    const { name, items, schedule, deliveryAddressId, paymentMethod, advancePercentage, notifyBeforeHours, notes } = req.body;
+
+    if (items) {
+      standingOrder.items = await validateItems(items);
+    }
+
+    if (schedule) {
+      const merged = { ...standingOrder.schedule.toObject(), ...schedule };
+      validateSchedule(merged);
+      standingOrder.schedule = merged;
+    }
+
+    if (deliveryAddressId) {
+      const user = await User.findById(req.user._id);
+      if (!user.addresses.id(deliveryAddressId)) {
+        return next(new ErrorHandler('Delivery address not found', 404));
+      }
+      standingOrder.deliveryAddressId = deliveryAddressId;
+    }
+
+    Object.entries({ name, paymentMethod, advancePercentage, notifyBeforeHours, notes }).forEach(([field, value]) => {
+      if (value !== undefined) standingOrder[field] = value;
+    });
+
+    // Changes are re-announced before the next run
+    standingOrder.notifiedForDate = undefined;
+    if (schedule && standingOrder.status === 'active') {
+      standingOrder.nextRunDate = getNextRunDate(standingOrder, getEarliestRunDate(standingOrder));
+      if (!standingOrder.nextRunDate) {
+        return next(new ErrorHandler('Schedule has no upcoming dates', 400));
+      }
+    }
+
+    await standingOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Standing order updated successfully',
+      data: { standingOrder: formatStandingOrder(standingOrder) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/standing-orders/:standingOrderId/pause
+// @desc    Pause a standing order
+// @access  Private (Builder/Contractor)
+router.post('/:standingOrderId/pause', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req);
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    if (standingOrder.status !== 'active') {
+      return next(new ErrorHandler(`Cannot pause a ${standingOrder.status} standing order`, 400));
+    }
+
+    standingOrder.status = 'paused';
+    standingOrder.nextRunDate = null;
+    await standingOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Standing order paused',
+      data: { standingOrder: formatStandingOrder(standingOrder) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/standing-orders/:standingOrderId/resume
+// @desc    Resume a paused standing order from the next scheduled date
+// @access  Private (Builder/Contractor)
+router.post('/:standingOrderId/resume', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req);
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    if (standingOrder.status !== 'paused') {
+      return next(new ErrorHandler('Only paused standing orders can be resumed', 400));
+    }
+
+    const nextRunDate = getNextRunDate(standingOrder, getEarliestRunDate(standingOrder));
+    if (!nextRunDate) {
+      return next(new ErrorHandler('Schedule has no upcoming dates', 400));
+    }
+
+    standingOrder.status = 'active';
+    standingOrder.nextRunDate = nextRunDate;
+    standingOrder.notifiedForDate = undefined;
+    await standingOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Standing order resumed',
+      data: { standingOrder: formatStandingOrder(standingOrder) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/standing-orders/:standingOrderId/skip
+// @desc    Skip one run (the next one by default)
+// @access  Private (Builder/Contractor)
+router.post('/:standingOrderId/skip', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required'),
+  body('date').optional().matches(DATE_KEY).withMessage('Date must be YYYY-MM-DD'),
+  body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req);
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    if (standingOrder.status !== 'active') {
+      return next(new ErrorHandler(`Cannot skip runs of a ${standingOrder.status} standing order`, 400));
+    }
+
+    const date = req.body.date || standingOrder.nextRunDate;
+    if (date < toDateKey()) {
+      return next(new ErrorHandler('Cannot skip a past date', 400));
+    }
+    if (standingOrder.isSkipped(date)) {
+      return next(new ErrorHandler(`${date} is already skipped`, 400));
+    }
+
+    standingOrder.skippedDates.push(date);
+    standingOrder.recordRun({
+      runDate: date,
+      status: 'skipped',
+      message: req.body.reason || 'Skipped by customer'
+    });
+
+    const nextRunDate = getNextRunDate(standingOrder, getEarliestRunDate(standingOrder));
+    standingOrder.nextRunDate = nextRunDate;
+    if (!nextRunDate) {
+      standingOrder.status = 'completed';
+    }
+
+    await standingOrder.save();
+
+    res.json({
+      success: true,
+      message: `Run on ${date} skipped`,
+      data: { standingOrder: formatStandingOrder(standingOrder) }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/standing-orders/:standingOrderId
+// @desc    Cancel a standing order; orders already placed are not affected
+// @access  Private (Builder/Contractor)
+router.delete('/:standingOrderId', auth, authorize('customer'), builderOnly, [
+  param('standingOrderId').notEmpty().withMessage('Standing order ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const standingOrder = await findOwnStandingOrder(req);
+    if (!standingOrder) {
+      return next(new ErrorHandler('Standing order not found', 404));
+    }
+
+    standingOrder.status = 'cancelled';
+    standingOrder.nextRunDate = null;
+    await standingOrder.save();
+
+    res.json({
+      success: true,
+      message: 'Standing order cancelled'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
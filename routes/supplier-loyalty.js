@@ -8,6 +8,7 @@ const UserLoyalty = require('../models/UserLoyalty');
 const User = require('../models/User');
 const Order = require('../models/Order');
 const { ErrorHandler } = require('../utils/errorHandler');
+const { generateId } = require('../utils/sequence');
 const router = express.Router();
 
 // @route   GET /api/supplier-loyalty/dashboard
@@ -263,19 +264,10 @@ router.post('/promotions', auth, authorize('supplier'), [
 
     console.log(`📝 Creating promotion for supplier: ${supplier.companyName}`);
 
-
-const generatePromotionId = () => {
-  const prefix = 'PROMO';
-  const timestamp = Date.now().toString().slice(-6);
-  const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-  return `${prefix}-${timestamp}-${random}`;
-};
-
-
     const promotionData = {
       ...req.body,
       supplier: supplier._id,
-      promotionId: generatePromotionId(),
+      promotionId: await generateId('promotion'),
       createdBy: req.user._id,
       status: 'pending_approval' // All promotions need admin approval
     };
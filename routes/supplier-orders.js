@@ -5,7 +5,12 @@ const Order = require('../models/Order');
 const User = require('../models/User');
 const Supplier = require('../models/Supplier');
 const Product = require('../models/Product');
+const mongoose = require('mongoose');
 const { ErrorHandler } = require('../utils/errorHandler');
+const { ORDER_ACTORS } = require('../utils/orderStateMachine');
+const { reconcileOrder, notifyInvoiceRevision } = require('../utils/weighbridge');
+const { createShortfallRefund } = require('../utils/refunds');
+const { getBundleDateRange, loadBundleOrders, sendDocumentBundle } = require('../utils/orderDocuments');
 const { 
   sendOrderNotification, 
   sendSMS, 
@@ -22,7 +27,7 @@ router.get('/', auth, authorize('supplier'), [
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('status').optional().custom((value) => {
     // Allow empty string or valid status values
-    if (value === '' || ['pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'delivered', 'cancelled'].includes(value)) {
+    if (value === '' || ['pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'partially_delivered', 'delivered', 'cancelled'].includes(value)) {
       return true;
     }
     throw new Error('Invalid status');
@@ -187,14 +192,15 @@ router.get('/', auth, authorize('supplier'), [
   }
 });
 
-// @route   PATCH /api/supplier-orders/:orderId/status
-// @desc    Update order status (Updated to match frontend expectations)
-// @access  Private (Supplier)
-router.patch('/:orderId/status', auth, authorize('supplier'), [
+// Shared validation for supplier status updates
+const statusUpdateValidation = [
   param('orderId').notEmpty().withMessage('Order ID is required'),
-  body('status').isIn(['pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status'),
+  body('status').isIn(['pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'partially_delivered', 'delivered', 'cancelled']).withMessage('Invalid status'),
   body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
-], async (req, res, next) => {
+];
+
+// Shared handler for supplier status updates; transitions are enforced by the order state machine
+const updateSupplierOrderStatus = async (req, res, next) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -219,18 +225,6 @@ router.patch('/:orderId/status', auth, authorize('supplier'), [
       });
     }
 
-    // Define valid status transitions
-    const statusTransitions = {
-      'pending': ['confirmed', 'cancelled'],
-      'confirmed': ['preparing', 'cancelled'], 
-      'preparing': ['material_loading', 'cancelled'],
-      'material_loading': ['processing', 'cancelled'],
-      'processing': ['dispatched', 'cancelled'],
-      'dispatched': ['delivered'],
-      'delivered': [],
-      'cancelled': []
-    };
-
     // Find order for this supplier
     const order = await Order.findOne({ 
       _id: orderId,
@@ -244,57 +238,15 @@ router.patch('/:orderId/status', auth, authorize('supplier'), [
       });
     }
 
-    const currentStatus = order.status;
-    const allowedNextStatuses = statusTransitions[currentStatus] || [];
-
-    // Validate status transition
-    if (!allowedNextStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false,
-        message: `Cannot change status from ${currentStatus} to ${status}. Allowed transitions: ${allowedNextStatuses.join(', ')}` 
-      });
-    }
+    // Validate and apply the transition (throws 409 for illegal transitions)
+    order.updateStatus(status, note || `Status updated to ${status}`, req.user._id, { actor: ORDER_ACTORS.SUPPLIER });
 
-    // Check cooling period for early status changes (if applicable)
-    if (order.coolingPeriod && order.coolingPeriod.isActive) {
-      const coolingEndTime = new Date(order.coolingPeriod.endTime);
-      const currentTime = new Date();
-      
-      if (currentTime < coolingEndTime && ['processing', 'dispatched'].includes(status)) {
-        const remainingTime = Math.ceil((coolingEndTime - currentTime) / (1000 * 60)); // minutes
-        return res.status(400).json({
-          success: false,
-          message: `Cannot move to ${status} during cooling period. ${remainingTime} minutes remaining.`
-        });
-      }
-    }
-
-    // Update order status
-    order.status = status;
-    order.updatedAt = new Date();
-    
-    // Add timeline entry
-    order.timeline.push({
-      status: status,
-      timestamp: new Date(),
-      note: note || `Status updated to ${status}`,
-      updatedBy: req.user._id
-    });
-
-    // Set specific timestamps for certain statuses
-    if (status === 'confirmed') {
-      order.confirmedAt = new Date();
-    }
+    await order.save();
 
-    // Generate delivery OTP for dispatched orders
+    // Send delivery OTP to customer for dispatched orders
     if (status === 'dispatched') {
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      order.delivery.deliveryOTP = otp;
+      const otp = order.delivery.deliveryOTP;
       console.log(`🔑 DELIVERY OTP for Order ${order.orderId}: ${otp}`);
-  console.log(`📱 Customer Phone: ${order.customer?.phoneNumber}`);
-  console.log(`👤 Customer Name: ${order.customer?.name}`);
-  console.log(`📦 Share this OTP with the delivery person`);
-      // Send OTP to customer
       try {
         if (order.customer && order.customer.phoneNumber) {
           await sendSMS(
@@ -307,8 +259,6 @@ router.patch('/:orderId/status', auth, authorize('supplier'), [
       }
     }
 
-    await order.save();
-
     // Send comprehensive status update notifications to customer
     try {
       if (order.customer) {
@@ -338,19 +288,6 @@ router.patch('/:orderId/status', auth, authorize('supplier'), [
       // Don't fail the order update if notifications fail
     }
 
-    // Enhanced debugging for customer data
-    console.log('Order after update:', {
-      _id: order._id,
-      orderId: order.orderId,
-      status: order.status,
-      customer: order.customer ? {
-        _id: order.customer._id,
-        name: order.customer.name,
-        email: order.customer.email,
-        phoneNumber: order.customer.phoneNumber
-      } : null
-    });
-
     res.json({ 
       success: true,
       message: 'Order status updated successfully',
@@ -367,392 +304,33 @@ router.patch('/:orderId/status', auth, authorize('supplier'), [
 
   } catch (error) {
     console.error('Error updating order status:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      message: 'Server error', 
+      message: error.isOperational ? error.message : 'Server error', 
       error: error.message 
     });
   }
-});
+};
 
-// @route   PUT /api/supplier-orders/:orderId/status
-// @desc    Update order status (PUT method for frontend compatibility)
+// @route   PATCH /api/supplier-orders/:orderId/status
+// @desc    Update order status (Updated to match frontend expectations)
 // @access  Private (Supplier)
-router.put('/:orderId/status', auth, authorize('supplier'), [
-  param('orderId').notEmpty().withMessage('Order ID is required'),
-  body('status').isIn(['pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
-], async (req, res, next) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { orderId } = req.params;
-    const { status, note } = req.body;
-
-    console.log('📋 PUT Status update request:', { orderId, status, supplierId: req.user._id });
-
-    // Find supplier profile
-    const supplier = await Supplier.findOne({ user: req.user._id });
-    if (!supplier) {
-      return res.status(404).json({
-        success: false,
-        message: 'Supplier profile not found'
-      });
-    }
-
-    // Define valid status transitions
-    const statusTransitions = {
-      'pending': ['confirmed', 'cancelled'],
-      'confirmed': ['preparing', 'cancelled'], 
-      'preparing': ['material_loading', 'cancelled'],
-      'material_loading': ['processing', 'cancelled'],
-      'processing': ['dispatched', 'cancelled'],
-      'dispatched': ['delivered'],
-      'delivered': [],
-      'cancelled': []
-    };
-
-    // Find order for this supplier
-    const order = await Order.findOne({ 
-      _id: orderId,
-      supplier: supplier._id 
-    }).populate('customer', 'name email phoneNumber');
-
-    if (!order) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Order not found or you do not have permission to update this order' 
-      });
-    }
-
-    const currentStatus = order.status;
-    const allowedNextStatuses = statusTransitions[currentStatus] || [];
-
-    // Validate status transition
-    if (!allowedNextStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false,
-        message: `Cannot change status from ${currentStatus} to ${status}. Allowed transitions: ${allowedNextStatuses.join(', ')}` 
-      });
-    }
-
-    // Check cooling period for early status changes (if applicable)
-    if (order.coolingPeriod && order.coolingPeriod.isActive) {
-      const coolingEndTime = new Date(order.coolingPeriod.endTime);
-      const currentTime = new Date();
-      
-      if (currentTime < coolingEndTime && ['processing', 'dispatched'].includes(status)) {
-        const remainingTime = Math.ceil((coolingEndTime - currentTime) / (1000 * 60)); // minutes
-        return res.status(400).json({
-          success: false,
-          message: `Cannot move to ${status} during cooling period. ${remainingTime} minutes remaining.`
-        });
-      }
-    }
-
-    // Update order status
-    order.status = status;
-    order.updatedAt = new Date();
-    
-    // Add timeline entry
-    order.timeline.push({
-      status: status,
-      timestamp: new Date(),
-      note: note || `Status updated to ${status}`,
-      updatedBy: req.user._id
-    });
-
-    // Set specific timestamps for certain statuses
-    if (status === 'confirmed') {
-      order.confirmedAt = new Date();
-    }
-
-    // Generate delivery OTP for dispatched orders
-    if (status === 'dispatched') {
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      order.delivery.deliveryOTP = otp;
-      
-      // Send OTP to customer
-      try {
-        if (order.customer && order.customer.phoneNumber) {
-          await sendSMS(
-            order.customer.phoneNumber,
-            `Your order ${order.orderId} has been dispatched. Delivery OTP: ${otp}. Share this with the delivery person. - AggreKart`
-          );
-        }
-      } catch (error) {
-        console.error('Failed to send delivery OTP:', error);
-      }
-    }
-
-    await order.save();
-
-    // Send comprehensive status update notifications to customer
-    try {
-      if (order.customer) {
-        console.log(`📬 Sending notifications for order ${order.orderId} status: ${status}`);
-        
-        // Send SMS notification
-        if (order.customer.phoneNumber) {
-          const statusMessage = getStatusMessage(status, order.orderId);
-          await sendSMS(order.customer.phoneNumber, statusMessage);
-          console.log('✅ SMS sent successfully');
-        }
-        
-        // Send Email notification
-        if (order.customer.email) {
-          const { sendEmail } = require('../utils/notifications');
-          
-          // Create professional email content
-          const emailSubject = getEmailSubject(status, order.orderId);
-          const emailContent = createStatusUpdateEmail(order.customer.name, order.orderId, status, order);
-          
-          await sendEmail(order.customer.email, emailSubject, emailContent);
-          console.log('✅ Email sent successfully');
-        }
-      }
-    } catch (error) {
-      console.error('❌ Failed to send notifications:', error);
-      // Don't fail the order update if notifications fail
-    }
-
-    // Enhanced debugging for customer data
-    console.log('Order after update:', {
-      _id: order._id,
-      orderId: order.orderId,
-      status: order.status,
-      customer: order.customer ? {
-        _id: order.customer._id,
-        name: order.customer.name,
-        email: order.customer.email,
-        phoneNumber: order.customer.phoneNumber
-      } : null
-    });
-
-    res.json({ 
-      success: true,
-      message: 'Order status updated successfully',
-      data: {
-        order: {
-          _id: order._id,
-          orderId: order.orderId,
-          status: order.status,
-          customer: order.customer || null,
-          updatedAt: order.updatedAt
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Error updating order status:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error', 
-      error: error.message 
-    });
-  }
-});
+router.patch('/:orderId/status', auth, authorize('supplier'), statusUpdateValidation, updateSupplierOrderStatus);
 
 // @route   PUT /api/supplier-orders/:orderId/status
 // @desc    Update order status (PUT method for frontend compatibility)
 // @access  Private (Supplier)
-router.put('/:orderId/status', auth, authorize('supplier'), [
-  param('orderId').notEmpty().withMessage('Order ID is required'),
-  body('status').isIn(['pending', 'confirmed', 'preparing', 'material_loading', 'processing', 'dispatched', 'delivered', 'cancelled']).withMessage('Invalid status'),
-  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
-], async (req, res, next) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
-
-    const { orderId } = req.params;
-    const { status, note } = req.body;
-
-    console.log('📋 PUT Status update request:', { orderId, status, supplierId: req.user._id });
-
-    // Find supplier profile
-    const supplier = await Supplier.findOne({ user: req.user._id });
-    if (!supplier) {
-      return res.status(404).json({
-        success: false,
-        message: 'Supplier profile not found'
-      });
-    }
-
-    // Define valid status transitions
-    const statusTransitions = {
-      'pending': ['confirmed', 'cancelled'],
-      'confirmed': ['preparing', 'cancelled'], 
-      'preparing': ['material_loading', 'cancelled'],
-      'material_loading': ['processing', 'cancelled'],
-      'processing': ['dispatched', 'cancelled'],
-      'dispatched': ['delivered'],
-      'delivered': [],
-      'cancelled': []
-    };
-
-    // Find order for this supplier
-    const order = await Order.findOne({ 
-      _id: orderId,
-      supplier: supplier._id 
-    }).populate('customer', 'name email phoneNumber');
-
-    if (!order) {
-      return res.status(404).json({ 
-        success: false,
-        message: 'Order not found or you do not have permission to update this order' 
-      });
-    }
-
-    const currentStatus = order.status;
-    const allowedNextStatuses = statusTransitions[currentStatus] || [];
-
-    // Validate status transition
-    if (!allowedNextStatuses.includes(status)) {
-      return res.status(400).json({ 
-        success: false,
-        message: `Cannot change status from ${currentStatus} to ${status}. Allowed transitions: ${allowedNextStatuses.join(', ')}` 
-      });
-    }
-
-    // Check cooling period for early status changes (if applicable)
-    if (order.coolingPeriod && order.coolingPeriod.isActive) {
-      const coolingEndTime = new Date(order.coolingPeriod.endTime);
-      const currentTime = new Date();
-      
-      if (currentTime < coolingEndTime && ['processing', 'dispatched'].includes(status)) {
-        const remainingTime = Math.ceil((coolingEndTime - currentTime) / (1000 * 60)); // minutes
-        return res.status(400).json({
-          success: false,
-          message: `Cannot move to ${status} during cooling period. ${remainingTime} minutes remaining.`
-        });
-      }
-    }
-
-    // Update order status
-    order.status = status;
-    order.updatedAt = new Date();
-    
-    // Add timeline entry
-    order.timeline.push({
-      status: status,
-      timestamp: new Date(),
-      note: note || `Status updated to ${status}`,
-      updatedBy: req.user._id
-    });
-
-    // Set specific timestamps for certain statuses
-    if (status === 'confirmed') {
-      order.confirmedAt = new Date();
-    }
-
-    // Generate delivery OTP for dispatched orders
-    if (status === 'dispatched') {
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      order.delivery.deliveryOTP = otp;
-      
-      // Send OTP to customer
-      try {
-        if (order.customer && order.customer.phoneNumber) {
-          await sendSMS(
-            order.customer.phoneNumber,
-            `Your order ${order.orderId} has been dispatched. Delivery OTP: ${otp}. Share this with the delivery person. - AggreKart`
-          );
-        }
-      } catch (error) {
-        console.error('Failed to send delivery OTP:', error);
-      }
-    }
-
-    await order.save();
-
-    // Send comprehensive status update notifications to customer
-    try {
-      if (order.customer) {
-        console.log(`📬 Sending notifications for order ${order.orderId} status: ${status}`);
-        
-        // Send SMS notification
-        if (order.customer.phoneNumber) {
-          const statusMessage = getStatusMessage(status, order.orderId);
-          await sendSMS(order.customer.phoneNumber, statusMessage);
-          console.log('✅ SMS sent successfully');
-        }
-        
-        // Send Email notification
-        if (order.customer.email) {
-          const { sendEmail } = require('../utils/notifications');
-          
-          // Create professional email content
-          const emailSubject = getEmailSubject(status, order.orderId);
-          const emailContent = createStatusUpdateEmail(order.customer.name, order.orderId, status, order);
-          
-          await sendEmail(order.customer.email, emailSubject, emailContent);
-          console.log('✅ Email sent successfully');
-        }
-      }
-    } catch (error) {
-      console.error('❌ Failed to send notifications:', error);
-      // Don't fail the order update if notifications fail
-    }
-
-    // Enhanced debugging for customer data
-    console.log('Order after update:', {
-      _id: order._id,
-      orderId: order.orderId,
-      status: order.status,
-      customer: order.customer ? {
-        _id: order.customer._id,
-        name: order.customer.name,
-        email: order.customer.email,
-        phoneNumber: order.customer.phoneNumber
-      } : null
-    });
-
-    res.json({ 
-      success: true,
-      message: 'Order status updated successfully',
-      data: {
-        order: {
-          _id: order._id,
-          orderId: order.orderId,
-          status: order.status,
-          customer: order.customer || null,
-          updatedAt: order.updatedAt
-        }
-      }
-    });
-
-  } catch (error) {
-    console.error('Error updating order status:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error', 
-      error: error.message 
-    });
-  }
-});
+router.put('/:orderId/status', auth, authorize('supplier'), statusUpdateValidation, updateSupplierOrderStatus);
 
 // @route   PUT /api/supplier-orders/:orderId/invoice
-// @desc    Update invoice with actual quantities (for aggregate, sand, steel)
+// @desc    Reconcile weigh-bill net weights and revise the invoice (aggregate, sand, steel)
 // @access  Private (Supplier)
 router.put('/:orderId/invoice', auth, authorize('supplier'), [
   param('orderId').notEmpty().withMessage('Order ID is required'),
   body('items').isArray({ min: 1 }).withMessage('Items array is required'),
   body('items.*.itemId').notEmpty().withMessage('Item ID is required'),
-  body('items.*.actualQuantity').isFloat({ min: 0.1 }).withMessage('Actual quantity must be at least 0.1')
+  body('items.*.actualQuantity').isFloat({ min: 0.1 }).withMessage('Actual quantity must be at least 0.1'),
+  body('items.*.weighBillUrl').optional().isURL().withMessage('Weigh bill must be a valid URL')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -789,112 +367,33 @@ router.put('/:orderId/invoice', auth, authorize('supplier'), [
       });
     }
 
-    // Check if order is in processing state
-    if (order.status !== 'processing') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invoice can only be updated when order is in processing state'
-      });
-    }
-
-    // Check if applicable for invoice update (aggregate, sand, steel)
-    const updatableCategories = ['aggregate', 'sand', 'tmt_steel'];
-    const hasUpdatableItems = order.items.some(item => 
-      updatableCategories.includes(item.productSnapshot.category)
-    );
-
-    if (!hasUpdatableItems) {
-      return res.status(400).json({
-        success: false,
-        message: 'This order does not contain items that can be updated'
-      });
-    }
-
-    let totalAmountDifference = 0;
-
-    // Update each item
-    for (const updateItem of items) {
-      const orderItem = order.items.id(updateItem.itemId);
-      if (!orderItem) {
-        return res.status(404).json({
-          success: false,
-          message: `Order item ${updateItem.itemId} not found`
-        });
-      }
-
-      // Check if category allows quantity update
-      if (!updatableCategories.includes(orderItem.productSnapshot.category)) {
-        return res.status(400).json({
-          success: false,
-          message: `${orderItem.productSnapshot.name} cannot be updated`
-        });
-      }
-
-      const oldTotal = orderItem.totalPrice;
-      orderItem.actualQuantityDelivered = updateItem.actualQuantity;
-      orderItem.totalPrice = updateItem.actualQuantity * orderItem.unitPrice;
-      
-      totalAmountDifference += orderItem.totalPrice - oldTotal;
-    }
-
-    // Recalculate order totals
-    const newSubtotal = order.pricing.subtotal + totalAmountDifference;
-    const newCommission = Math.round((newSubtotal * (supplier.commissionRate || 5)) / 100);
-    const newGST = Math.round((newSubtotal * 18) / 100);
-    const newPGCharges = Math.round(((newSubtotal + newCommission + newGST) * 2.5) / 100);
-    const newPGGST = Math.round((newPGCharges * 18) / 100);
-    const newTotalAmount = newSubtotal + newCommission + newGST + newPGCharges + newPGGST;
-
-    // Update pricing
-    order.pricing.subtotal = newSubtotal;
-    order.pricing.commission = newCommission;
-    order.pricing.gstAmount = newGST;
-    order.pricing.paymentGatewayCharges = newPGCharges + newPGGST;
-    order.pricing.totalAmount = newTotalAmount;
-
-    // Recalculate payment amounts
-    order.payment.advanceAmount = Math.round((newTotalAmount * order.payment.advancePercentage) / 100);
-    // FIXED: Ensure payment amounts are valid before saving
-    if (order.payment.remainingAmount < 0) {
-      order.payment.remainingAmount = 0;
-    }
-    // Mark invoice as updated
-    order.invoice.isUpdated = true;
-    order.invoice.updatedAt = new Date();
-
-    // Add timeline entry
-    order.timeline.push({
-      status: order.status,
-      timestamp: new Date(),
-      note: `Invoice updated with actual quantities. Amount difference: ₹${totalAmountDifference.toFixed(2)}`,
+    const { items: reconciledItems, adjustment } = await reconcileOrder(order, supplier, {
+      weights: items.map(item => ({
+        itemId: item.itemId,
+        netWeight: item.actualQuantity,
+        weighBillUrl: item.weighBillUrl
+      })),
       updatedBy: req.user._id
     });
 
     await order.save();
 
-    // Send notification to customer about invoice update
-    try {
-      if (order.customer && order.customer.phoneNumber) {
-        await sendSMS(
-          order.customer.phoneNumber,
-          `Invoice updated for order ${order.orderId}. New total: ₹${newTotalAmount.toFixed(2)}. Check app for details. - AggreKart`
-        );
-      }
-    } catch (error) {
-      console.error('Failed to send invoice update notification:', error);
-    }
+    await notifyInvoiceRevision(order.customer, order, adjustment);
+    await createShortfallRefund(order, adjustment, req.user._id);
 
     res.json({
       success: true,
-      message: 'Invoice updated successfully',
+      message: adjustment ? 'Invoice updated successfully' : 'Net weights are within tolerance; invoice unchanged',
       data: {
         order: {
           orderId: order.orderId,
           updatedItems: items.length,
-          amountDifference: totalAmountDifference,
-          newTotalAmount: newTotalAmount,
+          items: reconciledItems,
+          amountDifference: adjustment ? (adjustment.type === 'credit' ? -adjustment.amount : adjustment.amount) : 0,
+          newTotalAmount: order.pricing.totalAmount,
           newRemainingAmount: order.payment.remainingAmount
-        }
+        },
+        adjustment
       }
     });
 
@@ -946,13 +445,6 @@ router.post('/:orderId/delivery-complete', auth, authorize('supplier'), [
       });
     }
 
-    if (order.status !== 'dispatched') {
-      return res.status(400).json({
-        success: false,
-        message: 'Order must be in dispatched status'
-      });
-    }
-
     // Verify delivery OTP
     if (order.delivery.deliveryOTP !== deliveryOTP) {
       return res.status(400).json({
@@ -961,18 +453,12 @@ router.post('/:orderId/delivery-complete', auth, authorize('supplier'), [
       });
     }
 
-    // Complete delivery
-    order.status = 'delivered';
-    order.delivery.actualDeliveryTime = new Date();
-    order.delivery.deliveryNotes = deliveryNotes;
-    
-    // Add timeline entry
-    order.timeline.push({
-      status: 'delivered',
-      timestamp: new Date(),
-      note: 'Order delivered successfully',
-      updatedBy: req.user._id
+    // Complete delivery (throws 409 unless the order is dispatched)
+    order.updateStatus('delivered', 'Order delivered successfully', req.user._id, {
+      actor: ORDER_ACTORS.SUPPLIER,
+      otpVerified: true
     });
+    order.delivery.deliveryNotes = deliveryNotes;
     
     await order.save();
 
@@ -1010,6 +496,78 @@ router.post('/:orderId/delivery-complete', auth, authorize('supplier'), [
   }
 });
 
+// @route   GET /api/supplier-orders/documents
+// @desc    ZIP of invoices, credit notes, weigh bills and delivery proofs for orders received in a date range
+// @access  Private (Supplier)
+router.get('/documents', auth, authorize('supplier'), [
+  query('from').isISO8601().withMessage('Valid from date is required'),
+  query('to').isISO8601().withMessage('Valid to date is required'),
+  query('includeCancelled').optional().isBoolean().withMessage('includeCancelled must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const { from, to, includeCancelled } = req.query;
+
+    const filter = {
+      supplier: supplier._id,
+      createdAt: getBundleDateRange(from, to)
+    };
+    if (includeCancelled !== 'true') {
+      filter.status = { $ne: 'cancelled' };
+    }
+
+    const orders = await loadBundleOrders(filter);
+
+    await sendDocumentBundle(res, orders, `Order-Documents-${from.slice(0, 10)}-to-${to.slice(0, 10)}.zip`);
+
+  } catch (error) {
+    if (res.headersSent) {
+      return console.error('❌ Document bundle failed:', error);
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/supplier-orders/:orderId/documents
+// @desc    ZIP of an order's invoice, credit notes, weigh bills and delivery proof
+// @access  Private (Supplier)
+router.get('/:orderId/documents', auth, authorize('supplier'), async (req, res, next) => {
+  try {
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const { orderId } = req.params;
+
+    const orders = await loadBundleOrders({
+      ...(mongoose.isValidObjectId(orderId) ? { $or: [{ _id: orderId }, { orderId }] } : { orderId }),
+      supplier: supplier._id
+    }, 'Order not found');
+
+    await sendDocumentBundle(res, orders, `Order-Documents-${orders[0].orderId}.zip`);
+
+  } catch (error) {
+    if (res.headersSent) {
+      return console.error('❌ Document bundle failed:', error);
+    }
+    next(error);
+  }
+});
+
 // @route   GET /api/supplier-orders/analytics
 // @desc    Get supplier order analytics
 // @access  Private (Supplier)
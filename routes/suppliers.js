@@ -10,6 +10,15 @@ const { sendEmail, sendSMS } = require('../utils/notifications');
 const { getGSTDetails, getStateFromGST } = require('../utils/gstAPI'); // Add getStateFromGST here
 const Order = require('../models/Order'); // Add this line
 const { auth, authorize, checkSupplierSuspension } = require('../middleware/auth');
+const { getAvailableSlots } = require('../utils/deliverySlots');
+const Rfq = require('../models/Rfq');
+const { calculateLandedCost } = require('../utils/rfq');
+const { resolveItemGSTRates } = require('../utils/gstCalculator');
+const SupplierLedgerEntry = require('../models/SupplierLedgerEntry');
+const SupplierSettlement = require('../models/SupplierSettlement');
+const { getSupplierBalance } = require('../utils/supplierLedger');
+const { buildSupplierStatement, sendSupplierStatement } = require('../utils/supplierStatements');
+const { getBundleDateRange } = require('../utils/orderDocuments');
 const router = express.Router();
 (async () => {
   try {
@@ -725,6 +734,461 @@ router.put('/transport-rates', auth, authorize('supplier'), checkSupplierSuspens
     next(error);
   }
 });
+
+// @route   PUT /api/suppliers/delivery-settings
+// @desc    Update working hours, working days, holidays and delivery slot capacity
+// @access  Private (Supplier)
+router.put('/delivery-settings', auth, authorize('supplier'), checkSupplierSuspension, [
+  body('workingHours.start').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start time must be HH:mm'),
+  body('workingHours.end').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End time must be HH:mm'),
+  body('workingDays').optional().isArray({ min: 1 }).withMessage('At least one working day is required'),
+  body('workingDays.*').isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']).withMessage('Invalid working day'),
+  body('holidays').optional().isArray().withMessage('Holidays must be an array'),
+  body('holidays.*.date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Holiday date must be YYYY-MM-DD'),
+  body('holidays.*.reason').optional().trim().isLength({ max: 100 }).withMessage('Holiday reason cannot exceed 100 characters'),
+  body('deliverySlots.durationHours').optional().isInt({ min: 1, max: 12 }).withMessage('Slot duration must be between 1-12 hours'),
+  body('deliverySlots.loadsPerSlot').optional().isInt({ min: 1, max: 100 }).withMessage('Loads per slot must be between 1-100'),
+  body('deliverySlots.leadTimeHours').optional().isInt({ min: 0, max: 168 }).withMessage('Lead time must be between 0-168 hours')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const { workingHours, workingDays, holidays, deliverySlots } = req.body;
+
+    if (workingHours) {
+      const start = workingHours.start || supplier.settings.workingHours.start;
+      const end = workingHours.end || supplier.settings.workingHours.end;
+      if (start >= end) {
+        return next(new ErrorHandler('Working hours must end after they start', 400));
+      }
+      supplier.settings.workingHours = { start, end };
+    }
+
+    if (workingDays) {
+      supplier.settings.workingDays = workingDays;
+    }
+
+    if (holidays) {
+      supplier.settings.holidays = holidays.map(({ date, reason }) => ({ date, reason }));
+    }
+
+    if (deliverySlots) {
+      ['durationHours', 'loadsPerSlot', 'leadTimeHours'].forEach(field => {
+        if (deliverySlots[field] !== undefined) {
+          supplier.settings.deliverySlots[field] = parseInt(deliverySlots[field]);
+        }
+      });
+    }
+
+    await supplier.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery settings updated successfully',
+      data: {
+        settings: {
+          workingHours: supplier.settings.workingHours,
+          workingDays: supplier.settings.workingDays,
+          holidays: supplier.settings.holidays,
+          deliverySlots: supplier.settings.deliverySlots
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+// @route   GET /api/suppliers/rfqs
+// @desc    Requests for quote this supplier was invited to
+// @access  Private (Supplier)
+router.get('/rfqs', auth, authorize('supplier'), checkSupplierSuspension, [
+  query('status').optional().isIn(['open', 'awarded', 'cancelled']).withMessage('Invalid status')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const rfqs = await Rfq.find({
+      invitedSuppliers: supplier._id,
+      status: req.query.status || 'open'
+    })
+      .select('-invitedSuppliers -customer')
+      .sort({ closesAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        rfqs: rfqs.map(rfq => ({
+          ...rfq.toObject(),
+          // Suppliers only see their own bid, never competitors'
+          quotes: undefined,
+          myQuote: rfq.getSupplierQuote(supplier._id),
+          isAcceptingQuotes: rfq.isAcceptingQuotes()
+        }))
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/suppliers/rfqs/:rfqId/quotes
+// @desc    Submit or revise a quote for an RFQ
+// @access  Private (Supplier)
+router.post('/rfqs/:rfqId/quotes', auth, authorize('supplier'), checkSupplierSuspension, [
+  param('rfqId').notEmpty().withMessage('RFQ ID is required'),
+  body('productId').isMongoId().withMessage('Valid product ID is required'),
+  body('unitPrice').isFloat({ min: 0.01 }).withMessage('Unit price must be greater than 0'),
+  body('transportCost').isFloat({ min: 0 }).withMessage('Transport cost cannot be negative'),
+  body('validUntil').isISO8601().withMessage('Valid quote expiry date is required'),
+  body('deliveryTimeline').optional().trim().isLength({ max: 200 }).withMessage('Delivery timeline cannot exceed 200 characters'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier || !supplier.isApproved) {
+      return next(new ErrorHandler('Approved supplier profile required', 403));
+    }
+
+    const rfq = await Rfq.findOne({ rfqId: req.params.rfqId, invitedSuppliers: supplier._id });
+    if (!rfq) {
+      return next(new ErrorHandler('RFQ not found', 404));
+    }
+
+    if (!rfq.isAcceptingQuotes()) {
+      return next(new ErrorHandler('This RFQ is no longer accepting quotes', 400));
+    }
+
+    const { productId, unitPrice, transportCost, validUntil, deliveryTimeline, notes } = req.body;
+
+    if (new Date(validUntil) <= new Date()) {
+      return next(new ErrorHandler('Quote validity must be in the future', 400));
+    }
+
+    const product = await Product.findOne({
+      _id: productId,
+      supplier: supplier._id,
+      category: rfq.category,
+      isActive: true,
+      isApproved: true
+    });
+    if (!product) {
+      return next(new ErrorHandler(`Quote must be for one of your approved ${rfq.category} products`, 400));
+    }
+    if (product.pricing.unit !== rfq.unit) {
+      return next(new ErrorHandler(`Product is sold in ${product.pricing.unit}, but the RFQ asks for ${rfq.unit}`, 400));
+    }
+
+    const quoteData = {
+      product: product._id,
+      unitPrice: parseFloat(unitPrice),
+      transportCost: parseFloat(transportCost),
+      validUntil,
+      deliveryTimeline,
+      notes
+    };
+    const [gstRate] = await resolveItemGSTRates([{ product }]);
+    const { landedCost } = calculateLandedCost(rfq, quoteData, supplier, gstRate);
+
+    let quote = rfq.getSupplierQuote(supplier._id);
+    if (quote) {
+      Object.assign(quote, quoteData, { landedCost, submittedAt: new Date() });
+    } else {
+      rfq.quotes.push({ supplier: supplier._id, ...quoteData, landedCost });
+      quote = rfq.quotes[rfq.quotes.length - 1];
+    }
+
+    await rfq.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Quote submitted successfully',
+      data: { quote }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/suppliers/rfqs/:rfqId/quotes
+// @desc    Withdraw this supplier's quote
+// @access  Private (Supplier)
+router.delete('/rfqs/:rfqId/quotes', auth, authorize('supplier'), checkSupplierSuspension, [
+  param('rfqId').notEmpty().withMessage('RFQ ID is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const rfq = await Rfq.findOne({ rfqId: req.params.rfqId, invitedSuppliers: supplier._id });
+    const quote = rfq?.getSupplierQuote(supplier._id);
+    if (!quote) {
+      return next(new ErrorHandler('Quote not found', 404));
+    }
+
+    if (quote.status !== 'submitted') {
+      return next(new ErrorHandler(`Cannot withdraw a quote that was ${quote.status}`, 400));
+    }
+
+    quote.status = 'withdrawn';
+    await rfq.save();
+
+    res.json({
+      success: true,
+      message: 'Quote withdrawn successfully'
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/suppliers/ledger
+// @desc    Settlement ledger entries and current payable balance
+// @access  Private (Supplier)
+router.get('/ledger', auth, authorize('supplier'), checkSupplierSuspension, [
+  query('from').optional().isISO8601().withMessage('Valid from date is required'),
+  query('to').optional().isISO8601().withMessage('Valid to date is required'),
+  query('type').optional().isIn(SupplierLedgerEntry.LEDGER_ENTRY_TYPES).withMessage('Invalid entry type'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const { from, to, type, page = 1, limit = 50 } = req.query;
+
+    const filter = { supplier: supplier._id };
+    if (from || to) {
+      if (!from || !to) {
+        return next(new ErrorHandler('Both from and to dates are required to filter by date', 400));
+      }
+      filter.entryDate = getBundleDateRange(from, to);
+    }
+    if (type) filter.type = type;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total, balance] = await Promise.all([
+      SupplierLedgerEntry.find(filter)
+        .populate('settlement', 'settlementId status')
+        .select('-lines')
+        .sort({ entryDate: -1, _id: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SupplierLedgerEntry.countDocuments(filter),
+      getSupplierBalance(supplier._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        balance,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/suppliers/ledger/statement
+// @desc    Download an account statement for a date range (PDF or Excel)
+// @access  Private (Supplier)
+router.get('/ledger/statement', auth, authorize('supplier'), checkSupplierSuspension, [
+  query('from').isISO8601().withMessage('Valid from date is required'),
+  query('to').isISO8601().withMessage('Valid to date is required'),
+  query('format').optional().isIn(['pdf', 'excel']).withMessage('Format must be pdf or excel')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const { from, to, format = 'pdf' } = req.query;
+    const range = getBundleDateRange(from, to);
+
+    const statement = await buildSupplierStatement(supplier, { from: range.$gte, to: range.$lt });
+    await sendSupplierStatement(res, statement, format, `Statement-${supplier.supplierId}-${from.slice(0, 10)}-to-${to.slice(0, 10)}`);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/suppliers/settlements
+// @desc    Settlement cycles and their payout status
+// @access  Private (Supplier)
+router.get('/settlements', auth, authorize('supplier'), checkSupplierSuspension, [
+  query('status').optional().isIn(SupplierSettlement.SETTLEMENT_STATUSES).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const filter = { supplier: supplier._id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [settlements, total] = await Promise.all([
+      SupplierSettlement.find(filter)
+        .select('-payout.markedBy')
+        .sort({ periodEnd: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      SupplierSettlement.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        settlements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/suppliers/settlements/:settlementId/statement
+// @desc    Download the statement for one settlement cycle (PDF or Excel)
+// @access  Private (Supplier)
+router.get('/settlements/:settlementId/statement', auth, authorize('supplier'), checkSupplierSuspension, [
+  param('settlementId').notEmpty().withMessage('Settlement ID is required'),
+  query('format').optional().isIn(['pdf', 'excel']).withMessage('Format must be pdf or excel')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const supplier = await Supplier.findOne({ user: req.user._id });
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier profile not found', 404));
+    }
+
+    const settlement = await SupplierSettlement.findOne({
+      settlementId: req.params.settlementId,
+      supplier: supplier._id
+    });
+    if (!settlement) {
+      return next(new ErrorHandler('Settlement not found', 404));
+    }
+
+    const statement = await buildSupplierStatement(supplier, {
+      from: settlement.periodStart,
+      to: settlement.periodEnd
+    });
+    await sendSupplierStatement(res, statement, req.query.format || 'pdf', `Settlement-${settlement.settlementId}`);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/suppliers/dashboard
 // @desc    Get supplier dashboard data
 // @access  Private (Supplier)
@@ -1437,6 +1901,59 @@ router.get('/nearby', [
 // @access  Public
 // Update the existing supplier details route to include reviews
 
+// @route   GET /api/suppliers/:supplierId/delivery-slots
+// @desc    List available delivery windows for a date range
+// @access  Public
+router.get('/:supplierId/delivery-slots', [
+  param('supplierId').notEmpty().withMessage('Supplier ID is required'),
+  query('from').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('From date must be YYYY-MM-DD'),
+  query('to').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('To date must be YYYY-MM-DD')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { supplierId } = req.params;
+    const supplierQuery = supplierId.match(/^[0-9a-fA-F]{24}$/)
+      ? { $or: [{ _id: supplierId }, { supplierId }] }
+      : { supplierId };
+
+    const supplier = await Supplier.findOne({
+      ...supplierQuery,
+      isApproved: true,
+      isActive: true
+    }).select('supplierId companyName settings');
+
+    if (!supplier) {
+      return next(new ErrorHandler('Supplier not found', 404));
+    }
+
+    const days = await getAvailableSlots(supplier, req.query.from, req.query.to);
+
+    res.json({
+      success: true,
+      data: {
+        supplier: {
+          _id: supplier._id,
+          supplierId: supplier.supplierId,
+          companyName: supplier.companyName
+        },
+        workingHours: supplier.settings.workingHours,
+        days
+      }
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/suppliers/:supplierId/details
 // @desc    Get public supplier details with product-based ratings and reviews
 // @access  Public
@@ -6,6 +6,7 @@ const User = require('../models/User');
 const Order = require('../models/Order');
 const { ErrorHandler } = require('../utils/errorHandler');
 const { sendEmail, sendSMS } = require('../utils/notifications');
+const { generateId } = require('../utils/sequence');
 const mongoose = require('mongoose');
 const router = express.Router();
 
@@ -200,8 +201,7 @@ router.post('/tickets', auth, [
     } = req.body;
 
     // Generate ticket ID
-    const ticketCount = await Ticket.countDocuments({});
-    const ticketId = `TKT-${String(ticketCount + 1).padStart(6, '0')}`;
+    const ticketId = await generateId('ticket');
 
     // Enhanced: Gather customer contact info
     const customerContactInfo = {
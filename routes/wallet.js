@@ -0,0 +1,42 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { auth, authorize } = require('../middleware/auth');
+const Wallet = require('../models/Wallet');
+const { getWalletStatement } = require('../utils/wallet');
+const router = express.Router();
+
+// @route   GET /api/wallet
+// @desc    Wallet balance and transactions (refunds, cashback, checkout payments), newest first
+// @access  Private (Customer)
+router.get('/', auth, authorize('customer'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('source').optional().isIn(Wallet.WALLET_SOURCES).withMessage('Invalid wallet transaction source')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const statement = await getWalletStatement(req.user._id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      source: req.query.source
+    });
+
+    res.json({
+      success: true,
+      data: statement
+    });
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const Ticket = require('../models/Ticket');
+const Pilot = require('../models/Pilot');
+const { SEQUENCES } = require('../utils/sequence');
+require('dotenv').config();
+
+// Highest numeric suffix among existing IDs that follow the sequential format
+const getHighestSequence = async (Model, field, pattern) => {
+  const docs = await Model.find({ [field]: { $regex: pattern } }).select(field).lean();
+  return docs.reduce((max, doc) => {
+    const match = doc[field].match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+};
+
+const initializeCounters = async () => {
+  try {
+    console.log('🚀 Seeding counters from existing IDs...');
+
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/aggrekart', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const series = [
+      { key: SEQUENCES.order.prefix, Model: Order, field: 'orderId', pattern: /^ORD(\d+)$/ },
+      { key: SEQUENCES.ticket.prefix, Model: Ticket, field: 'ticketId', pattern: /^TKT-(\d+)$/ },
+      { key: SEQUENCES.pilot.prefix, Model: Pilot, field: 'pilotId', pattern: /^PIL(\d+)$/ }
+    ];
+
+    for (const { key, Model, field, pattern } of series) {
+      const highest = await getHighestSequence(Model, field, pattern);
+      await Counter.ensureAtLeast(key, highest);
+      console.log(`✅ ${key} counter set to at least ${highest}`);
+    }
+
+    console.log('🎉 Counter initialization completed!');
+  } catch (error) {
+    console.error('💥 Counter initialization failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔐 MongoDB connection closed');
+  }
+};
+
+// Run the initialization
+initializeCounters();
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { processBalanceReminders } = require('../utils/balanceCollection');
+require('dotenv').config();
+
+// Syncs balance payment links and sends due reminders; safe to run repeatedly
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/aggrekart', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const { checked, paid, reminded, failed } = await processBalanceReminders();
+    console.log(`💳 Balances processed: ${checked} checked, ${paid} paid, ${reminded} reminder(s) sent, ${failed} failed`);
+  } catch (error) {
+    console.error('💥 Balance reminder processing failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔐 MongoDB connection closed');
+  }
+};
+
+run();
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { processDueStandingOrders } = require('../utils/standingOrders');
+require('dotenv').config();
+
+// Places due standing-order runs and sends advance notices; safe to run repeatedly
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/aggrekart', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    const { placed, notified } = await processDueStandingOrders();
+    console.log(`🔁 Standing orders processed: ${placed} run(s) placed, ${notified} customer(s) notified`);
+  } catch (error) {
+    console.error('💥 Standing order processing failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔐 MongoDB connection closed');
+  }
+};
+
+run();
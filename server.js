@@ -5,6 +5,7 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const { globalErrorHandler } = require('./utils/errorHandler');
+const { startScheduler, stopScheduler } = require('./utils/scheduler');
 require('dotenv').config();
 const newsletterRoutes = require('./routes/newsletter');
 const translationRoutes = require('./routes/translations');
@@ -74,9 +75,10 @@ const corsOptions = {
     'Accept',
     'Origin',
     'Cache-Control',
-    'Pragma'
+    'Pragma',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['Content-Range', 'X-Content-Range'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200, // Support legacy browsers
   maxAge: 86400 // Cache preflight for 24 hours
 };
@@ -130,7 +132,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging
@@ -148,6 +156,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/aggrekart
 .then(() => {
   console.log('✅ MongoDB connected successfully');
   console.log(`📊 Database: ${mongoose.connection.name}`);
+
+  // Background jobs; instances coordinate through job leases in the database
+  if (process.env.DISABLE_SCHEDULER !== 'true') {
+    startScheduler();
+  }
 })
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
@@ -220,6 +233,12 @@ app.use('/api/users', require('./routes/users'));
 app.use('/api/products', require('./routes/products'));
 app.use('/api/cart', require('./routes/cart'));
 app.use('/api/orders', require('./routes/orders'));
+app.use('/api/standing-orders', require('./routes/standing-orders'));
+app.use('/api/rfqs', require('./routes/rfqs'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/estimator', require('./routes/estimator'));
+app.use('/api/credit', require('./routes/credit'));
+app.use('/api/wallet', require('./routes/wallet'));
 app.use('/api/wishlist', require('./routes/wishlist'));
 app.use('/api/payments', require('./routes/payments'));
 app.use('/api/support', require('./routes/support')); // 🔥 NEW: Admin-managed support system
@@ -371,6 +390,7 @@ process.on('uncaughtException', (err) => {
 process.on('SIGTERM', () => {
   console.log('SIGTERM received');
   console.log('Shutting down gracefully...');
+  stopScheduler();
   server.close(() => {
     console.log('Process terminated');
     mongoose.connection.close();
@@ -380,6 +400,7 @@ process.on('SIGTERM', () => {
 process.on('SIGINT', () => {
   console.log('SIGINT received');
   console.log('Shutting down gracefully...');
+  stopScheduler();
   server.close(() => {
     console.log('Process terminated');
     mongoose.connection.close();
@@ -0,0 +1,272 @@
+const Order = require('../models/Order');
+const PaymentGateway = require('./payment');
+const { sendSMS, sendEmail } = require('./notifications');
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * BALANCE COLLECTION
+ * Orders are placed against an advance; the rest is collected after delivery
+ * through a gateway payment link, with reminders until it is paid.
+ */
+
+const BALANCE_LINK_VALIDITY_DAYS = 35;
+
+// Days after delivery on which reminders go out
+const BALANCE_REMINDER_DAYS = [1, 3, 7, 14, 21, 30];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LINK_GATEWAYS = {
+  razorpay: {
+    create: PaymentGateway.createRazorpayPaymentLink,
+    fetch: PaymentGateway.fetchRazorpayPaymentLink,
+    cancel: PaymentGateway.cancelRazorpayPaymentLink
+  },
+  cashfree: {
+    create: PaymentGateway.createCashfreePaymentLink,
+    fetch: PaymentGateway.fetchCashfreePaymentLink,
+    cancel: PaymentGateway.cancelCashfreePaymentLink
+  }
+};
+
+// Same gateway the advance went through when it can issue links, else the first configured one
+const pickLinkGateway = (order) => {
+  const methods = PaymentGateway.getPaymentMethods();
+  if (LINK_GATEWAYS[order.payment.gateway] && methods[order.payment.gateway]?.enabled) {
+    return order.payment.gateway;
+  }
+  return Object.keys(LINK_GATEWAYS).find(gateway => methods[gateway]?.enabled) || null;
+};
+
+const hasUsableLink = (order, now = new Date()) => {
+  const link = order.payment.balanceCollection;
+  return !!link?.linkId &&
+    link.status === 'created' &&
+    link.amount === order.payment.remainingAmount &&
+    (!link.expiresAt || link.expiresAt > now);
+};
+
+/**
+ * Record a balance payment; the pre-save hook settles remainingAmount and
+ * moves the payment status to paid. Mutates the order; the caller saves it.
+ * @returns {Boolean} false when this link was already recorded as paid
+ */
+const markBalancePaid = (order, { amount, transactionId = null, paidAt = new Date() } = {}) => {
+  const link = order.payment.balanceCollection;
+  if (link.status === 'paid') return false;
+
+  link.status = 'paid';
+  link.paidAt = paidAt;
+  link.transactionId = transactionId;
+  order.payment.balancePaid = (order.payment.balancePaid || 0) + (amount ?? link.amount);
+
+  order.timeline.push({
+    status: order.status,
+    timestamp: paidAt,
+    note: `Balance of ₹${(amount ?? link.amount).toFixed(2)} received via ${link.gateway}${transactionId ? ` - Transaction ID: ${transactionId}` : ''}`,
+    updatedBy: order.customer?._id || order.customer
+  });
+
+  return true;
+};
+
+// Pull the current link status from the gateway
+const syncBalancePayment = async (order) => {
+  const link = order.payment.balanceCollection;
+  if (!link?.linkId || link.status !== 'created') return link?.status || null;
+
+  const result = await LINK_GATEWAYS[link.gateway].fetch(link.linkId);
+  if (!result.success) {
+    console.error(`❌ Failed to fetch balance link ${link.linkId} for order ${order.orderId}:`, result.error);
+    return link.status;
+  }
+
+  if (result.status === 'paid') {
+    markBalancePaid(order, { amount: result.amountPaid || link.amount, transactionId: result.transactionId });
+  } else {
+    link.status = result.status;
+  }
+  return link.status;
+};
+
+/**
+ * Make sure the order has a live link for exactly the balance due, replacing
+ * an expired one or one for an amount changed by a later adjustment.
+ * Mutates the order; the caller saves it.
+ */
+const ensureBalancePaymentLink = async (order, customer) => {
+  if (hasUsableLink(order)) return order.payment.balanceCollection;
+
+  const previous = order.payment.balanceCollection?.linkId ? order.payment.balanceCollection.toObject() : null;
+  if (previous?.status === 'created') {
+    await LINK_GATEWAYS[previous.gateway].cancel(previous.linkId);
+  }
+
+  const gateway = pickLinkGateway(order);
+  if (!gateway) {
+    throw new ErrorHandler('No payment gateway is configured for payment links', 503);
+  }
+
+  const amount = order.payment.remainingAmount;
+  const expiresAt = new Date(Date.now() + BALANCE_LINK_VALIDITY_DAYS * DAY_MS);
+  const referenceId = `${order.orderId}_BAL_${Date.now()}`;
+
+  const result = await LINK_GATEWAYS[gateway].create({
+    referenceId,
+    orderId: order.orderId,
+    amount,
+    description: `Balance payment for Aggrekart order ${order.orderId}`,
+    customerName: customer.name,
+    customerEmail: customer.email,
+    customerPhone: customer.phoneNumber,
+    expiresAt
+  });
+
+  if (!result.success) {
+    throw new ErrorHandler(`Failed to create payment link: ${result.error}`, 502);
+  }
+
+  order.payment.balanceCollection = {
+    gateway,
+    linkId: result.linkId,
+    referenceId,
+    url: result.url,
+    amount,
+    status: result.status,
+    createdAt: new Date(),
+    expiresAt,
+    remindersSent: previous?.remindersSent || 0,
+    lastReminderAt: previous?.lastReminderAt
+  };
+
+  return order.payment.balanceCollection;
+};
+
+const sendBalanceReminder = async (order, customer, { initial = false } = {}) => {
+  const link = order.payment.balanceCollection;
+  const amount = `₹${order.payment.remainingAmount.toFixed(2)}`;
+  const message = initial
+    ? `Your Aggrekart order ${order.orderId} has been delivered. Balance due: ${amount}. Pay securely here: ${link.url} - AggreKart`
+    : `Reminder: ${amount} is still due on your Aggrekart order ${order.orderId}. Pay securely here: ${link.url} - AggreKart`;
+
+  if (customer.phoneNumber) {
+    await sendSMS(customer.phoneNumber, message);
+  }
+  if (customer.email) {
+    await sendEmail(
+      customer.email,
+      initial ? `Balance payment for order ${order.orderId}` : `Payment reminder for order ${order.orderId}`,
+      `${message}\n\nThe link is valid until ${link.expiresAt.toLocaleDateString('en-IN')}.`
+    );
+  }
+
+  if (!initial) {
+    link.remindersSent = (link.remindersSent || 0) + 1;
+  }
+  link.lastReminderAt = new Date();
+};
+
+// Reminders count from delivery; updatedAt moves on every save, so it can't stand in.
+// Orders delivered without a recorded time fall back to the first link sent.
+const getDeliveredAt = (order) => {
+  const delivered = order.timeline?.find(entry => entry.status === 'delivered');
+  return order.delivery?.actualDeliveryTime || delivered?.timestamp || order.payment.balanceCollection?.createdAt;
+};
+
+const isReminderDue = (order, now = new Date()) => {
+  const link = order.payment.balanceCollection;
+  const sent = link?.remindersSent || 0;
+  if (sent >= BALANCE_REMINDER_DAYS.length) return false;
+
+  const deliveredAt = getDeliveredAt(order);
+  if (!deliveredAt) return false;
+  const dueAt = new Date(deliveredAt.getTime() + BALANCE_REMINDER_DAYS[sent] * DAY_MS);
+  return now >= dueAt && (!link?.lastReminderAt || link.lastReminderAt < dueAt);
+};
+
+// A UPI payment recorded at the door and not yet verified may already cover the balance
+const hasUnverifiedDoorstepPayment = (order) => {
+  return (order.payment.doorstepCollections || []).some(collection => collection.status === 'unverified');
+};
+
+// Called when an order with a balance due is delivered
+const startBalanceCollection = async (orderId) => {
+  const order = await Order.findById(orderId).populate('customer', 'name email phoneNumber');
+  if (!order || order.payment.status !== 'partial' || order.payment.remainingAmount <= 0) return null;
+  // The reminder run picks the order up if the doorstep payment is rejected
+  if (hasUnverifiedDoorstepPayment(order)) return null;
+
+  await ensureBalancePaymentLink(order, order.customer);
+  await order.save();
+
+  try {
+    await sendBalanceReminder(order, order.customer, { initial: true });
+    await order.save();
+  } catch (error) {
+    console.error(`❌ Failed to send balance payment link for order ${order.orderId}:`, error);
+  }
+
+  console.log(`💳 Balance link created for order ${order.orderId}: ₹${order.payment.remainingAmount}`);
+  return order;
+};
+
+/**
+ * Sync link status, replace stale links and send due reminders for every
+ * delivered order with a balance outstanding
+ * @returns {Object} summary counts
+ */
+const processBalanceReminders = async (now = new Date()) => {
+  const summary = { checked: 0, paid: 0, reminded: 0, failed: 0 };
+
+  // Orders paid before partial status existed are still marked paid; COD
+  // orders owe a balance only after a debit note (partial)
+  const orders = await Order.find({
+    status: 'delivered',
+    $or: [
+      // Credit orders are repaid against the credit line
+      { 'payment.method': { $nin: ['cod', 'credit'] }, 'payment.status': { $in: ['partial', 'paid'] } },
+      { 'payment.method': 'cod', 'payment.status': 'partial' }
+    ],
+    'payment.remainingAmount': { $gt: 0 },
+    // No link or reminders while a doorstep UPI payment awaits verification
+    'payment.doorstepCollections.status': { $ne: 'unverified' }
+  }).populate('customer', 'name email phoneNumber');
+
+  for (const order of orders) {
+    summary.checked++;
+    try {
+      if (await syncBalancePayment(order) === 'paid') {
+        await order.save();
+        summary.paid++;
+        continue;
+      }
+
+      await ensureBalancePaymentLink(order, order.customer);
+
+      if (isReminderDue(order, now)) {
+        await sendBalanceReminder(order, order.customer);
+        summary.reminded++;
+      }
+
+      await order.save();
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Balance collection failed for order ${order.orderId}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  LINK_GATEWAYS,
+  BALANCE_LINK_VALIDITY_DAYS,
+  BALANCE_REMINDER_DAYS,
+  markBalancePaid,
+  syncBalancePayment,
+  ensureBalancePaymentLink,
+  sendBalanceReminder,
+  isReminderDue,
+  startBalanceCollection,
+  processBalanceReminders
+};
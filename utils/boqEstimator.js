@@ -0,0 +1,336 @@
+const Product = require('../models/Product');
+const EstimatorCoefficient = require('../models/EstimatorCoefficient');
+const { calculateDistance } = require('./orderPricing');
+
+/**
+ * BILL OF QUANTITIES ESTIMATOR
+ * Turns a few structure parameters into material quantities per product
+ * category and subcategory using the admin-configurable consumption
+ * coefficients, then proposes a cart from the nearest suppliers stocking them.
+ */
+
+const SQFT_TO_SQM = 0.092903;
+const DEFAULT_SUPPLIER_RADIUS_KM = 50;
+
+const MASONRY_TYPES = ['red_bricks', 'clay_bricks', 'fly_ash_bricks', 'solid_blocks', 'hollow_blocks', 'aac_blocks'];
+// Internal walls are half-brick thick; blocks come in thinner sizes at the same count
+const BRICK_TYPES = ['red_bricks', 'clay_bricks', 'fly_ash_bricks'];
+const CEMENT_GRADES = ['opc_53', 'opc_43', 'ppc'];
+const STEEL_GRADES = ['fe_415', 'fe_500', 'fe_550', 'fe_600'];
+const SAND_TYPES = ['river_sand', 'm_sand'];
+const STEEL_DIAMETERS = ['8mm', '10mm', '12mm', '16mm', '20mm'];
+
+// Subcategory values products are stored with (keys and display names)
+const SUBCATEGORY_ALIASES = {
+  opc_53: ['opc_53', 'OPC 53 Grade', 'OPC Cement', 'OPC'],
+  opc_43: ['opc_43', 'OPC 43 Grade'],
+  ppc: ['ppc', 'PPC', 'Portland Pozzolana Cement', 'PPC Cement'],
+  fe_415: ['fe_415', 'FE-415', 'fe-415'],
+  fe_500: ['fe_500', 'FE-500', 'fe-500'],
+  fe_550: ['fe_550', 'FE-550', 'fe-550'],
+  fe_600: ['fe_600', 'FE-600', 'fe-600'],
+  river_sand: ['river_sand', 'River sand', 'River Sand'],
+  river_sand_plastering: ['river_sand_plastering', 'River sand (Plastering)', 'River Sand (Plastering)'],
+  m_sand: ['m_sand', 'M.sand', 'M Sand'],
+  '10_mm_metal': ['10_mm_metal', '10 MM Metal'],
+  '20_mm_metal': ['20_mm_metal', '20 MM Metal'],
+  red_bricks: ['red_bricks', 'Red Bricks'],
+  clay_bricks: ['clay_bricks', 'Clay Bricks'],
+  fly_ash_bricks: ['fly_ash_bricks', 'Fly Ash Bricks'],
+  solid_blocks: ['solid_blocks', 'Solid Blocks'],
+  hollow_blocks: ['hollow_blocks', 'Hollow Blocks'],
+  aac_blocks: ['aac_blocks', 'AAC Blocks']
+};
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Whole bags and units; tonnes to the nearest 0.1 MT, always rounding up
+const roundUpForSale = (quantity, unit) => {
+  return unit === 'MT' ? Math.ceil(round(quantity * 10, 6)) / 10 : Math.ceil(round(quantity, 6));
+};
+
+const getLabel = ({ subcategory, diameter }) => {
+  const name = SUBCATEGORY_ALIASES[subcategory]?.[1] || subcategory;
+  return diameter ? `${name} TMT ${diameter}` : name;
+};
+
+/**
+ * Material quantities for a structure
+ * @param {Object} params - builtUpArea, areaUnit, floors, slabThickness (mm), wallHeight (m),
+ *   externalWallLength / internalWallLength (m per floor), masonryType, cementGrade,
+ *   masonryCementGrade, steelGrade, sandType, includePlastering
+ * @param {Object} coefficients - from EstimatorCoefficient.getCoefficients()
+ * @returns {Object} { breakdown, materials }
+ */
+const estimateQuantities = (params, coefficients) => {
+  const {
+    builtUpArea,
+    areaUnit = 'sqft',
+    floors = 1,
+    slabThickness = 125,
+    wallHeight = 3,
+    externalWallLength = 0,
+    internalWallLength = 0,
+    masonryType = 'red_bricks',
+    cementGrade = 'opc_53',
+    masonryCementGrade = 'ppc',
+    steelGrade = 'fe_500',
+    sandType = 'river_sand',
+    includePlastering = true
+  } = params;
+  const c = coefficients;
+
+  // Concrete
+  const floorAreaSqm = areaUnit === 'sqft' ? builtUpArea * SQFT_TO_SQM : builtUpArea;
+  const totalFloorAreaSqm = floorAreaSqm * floors;
+  const slabConcrete = totalFloorAreaSqm * (slabThickness / 1000);
+  const frameConcrete = totalFloorAreaSqm * c['structure.frame_concrete_cum_per_sqm'];
+  const foundationConcrete = floorAreaSqm * c['structure.foundation_concrete_cum_per_sqm'];
+  const concrete = slabConcrete + frameConcrete + foundationConcrete;
+
+  const steelKg = slabConcrete * c['steel.slab_kg_per_cum'] +
+    frameConcrete * c['steel.frame_kg_per_cum'] +
+    foundationConcrete * c['steel.foundation_kg_per_cum'];
+
+  // Walls, less openings
+  const openingFactor = 1 - c['masonry.openings_percentage'] / 100;
+  const externalWallArea = externalWallLength * wallHeight * floors * openingFactor;
+  const internalWallArea = internalWallLength * wallHeight * floors * openingFactor;
+  const internalFactor = BRICK_TYPES.includes(masonryType) ? c['masonry.internal_brick_wall_factor'] : 1;
+  const effectiveWallArea = externalWallArea + internalWallArea * internalFactor;
+
+  const masonryUnits = effectiveWallArea * c[`masonry.${masonryType}.units_per_sqm`];
+  const masonryMortar = effectiveWallArea * c[`masonry.${masonryType}.mortar_cum_per_sqm`];
+
+  const plasterArea = includePlastering ? (externalWallArea + internalWallArea) * 2 : 0;
+  const plasterMortar = plasterArea * c['plaster.mortar_cum_per_sqm'];
+
+  // Materials, before wastage
+  const sandCategory = sandType === 'm_sand' ? 'aggregate' : 'sand';
+  const aggregateCum = concrete * c['concrete.aggregate_cum_per_cum'];
+  const aggregate20Share = c['concrete.aggregate_20mm_percentage'] / 100;
+  const sandDensity = c['density.sand_mt_per_cum'];
+  const aggregateDensity = c['density.aggregate_mt_per_cum'];
+
+  const lines = [
+    {
+      category: 'cement', subcategory: cementGrade, unit: 'bags', usedFor: 'rcc',
+      quantity: concrete * c['concrete.cement_bags_per_cum']
+    },
+    {
+      category: 'cement', subcategory: masonryCementGrade, unit: 'bags', usedFor: 'masonry',
+      quantity: masonryMortar * c['mortar.cement_bags_per_cum']
+    },
+    {
+      category: 'cement', subcategory: masonryCementGrade, unit: 'bags', usedFor: 'plaster',
+      quantity: plasterMortar * c['plaster.cement_bags_per_cum']
+    },
+    {
+      category: sandCategory, subcategory: sandType, unit: 'MT', usedFor: 'rcc',
+      quantity: concrete * c['concrete.sand_cum_per_cum'] * sandDensity
+    },
+    {
+      category: sandCategory, subcategory: sandType, unit: 'MT', usedFor: 'masonry',
+      quantity: masonryMortar * c['mortar.sand_cum_per_cum'] * sandDensity
+    },
+    {
+      category: 'sand', subcategory: 'river_sand_plastering', unit: 'MT', usedFor: 'plaster',
+      quantity: plasterMortar * c['plaster.sand_cum_per_cum'] * sandDensity
+    },
+    {
+      category: 'aggregate', subcategory: '20_mm_metal', unit: 'MT', usedFor: 'rcc',
+      quantity: aggregateCum * aggregate20Share * aggregateDensity
+    },
+    {
+      category: 'aggregate', subcategory: '10_mm_metal', unit: 'MT', usedFor: 'rcc',
+      quantity: aggregateCum * (1 - aggregate20Share) * aggregateDensity
+    },
+    {
+      category: 'bricks_blocks', subcategory: masonryType, unit: 'numbers', usedFor: 'masonry',
+      quantity: masonryUnits
+    }
+  ];
+
+  // Steel split across bar diameters; shares are normalised in case they don't add up to 100
+  const mix = STEEL_DIAMETERS.map(diameter => ({ diameter, share: c[`steel.mix_${diameter}_percentage`] }));
+  const mixTotal = mix.reduce((sum, { share }) => sum + share, 0);
+  mix.forEach(({ diameter, share }) => {
+    lines.push({
+      category: 'tmt_steel', subcategory: steelGrade, diameter, unit: 'MT', usedFor: 'rcc',
+      quantity: mixTotal > 0 ? (steelKg * share / mixTotal) / 1000 : 0
+    });
+  });
+
+  // Merge lines for the same product type and add wastage
+  const wastageFactor = 1 + c['wastage.percentage'] / 100;
+  const materials = [];
+  lines.forEach(line => {
+    if (line.quantity <= 0) return;
+
+    const key = [line.category, line.subcategory, line.diameter].filter(Boolean).join(':');
+    let material = materials.find(m => m.key === key);
+    if (!material) {
+      material = {
+        key,
+        name: getLabel(line),
+        category: line.category,
+        subcategory: line.subcategory,
+        ...(line.diameter && { diameter: line.diameter }),
+        unit: line.unit,
+        rawQuantity: 0,
+        usedFor: []
+      };
+      materials.push(material);
+    }
+    material.rawQuantity += line.quantity * wastageFactor;
+    if (!material.usedFor.includes(line.usedFor)) material.usedFor.push(line.usedFor);
+  });
+
+  materials.forEach(material => {
+    material.quantity = roundUpForSale(material.rawQuantity, material.unit);
+    material.rawQuantity = round(material.rawQuantity, 3);
+  });
+
+  return {
+    breakdown: {
+      floorAreaSqm: round(floorAreaSqm),
+      totalFloorAreaSqm: round(totalFloorAreaSqm),
+      concreteCum: {
+        slab: round(slabConcrete),
+        frame: round(frameConcrete),
+        foundation: round(foundationConcrete),
+        total: round(concrete)
+      },
+      steelKg: round(steelKg),
+      wallAreaSqm: {
+        external: round(externalWallArea),
+        internal: round(internalWallArea)
+      },
+      masonryMortarCum: round(masonryMortar),
+      plasterAreaSqm: round(plasterArea),
+      plasterMortarCum: round(plasterMortar),
+      wastagePercentage: c['wastage.percentage']
+    },
+    materials
+  };
+};
+
+// Approved, in-stock products for a material from suppliers within range, nearest first
+const findNearbyProducts = async (material, location, maxDistance) => {
+  const filter = {
+    category: material.category,
+    subcategory: { $in: SUBCATEGORY_ALIASES[material.subcategory] || [material.subcategory] },
+    isActive: true,
+    isApproved: true
+  };
+  if (material.diameter) {
+    filter['specifications.diameter'] = { $in: [material.diameter, material.diameter.replace('mm', '')] };
+  }
+
+  const products = await Product.find(filter)
+    .populate({
+      path: 'supplier',
+      match: { isApproved: true, isActive: true },
+      select: 'companyName dispatchLocation'
+    });
+
+  return products
+    .filter(product => {
+      const [lng, lat] = product.supplier?.dispatchLocation?.coordinates || [];
+      return lat && lng;
+    })
+    .map(product => {
+      const [lng, lat] = product.supplier.dispatchLocation.coordinates;
+      return {
+        product,
+        distance: round(calculateDistance(location.latitude, location.longitude, lat, lng))
+      };
+    })
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance || a.product.pricing.basePrice - b.product.pricing.basePrice);
+};
+
+/**
+ * Nearest in-stock product for each material, as items ready for POST /api/cart/items
+ * @param {Array} materials - from estimateQuantities
+ * @param {Object} location - { latitude, longitude } of the site
+ * @returns {Object} { items, unavailable, cartItems, supplierCount, estimatedMaterialCost }
+ */
+const proposeCart = async (materials, location, { maxDistance = DEFAULT_SUPPLIER_RADIUS_KM } = {}) => {
+  const items = [];
+  const unavailable = [];
+
+  for (const material of materials) {
+    const candidates = await findNearbyProducts(material, location, maxDistance);
+    const match = candidates.find(({ product }) =>
+      product.isInStock(Math.max(material.quantity, product.pricing.minimumQuantity))
+    );
+
+    if (!match) {
+      unavailable.push({
+        key: material.key,
+        name: material.name,
+        quantity: material.quantity,
+        unit: material.unit,
+        reason: candidates.length > 0
+          ? 'Not enough stock with suppliers nearby'
+          : `No supplier within ${maxDistance} km`
+      });
+      continue;
+    }
+
+    const { product, distance } = match;
+    const quantity = Math.max(material.quantity, product.pricing.minimumQuantity);
+
+    items.push({
+      key: material.key,
+      productId: product._id.toString(),
+      name: product.name,
+      brand: product.brand,
+      quantity,
+      unit: product.pricing.unit,
+      unitPrice: product.pricing.basePrice,
+      lineTotal: round(quantity * product.pricing.basePrice),
+      supplier: {
+        _id: product.supplier._id,
+        companyName: product.supplier.companyName,
+        distance
+      }
+    });
+  }
+
+  return {
+    items,
+    unavailable,
+    cartItems: items.map(({ productId, quantity }) => ({ productId, quantity })),
+    supplierCount: new Set(items.map(item => item.supplier._id.toString())).size,
+    estimatedMaterialCost: round(items.reduce((sum, item) => sum + item.lineTotal, 0))
+  };
+};
+
+/**
+ * Quantities plus a proposed cart for the site
+ * @param {Object} params - structure parameters (see estimateQuantities)
+ * @param {Object} location - { latitude, longitude }
+ */
+const buildEstimate = async (params, location, options = {}) => {
+  const coefficients = await EstimatorCoefficient.getCoefficients();
+  const { breakdown, materials } = estimateQuantities(params, coefficients);
+  const cart = await proposeCart(materials, location, options);
+
+  return { breakdown, materials, cart };
+};
+
+module.exports = {
+  MASONRY_TYPES,
+  CEMENT_GRADES,
+  STEEL_GRADES,
+  SAND_TYPES,
+  STEEL_DIAMETERS,
+  estimateQuantities,
+  proposeCart,
+  buildEstimate
+};
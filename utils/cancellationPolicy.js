@@ -0,0 +1,201 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const { ORDER_ACTORS } = require('./orderStateMachine');
+
+/**
+ * CANCELLATION POLICY ENGINE
+ * Works out what a cancellation refunds, deducts and compensates the supplier
+ * from the admin-managed policies for each item category at the order's stage.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Money actually collected from the customer so far
+const getPaidAmount = (order) => {
+  const payment = order.payment || {};
+
+  if (payment.method === 'cod' && payment.status !== 'partial') {
+    return ['paid', 'partial_refund', 'refunded'].includes(payment.status) ? order.pricing.totalAmount : 0;
+  }
+  // Credit orders are paid only through repayments
+  if (payment.method === 'credit') {
+    return payment.balancePaid || 0;
+  }
+  // Before the gateway part arrives only the wallet part of the advance is in
+  if (!payment.paidAt) return payment.wallet?.amount || 0;
+
+  return (payment.advanceAmount || 0) + (payment.balancePaid || 0);
+};
+
+// Share of the order value per item category (one default group for item-less orders)
+const getCategoryShares = (order) => {
+  const totals = new Map();
+  (order.items || []).forEach(item => {
+    const category = item.productSnapshot?.category || CancellationPolicy.DEFAULT_POLICY_CATEGORY;
+    totals.set(category, (totals.get(category) || 0) + (item.totalPrice || 0));
+  });
+
+  const itemsTotal = [...totals.values()].reduce((sum, value) => sum + value, 0);
+  if (itemsTotal <= 0) {
+    return [{ category: CancellationPolicy.DEFAULT_POLICY_CATEGORY, share: 1 }];
+  }
+
+  return [...totals.entries()].map(([category, value]) => ({ category, share: value / itemsTotal }));
+};
+
+// First band still open at elapsedMinutes; staff cancellations fall back to the last band
+const selectTimeBand = (policy, elapsedMinutes, actor) => {
+  const band = policy.timeBands.find(b => b.upToMinutes === null || b.upToMinutes === undefined || elapsedMinutes < b.upToMinutes);
+  if (band || actor === ORDER_ACTORS.CUSTOMER) return band || null;
+  return policy.timeBands[policy.timeBands.length - 1] || null;
+};
+
+/**
+ * Evaluate the cancellation policies for an order without changing it
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor, at }
+ * @returns {Object} { allowed, message, refundAmount, deductionAmount, ... breakdown }
+ */
+const evaluateCancellation = async (order, { actor = ORDER_ACTORS.CUSTOMER, at = new Date() } = {}) => {
+  const stage = order.status;
+  const paidAmount = getPaidAmount(order);
+  const elapsedMinutes = Math.max(0, Math.floor((at - new Date(order.createdAt || at)) / MINUTE_MS));
+
+  const result = {
+    allowed: true,
+    message: null,
+    stage,
+    elapsedMinutes,
+    paidAmount,
+    deductionAmount: 0,
+    deductionPercentage: 0,
+    transportRetained: 0,
+    supplierCompensation: 0,
+    refundAmount: 0,
+    deliveredAmount: 0,
+    breakdown: []
+  };
+
+  // Part-delivered orders are closed by staff only: the customer pays for the
+  // trips that reached the site (their share of the order total) and gets the rest back
+  if (stage === 'partially_delivered') {
+    if (actor === ORDER_ACTORS.CUSTOMER) {
+      return { ...result, allowed: false, message: 'Orders being delivered can only be cancelled by Aggrekart support' };
+    }
+
+    const deliveredAmount = roundAmount((order.pricing?.totalAmount || 0) * order.getDeliveredShare());
+    return {
+      ...result,
+      deliveredAmount,
+      supplierCompensation: deliveredAmount,
+      refundAmount: roundAmount(Math.max(0, paidAmount - deliveredAmount))
+    };
+  }
+
+  if (!CancellationPolicy.CANCELLABLE_STAGES.includes(stage)) {
+    return { ...result, allowed: false, message: `Order cannot be cancelled once ${stage.replace(/_/g, ' ')}` };
+  }
+
+  const transportCost = order.pricing?.transportCost || 0;
+
+  for (const { category, share } of getCategoryShares(order)) {
+    const policy = await CancellationPolicy.getPolicy(category, stage);
+    if (!policy) {
+      return { ...result, allowed: false, message: `No cancellation policy covers orders in ${stage.replace(/_/g, ' ')}` };
+    }
+
+    if (actor === ORDER_ACTORS.CUSTOMER && !policy.customerCancellable) {
+      return {
+        ...result,
+        allowed: false,
+        message: `Orders in ${stage.replace(/_/g, ' ')} can only be cancelled by the supplier or Aggrekart support`
+      };
+    }
+
+    const band = selectTimeBand(policy, elapsedMinutes, actor);
+    if (!band) {
+      return { ...result, allowed: false, message: 'The cancellation window for this order has closed' };
+    }
+
+    const paidShare = paidAmount * share;
+    const transportRetained = policy.transportRefundable ? 0 : Math.min(paidShare, transportCost * share);
+    const refundableBase = paidShare - transportRetained;
+    const deduction = Math.min(
+      refundableBase,
+      band.deductionType === 'flat' ? band.deductionValue : (refundableBase * band.deductionValue) / 100
+    );
+    const supplierCompensation = transportRetained + (deduction * band.supplierSharePercentage) / 100;
+
+    result.deductionAmount += deduction;
+    result.transportRetained += transportRetained;
+    result.supplierCompensation += supplierCompensation;
+    result.breakdown.push({
+      category,
+      share: roundAmount(share),
+      policy: policy._id || null,
+      policyCategory: policy.category,
+      transportRefundable: policy.transportRefundable,
+      upToMinutes: band.upToMinutes ?? null,
+      deductionType: band.deductionType,
+      deductionValue: band.deductionValue,
+      supplierSharePercentage: band.supplierSharePercentage,
+      deductionAmount: roundAmount(deduction),
+      transportRetained: roundAmount(transportRetained),
+      supplierCompensation: roundAmount(supplierCompensation)
+    });
+  }
+
+  result.deductionAmount = roundAmount(result.deductionAmount);
+  result.transportRetained = roundAmount(result.transportRetained);
+  result.supplierCompensation = roundAmount(result.supplierCompensation);
+  result.refundAmount = roundAmount(Math.max(0, paidAmount - result.transportRetained - result.deductionAmount));
+  result.deductionPercentage = paidAmount > 0 ? roundAmount((result.deductionAmount / paidAmount) * 100) : 0;
+
+  return result;
+};
+
+// Cancellation nobody is charged for (e.g. an unpaid order expiring): everything
+// paid so far, wallet part included, goes back
+const evaluateFullRefund = (order) => {
+  const paidAmount = roundAmount(getPaidAmount(order));
+  return {
+    allowed: true,
+    message: null,
+    stage: order.status,
+    paidAmount,
+    deductionAmount: 0,
+    deductionPercentage: 0,
+    transportRetained: 0,
+    supplierCompensation: 0,
+    refundAmount: paidAmount,
+    deliveredAmount: 0,
+    breakdown: []
+  };
+};
+
+// Record an evaluated cancellation on the order (status change is left to the caller;
+// the payment becomes refunded once the refund is processed)
+const applyCancellation = (order, evaluation, { reason, cancelledBy }) => {
+  order.cancellation = {
+    reason,
+    cancelledBy,
+    cancelledAt: new Date(),
+    refundAmount: evaluation.refundAmount,
+    deductionAmount: evaluation.deductionAmount,
+    deductionPercentage: evaluation.deductionPercentage,
+    transportRetained: evaluation.transportRetained,
+    supplierCompensation: evaluation.supplierCompensation,
+    deliveredAmount: evaluation.deliveredAmount,
+    policyBreakdown: evaluation.breakdown
+  };
+
+  return order;
+};
+
+module.exports = {
+  getPaidAmount,
+  evaluateCancellation,
+  evaluateFullRefund,
+  applyCancellation
+};
@@ -32,6 +32,7 @@ const ORDER_STATUS = {
   PREPARING: 'preparing',
   PROCESSING: 'processing',
   DISPATCHED: 'dispatched',
+  PARTIALLY_DELIVERED: 'partially_delivered',
   DELIVERED: 'delivered',
   CANCELLED: 'cancelled',
   MATERIAL_LOADING: 'material_loading' // New status for 2-hour cooling period
@@ -39,6 +40,7 @@ const ORDER_STATUS = {
 
 const PAYMENT_STATUS = {
   PENDING: 'pending',
+  PARTIAL: 'partial',
   PAID: 'paid',
   FAILED: 'failed',
   REFUNDED: 'refunded'
@@ -0,0 +1,429 @@
+const CreditLine = require('../models/CreditLine');
+const CreditRepayment = require('../models/CreditRepayment');
+const Order = require('../models/Order');
+const PaymentGateway = require('./payment');
+const { LINK_GATEWAYS } = require('./balanceCollection');
+const { generateId } = require('./sequence');
+const { sendSMS, sendEmail } = require('./notifications');
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * TRADE CREDIT
+ * Contractors with a credit line can check out with the `credit` method up
+ * to their available limit. Each credit order falls due termDays after it is
+ * placed; overdue orders block new credit orders until they are repaid
+ * through a gateway payment link.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ageing buckets in days past the due date
+const CREDIT_AGEING_BUCKETS = {
+  not_due: [-Infinity, 1],
+  '1-15': [1, 16],
+  '16-30': [16, 31],
+  '31-60': [31, 61],
+  '60+': [61, Infinity]
+};
+
+const CREDIT_CHECKOUT_LOCK_MS = 2 * 60 * 1000;
+const REPAYMENT_LINK_VALIDITY_DAYS = 7;
+
+// Reminders start this many days before the due date and repeat at this interval
+const CREDIT_REMINDER_LEAD_DAYS = 3;
+const CREDIT_REMINDER_INTERVAL_DAYS = 3;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const getDaysPastDue = (order, now = new Date()) => {
+  return Math.floor((now - order.payment.credit.dueDate) / DAY_MS);
+};
+
+const getAgeingBucket = (daysPastDue) => {
+  return Object.keys(CREDIT_AGEING_BUCKETS).find(label => {
+    const [min, max] = CREDIT_AGEING_BUCKETS[label];
+    return daysPastDue >= min && daysPastDue < max;
+  });
+};
+
+// Credit orders with money still owed, oldest due first
+const findOutstandingCreditOrders = (customerId, filter = {}) => {
+  return Order.find({
+    ...filter,
+    customer: customerId,
+    'payment.method': 'credit',
+    status: { $ne: 'cancelled' },
+    'payment.remainingAmount': { $gt: 0 }
+  }).sort({ 'payment.credit.dueDate': 1, createdAt: 1 });
+};
+
+/**
+ * Limit, usage, overdue amount and ageing for a credit line
+ * @param {Object} creditLine - CreditLine document
+ * @param {Array} orders - outstanding credit orders (findOutstandingCreditOrders)
+ */
+const summarizeCreditLine = (creditLine, orders, now = new Date()) => {
+  const ageing = Object.keys(CREDIT_AGEING_BUCKETS).map(label => ({ ageing: label, count: 0, amount: 0 }));
+  let outstanding = 0;
+  let overdueAmount = 0;
+  let overdueOrders = 0;
+
+  orders.forEach(order => {
+    const amount = order.payment.remainingAmount;
+    const daysPastDue = getDaysPastDue(order, now);
+    const bucket = ageing.find(b => b.ageing === getAgeingBucket(daysPastDue));
+
+    bucket.count++;
+    bucket.amount = roundAmount(bucket.amount + amount);
+    outstanding += amount;
+    if (daysPastDue > 0) {
+      overdueAmount += amount;
+      overdueOrders++;
+    }
+  });
+
+  return {
+    creditLimit: creditLine.creditLimit,
+    termDays: creditLine.termDays,
+    status: creditLine.status,
+    outstanding: roundAmount(outstanding),
+    available: roundAmount(Math.max(0, creditLine.creditLimit - outstanding)),
+    overdueAmount: roundAmount(overdueAmount),
+    overdueOrders,
+    nextDueDate: orders.find(order => getDaysPastDue(order, now) <= 0)?.payment.credit.dueDate || null,
+    ageing
+  };
+};
+
+// Credit line, summary and outstanding orders for a customer (null without a line)
+const getCreditSummary = async (customerId, now = new Date()) => {
+  const creditLine = await CreditLine.findOne({ customer: customerId });
+  if (!creditLine) return null;
+
+  const orders = await findOutstandingCreditOrders(customerId)
+    .populate('supplier', 'companyName')
+    .select('orderId supplier status pricing.totalAmount payment createdAt');
+
+  return {
+    creditLine,
+    summary: summarizeCreditLine(creditLine, orders, now),
+    orders: orders.map(order => {
+      const daysPastDue = getDaysPastDue(order, now);
+      return {
+        orderId: order.orderId,
+        supplier: order.supplier,
+        status: order.status,
+        placedAt: order.createdAt,
+        totalAmount: order.pricing.totalAmount,
+        repaid: order.payment.balancePaid || 0,
+        outstanding: order.payment.remainingAmount,
+        dueDate: order.payment.credit.dueDate,
+        daysPastDue: Math.max(0, daysPastDue),
+        ageing: getAgeingBucket(daysPastDue)
+      };
+    })
+  };
+};
+
+/**
+ * Hold the customer's credit line for a checkout of `amount`. Only one credit
+ * checkout runs at a time per line; call releaseCreditLine when done.
+ * Throws when there is no usable line, something is overdue or the limit is short.
+ * @returns {Object} the locked CreditLine
+ */
+const reserveCreditLine = async (customerId, amount, now = new Date()) => {
+  const creditLine = await CreditLine.findOneAndUpdate(
+    {
+      customer: customerId,
+      status: 'active',
+      $or: [{ checkoutLockedUntil: null }, { checkoutLockedUntil: { $lte: now } }]
+    },
+    { $set: { checkoutLockedUntil: new Date(now.getTime() + CREDIT_CHECKOUT_LOCK_MS) } },
+    { new: true }
+  );
+
+  if (!creditLine) {
+    const existing = await CreditLine.findOne({ customer: customerId });
+    if (!existing || existing.status === 'closed') {
+      throw new ErrorHandler('No credit line is set up for this account', 403);
+    }
+    if (existing.status === 'suspended') {
+      throw new ErrorHandler('Your credit line is suspended. Please contact support', 403);
+    }
+    throw new ErrorHandler('Another credit order is being placed. Please try again in a moment', 409);
+  }
+
+  try {
+    const orders = await findOutstandingCreditOrders(customerId);
+    const summary = summarizeCreditLine(creditLine, orders, now);
+
+    if (summary.overdueAmount > 0) {
+      throw new ErrorHandler(
+        `₹${summary.overdueAmount.toFixed(2)} is overdue on ${summary.overdueOrders} credit order(s). Repay it to place new credit orders`,
+        403
+      );
+    }
+    if (amount > summary.available) {
+      throw new ErrorHandler(
+        `Order total ₹${amount.toFixed(2)} exceeds your available credit of ₹${summary.available.toFixed(2)}`,
+        400
+      );
+    }
+  } catch (error) {
+    await releaseCreditLine(creditLine);
+    throw error;
+  }
+
+  return creditLine;
+};
+
+const releaseCreditLine = (creditLine) => {
+  return CreditLine.updateOne({ _id: creditLine._id }, { $set: { checkoutLockedUntil: null } });
+};
+
+/**
+ * Raise a payment link to repay credit orders (all outstanding ones, oldest
+ * due first, unless orderIds are given)
+ * @param {Object} customer - User document (name, email, phoneNumber)
+ * @param {Object} options - { amount, orderIds, gateway }
+ * @returns {Object} saved CreditRepayment
+ */
+const createCreditRepayment = async (customer, { amount, orderIds = [], gateway: preferredGateway } = {}) => {
+  const creditLine = await CreditLine.findOne({ customer: customer._id });
+  if (!creditLine) {
+    throw new ErrorHandler('No credit line is set up for this account', 404);
+  }
+
+  const orders = await findOutstandingCreditOrders(
+    customer._id,
+    orderIds.length > 0 ? { orderId: { $in: orderIds } } : {}
+  );
+  if (orderIds.length > 0 && orders.length !== new Set(orderIds).size) {
+    throw new ErrorHandler('Some orders were not found or have nothing outstanding', 404);
+  }
+
+  const due = roundAmount(orders.reduce((sum, order) => sum + order.payment.remainingAmount, 0));
+  if (due <= 0) {
+    throw new ErrorHandler('Nothing is outstanding on your credit line', 400);
+  }
+
+  const payable = amount !== undefined ? roundAmount(amount) : due;
+  if (payable > due) {
+    throw new ErrorHandler(`Amount exceeds the ₹${due.toFixed(2)} outstanding`, 400);
+  }
+
+  const methods = PaymentGateway.getPaymentMethods();
+  const gateway = LINK_GATEWAYS[preferredGateway] && methods[preferredGateway]?.enabled
+    ? preferredGateway
+    : Object.keys(LINK_GATEWAYS).find(name => methods[name]?.enabled);
+  if (!gateway) {
+    throw new ErrorHandler('No payment gateway is configured for payment links', 503);
+  }
+
+  const repaymentId = await generateId('creditRepayment');
+  const referenceId = `${repaymentId}_${Date.now()}`;
+  const expiresAt = new Date(Date.now() + REPAYMENT_LINK_VALIDITY_DAYS * DAY_MS);
+
+  const result = await LINK_GATEWAYS[gateway].create({
+    referenceId,
+    orderId: repaymentId,
+    amount: payable,
+    description: `Credit repayment ${repaymentId} for Aggrekart orders ${orders.map(order => order.orderId).join(', ')}`,
+    customerName: customer.name,
+    customerEmail: customer.email,
+    customerPhone: customer.phoneNumber,
+    expiresAt,
+    returnPath: `/credit/repayments/${repaymentId}`
+  });
+
+  if (!result.success) {
+    throw new ErrorHandler(`Failed to create payment link: ${result.error}`, 502);
+  }
+
+  const repayment = new CreditRepayment({
+    repaymentId,
+    customer: customer._id,
+    creditLine: creditLine._id,
+    amount: payable,
+    orders: orderIds.length > 0 ? orders.map(order => order._id) : [],
+    gateway,
+    status: result.status,
+    link: {
+      linkId: result.linkId,
+      referenceId,
+      url: result.url,
+      expiresAt
+    }
+  });
+
+  await repayment.save();
+  return repayment;
+};
+
+/**
+ * Settle a paid repayment against the customer's credit orders: the orders it
+ * was raised for first, then anything else outstanding, oldest due first.
+ * @returns {Boolean} false when the repayment was already applied
+ */
+const applyCreditRepayment = async (repayment, { amount, transactionId = null, paidAt = new Date() } = {}) => {
+  if (repayment.status === 'paid') return false;
+
+  const orders = await findOutstandingCreditOrders(repayment.customer);
+  const chosen = repayment.orders.map(id => id.toString());
+  orders.sort((a, b) => chosen.includes(b._id.toString()) - chosen.includes(a._id.toString()));
+
+  let left = roundAmount(amount ?? repayment.amount);
+  repayment.allocations = [];
+
+  for (const order of orders) {
+    if (left <= 0) break;
+
+    const share = roundAmount(Math.min(left, order.payment.remainingAmount));
+    const remaining = roundAmount(order.payment.remainingAmount - share);
+
+    order.payment.balancePaid = roundAmount((order.payment.balancePaid || 0) + share);
+    order.payment.credit.repayments.push({
+      repayment: repayment._id,
+      repaymentId: repayment.repaymentId,
+      amount: share,
+      paidAt
+    });
+    if (remaining <= 0) {
+      order.payment.status = 'paid';
+      order.payment.paidAt = paidAt;
+      order.payment.transactionId = transactionId;
+    } else {
+      order.payment.status = 'partial';
+    }
+
+    order.timeline.push({
+      status: order.status,
+      timestamp: paidAt,
+      note: `Credit repayment of ₹${share.toFixed(2)} received (${repayment.repaymentId})${transactionId ? ` - Transaction ID: ${transactionId}` : ''}`,
+      updatedBy: repayment.customer
+    });
+
+    await order.save();
+    repayment.allocations.push({ order: order._id, orderId: order.orderId, amount: share });
+    left = roundAmount(left - share);
+  }
+
+  repayment.status = 'paid';
+  repayment.paidAt = paidAt;
+  repayment.transactionId = transactionId;
+  repayment.unappliedAmount = Math.max(0, left);
+  await repayment.save();
+
+  if (repayment.unappliedAmount > 0) {
+    console.warn(`⚠️ Credit repayment ${repayment.repaymentId} has ₹${repayment.unappliedAmount} not matched to any order`);
+  }
+  return true;
+};
+
+// Pull the link status from the gateway and apply the repayment if it was paid
+const syncCreditRepayment = async (repayment) => {
+  if (repayment.status !== 'created') return repayment.status;
+
+  const result = await LINK_GATEWAYS[repayment.gateway].fetch(repayment.link.linkId);
+  if (!result.success) {
+    console.error(`❌ Failed to fetch repayment link ${repayment.link.linkId} for ${repayment.repaymentId}:`, result.error);
+    return repayment.status;
+  }
+
+  if (result.status === 'paid') {
+    await applyCreditRepayment(repayment, {
+      amount: result.amountPaid || repayment.amount,
+      transactionId: result.transactionId
+    });
+  } else if (result.status !== repayment.status) {
+    repayment.status = result.status;
+    await repayment.save();
+  }
+  return repayment.status;
+};
+
+/**
+ * Catch repayments whose webhook never arrived and remind customers about
+ * credit orders falling due or overdue
+ * @returns {Object} summary counts
+ */
+const processCreditReminders = async (now = new Date()) => {
+  const summary = { repaymentsSynced: 0, customersReminded: 0, failed: 0 };
+
+  const pending = await CreditRepayment.find({ status: 'created' });
+  for (const repayment of pending) {
+    try {
+      if (await syncCreditRepayment(repayment) === 'paid') summary.repaymentsSynced++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Credit repayment sync failed for ${repayment.repaymentId}:`, error);
+    }
+  }
+
+  const orders = await Order.find({
+    'payment.method': 'credit',
+    status: { $ne: 'cancelled' },
+    'payment.remainingAmount': { $gt: 0 },
+    'payment.credit.dueDate': { $lte: new Date(now.getTime() + CREDIT_REMINDER_LEAD_DAYS * DAY_MS) },
+    $or: [
+      { 'payment.credit.lastReminderAt': null },
+      { 'payment.credit.lastReminderAt': { $lte: new Date(now.getTime() - CREDIT_REMINDER_INTERVAL_DAYS * DAY_MS) } }
+    ]
+  }).populate('customer', 'name email phoneNumber');
+
+  // One reminder per customer covering all their orders
+  const byCustomer = new Map();
+  orders.forEach(order => {
+    const key = order.customer._id.toString();
+    if (!byCustomer.has(key)) byCustomer.set(key, { customer: order.customer, orders: [] });
+    byCustomer.get(key).orders.push(order);
+  });
+
+  for (const { customer, orders: customerOrders } of byCustomer.values()) {
+    try {
+      const overdue = customerOrders.filter(order => getDaysPastDue(order, now) > 0);
+      const overdueAmount = roundAmount(overdue.reduce((sum, order) => sum + order.payment.remainingAmount, 0));
+      const dueSoonAmount = roundAmount(
+        customerOrders.reduce((sum, order) => sum + order.payment.remainingAmount, 0) - overdueAmount
+      );
+
+      const parts = [];
+      if (overdueAmount > 0) parts.push(`₹${overdueAmount.toFixed(2)} is overdue`);
+      if (dueSoonAmount > 0) parts.push(`₹${dueSoonAmount.toFixed(2)} falls due within ${CREDIT_REMINDER_LEAD_DAYS} days`);
+      const message = `Aggrekart credit: ${parts.join(' and ')} on orders ${customerOrders.map(order => order.orderId).join(', ')}. Repay from the Credit section of your account${overdueAmount > 0 ? ' to keep ordering on credit' : ''}. - AggreKart`;
+
+      if (customer.phoneNumber) {
+        await sendSMS(customer.phoneNumber, message);
+      }
+      if (customer.email) {
+        await sendEmail(customer.email, overdueAmount > 0 ? 'Credit payment overdue' : 'Credit payment due soon', message);
+      }
+
+      await Order.updateMany(
+        { _id: { $in: customerOrders.map(order => order._id) } },
+        { $set: { 'payment.credit.lastReminderAt': now } }
+      );
+      summary.customersReminded++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Credit reminder failed for customer ${customer._id}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  CREDIT_AGEING_BUCKETS,
+  getDaysPastDue,
+  getAgeingBucket,
+  findOutstandingCreditOrders,
+  summarizeCreditLine,
+  getCreditSummary,
+  reserveCreditLine,
+  releaseCreditLine,
+  createCreditRepayment,
+  applyCreditRepayment,
+  syncCreditRepayment,
+  processCreditReminders
+};
@@ -0,0 +1,186 @@
+const DeliverySlot = require('../models/DeliverySlot');
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * DELIVERY SLOTS
+ * Builds delivery windows from a supplier's working hours, working days and
+ * holidays, and books orders into them up to the supplier's loads per slot.
+ * Dates are calendar days in IST (YYYY-MM-DD), times are HH:mm.
+ */
+
+const IST_OFFSET = '+05:30';
+const MAX_SLOT_RANGE_DAYS = 31;
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_WORKING_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DEFAULT_SLOT_SETTINGS = {
+  durationHours: 2,
+  loadsPerSlot: 2,
+  leadTimeHours: 4
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) => {
+  const hours = String(Math.floor(total / 60)).padStart(2, '0');
+  const minutes = String(total % 60).padStart(2, '0');
+  return `${hours}:${minutes}`;
+};
+
+// Calendar date in IST for a JS date
+const toDateKey = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + (5.5 * 60 * 60 * 1000));
+  return ist.toISOString().slice(0, 10);
+};
+
+const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const toDateTime = (dateKey, time) => new Date(`${dateKey}T${time}:00${IST_OFFSET}`);
+
+const getSlotSettings = (supplier) => ({
+  ...DEFAULT_SLOT_SETTINGS,
+  ...(supplier.settings?.deliverySlots?.toObject?.() || supplier.settings?.deliverySlots || {})
+});
+
+const getHoliday = (supplier, dateKey) => {
+  return (supplier.settings?.holidays || []).find(holiday => holiday.date === dateKey) || null;
+};
+
+const isWorkingDay = (supplier, dateKey) => {
+  const workingDays = supplier.settings?.workingDays?.length
+    ? supplier.settings.workingDays
+    : DEFAULT_WORKING_DAYS;
+  const dayName = DAY_NAMES[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+  return workingDays.includes(dayName) && !getHoliday(supplier, dateKey);
+};
+
+// All windows within working hours on a day; the last window must end by closing time
+const buildDaySlots = (supplier, dateKey) => {
+  if (!isWorkingDay(supplier, dateKey)) return [];
+
+  const { durationHours } = getSlotSettings(supplier);
+  const open = toMinutes(supplier.settings?.workingHours?.start || '09:00');
+  const close = toMinutes(supplier.settings?.workingHours?.end || '18:00');
+  const step = Math.round(durationHours * 60);
+  const slots = [];
+
+  for (let start = open; start + step <= close; start += step) {
+    slots.push({
+      date: dateKey,
+      startTime: fromMinutes(start),
+      endTime: fromMinutes(start + step)
+    });
+  }
+  return slots;
+};
+
+/**
+ * Delivery windows for a supplier between two dates (inclusive)
+ * @param {Object} supplier - Supplier document
+ * @param {String} from - YYYY-MM-DD, defaults to today
+ * @param {String} to - YYYY-MM-DD, defaults to a week after `from`
+ * @returns {Promise<Array>} one entry per day with its slots and remaining capacity
+ */
+const getAvailableSlots = async (supplier, from, to) => {
+  const startDate = from || toDateKey();
+  const endDate = to || addDays(startDate, 6);
+
+  if (endDate < startDate) {
+    throw new ErrorHandler('End date must be on or after start date', 400);
+  }
+  if (addDays(startDate, MAX_SLOT_RANGE_DAYS - 1) < endDate) {
+    throw new ErrorHandler(`Slots can be listed for at most ${MAX_SLOT_RANGE_DAYS} days at a time`, 400);
+  }
+
+  const { loadsPerSlot, leadTimeHours } = getSlotSettings(supplier);
+  const earliestStart = new Date(Date.now() + leadTimeHours * 60 * 60 * 1000);
+
+  const bookings = await DeliverySlot.find({
+    supplier: supplier._id,
+    date: { $gte: startDate, $lte: endDate }
+  }).lean();
+
+  const bookedCount = {};
+  bookings.forEach(booking => {
+    bookedCount[`${booking.date} ${booking.startTime}`] = booking.orders.length;
+  });
+
+  const days = [];
+  for (let dateKey = startDate; dateKey <= endDate; dateKey = addDays(dateKey, 1)) {
+    const holiday = getHoliday(supplier, dateKey);
+    const slots = buildDaySlots(supplier, dateKey)
+      .filter(slot => toDateTime(dateKey, slot.startTime) >= earliestStart)
+      .map(slot => {
+        const booked = bookedCount[`${dateKey} ${slot.startTime}`] || 0;
+        return {
+          ...slot,
+          capacity: loadsPerSlot,
+          booked,
+          available: Math.max(0, loadsPerSlot - booked)
+        };
+      });
+
+    days.push({
+      date: dateKey,
+      isWorkingDay: isWorkingDay(supplier, dateKey),
+      holiday: holiday ? holiday.reason || 'Holiday' : null,
+      slots
+    });
+  }
+
+  return days;
+};
+
+// Book an order into a slot, throwing when the slot is not offered or already full
+const reserveDeliverySlot = async (supplier, { date, startTime }, orderId) => {
+  const slot = buildDaySlots(supplier, date).find(s => s.startTime === startTime);
+  if (!slot) {
+    throw new ErrorHandler(`${supplier.companyName || 'Supplier'} does not deliver on ${date} at ${startTime}`, 400);
+  }
+
+  const { loadsPerSlot, leadTimeHours } = getSlotSettings(supplier);
+  const start = toDateTime(date, slot.startTime);
+  if (start < new Date(Date.now() + leadTimeHours * 60 * 60 * 1000)) {
+    throw new ErrorHandler(`Delivery slots must be booked at least ${leadTimeHours} hours in advance`, 400);
+  }
+
+  const booking = await DeliverySlot.reserve(supplier._id, slot, orderId, loadsPerSlot);
+  if (!booking) {
+    throw new ErrorHandler(`Delivery slot ${date} ${slot.startTime}-${slot.endTime} is fully booked`, 409);
+  }
+
+  return {
+    date,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    start,
+    end: toDateTime(date, slot.endTime)
+  };
+};
+
+const releaseDeliverySlot = (orderId) => DeliverySlot.release(orderId);
+
+const formatDeliverySlot = (slot) => {
+  if (!slot?.date) return null;
+  return `${slot.date} ${slot.startTime}-${slot.endTime}`;
+};
+
+module.exports = {
+  DEFAULT_SLOT_SETTINGS,
+  MAX_SLOT_RANGE_DAYS,
+  toDateKey,
+  addDays,
+  toDateTime,
+  buildDaySlots,
+  getAvailableSlots,
+  reserveDeliverySlot,
+  releaseDeliverySlot,
+  formatDeliverySlot
+};
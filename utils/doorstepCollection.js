@@ -0,0 +1,269 @@
+const QRCode = require('qrcode');
+const Order = require('../models/Order');
+const { generateId } = require('./sequence');
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * DOORSTEP COLLECTION
+ * Pilots collect what is still due at the door - the whole amount on COD
+ * orders, the balance after the advance on the rest - in cash or through a
+ * dynamic UPI QR code made for that order and amount. Each collection is a
+ * payment on the order; COD orders cannot be delivered until one is in. Cash
+ * counts at once; a UPI payment rests on the UTR the pilot types in, so it
+ * counts only once the team has checked it against the bank.
+ */
+
+const UPI_PAYEE_VPA = process.env.UPI_PAYEE_VPA;
+const UPI_PAYEE_NAME = process.env.UPI_PAYEE_NAME || 'Aggrekart';
+
+// UTR / RRN shown in the customer's UPI app
+const UPI_TRANSACTION_ID_PATTERN = /^\d{12}$/;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// UPI payments recorded for a purpose and still awaiting verification
+const getUnverifiedAmount = (order, purpose) => {
+  return roundAmount((order.payment?.doorstepCollections || [])
+    .filter(entry => entry.status === 'unverified' && entry.purpose === purpose)
+    .reduce((sum, entry) => sum + entry.amount, 0));
+};
+
+// What the order still owes at the door, before any UPI payment awaiting verification
+const getOutstandingAmount = (order) => {
+  const payment = order.payment || {};
+
+  if (payment.method === 'cod' && payment.status !== 'partial') {
+    return payment.status === 'paid'
+      ? { purpose: null, amount: 0 }
+      : { purpose: 'cod', amount: roundAmount(order.pricing.totalAmount) };
+  }
+  // Credit orders are repaid against the credit line
+  if (payment.method !== 'credit' && payment.status === 'partial' && payment.remainingAmount > 0) {
+    return { purpose: 'balance', amount: roundAmount(payment.remainingAmount) };
+  }
+
+  return { purpose: null, amount: 0 };
+};
+
+/**
+ * What the pilot has to collect at the door; a UPI payment awaiting
+ * verification is not asked for twice
+ * @returns {Object} { purpose, amount } - purpose is null when nothing is due
+ */
+const getDoorstepAmountDue = (order) => {
+  const { purpose, amount } = getOutstandingAmount(order);
+  if (!purpose) return { purpose, amount };
+
+  const due = roundAmount(amount - getUnverifiedAmount(order, purpose));
+  return due > 0 ? { purpose, amount: due } : { purpose: null, amount: 0 };
+};
+
+// COD orders are delivered only against a recorded cash or UPI collection
+// (a UPI one may still be awaiting verification; the order stays unpaid until then)
+const requiresDoorstepCollection = (order) => {
+  return order.payment?.method === 'cod' && getDoorstepAmountDue(order).amount > 0;
+};
+
+// UPI deep link (NPCI linking spec) with the payee, amount and order reference filled in.
+// The VPA goes in as is: some UPI apps do not decode an escaped @.
+const buildUpiUrl = ({ amount, reference, orderId }) => {
+  const params = [
+    ['pn', UPI_PAYEE_NAME],
+    ['tr', reference],
+    ['tn', `Aggrekart order ${orderId}`],
+    ['am', amount.toFixed(2)],
+    ['cu', 'INR']
+  ].map(([key, value]) => `${key}=${encodeURIComponent(value)}`);
+
+  return `upi://pay?pa=${UPI_PAYEE_VPA}&${params.join('&')}`;
+};
+
+const formatCollection = (collection) => ({
+  collectionId: collection.collectionId,
+  purpose: collection.purpose,
+  mode: collection.mode,
+  amount: collection.amount,
+  status: collection.status,
+  awaitingVerification: collection.status === 'unverified',
+  upiTransactionId: collection.upiTransactionId || null,
+  createdAt: collection.createdAt,
+  collectedAt: collection.collectedAt || null,
+  verifiedAt: collection.verifiedAt || null
+});
+
+// Apply a confirmed collection to the order: a COD order becomes paid, a
+// balance goes into balancePaid (the pre-save hook settles remainingAmount
+// and the payment status)
+const applyCollection = (order, collection) => {
+  const transactionId = collection.upiTransactionId || collection.collectionId;
+
+  if (collection.purpose === 'cod') {
+    order.payment.status = 'paid';
+    order.payment.paidAt = collection.collectedAt;
+    order.payment.transactionId = transactionId;
+  } else {
+    order.payment.balancePaid = roundAmount((order.payment.balancePaid || 0) + collection.amount);
+  }
+};
+
+/**
+ * Generate a UPI QR code for the amount due on the order. A pending QR for
+ * the same amount is shown again; one for a stale amount is cancelled.
+ * Mutates the order; the caller saves it.
+ * @returns {Object} { collection, qrCode } - qrCode is a PNG data URL
+ */
+const createUpiCollection = async (order, pilotId) => {
+  if (!UPI_PAYEE_VPA) {
+    throw new ErrorHandler('UPI collection is not configured', 503);
+  }
+
+  const { purpose, amount } = getDoorstepAmountDue(order);
+  if (!purpose) {
+    throw new ErrorHandler('Nothing is due on this order', 400);
+  }
+
+  const collections = order.payment.doorstepCollections;
+  let collection = collections.find(entry =>
+    entry.status === 'pending' && entry.purpose === purpose && entry.amount === amount
+  );
+
+  if (!collection) {
+    collections.forEach(entry => {
+      if (entry.status === 'pending') entry.status = 'cancelled';
+    });
+
+    const collectionId = await generateId('doorstepCollection');
+    collections.push({
+      collectionId,
+      purpose,
+      mode: 'upi',
+      amount,
+      status: 'pending',
+      payeeVpa: UPI_PAYEE_VPA,
+      upiUrl: buildUpiUrl({ amount, reference: collectionId, orderId: order.orderId }),
+      pilot: pilotId
+    });
+    collection = collections[collections.length - 1];
+  }
+
+  const qrCode = await QRCode.toDataURL(collection.upiUrl, { errorCorrectionLevel: 'M', margin: 2, width: 400 });
+
+  return { collection, qrCode };
+};
+
+/**
+ * Record money collected at the door. Cash is applied to the order at once;
+ * a UPI payment needs the UTR from the customer's app, each UTR pays one
+ * collection only, and it is applied once verified (verifyDoorstepCollection).
+ * Mutates the order; the caller saves it.
+ * @param {Object} details - { mode, upiTransactionId, collectionId, pilotId }
+ */
+const recordDoorstepCollection = async (order, { mode, upiTransactionId, collectionId, pilotId }) => {
+  const { purpose, amount } = getDoorstepAmountDue(order);
+  if (!purpose) {
+    throw new ErrorHandler('Nothing is due on this order', 400);
+  }
+
+  const collections = order.payment.doorstepCollections;
+  let collection = null;
+
+  if (mode === 'upi') {
+    if (!UPI_TRANSACTION_ID_PATTERN.test(upiTransactionId || '')) {
+      throw new ErrorHandler('A valid 12-digit UPI transaction ID (UTR) is required', 400);
+    }
+
+    const used = await Order.exists({
+      'payment.doorstepCollections': { $elemMatch: { upiTransactionId, status: { $in: ['unverified', 'collected'] } } }
+    });
+    if (used) {
+      throw new ErrorHandler(`UPI transaction ${upiTransactionId} has already been recorded`, 409);
+    }
+
+    if (collectionId) {
+      collection = collections.find(entry => entry.collectionId === collectionId);
+      if (!collection || collection.status !== 'pending') {
+        throw new ErrorHandler('UPI QR code not found or no longer valid', 404);
+      }
+      if (collection.amount !== amount) {
+        throw new ErrorHandler(`The amount due is now ₹${amount.toFixed(2)}; generate a new QR code`, 409);
+      }
+    }
+  }
+
+  collections.forEach(entry => {
+    if (entry.status === 'pending' && entry !== collection) entry.status = 'cancelled';
+  });
+
+  if (!collection) {
+    collections.push({
+      collectionId: await generateId('doorstepCollection'),
+      purpose,
+      mode,
+      amount,
+      pilot: pilotId
+    });
+    collection = collections[collections.length - 1];
+  }
+
+  const collectedAt = new Date();
+  collection.status = mode === 'upi' ? 'unverified' : 'collected';
+  collection.collectedAt = collectedAt;
+  collection.upiTransactionId = mode === 'upi' ? upiTransactionId : undefined;
+
+  if (mode === 'cash') {
+    applyCollection(order, collection);
+  }
+
+  order.timeline.push({
+    status: order.status,
+    timestamp: collectedAt,
+    note: `${purpose === 'cod' ? 'COD amount' : 'Balance'} of ₹${amount.toFixed(2)} collected at delivery ${mode === 'upi' ? `via UPI - Transaction ID: ${upiTransactionId} (awaiting verification)` : 'in cash'}`
+  });
+
+  return collection;
+};
+
+/**
+ * Confirm or reject a UPI payment recorded at the door once its UTR has been
+ * checked against the bank statement. A confirmed payment is applied to the
+ * order; after a rejected one the amount is due again.
+ * Mutates the order; the caller saves it.
+ * @param {Object} details - { approved, note, verifiedBy }
+ */
+const verifyDoorstepCollection = (order, collectionId, { approved, note, verifiedBy }) => {
+  const collection = order.payment.doorstepCollections.find(entry => entry.collectionId === collectionId);
+  if (!collection || collection.status !== 'unverified') {
+    throw new ErrorHandler('No UPI payment awaiting verification with this ID', 404);
+  }
+  if (approved && getOutstandingAmount(order).purpose !== collection.purpose) {
+    throw new ErrorHandler('The order no longer owes this payment; reject it instead', 409);
+  }
+
+  const verifiedAt = new Date();
+  collection.status = approved ? 'collected' : 'rejected';
+  collection.verifiedAt = verifiedAt;
+  collection.verifiedBy = verifiedBy;
+  collection.verificationNote = note;
+
+  if (approved) {
+    applyCollection(order, collection);
+  }
+
+  order.timeline.push({
+    status: order.status,
+    timestamp: verifiedAt,
+    note: `UPI payment of ₹${collection.amount.toFixed(2)} (Transaction ID: ${collection.upiTransactionId}) ${approved ? 'verified' : `rejected${note ? ` - ${note}` : ''}`}`,
+    updatedBy: verifiedBy
+  });
+
+  return collection;
+};
+
+module.exports = {
+  getDoorstepAmountDue,
+  requiresDoorstepCollection,
+  createUpiCollection,
+  recordDoorstepCollection,
+  verifyDoorstepCollection,
+  formatCollection
+};
@@ -1,5 +1,15 @@
+const GSTRate = require('../models/GSTRate');
 const { INDIAN_STATES } = require('./constants');
 
+/**
+ * GST CALCULATOR
+ * Splits GST into CGST + SGST or IGST, and is the one place that decides a
+ * product's rate: its HSN code in the admin-managed rate master
+ * (models/GSTRate) as in effect when the order is placed. Cart, checkout and
+ * invoices all go through it; orders keep the rate each line was placed at,
+ * so a later rate change never touches them.
+ */
+
 // GST rates configuration
 const GST_RATES = {
   STANDARD: 18, // Most construction materials
@@ -8,24 +18,69 @@ const GST_RATES = {
   ZERO: 0       // Essential items
 };
 
-// Get GST rate based on product category
-const getGSTRateByCategory = (category) => {
-  const categoryRates = {
-    'cement': GST_RATES.STANDARD,
-    'steel': GST_RATES.STANDARD,
-    'bricks': GST_RATES.REDUCED,
-    'sand': GST_RATES.LOW,
-    'aggregates': GST_RATES.LOW,
-    'blocks': GST_RATES.STANDARD,
-    'default': GST_RATES.STANDARD
-  };
-  
-  return categoryRates[category?.toLowerCase()] || categoryRates.default;
+// Products with no HSN rate in the master and no rate of their own
+const DEFAULT_GST_RATE = GST_RATES.STANDARD;
+
+const normalizeHSN = (hsnCode) => String(hsnCode || '').replace(/\D/g, '');
+
+// Master codes a product HSN code can fall under, most specific first
+const getHSNPrefixes = (hsnCode) => {
+  const hsn = normalizeHSN(hsnCode);
+  return [8, 6, 4].filter(length => hsn.length >= length).map(length => hsn.slice(0, length));
+};
+
+/**
+ * Rates in effect at a point in time for a set of HSN codes; each code takes
+ * the rate of the most specific master code it starts with
+ * @returns {Map} hsnCode -> GSTRate document (codes with no rate are left out)
+ */
+const resolveGSTRates = async (hsnCodes, at = new Date()) => {
+  const codes = [...new Set(hsnCodes.map(normalizeHSN).filter(Boolean))];
+  const resolved = new Map();
+  if (codes.length === 0) return resolved;
+
+  const prefixes = [...new Set(codes.flatMap(getHSNPrefixes))];
+  const rates = await GSTRate.findEffective(prefixes, at);
+  const byCode = new Map(rates.map(rate => [rate.hsnCode, rate]));
+
+  codes.forEach(code => {
+    const match = getHSNPrefixes(code).map(prefix => byCode.get(prefix)).find(Boolean);
+    if (match) resolved.set(code, match);
+  });
+
+  return resolved;
+};
+
+// GST rate for one HSN code at a point in time, null when the master has none
+const resolveGSTRate = async (hsnCode, at = new Date()) => {
+  const rates = await resolveGSTRates([hsnCode], at);
+  return rates.get(normalizeHSN(hsnCode))?.rate ?? null;
+};
+
+/**
+ * GST rate for each line being priced (cart, checkout, standing orders,
+ * quotes): the product's HSN code in the master, else the product's own
+ * rate, else the standard rate
+ * @param {Array} items - [{ product (populated) }]
+ * @returns {Array} rate per line, in the order of items
+ */
+const resolveItemGSTRates = async (items, at = new Date()) => {
+  const rates = await resolveGSTRates(items.map(item => item.product?.hsnCode), at);
+
+  return items.map(item => {
+    const master = rates.get(normalizeHSN(item.product?.hsnCode));
+    return master ? master.rate : (item.product?.pricing?.gstRate ?? DEFAULT_GST_RATE);
+  });
+};
+
+// Rates an order's lines were placed at; orders from before rates were kept
+// per line were all taxed at the standard rate
+const getOrderGSTRates = (order) => {
+  return (order.items || []).map(item => item.gstRate ?? DEFAULT_GST_RATE);
 };
 
 // Calculate GST breakdown based on customer and supplier states
-const calculateGST = (amount, customerState, supplierState, productCategory = 'default') => {
-  const gstRate = getGSTRateByCategory(productCategory);
+const calculateGST = (amount, customerState, supplierState, gstRate = DEFAULT_GST_RATE) => {
   const gstAmount = Math.round((amount * gstRate) / 100);
   
   // Check if it's intra-state or inter-state transaction
@@ -71,6 +126,38 @@ const calculateGST = (amount, customerState, supplierState, productCategory = 'd
   }
 };
 
+/**
+ * GST on lines taxed at different rates: one calculation per rate slab,
+ * added up
+ * @param {Array} lines - [{ amount, gstRate }]
+ */
+const calculateGSTForLines = (lines, customerState, supplierState) => {
+  const slabs = new Map();
+  lines.forEach(({ amount, gstRate }) => {
+    slabs.set(gstRate, (slabs.get(gstRate) || 0) + amount);
+  });
+
+  const calculations = [...slabs.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([gstRate, amount]) => ({ taxableAmount: amount, ...calculateGST(amount, customerState, supplierState, gstRate) }));
+
+  const sumOf = (key) => calculations.reduce((sum, calc) => sum + (calc[key]?.amount || 0), 0);
+  const isIntraState = customerState === supplierState;
+  const singleRate = calculations.length === 1 ? calculations[0].totalGstRate : null;
+
+  return {
+    type: isIntraState ? 'intra-state' : 'inter-state',
+    // null when the lines fall in more than one slab (see slabs)
+    totalGstRate: singleRate,
+    totalGstAmount: calculations.reduce((sum, calc) => sum + calc.totalGstAmount, 0),
+    cgst: isIntraState ? { rate: singleRate === null ? null : singleRate / 2, amount: sumOf('cgst') } : null,
+    sgst: isIntraState ? { rate: singleRate === null ? null : singleRate / 2, amount: sumOf('sgst'), state: customerState } : null,
+    igst: isIntraState ? null : { rate: singleRate, amount: sumOf('igst') },
+    slabs: calculations,
+    breakdown: calculations.map(calc => calc.breakdown).join(' | ')
+  };
+};
+
 // Get state name from GST code
 const getStateNameFromGSTCode = (gstCode) => {
   const state = INDIAN_STATES.find(state => state.gstCode === gstCode || state.code === gstCode);
@@ -86,8 +173,14 @@ const extractStateFromGST = (gstNumber) => {
 
 module.exports = {
   GST_RATES,
-  getGSTRateByCategory,
+  DEFAULT_GST_RATE,
+  normalizeHSN,
+  resolveGSTRates,
+  resolveGSTRate,
+  resolveItemGSTRates,
+  getOrderGSTRates,
   calculateGST,
+  calculateGSTForLines,
   getStateNameFromGSTCode,
   extractStateFromGST
-};
\ No newline at end of file
+};
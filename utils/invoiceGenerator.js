@@ -1,4 +1,5 @@
 const PDFDocument = require('pdfkit');
+const { getOrderGSTRates } = require('./gstCalculator');
 
 class InvoiceGenerator {
   
@@ -34,7 +35,7 @@ class InvoiceGenerator {
       yPos += 30;
       
       const invoiceInfo = [
-        ['Invoice No:', `INV-${order?.orderId || 'N/A'}`],
+        ['Invoice No:', order?.invoice?.invoiceNumber || `INV-${order?.orderId || 'N/A'}`],
         ['Order ID:', order?.orderId || 'N/A'],
         ['Customer:', order?.customer?.name || 'N/A'],
         ['Email:', order?.customer?.email || 'N/A'],
@@ -55,16 +56,20 @@ class InvoiceGenerator {
       doc.fontSize(18).font('Helvetica-Bold').fillColor('#007bff').text('📦 Order Items', 50, yPos);
       yPos += 30;
       
+      // Rates the lines were taxed at when the order was placed
+      const gstRates = getOrderGSTRates(order);
+
       if (order?.items && order.items.length > 0) {
         order.items.forEach((item, index) => {
           const itemName = item?.productSnapshot?.name || item?.product?.name || `Item ${index + 1}`;
-          const quantity = item?.quantity || 1;
+          const quantity = item?.reconciliation?.billedQuantity ?? (item?.quantity || 1);
           const unitPrice = item?.unitPrice || 0;
           const totalPrice = item?.totalPrice || (unitPrice * quantity);
           
           doc.fontSize(12).font('Helvetica-Bold').fillColor('#333').text(`${index + 1}. ${itemName}`, 50, yPos);
           yPos += 15;
-          doc.fontSize(10).font('Helvetica').fillColor('#666').text(`Qty: ${quantity} | Unit: ${formatCurrency(unitPrice)} | Total: ${formatCurrency(totalPrice)}`, 50, yPos);
+          const hsn = item?.productSnapshot?.hsnCode ? ` | HSN: ${item.productSnapshot.hsnCode}` : '';
+          doc.fontSize(10).font('Helvetica').fillColor('#666').text(`Qty: ${quantity} | Unit: ${formatCurrency(unitPrice)} | Total: ${formatCurrency(totalPrice)}${hsn} | GST: ${gstRates[index]}%`, 50, yPos);
           yPos += 25;
         });
       } else {
@@ -0,0 +1,919 @@
+/**
+ * ORDER DOCUMENTS
+ * Invoice, credit/debit note and delivery proof PDFs for an order, and ZIP
+ * bundles of all of an order's documents with a CSV index for audits
+ */
+
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const archiver = require('archiver');
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const { ErrorHandler } = require('./errorHandler');
+const { generateId } = require('./sequence');
+const { getOrderGSTRates } = require('./gstCalculator');
+
+const DOCUMENT_BUNDLE_MAX_ORDERS = 100;
+const DOCUMENT_BUNDLE_MAX_RANGE_DAYS = 366;
+const WEIGH_BILL_FETCH_TIMEOUT_MS = 15000;
+const WEIGH_BILL_MAX_BYTES = 20 * 1024 * 1024;
+// Weigh bills are uploaded to Cloudinary; a URL on any other host is only linked
+const WEIGH_BILL_HOSTS = (process.env.WEIGH_BILL_HOSTS || 'res.cloudinary.com')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+const DOCUMENT_TYPES = {
+  invoice: 'Tax invoice',
+  credit_note: 'Credit note',
+  debit_note: 'Debit note',
+  weigh_bill: 'Weigh bill',
+  delivery_proof: 'Delivery proof'
+};
+
+const formatDate = (date) => {
+  if (!date) return 'N/A';
+  return new Date(date).toLocaleDateString('en-IN', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString('en-IN') : 'N/A');
+
+const formatCurrency = (amount) => `Rs.${(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+// Note numbers like CN/2025-26/000123 can't be used as-is inside the ZIP
+const toFileName = (value) => String(value).replace(/[^A-Za-z0-9._-]+/g, '-');
+
+const renderPDF = (draw) => {
+  const doc = new PDFDocument({ margin: 40, size: 'A4' });
+  const buffers = [];
+
+  doc.on('data', buffers.push.bind(buffers));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+  });
+
+  draw(doc);
+  doc.end();
+  return done;
+};
+
+// Title, order reference and a rule, shared by the note and delivery proof PDFs
+const drawHeader = (doc, title, order) => {
+  doc.fontSize(22).font('Helvetica-Bold').fillColor('#2563eb').text('AGGREKART', 40, 40);
+  doc.fontSize(16).fillColor('#111').text(title, 40, 70);
+  doc.fontSize(10).font('Helvetica').fillColor('#666')
+    .text(`Order ${order.orderId} | Placed ${formatDate(order.createdAt)}`, 40, 92);
+  if (order.invoice?.invoiceNumber) {
+    doc.text(`Against invoice ${order.invoice.invoiceNumber}`, 40, 106);
+  }
+  doc.strokeColor('#2563eb').lineWidth(1.5).moveTo(40, 124).lineTo(555, 124).stroke();
+  doc.moveDown(2);
+};
+
+const drawRows = (doc, rows) => {
+  doc.fontSize(10).fillColor('#111');
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true })
+      .font('Helvetica').text(String(value ?? 'N/A'));
+  });
+  doc.moveDown();
+};
+
+const findItem = (order, orderItemId) => {
+  return order.items.find(item => item._id.toString() === orderItemId?.toString());
+};
+
+const getItemName = (item) => item?.productSnapshot?.name || item?.product?.name || 'Item';
+
+// Tax invoice for one order (customer, supplier and items.product populated)
+async function generateInvoicePDF(order) {
+  try {
+    const doc = new PDFDocument({ 
+      margin: 40,
+      size: 'A4'
+    });
+    const buffers = [];
+    
+    doc.on('data', buffers.push.bind(buffers));
+    
+    // Helper functions
+    const formatDate = (date) => {
+      if (!date) return 'N/A';
+      return new Date(date).toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      });
+    };
+    
+    const formatCurrency = (amount) => `Rs.${(amount || 0).toLocaleString('en-IN', { 
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    })}`;
+    
+    const formatTime = (date) => {
+      if (!date) return '';
+      return new Date(date).toLocaleTimeString('en-IN', {
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    };
+
+    let yPos = 50;
+    const pageWidth = 595; // A4 width
+    const margin = 40;
+    const contentWidth = pageWidth - (margin * 2);
+
+    // =============== HEADER SECTION ===============
+    // Company Logo Area and Title
+    doc.rect(margin, yPos, contentWidth, 80).fillAndStroke('#f8f9fa', '#e9ecef');
+    
+    // Company name and branding
+    doc.fontSize(28).font('Helvetica-Bold').fillColor('#2563eb')
+       .text('AGGREKART', margin + 20, yPos + 15);
+    
+    doc.fontSize(12).font('Helvetica').fillColor('#666')
+       .text('Building Dreams, Delivering Quality', margin + 20, yPos + 50)
+       .text('GST No: 29ABCDE1234F1Z5 | PAN: ABCDE1234F', margin + 20, yPos + 65);
+
+    // Invoice title (right side)
+    doc.fontSize(24).font('Helvetica-Bold').fillColor('#dc2626')
+       .text('INVOICE', pageWidth - 150, yPos + 15, { align: 'right', width: 100 });
+    
+    // Invoice number and date (right side)
+    const invoiceNumber = order.invoice?.invoiceNumber || `INV-${order.orderId}`;
+    doc.fontSize(11).font('Helvetica-Bold').fillColor('#333')
+       .text(`Invoice #: ${invoiceNumber}`, pageWidth - 200, yPos + 45, { align: 'right', width: 150 });
+    doc.fontSize(10).font('Helvetica').fillColor('#666')
+       .text(`Date: ${formatDate(order.invoice?.generatedAt || order.createdAt)}`, pageWidth - 200, yPos + 60, { align: 'right', width: 150 });
+    if (order.invoice?.isUpdated && order.invoice.updatedAt) {
+      doc.text(`Revised: ${formatDate(order.invoice.updatedAt)}`, pageWidth - 200, yPos + 73, { align: 'right', width: 150 });
+    }
+
+    yPos += 100;
+
+    // =============== BILLING INFORMATION SECTION ===============
+    // Section header
+    doc.rect(margin, yPos, contentWidth, 25).fill('#2563eb');
+    doc.fontSize(14).font('Helvetica-Bold').fillColor('#ffffff')
+       .text('BILLING INFORMATION', margin + 10, yPos + 6);
+    yPos += 35;
+
+    // Two column layout for billing info
+    const leftColX = margin + 10;
+    const rightColX = margin + (contentWidth / 2) + 10;
+    const colWidth = (contentWidth / 2) - 20;
+
+    // Left column - Bill To
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#333')
+       .text('BILL TO:', leftColX, yPos);
+    yPos += 20;
+
+    const billToInfo = [
+      order?.customer?.name || 'N/A',
+      order?.customer?.email || 'N/A',
+      order?.customer?.phoneNumber || 'N/A'
+    ];
+
+    billToInfo.forEach(info => {
+      doc.fontSize(10).font('Helvetica').fillColor('#666')
+         .text(info, leftColX, yPos);
+      yPos += 15;
+    });
+
+    // Reset yPos for right column
+    yPos -= (billToInfo.length * 15) + 20;
+
+    // Right column - Ship To (if delivery address exists)
+    if (order?.delivery?.address) {
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#333')
+         .text('SHIP TO:', rightColX, yPos);
+      yPos += 20;
+
+      const addr = order.delivery.address;
+      const shipToInfo = [
+        addr.name || order?.customer?.name || 'N/A',
+        addr.addressLine1 || 'N/A',
+        addr.addressLine2 || '',
+        `${addr.city || ''}, ${addr.state || ''} - ${addr.pincode || ''}`,
+        addr.phoneNumber || order?.customer?.phoneNumber || ''
+      ].filter(line => line.trim() !== '');
+
+      shipToInfo.forEach(info => {
+        doc.fontSize(10).font('Helvetica').fillColor('#666')
+           .text(info, rightColX, yPos, { width: colWidth });
+        yPos += 15;
+      });
+    } else {
+      // Order details if no shipping address
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#333')
+         .text('ORDER DETAILS:', rightColX, yPos);
+      yPos += 20;
+
+      const orderDetails = [
+        `Order ID: ${order?.orderId || 'N/A'}`,
+        `Order Date: ${formatDate(order?.createdAt)}`,
+        `Status: ${(order?.status || 'pending').toUpperCase()}`,
+        `Payment Method: ${(order?.payment?.method || 'N/A').toUpperCase()}`
+      ];
+
+      orderDetails.forEach(info => {
+        doc.fontSize(10).font('Helvetica').fillColor('#666')
+           .text(info, rightColX, yPos, { width: colWidth });
+        yPos += 15;
+      });
+    }
+
+    yPos = Math.max(yPos + 20, 280); // Ensure consistent spacing
+
+    // =============== ITEMS TABLE SECTION ===============
+    // Table header
+    doc.rect(margin, yPos, contentWidth, 25).fill('#2563eb');
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
+       .text('ORDER ITEMS', margin + 10, yPos + 6);
+    yPos += 35;
+
+    // Table column headers
+    const tableTop = yPos;
+    const itemCol = margin + 10;
+    const qtyCol = margin + 280;
+    const priceCol = margin + 350;
+    const amountCol = margin + 450;
+
+    doc.rect(margin, tableTop, contentWidth, 20).fillAndStroke('#f8f9fa', '#e9ecef');
+    
+    doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
+    doc.text('DESCRIPTION', itemCol, tableTop + 6);
+    doc.text('QTY', qtyCol, tableTop + 6);
+    doc.text('UNIT PRICE', priceCol, tableTop + 6);
+    doc.text('AMOUNT', amountCol, tableTop + 6);
+    
+    yPos = tableTop + 25;
+
+    // Rates the lines were taxed at when the order was placed
+    const gstRates = getOrderGSTRates(order);
+    const distinctGstRates = [...new Set(gstRates)];
+    const gstLabel = distinctGstRates.length === 1 ? `GST (${distinctGstRates[0]}%):` : 'GST:';
+
+    // Table rows
+    if (order?.items && order.items.length > 0) {
+      order.items.forEach((item, index) => {
+        const isEven = index % 2 === 0;
+        if (isEven) {
+          doc.rect(margin, yPos - 2, contentWidth, 30).fill('#fafafa');
+        }
+
+        const itemName = item?.productSnapshot?.name || item?.product?.name || `Item ${index + 1}`;
+        // Weighbridge-reconciled items are billed at the billed quantity
+        const quantity = item?.reconciliation?.billedQuantity ?? (item?.quantity || 1);
+        const unitPrice = item?.unitPrice || 0;
+        const totalPrice = item?.totalPrice || (unitPrice * quantity);
+
+        // Item description (with wrapping)
+        doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
+        doc.text(itemName, itemCol, yPos, { width: 250, height: 20 });
+        
+        // Specifications (if any) and tax classification
+        const specs = [];
+        if (item?.specifications?.selectedVariant) specs.push(`Variant: ${item.specifications.selectedVariant}`);
+        if (item?.specifications?.customRequirements) specs.push(`Notes: ${item.specifications.customRequirements}`);
+        if (item?.productSnapshot?.hsnCode) specs.push(`HSN: ${item.productSnapshot.hsnCode}`);
+        specs.push(`GST: ${gstRates[index]}%`);
+
+        doc.fontSize(8).font('Helvetica').fillColor('#666')
+           .text(specs.join(' | '), itemCol, yPos + 12, { width: 250 });
+
+        // Quantity, Price, Amount
+        doc.fontSize(10).font('Helvetica').fillColor('#333');
+        doc.text(quantity.toString(), qtyCol, yPos + 6, { align: 'center', width: 50 });
+        doc.text(formatCurrency(unitPrice), priceCol, yPos + 6, { align: 'right', width: 80 });
+        doc.text(formatCurrency(totalPrice), amountCol, yPos + 6, { align: 'right', width: 80 });
+
+        yPos += 35;
+      });
+    } else {
+      doc.fontSize(10).font('Helvetica').fillColor('#666')
+         .text('No items found', itemCol, yPos + 10);
+      yPos += 30;
+    }
+
+    // Table bottom border
+    doc.moveTo(margin, yPos).lineTo(pageWidth - margin, yPos).stroke('#e9ecef');
+    yPos += 20;
+
+    // =============== PRICING SUMMARY SECTION ===============
+    if (order?.pricing) {
+      // Summary box
+      const summaryBoxY = yPos;
+      const summaryBoxHeight = 140;
+      doc.rect(margin + 300, summaryBoxY, 255, summaryBoxHeight).fillAndStroke('#f8f9fa', '#e9ecef');
+
+      // Summary header
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#2563eb')
+         .text('PAYMENT SUMMARY', margin + 310, summaryBoxY + 10);
+
+      let summaryY = summaryBoxY + 35;
+      const labelX = margin + 310;
+      const valueX = margin + 480;
+
+      const pricingDetails = [
+        ['Subtotal:', formatCurrency(order.pricing.subtotal || 0)],
+        [gstLabel, formatCurrency(order.pricing.gstAmount || 0)],
+        ['Commission:', formatCurrency(order.pricing.commission || 0)],
+        ['Gateway Charges:', formatCurrency(order.pricing.paymentGatewayCharges || 0)]
+      ];
+
+      // Pricing breakdown
+      pricingDetails.forEach(([label, value]) => {
+        doc.fontSize(10).font('Helvetica').fillColor('#666');
+        doc.text(label, labelX, summaryY);
+        doc.text(value, valueX, summaryY, { align: 'right', width: 70 });
+        summaryY += 18;
+      });
+
+      // Total line
+      doc.moveTo(labelX, summaryY).lineTo(valueX + 70, summaryY).stroke('#333');
+      summaryY += 8;
+
+      // Total amount
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#2563eb');
+      doc.text('TOTAL AMOUNT:', labelX, summaryY);
+      doc.text(formatCurrency(order.pricing.totalAmount || 0), valueX, summaryY, { align: 'right', width: 70 });
+
+      yPos = summaryBoxY + summaryBoxHeight + 20;
+    }
+
+    // =============== PAYMENT INFORMATION SECTION ===============
+    if (order?.payment) {
+      // Payment info header
+      doc.rect(margin, yPos, contentWidth, 25).fill('#16a34a');
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
+         .text('PAYMENT INFORMATION', margin + 10, yPos + 6);
+      yPos += 35;
+
+      const paymentInfo = [
+        ['Payment Method:', (order.payment.method || 'N/A').toUpperCase()],
+        ['Payment Status:', (order.payment.status || 'pending').toUpperCase()],
+        ['Advance Amount:', formatCurrency(order.payment.advanceAmount || 0)],
+        ['Remaining Balance:', formatCurrency(order.payment.remainingAmount || 0)]
+      ];
+
+      if (order.payment.wallet?.amount > 0) {
+        paymentInfo.push(['Paid from Wallet:', formatCurrency(order.payment.wallet.amount)]);
+      }
+
+      if (order.payment.transactionId) {
+        paymentInfo.push(['Transaction ID:', order.payment.transactionId]);
+      }
+
+      if (order.payment.paidAt) {
+        paymentInfo.push(['Payment Date:', `${formatDate(order.payment.paidAt)} ${formatTime(order.payment.paidAt)}`]);
+      }
+
+      // Two column layout for payment info
+      paymentInfo.forEach(([label, value], index) => {
+        const colX = index % 2 === 0 ? leftColX : rightColX;
+        const currentY = yPos + Math.floor(index / 2) * 20;
+
+        doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
+        doc.text(label, colX, currentY, { width: 120 });
+        doc.font('Helvetica').fillColor('#666');
+        doc.text(value, colX + 120, currentY, { width: colWidth - 120 });
+      });
+
+      yPos += Math.ceil(paymentInfo.length / 2) * 20 + 30;
+    }
+
+    // =============== SUPPLIER INFORMATION SECTION ===============
+    if (order?.supplier) {
+      // Supplier info header
+      doc.rect(margin, yPos, contentWidth, 25).fill('#7c3aed');
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
+         .text('SUPPLIER INFORMATION', margin + 10, yPos + 6);
+      yPos += 35;
+
+      const supplierInfo = [
+        ['Company Name:', order.supplier.companyName || 'N/A'],
+        ['Contact Person:', order.supplier.contactPersonName || 'N/A'],
+        ['Email:', order.supplier.email || 'N/A'],
+        ['Phone:', order.supplier.contactPersonNumber || 'N/A']
+      ];
+
+      supplierInfo.forEach(([label, value]) => {
+        doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
+        doc.text(label, leftColX, yPos, { width: 120 });
+        doc.font('Helvetica').fillColor('#666');
+        doc.text(value, leftColX + 120, yPos, { width: 200 });
+        yPos += 18;
+      });
+
+      yPos += 20;
+    }
+
+    // =============== ADJUSTMENTS SECTION ===============
+    if (order?.adjustments && order.adjustments.length > 0) {
+      if (yPos > 650) {
+        doc.addPage();
+        yPos = 50;
+      }
+
+      doc.rect(margin, yPos, contentWidth, 25).fill('#d97706');
+      doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
+         .text('CREDIT / DEBIT NOTES', margin + 10, yPos + 6);
+      yPos += 35;
+
+      order.adjustments.forEach(adjustment => {
+        const label = `${adjustment.type === 'credit' ? 'Credit' : 'Debit'} Note ${adjustment.noteNumber} (${formatDate(adjustment.createdAt)})`;
+        doc.fontSize(10).font('Helvetica-Bold').fillColor('#333');
+        doc.text(label, leftColX, yPos, { width: 320 });
+        doc.font('Helvetica').fillColor('#666');
+        doc.text(`${adjustment.type === 'credit' ? '-' : '+'}${formatCurrency(adjustment.amount)}`, leftColX + 330, yPos, { align: 'right', width: 150 });
+        yPos += 18;
+      });
+
+      yPos += 20;
+    }
+
+    // =============== TERMS & CONDITIONS SECTION ===============
+    // Add new page if needed
+    if (yPos > 650) {
+      doc.addPage();
+      yPos = 50;
+    }
+
+    doc.rect(margin, yPos, contentWidth, 25).fill('#6b7280');
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#ffffff')
+       .text('TERMS & CONDITIONS', margin + 10, yPos + 6);
+    yPos += 35;
+
+    const terms = [
+      '1. Payment Terms: Payment must be made as per the agreed payment schedule.',
+      '2. Delivery: Products are subject to availability and delivery timeline may vary based on location.',
+      '3. Quality Assurance: All products undergo quality checks before dispatch.',
+      '4. Returns: Items can be returned within 7 days if they are damaged or defective.',
+      '5. Warranty: Products come with manufacturer warranty as applicable.',
+      '6. Disputes: Any disputes will be resolved as per Indian jurisdiction laws.',
+      '7. Contact: For any queries, please contact us at support@aggrekart.com or call customer care.'
+    ];
+
+    terms.forEach(term => {
+      doc.fontSize(9).font('Helvetica').fillColor('#666')
+         .text(term, margin + 10, yPos, { width: contentWidth - 20 });
+      yPos += 15;
+    });
+
+    yPos += 20;
+
+    // =============== FOOTER SECTION ===============
+    // Footer border
+    doc.moveTo(margin, yPos).lineTo(pageWidth - margin, yPos).stroke('#e9ecef');
+    yPos += 15;
+
+    // Thank you message
+    doc.fontSize(14).font('Helvetica-Bold').fillColor('#2563eb')
+       .text('Thank you for choosing Aggrekart!', margin, yPos, { align: 'center', width: contentWidth });
+    yPos += 25;
+
+    // Contact information
+    doc.fontSize(10).font('Helvetica').fillColor('#666');
+    const contactInfo = [
+      'Website: www.aggrekart.com | Email: support@aggrekart.com',
+      'Customer Care: +91-XXXXXXXXXX | WhatsApp: +91-XXXXXXXXXX',
+      `This invoice was generated on ${new Date().toLocaleString('en-IN')} and is computer generated.`
+    ];
+
+    contactInfo.forEach(info => {
+      doc.text(info, margin, yPos, { align: 'center', width: contentWidth });
+      yPos += 12;
+    });
+
+    // Company motto
+    yPos += 10;
+    doc.fontSize(12).font('Helvetica-Bold').fillColor('#2563eb')
+       .text('🏗️ Building Dreams, Delivering Quality 🏗️', margin, yPos, { align: 'center', width: contentWidth });
+
+    // End document
+    doc.end();
+    
+    return new Promise((resolve, reject) => {
+      doc.on('end', () => {
+        resolve(Buffer.concat(buffers));
+      });
+      doc.on('error', reject);
+    });
+    
+  } catch (error) {
+    throw new Error(`Invoice PDF generation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Credit or debit note raised by a weighbridge reconciliation
+ * @param {Object} order - Order (customer and supplier populated)
+ * @param {Object} adjustment - entry from order.adjustments
+ */
+const generateAdjustmentNotePDF = (order, adjustment) => renderPDF(doc => {
+  const isCredit = adjustment.type === 'credit';
+  drawHeader(doc, isCredit ? 'CREDIT NOTE' : 'DEBIT NOTE', order);
+
+  drawRows(doc, [
+    ['Note No', adjustment.noteNumber],
+    ['Date', formatDate(adjustment.createdAt)],
+    ['Reason', adjustment.reason === 'weighbridge_variance' ? 'Weighbridge variance' : adjustment.reason],
+    ['Customer', order.customer?.name],
+    ['Supplier', order.supplier?.companyName]
+  ]);
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Items re-billed');
+  doc.moveDown(0.5);
+  adjustment.items.forEach(line => {
+    const item = findItem(order, line.orderItem);
+    doc.font('Helvetica').fontSize(10).text(
+      `${getItemName(item)}: ordered ${line.orderedQuantity ?? 'N/A'}, net weight ${line.netWeight ?? 'N/A'}, ` +
+      `billed ${line.billedQuantity ?? 'N/A'} ${item?.productSnapshot?.unit || ''} | ${formatCurrency(line.previousAmount)} -> ${formatCurrency(line.revisedAmount)}`
+    );
+  });
+  doc.moveDown();
+
+  drawRows(doc, [
+    ['Previous invoice total', formatCurrency(adjustment.previousTotal)],
+    ['Revised invoice total', formatCurrency(adjustment.revisedTotal)],
+    [isCredit ? 'Amount credited' : 'Amount debited', formatCurrency(adjustment.amount)],
+    ...(adjustment.refundableAmount > 0 ? [['Refundable to customer', formatCurrency(adjustment.refundableAmount)]] : [])
+  ]);
+
+  doc.fontSize(8).fillColor('#666')
+    .text(`Computer generated on ${new Date().toLocaleString('en-IN')}.`, { align: 'center' });
+});
+
+/**
+ * OTP-verified delivery record: each trip (or the single delivery) with its
+ * vehicle, quantities, net weights and notes
+ * @param {Object} order - Order (customer, supplier and items.product populated)
+ */
+const generateDeliveryProofPDF = (order) => renderPDF(doc => {
+  drawHeader(doc, 'PROOF OF DELIVERY', order);
+
+  const address = order.deliveryAddress || {};
+  drawRows(doc, [
+    ['Customer', order.customer?.name],
+    ['Supplier', order.supplier?.companyName],
+    ['Delivered to', [address.address, address.city, address.state, address.pincode].filter(Boolean).join(', ') || 'N/A'],
+    ['Order status', order.status]
+  ]);
+
+  const trips = order.trips.filter(trip => trip.status === 'delivered');
+  const deliveries = trips.length > 0
+    ? trips.map(trip => ({
+      title: `Trip ${trip.tripNumber} of ${order.trips.length}`,
+      deliveredAt: trip.deliveredAt,
+      driver: trip.driverDetails,
+      notes: trip.deliveryNotes,
+      lines: trip.items.map(line => {
+        const item = findItem(order, line.orderItem);
+        const weighed = line.netWeight !== null && line.netWeight !== undefined ? `, net weight ${line.netWeight} MT` : '';
+        return `${getItemName(item)}: ${line.quantity} ${item?.productSnapshot?.unit || ''}${weighed}`;
+      })
+    }))
+    : [{
+      title: 'Delivery',
+      deliveredAt: order.delivery.actualDeliveryTime,
+      driver: order.delivery.driverDetails,
+      notes: order.delivery.deliveryNotes,
+      lines: order.items.map(item => {
+        const weighed = item.actualQuantityDelivered !== null && item.actualQuantityDelivered !== undefined
+          ? `, net weight ${item.actualQuantityDelivered}`
+          : '';
+        return `${getItemName(item)}: ${item.quantity} ${item.productSnapshot?.unit || ''}${weighed}`;
+      })
+    }];
+
+  deliveries.forEach(delivery => {
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#111').text(delivery.title);
+    doc.moveDown(0.3);
+    drawRows(doc, [
+      ['Delivered at', formatDateTime(delivery.deliveredAt)],
+      ['Vehicle', delivery.driver?.vehicleNumber],
+      ['Driver', delivery.driver?.name],
+      ['Confirmed by', 'Customer delivery OTP']
+    ]);
+    delivery.lines.forEach(line => doc.font('Helvetica').fontSize(10).text(`- ${line}`));
+    if (delivery.notes) {
+      doc.moveDown(0.3).font('Helvetica-Oblique').text(`Notes: ${delivery.notes}`);
+    }
+    doc.moveDown();
+  });
+
+  doc.fontSize(8).fillColor('#666')
+    .text(`Computer generated on ${new Date().toLocaleString('en-IN')}.`, { align: 'center' });
+});
+
+// Invoice numbers are sequential: an order gets one once delivered or paid, never
+// just for being in a bundle (cancelled and unpaid orders are left without)
+const isInvoiceable = (order) => {
+  if (order.invoice?.invoiceNumber) return true;
+  if (order.status === 'cancelled') return false;
+  return order.status === 'delivered' || order.payment?.status === 'paid';
+};
+
+const ensureInvoiceNumber = async (order) => {
+  if (order.invoice?.invoiceNumber) return;
+
+  if (!order.invoice) {
+    order.invoice = {};
+  }
+  order.invoice.invoiceNumber = await generateId('invoice');
+  order.invoice.generatedAt = new Date();
+  await order.save();
+};
+
+// Whether a weigh bill URL is on our upload host and may be downloaded into a bundle
+const isFetchableWeighBillUrl = (url) => {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && WEIGH_BILL_HOSTS.includes(hostname.toLowerCase());
+  } catch (error) {
+    return false;
+  }
+};
+
+// Loopback, private, link-local (cloud metadata) and other non-public addresses
+const isPrivateAddress = (address) => {
+  if (net.isIPv6(address)) {
+    const ip = address.toLowerCase();
+    if (ip.startsWith('::ffff:')) return isPrivateAddress(ip.slice(7));
+    return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip);
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224;
+};
+
+// DNS lookup for the download that refuses non-public addresses, checked on the
+// address actually connected to so a rebinding answer cannot slip through
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Refusing to fetch from non-public address ${blocked.address}`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const fetchWeighBill = async (url) => {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: WEIGH_BILL_FETCH_TIMEOUT_MS,
+    maxContentLength: WEIGH_BILL_MAX_BYTES,
+    maxRedirects: 0,
+    lookup: publicOnlyLookup
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  let extension = path.extname(new URL(url).pathname).toLowerCase();
+  if (!extension) {
+    extension = contentType.includes('pdf') ? '.pdf' : contentType.includes('png') ? '.png' : '.jpg';
+  }
+
+  return { buffer: Buffer.from(response.data), extension };
+};
+
+// Weigh bills recorded per trip and per item, each URL once
+const getWeighBills = (order) => {
+  const bills = new Map();
+
+  order.trips.forEach(trip => {
+    if (trip.weighBillUrl && !bills.has(trip.weighBillUrl)) {
+      bills.set(trip.weighBillUrl, { reference: `Trip ${trip.tripNumber}`, name: `trip-${trip.tripNumber}`, date: trip.deliveredAt });
+    }
+  });
+  order.items.forEach((item, index) => {
+    if (item.weighBillUrl && !bills.has(item.weighBillUrl)) {
+      bills.set(item.weighBillUrl, { reference: getItemName(item), name: `item-${index + 1}`, date: item.reconciliation?.reconciledAt });
+    }
+  });
+
+  return [...bills.entries()].map(([url, bill]) => ({ url, ...bill }));
+};
+
+/**
+ * Every document for one order, rendered or downloaded. A weigh bill is
+ * downloaded only from our upload host (WEIGH_BILL_HOSTS); one elsewhere is
+ * listed with status "link" and one that can't be fetched with status
+ * "unavailable", both with their URL. Orders not yet delivered or paid are
+ * listed as "not_invoiced" rather than given an invoice number.
+ * @param {Object} order - Order loaded by loadBundleOrders
+ * @returns {Promise<Array>} [{ orderId, type, reference, date, amount, file, buffer, sourceUrl, status }]
+ */
+const collectOrderDocuments = async (order) => {
+  const folder = toFileName(order.orderId);
+  const documents = [];
+
+  if (isInvoiceable(order)) {
+    await ensureInvoiceNumber(order);
+    documents.push({
+      type: 'invoice',
+      reference: order.invoice.invoiceNumber,
+      date: order.invoice.updatedAt || order.invoice.generatedAt,
+      amount: order.pricing.totalAmount,
+      file: `${folder}/invoice-${toFileName(order.invoice.invoiceNumber)}.pdf`,
+      buffer: await generateInvoicePDF(order)
+    });
+  } else {
+    documents.push({ type: 'invoice', amount: order.pricing.totalAmount, status: 'not_invoiced' });
+  }
+
+  for (const adjustment of order.adjustments) {
+    documents.push({
+      type: `${adjustment.type}_note`,
+      reference: adjustment.noteNumber,
+      date: adjustment.createdAt,
+      amount: adjustment.amount,
+      file: `${folder}/${adjustment.type}-note-${toFileName(adjustment.noteNumber)}.pdf`,
+      buffer: await generateAdjustmentNotePDF(order, adjustment)
+    });
+  }
+
+  for (const bill of getWeighBills(order)) {
+    const document = {
+      type: 'weigh_bill',
+      reference: bill.reference,
+      date: bill.date,
+      sourceUrl: bill.url
+    };
+
+    if (!isFetchableWeighBillUrl(bill.url)) {
+      documents.push({ ...document, status: 'link' });
+      continue;
+    }
+
+    try {
+      const { buffer, extension } = await fetchWeighBill(bill.url);
+      document.file = `${folder}/weigh-bill-${bill.name}${extension}`;
+      document.buffer = buffer;
+    } catch (error) {
+      console.error(`❌ Failed to fetch weigh bill for order ${order.orderId}:`, error.message);
+    }
+
+    documents.push(document);
+  }
+
+  const delivered = order.status === 'delivered' || order.trips.some(trip => trip.status === 'delivered');
+  if (delivered) {
+    documents.push({
+      type: 'delivery_proof',
+      reference: order.orderId,
+      date: order.delivery.actualDeliveryTime ||
+        order.trips.filter(trip => trip.deliveredAt).map(trip => trip.deliveredAt).sort((a, b) => b - a)[0],
+      file: `${folder}/delivery-proof.pdf`,
+      buffer: await generateDeliveryProofPDF(order)
+    });
+  }
+
+  return documents.map(document => ({
+    orderId: order.orderId,
+    status: document.buffer ? 'included' : 'unavailable',
+    ...document
+  }));
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const buildDocumentIndexCSV = (documents) => {
+  const rows = [['Order ID', 'Document', 'Reference', 'Date', 'Amount', 'File', 'Status', 'Source URL']];
+
+  documents.forEach(document => {
+    rows.push([
+      document.orderId,
+      DOCUMENT_TYPES[document.type],
+      document.reference,
+      document.date ? new Date(document.date).toISOString().split('T')[0] : '',
+      document.amount !== undefined ? document.amount.toFixed(2) : '',
+      document.file || '',
+      document.status,
+      document.sourceUrl || ''
+    ]);
+  });
+
+  return rows.map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+};
+
+/**
+ * Turn from/to query dates into a createdAt filter. Date-only values cover
+ * the whole `to` day.
+ */
+const getBundleDateRange = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end.setDate(end.getDate() + 1);
+  }
+
+  if (end <= start) {
+    throw new ErrorHandler('"to" must be on or after "from"', 400);
+  }
+  if (end - start > DOCUMENT_BUNDLE_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ErrorHandler(`Date range cannot exceed ${DOCUMENT_BUNDLE_MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return { $gte: start, $lt: end };
+};
+
+/**
+ * Orders for a bundle with everything the documents need populated
+ * @param {Object} filter - Order filter (already scoped to the customer or supplier)
+ * @param {String} [notFoundMessage]
+ */
+const loadBundleOrders = async (filter, notFoundMessage = 'No orders found in this date range') => {
+  const count = await Order.countDocuments(filter);
+
+  if (count === 0) {
+    throw new ErrorHandler(notFoundMessage, 404);
+  }
+  if (count > DOCUMENT_BUNDLE_MAX_ORDERS) {
+    throw new ErrorHandler(`${count} orders match; narrow the date range to at most ${DOCUMENT_BUNDLE_MAX_ORDERS} orders`, 400);
+  }
+
+  return Order.find(filter)
+    .populate('customer', 'name email phoneNumber')
+    .populate('supplier', 'companyName contactPersonName email companyAddress city state pincode')
+    .populate('items.product', 'name description category')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Stream a ZIP of every order's documents plus index.csv to the response.
+ * Once streaming has started a failure can only cut the download short, so
+ * callers should check res.headersSent before passing the error on.
+ */
+const sendDocumentBundle = async (res, orders, fileName) => {
+  const archive = archiver('zip');
+  const index = [];
+
+  archive.on('warning', warning => console.warn(`⚠️ Document bundle ${fileName}:`, warning.message));
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  archive.pipe(res);
+
+  try {
+    for (const order of orders) {
+      const documents = await collectOrderDocuments(order);
+
+      documents.forEach(document => {
+        if (document.buffer) {
+          archive.append(document.buffer, { name: document.file, date: document.date || undefined });
+        }
+        index.push(document);
+      });
+    }
+
+    archive.append(buildDocumentIndexCSV(index), { name: 'index.csv' });
+    await archive.finalize();
+  } catch (error) {
+    archive.abort();
+    res.destroy();
+    throw error;
+  }
+
+  console.log(`📦 Document bundle ${fileName}: ${orders.length} order(s), ${index.filter(d => d.status === 'included').length} file(s)`);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  formatDate,
+  formatCurrency,
+  csvValue,
+  renderPDF,
+  generateInvoicePDF,
+  generateAdjustmentNotePDF,
+  generateDeliveryProofPDF,
+  collectOrderDocuments,
+  buildDocumentIndexCSV,
+  getBundleDateRange,
+  loadBundleOrders,
+  sendDocumentBundle
+};
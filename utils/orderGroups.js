@@ -0,0 +1,288 @@
+const { PDFDocument } = require('pdf-lib');
+const Order = require('../models/Order');
+const OrderGroup = require('../models/OrderGroup');
+const { generateId } = require('./sequence');
+const { ORDER_ACTORS } = require('./orderStateMachine');
+const { getPaidAmount } = require('./cancellationPolicy');
+
+/**
+ * ORDER GROUPS
+ * A checkout spanning several suppliers creates one order per supplier under
+ * an OrderGroup. The group is paid for with a single gateway payment, keeps a
+ * combined summary and hands back each order's share when one is cancelled.
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Where attachGatewayOrder records the gateway's order id on each order
+const GATEWAY_ORDER_FIELDS = ['razorpayOrderId', 'cashfreeOrderId', 'paytmOrderId', 'mockOrderId'];
+
+// Totals across the orders that have not been cancelled
+const summarizeOrders = (orders) => {
+  const live = orders.filter(order => order.status !== 'cancelled');
+  const sum = (getValue) => roundAmount(live.reduce((total, order) => total + (getValue(order) || 0), 0));
+
+  return {
+    supplierCount: new Set(live.map(order => order.supplier.toString())).size,
+    itemCount: live.reduce((count, order) => count + order.items.length, 0),
+    subtotal: sum(order => order.pricing.subtotal),
+    transportCost: sum(order => order.pricing.transportCost),
+    gstAmount: sum(order => order.pricing.gstAmount),
+    commission: sum(order => order.pricing.commission),
+    paymentGatewayCharges: sum(order => order.pricing.paymentGatewayCharges),
+    totalAmount: sum(order => order.pricing.totalAmount),
+    advanceAmount: sum(order => order.payment.advanceAmount),
+    walletAmount: sum(order => order.payment.wallet?.amount)
+  };
+};
+
+// What the group's single gateway payment charges: the advances, less what the wallet paid
+// (COD orders are collected one by one on delivery, credit orders repaid later)
+const getGroupPayableAmount = ({ summary, payment }) => {
+  if (['cod', 'credit'].includes(payment.method)) return 0;
+  return roundAmount(Math.max(0, summary.advanceAmount - (summary.walletAmount || 0)));
+};
+
+/**
+ * Create the group for orders placed together (the orders carry its _id already)
+ * @returns {Object} saved OrderGroup
+ */
+const createOrderGroup = async ({ _id, customerId, orders, paymentMethod }) => {
+  const summary = summarizeOrders(orders);
+
+  const group = new OrderGroup({
+    _id,
+    groupId: await generateId('orderGroup'),
+    customer: customerId,
+    orders: orders.map(order => order._id),
+    summary,
+    payment: {
+      method: paymentMethod,
+      amount: getGroupPayableAmount({ summary, payment: { method: paymentMethod } })
+    }
+  });
+
+  await group.save();
+  return group;
+};
+
+/**
+ * Everything a gateway payment for this order covers: the order alone, or its
+ * whole group. The given order is always the first entry in orders.
+ * @returns {Object} { order, group, orders }
+ */
+const loadPaymentTarget = async (order) => {
+  const group = order.orderGroup ? await OrderGroup.findById(order.orderGroup) : null;
+  if (!group) {
+    return { order, group: null, orders: [order] };
+  }
+
+  const siblings = await Order.find({
+    orderGroup: group._id,
+    _id: { $ne: order._id },
+    status: { $ne: 'cancelled' }
+  });
+
+  return { order, group, orders: [order, ...siblings] };
+};
+
+// Payment target for an orderId or a groupId (null when neither exists)
+const findPaymentTarget = async (reference) => {
+  let order = await Order.findOne({ orderId: reference }).populate('customer');
+
+  if (!order) {
+    const group = await OrderGroup.findOne({ groupId: reference });
+    if (!group) return null;
+
+    order = await Order.findOne({ orderGroup: group._id, status: { $ne: 'cancelled' } })
+      .sort({ createdAt: 1 })
+      .populate('customer');
+    if (!order) return null;
+  }
+
+  return loadPaymentTarget(order);
+};
+
+// Payment target for a gateway's own order id, e.g. from a webhook (null when unknown)
+const findPaymentTargetByGatewayOrder = async (orderIdField, gatewayOrderId) => {
+  if (!gatewayOrderId) return null;
+
+  const order = await Order.findOne({ [`payment.${orderIdField}`]: gatewayOrderId }).populate('customer');
+  return order ? loadPaymentTarget(order) : null;
+};
+
+// Amount to charge: the group's single payment, or what was asked for a lone order
+// (its advance less the wallet part once the wallet has paid some of it)
+const getPayableAmount = ({ order, group }, requestedAmount) => {
+  if (group) return group.payment.amount;
+
+  const walletAmount = order.payment.wallet?.amount || 0;
+  return walletAmount > 0 ? roundAmount(order.payment.advanceAmount - walletAmount) : requestedAmount;
+};
+
+// Gateway reference (receipt / order id) for the payment
+const getPaymentReference = ({ order, group }) => {
+  return group ? group.groupId : order.orderId;
+};
+
+// Copy gateway order details onto every order in the target and its group
+const attachGatewayOrder = async ({ group, orders }, fields) => {
+  for (const order of orders) {
+    Object.entries(fields).forEach(([key, value]) => order.set(`payment.${key}`, value));
+    await order.save();
+  }
+
+  if (group) {
+    Object.entries(fields).forEach(([key, value]) => group.set(`payment.${key}`, value));
+    await group.save();
+  }
+};
+
+/**
+ * Orders of the group cancelled before they were paid but after the gateway
+ * order was created: the group charge shrank, the gateway order did not, so
+ * the payment still carries their share
+ */
+const findCoveredCancelledOrders = async (group, orders) => {
+  const [field, gatewayOrderId] = GATEWAY_ORDER_FIELDS
+    .map(key => [key, orders.map(order => order.payment?.[key]).find(Boolean)])
+    .find(([, value]) => value) || [];
+  if (!gatewayOrderId) return [];
+
+  return Order.find({
+    orderGroup: group._id,
+    _id: { $nin: orders.map(order => order._id) },
+    status: 'cancelled',
+    'payment.paidAt': null,
+    [`payment.${field}`]: gatewayOrderId
+  });
+};
+
+/**
+ * Mark a successful payment on every order it covered and confirm them.
+ * Orders it covered that were cancelled in the meantime get their share refunded.
+ * @param {Object} target - from loadPaymentTarget / findPaymentTarget
+ * @param {Object} payment - { transactionId, gateway, note, updatedBy }
+ */
+const markPaymentTargetPaid = async ({ group, orders }, { transactionId, gateway, note, updatedBy }) => {
+  const paidAt = new Date();
+  const covered = group ? await findCoveredCancelledOrders(group, orders) : [];
+
+  for (const order of [...orders, ...covered]) {
+    if (['paid', 'partial'].includes(order.payment.status)) continue;
+
+    order.payment.status = 'paid';
+    order.payment.transactionId = transactionId;
+    order.payment.paidAt = paidAt;
+    order.payment.gateway = gateway;
+
+    // Move the order forward unless another verification path already did
+    if (order.canTransitionTo('confirmed', ORDER_ACTORS.SYSTEM)) {
+      order.updateStatus('confirmed', note, updatedBy, { actor: ORDER_ACTORS.SYSTEM });
+    }
+
+    await order.save();
+
+    // Paid after it was cancelled (e.g. expired unpaid): the payment goes straight back
+    if (order.status === 'cancelled') {
+      // Required here: refunds load the wallet, which loads this module
+      const { createRefund, getRefundableAmount } = require('./refunds');
+      await createRefund(order, {
+        source: 'cancellation',
+        reference: `${order.orderId}:${transactionId}`,
+        amount: await getRefundableAmount(order),
+        reason: 'Payment received after the order was cancelled',
+        method: 'original',
+        requestedBy: updatedBy
+      });
+    }
+  }
+
+  if (group && group.payment.status !== 'paid') {
+    group.payment.status = 'paid';
+    group.payment.transactionId = transactionId;
+    group.payment.paidAt = paidAt;
+    group.payment.gateway = gateway;
+    await group.save();
+  }
+};
+
+// Record a failed payment on every order it covered
+const markPaymentTargetFailed = async ({ group, orders }, reason) => {
+  for (const order of orders) {
+    if (['paid', 'partial'].includes(order.payment.status)) continue;
+    order.payment.status = 'failed';
+    order.payment.failureReason = reason;
+    await order.save();
+  }
+
+  if (group && group.payment.status === 'pending') {
+    group.payment.status = 'failed';
+    await group.save();
+  }
+};
+
+/**
+ * Keep the group in step when one of its orders is cancelled. Before payment
+ * the group charge shrinks; after payment the order's share of the single
+ * payment (its advance, less any policy deductions) is refunded.
+ */
+const recordGroupCancellation = async (order) => {
+  const group = await OrderGroup.findById(order.orderGroup);
+  if (!group) return null;
+
+  const orders = await Order.find({ orderGroup: group._id });
+  group.summary = summarizeOrders(orders);
+
+  if (['pending', 'failed'].includes(group.payment.status)) {
+    group.payment.amount = getGroupPayableAmount(group);
+  } else if (!group.refunds.some(refund => refund.order.equals(order._id))) {
+    const paidShare = getPaidAmount(order);
+    // The group payment is the gateway part; what the wallet paid is not in it
+    const gatewayShare = paidShare - (order.payment.wallet?.amount || 0);
+    // Supplier and system cancellations carry no policy deduction
+    const amount = roundAmount(order.cancellation?.refundAmount ?? paidShare);
+
+    group.refunds.push({
+      order: order._id,
+      orderId: order.orderId,
+      share: group.payment.amount > 0 ? roundAmount(gatewayShare / group.payment.amount) : 0,
+      amount,
+      reason: order.cancellation?.reason
+    });
+    group.payment.refundedAmount = roundAmount(group.payment.refundedAmount + amount);
+    group.payment.status = group.payment.refundedAmount >= group.payment.amount ? 'refunded' : 'partial_refund';
+  }
+
+  await group.save();
+  return group;
+};
+
+// One PDF with each order's invoice in turn
+const mergeInvoicePDFs = async (buffers) => {
+  const bundle = await PDFDocument.create();
+
+  for (const buffer of buffers) {
+    const invoice = await PDFDocument.load(buffer);
+    const pages = await bundle.copyPages(invoice, invoice.getPageIndices());
+    pages.forEach(page => bundle.addPage(page));
+  }
+
+  return Buffer.from(await bundle.save());
+};
+
+module.exports = {
+  summarizeOrders,
+  getGroupPayableAmount,
+  createOrderGroup,
+  loadPaymentTarget,
+  findPaymentTarget,
+  findPaymentTargetByGatewayOrder,
+  getPayableAmount,
+  getPaymentReference,
+  attachGatewayOrder,
+  markPaymentTargetPaid,
+  markPaymentTargetFailed,
+  recordGroupCancellation,
+  mergeInvoicePDFs
+};
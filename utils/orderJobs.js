@@ -0,0 +1,174 @@
+const Order = require('../models/Order');
+const Supplier = require('../models/Supplier');
+const { ORDER_ACTORS } = require('./orderStateMachine');
+const { evaluateFullRefund, applyCancellation } = require('./cancellationPolicy');
+const { sendSMS, sendEmail, sendOrderNotification } = require('./notifications');
+
+/**
+ * ORDER JOBS
+ * Time-driven order housekeeping run by the scheduler: closing cooling
+ * periods, auto-accepting for suppliers who opted in, chasing suppliers
+ * about orders left in pending and expiring checkouts that were never paid.
+ */
+
+// First alert after this long in pending, then again every interval, up to the max
+const PENDING_ALERT_AFTER_MINUTES = 30;
+const PENDING_ALERT_INTERVAL_MINUTES = 120;
+const MAX_PENDING_ALERTS = 3;
+
+// Unpaid checkouts give up their delivery slot and stock after this long
+const UNPAID_ORDER_EXPIRY_MINUTES = parseInt(process.env.UNPAID_ORDER_EXPIRY_MINUTES) || 60;
+
+const MINUTE_MS = 60 * 1000;
+
+// Flip the flags on cooling periods whose window has passed
+const closeExpiredCoolingPeriods = async (now = new Date()) => {
+  const result = await Order.updateMany(
+    { 'coolingPeriod.isActive': true, 'coolingPeriod.endTime': { $lte: now } },
+    { $set: { 'coolingPeriod.isActive': false, 'coolingPeriod.canModify': false } }
+  );
+  return result.modifiedCount;
+};
+
+// Confirm pending orders for suppliers with settings.autoAcceptOrders
+const autoConfirmPendingOrders = async () => {
+  const suppliers = await Supplier.find({
+    'settings.autoAcceptOrders': true,
+    isApproved: true,
+    isActive: true
+  }).select('_id');
+
+  if (suppliers.length === 0) return 0;
+
+  const orders = await Order.find({
+    status: 'pending',
+    supplier: { $in: suppliers.map(supplier => supplier._id) }
+  }).populate('customer', 'name email');
+
+  let confirmed = 0;
+  for (const order of orders) {
+    try {
+      if (!order.canTransitionTo('confirmed', ORDER_ACTORS.SYSTEM)) continue;
+
+      order.updateStatus('confirmed', 'Order auto-accepted by supplier settings', null, {
+        actor: ORDER_ACTORS.SYSTEM
+      });
+      await order.save();
+      confirmed++;
+
+      if (order.customer?.email) {
+        await sendOrderNotification(order.customer, order, 'confirmed');
+      }
+    } catch (error) {
+      console.error(`❌ Failed to auto-confirm order ${order.orderId}:`, error);
+    }
+  }
+
+  return confirmed;
+};
+
+// Orders waiting on the supplier whose next alert is due
+const findOrdersNeedingPendingAlert = (now = new Date()) => {
+  return Order.find({
+    status: 'pending',
+    createdAt: { $lte: new Date(now.getTime() - PENDING_ALERT_AFTER_MINUTES * MINUTE_MS) },
+    'supplierAlerts.pendingAlerts': { $not: { $gte: MAX_PENDING_ALERTS } },
+    $or: [
+      { 'supplierAlerts.lastPendingAlertAt': null },
+      { 'supplierAlerts.lastPendingAlertAt': { $lte: new Date(now.getTime() - PENDING_ALERT_INTERVAL_MINUTES * MINUTE_MS) } }
+    ]
+  }).populate('supplier', 'companyName contactPersonNumber email')
+    .select('orderId supplier pricing.totalAmount createdAt supplierAlerts')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * One message per supplier listing their orders still in pending
+ * @returns {Number} orders alerted
+ */
+const alertSuppliersAboutPendingOrders = async (now = new Date()) => {
+  const orders = await findOrdersNeedingPendingAlert(now);
+
+  const bySupplier = new Map();
+  orders.forEach(order => {
+    if (!order.supplier) return;
+    const key = order.supplier._id.toString();
+    if (!bySupplier.has(key)) {
+      bySupplier.set(key, { supplier: order.supplier, orders: [] });
+    }
+    bySupplier.get(key).orders.push(order);
+  });
+
+  let alerted = 0;
+  for (const { supplier, orders: pending } of bySupplier.values()) {
+    const oldestMinutes = Math.floor((now - pending[0].createdAt) / MINUTE_MS);
+    const orderIds = pending.map(order => order.orderId).join(', ');
+    const message = `⏰ ${pending.length} order(s) awaiting your acceptance on Aggrekart: ${orderIds}. Oldest is ${oldestMinutes} minutes old. Please confirm or decline them in the supplier portal.`;
+
+    try {
+      if (supplier.contactPersonNumber) {
+        await sendSMS(supplier.contactPersonNumber, message);
+      }
+      if (supplier.email) {
+        await sendEmail(supplier.email, `${pending.length} order(s) awaiting acceptance`, message);
+      }
+
+      await Order.updateMany(
+        { _id: { $in: pending.map(order => order._id) } },
+        {
+          $inc: { 'supplierAlerts.pendingAlerts': 1 },
+          $set: { 'supplierAlerts.lastPendingAlertAt': now }
+        }
+      );
+      alerted += pending.length;
+    } catch (error) {
+      console.error(`❌ Failed to alert ${supplier.companyName} about pending orders:`, error);
+    }
+  }
+
+  return alerted;
+};
+
+/**
+ * Cancel checkout orders still awaiting their advance payment after the
+ * expiry window, which releases their delivery slot and refunds whatever was
+ * paid (the wallet part) in full. Orders placed by standing orders and RFQ
+ * awards were never shown a payment window and are left alone.
+ * @returns {Number} orders cancelled
+ */
+const expireUnpaidOrders = async (now = new Date()) => {
+  const orders = await Order.find({
+    status: 'pending_payment',
+    'payment.paidAt': null,
+    rfq: null,
+    standingOrder: null,
+    createdAt: { $lte: new Date(now.getTime() - UNPAID_ORDER_EXPIRY_MINUTES * MINUTE_MS) }
+  });
+
+  let cancelled = 0;
+  for (const order of orders) {
+    try {
+      applyCancellation(order, evaluateFullRefund(order), { reason: 'Payment not completed in time', cancelledBy: null });
+      order.updateStatus('cancelled', `Cancelled - payment not received within ${UNPAID_ORDER_EXPIRY_MINUTES} minutes`, null, {
+        actor: ORDER_ACTORS.SYSTEM
+      });
+      await order.save();
+      cancelled++;
+    } catch (error) {
+      console.error(`❌ Failed to expire unpaid order ${order.orderId}:`, error);
+    }
+  }
+
+  return cancelled;
+};
+
+module.exports = {
+  UNPAID_ORDER_EXPIRY_MINUTES,
+  PENDING_ALERT_AFTER_MINUTES,
+  PENDING_ALERT_INTERVAL_MINUTES,
+  MAX_PENDING_ALERTS,
+  closeExpiredCoolingPeriods,
+  autoConfirmPendingOrders,
+  alertSuppliersAboutPendingOrders,
+  expireUnpaidOrders
+};
@@ -0,0 +1,282 @@
+const Order = require('../models/Order');
+const { formatDeliverySlot } = require('./deliverySlots');
+const { DEFAULT_GST_RATE } = require('./gstCalculator');
+
+/**
+ * ORDER PRICING
+ * Builds a supplier order from line items at their current prices. Shared by
+ * cart checkout and every flow that places orders on a customer's behalf
+ * (standing orders, quotes), so all of them price the same way.
+ */
+
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+};
+
+const getDeliveryZone = (distance) => {
+  if (distance <= 5) return '0-5km';
+  if (distance <= 10) return '5-10km';
+  if (distance <= 20) return '10-20km';
+  return '20km+';
+};
+
+const calculateTransportCost = (distance, supplier) => {
+  // Use supplier's transport rates if available
+  if (supplier.transportRates) {
+    let rates;
+
+    if (distance <= 5) {
+      rates = supplier.transportRates.upTo5km;
+    } else if (distance <= 10) {
+      rates = supplier.transportRates.upTo10km;
+    } else if (distance <= 20) {
+      rates = supplier.transportRates.upTo20km;
+    } else {
+      rates = supplier.transportRates.above20km;
+    }
+
+    // Simple calculation like ProductDetailPage (no weight factor)
+    const baseCost = rates?.baseCost || 0;
+    const costPerKm = rates?.costPerKm || 0;
+    return Math.round(baseCost + (distance * costPerKm));
+  }
+
+  // Fallback to old calculation if no transport rates
+  if (distance <= 5) return Math.max(distance * 50, 100);
+  if (distance <= 10) return Math.max(distance * 75, 200);
+  if (distance <= 20) return Math.max(distance * 100, 350);
+  return Math.max(distance * 150, 500);
+};
+
+const getSupplierCoords = (supplier) => ({
+  latitude: supplier.dispatchLocation?.coordinates?.[1] || 0,
+  longitude: supplier.dispatchLocation?.coordinates?.[0] || 0
+});
+
+const getCustomerCoords = (deliveryAddress) => ({
+  latitude: deliveryAddress.coordinates?.latitude || 0,
+  longitude: deliveryAddress.coordinates?.longitude || 0
+});
+
+const getPrimaryImage = (product) => {
+  if (product.images && product.images.length > 0) {
+    const primaryImage = product.images.find(img => img.isPrimary && img.url);
+    if (primaryImage) return primaryImage.url;
+    const firstImage = product.images.find(img => img.url);
+    if (firstImage) return firstImage.url;
+  }
+  return null;
+};
+
+// Price breakdown for one supplier's items; a quoted transport cost replaces the distance-based one.
+// gstRates holds each item's rate from the GST resolver (utils/gstCalculator), in item order.
+const calculateOrderPricing = ({ supplier, items, deliveryAddress, paymentMethod, quotedTransportCost, gstRates = [] }) => {
+  const subtotal = items.reduce((sum, item) =>
+    sum + (item.quantity * item.priceAtTime), 0
+  );
+
+  const commissionRate = supplier.commissionRate || 5;
+  const commission = Math.round((subtotal * commissionRate) / 100);
+
+  const gstAmount = Math.round(items.reduce((sum, item, index) =>
+    sum + (item.quantity * item.priceAtTime * (gstRates[index] ?? DEFAULT_GST_RATE)) / 100, 0
+  ));
+
+  // Payment gateway charges (2.5% + GST) - Only for online payments (not COD or wallet-only)
+  let paymentGatewayCharges = 0;
+  if (!['cod', 'wallet'].includes(paymentMethod)) {
+    paymentGatewayCharges = Math.round(((subtotal + commission + gstAmount) * 2.5) / 100);
+  }
+
+  const supplierCoords = getSupplierCoords(supplier);
+  const customerCoords = getCustomerCoords(deliveryAddress);
+  const distance = calculateDistance(
+    supplierCoords.latitude, supplierCoords.longitude,
+    customerCoords.latitude, customerCoords.longitude
+  );
+  const transportCost = quotedTransportCost !== undefined
+    ? quotedTransportCost
+    : calculateTransportCost(distance, supplier);
+  const totalAmount = subtotal + commission + gstAmount + paymentGatewayCharges + transportCost;
+
+  return {
+    subtotal,
+    transportCost,
+    gstAmount,
+    commission,
+    paymentGatewayCharges,
+    totalAmount: Math.round(totalAmount * 100) / 100
+  };
+};
+
+/**
+ * Build an unsaved order for one supplier
+ * @param {Object} params
+ * @param {Object} params.supplier - Supplier document
+ * @param {Array} params.items - [{ product (populated), quantity, priceAtTime, specifications }]
+ * @param {Object} params.deliveryAddress - customer address sub-document
+ * @param {Number} [params.quotedTransportCost] - transport agreed in a quote
+ * @param {Object} [params.creditLine] - CreditLine the order is charged to (credit method)
+ * @param {Array} [params.gstRates] - GST rate per item from resolveItemGSTRates
+ * @returns {Order}
+ */
+const buildSupplierOrder = ({
+  _id,
+  orderId,
+  customerId,
+  supplier,
+  items,
+  deliveryAddress,
+  paymentMethod,
+  advancePercentage = 25,
+  notes,
+  deliverySlot,
+  timelineNote,
+  quotedTransportCost,
+  orderGroup = null,
+  project = null,
+  creditLine = null,
+  gstRates = []
+}) => {
+  const pricing = calculateOrderPricing({ supplier, items, deliveryAddress, paymentMethod, quotedTransportCost, gstRates });
+  const { totalAmount } = pricing;
+  const isCod = paymentMethod === 'cod';
+  const isCredit = paymentMethod === 'credit';
+  // Neither waits for an upfront payment before going to the supplier
+  const payLater = isCod || isCredit;
+
+  return new Order({
+    _id,
+    orderId,
+    customer: customerId,
+    supplier: supplier._id,
+    deliverySlot,
+    orderGroup,
+    project,
+
+    items: items.map((item, index) => {
+      const supplierCoords = getSupplierCoords(supplier);
+      const customerCoords = getCustomerCoords(deliveryAddress);
+      const distance = calculateDistance(
+        supplierCoords.latitude, supplierCoords.longitude,
+        customerCoords.latitude, customerCoords.longitude
+      );
+      const deliveryZone = getDeliveryZone(distance);
+      const transportCost = quotedTransportCost !== undefined
+        ? quotedTransportCost
+        : calculateTransportCost(distance, supplier);
+      const estimatedHours = Math.max(2, Math.round((distance / 40) * 100) / 100);
+
+      return {
+        product: item.product._id,
+        quantity: item.quantity,
+        unitPrice: item.priceAtTime,
+        totalPrice: item.quantity * item.priceAtTime,
+        gstRate: gstRates[index] ?? DEFAULT_GST_RATE,
+        specifications: item.specifications || {},
+        distancePricing: {
+          supplierLocation: {
+            latitude: supplierCoords.latitude,
+            longitude: supplierCoords.longitude,
+            address: supplier.dispatchLocation?.address || supplier.companyAddress
+          },
+          customerLocation: {
+            latitude: customerCoords.latitude,
+            longitude: customerCoords.longitude,
+            address: deliveryAddress.address
+          },
+          distance: {
+            value: Math.round(distance * 100) / 100,
+            source: 'haversine'
+          },
+          transportCost: transportCost,
+          deliveryZone: deliveryZone,
+          deliveryEstimate: {
+            min: Math.floor(estimatedHours),
+            max: Math.ceil(estimatedHours + 2),
+            estimatedDate: new Date(Date.now() + (estimatedHours + 2) * 60 * 60 * 1000)
+          }
+        },
+        productSnapshot: {
+          name: item.product.name,
+          description: item.product.description,
+          category: item.product.category,
+          subcategory: item.product.subcategory,
+          unit: item.product.pricing?.unit || 'unit',
+          brand: item.product.brand || 'Unknown',
+          hsnCode: item.product.hsnCode,
+          imageUrl: getPrimaryImage(item.product),
+          images: item.product.images || []
+        }
+      };
+    }),
+
+    pricing,
+
+    payment: isCredit ? {
+      method: paymentMethod,
+      gateway: 'credit',
+      status: 'pending',
+      advancePercentage: 0,
+      advanceAmount: 0,
+      remainingAmount: totalAmount,
+      credit: {
+        creditLine: creditLine._id,
+        termDays: creditLine.termDays,
+        dueDate: new Date(Date.now() + creditLine.termDays * 24 * 60 * 60 * 1000)
+      }
+    } : {
+      method: paymentMethod,
+      status: 'pending',
+      advancePercentage: isCod ? 100 : advancePercentage,
+      advanceAmount: isCod ? totalAmount : Math.round((totalAmount * advancePercentage) / 100),
+      remainingAmount: isCod ? 0 : totalAmount - Math.round((totalAmount * advancePercentage) / 100)
+    },
+
+    deliveryAddress: {
+      address: deliveryAddress.address,
+      city: deliveryAddress.city,
+      state: deliveryAddress.state,
+      pincode: deliveryAddress.pincode,
+      coordinates: deliveryAddress.coordinates || { latitude: 0, longitude: 0 }
+    },
+
+    status: payLater ? 'confirmed' : 'pending_payment',
+
+    // Cooling period end time is set by the pre-save middleware
+    coolingPeriod: {
+      startTime: new Date(),
+      isActive: payLater, // Only orders placed without upfront payment get a cooling period
+      canModify: payLater
+    },
+
+    timeline: [{
+      status: payLater ? 'pending' : 'pending_payment',
+      timestamp: new Date(),
+      note: timelineNote || (isCredit
+        ? `Order placed on ${creditLine.termDays}-day credit`
+        : (isCod ? 'Order placed - COD' : 'Order created - awaiting payment')),
+      updatedBy: customerId
+    }],
+
+    notes: notes || '',
+    delivery: {
+      estimatedTime: deliverySlot ? formatDeliverySlot(deliverySlot) : '2-3 business days'
+    }
+  });
+};
+
+module.exports = {
+  calculateDistance,
+  getDeliveryZone,
+  calculateTransportCost,
+  calculateOrderPricing,
+  buildSupplierOrder
+};
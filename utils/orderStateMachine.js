@@ -0,0 +1,203 @@
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * ORDER STATUS STATE MACHINE
+ * Single source of truth for which actor may move an order between statuses,
+ * which guards must pass and which side effects run on the order document.
+ */
+
+const ORDER_STATUSES = [
+  'pending_payment',
+  'pending',
+  'confirmed',
+  'preparing',
+  'material_loading',
+  'processing',
+  'dispatched',
+  'partially_delivered',
+  'delivered',
+  'cancelled'
+];
+
+const ORDER_ACTORS = {
+  CUSTOMER: 'customer',
+  SUPPLIER: 'supplier',
+  ADMIN: 'admin',
+  PILOT: 'pilot',
+  SYSTEM: 'system'
+};
+
+const { CUSTOMER, SUPPLIER, ADMIN, PILOT, SYSTEM } = ORDER_ACTORS;
+
+// Guards return an error message when the transition must be refused
+const GUARDS = {
+  // Supplier work beyond loading has to wait for the customer's cooling period
+  coolingPeriodOver: (order, context) => {
+    if (context.actor === ADMIN) return null;
+    if (order.coolingPeriod?.isActive && order.coolingPeriod.endTime && new Date() < order.coolingPeriod.endTime) {
+      const remainingMinutes = Math.ceil((order.coolingPeriod.endTime - new Date()) / (1000 * 60));
+      return `Cannot move to ${context.toStatus} during cooling period. ${remainingMinutes} minutes remaining.`;
+    }
+    return null;
+  },
+
+  // Only admins may mark an order delivered without the customer's OTP
+  deliveryOtpVerified: (order, context) => {
+    if (context.actor === ADMIN || context.otpVerified) return null;
+    return 'Delivery must be confirmed with the customer delivery OTP';
+  }
+};
+
+// Side effects mutate the order document; the caller is responsible for saving
+const EFFECTS = {
+  endCoolingPeriod: (order) => {
+    order.coolingPeriod.isActive = false;
+    order.coolingPeriod.canModify = false;
+  },
+
+  ensureDeliveryOTP: (order) => {
+    if (!order.delivery.deliveryOTP) {
+      order.generateDeliveryOTP();
+    }
+  },
+
+  stampDelivery: (order) => {
+    if (!order.delivery.actualDeliveryTime) {
+      order.delivery.actualDeliveryTime = new Date();
+    }
+  },
+
+  stampCancellation: (order, context) => {
+    if (!order.cancellation.cancelledAt) {
+      order.cancellation.cancelledAt = new Date();
+      order.cancellation.cancelledBy = context.updatedBy;
+    }
+  }
+};
+
+const CANCEL = { actors: [CUSTOMER, SUPPLIER, ADMIN, SYSTEM], effects: ['endCoolingPeriod', 'stampCancellation'] };
+const CANCEL_AFTER_LOADING = { actors: [SUPPLIER, ADMIN], effects: ['endCoolingPeriod', 'stampCancellation'] };
+
+// from -> to -> { actors, guards, effects }
+const TRANSITIONS = {
+  pending_payment: {
+    pending: { actors: [SYSTEM, ADMIN] },
+    confirmed: { actors: [SYSTEM, ADMIN] },
+    preparing: { actors: [SYSTEM] },
+    cancelled: CANCEL
+  },
+  pending: {
+    confirmed: { actors: [SUPPLIER, ADMIN, SYSTEM] },
+    cancelled: CANCEL
+  },
+  confirmed: {
+    preparing: { actors: [SUPPLIER, ADMIN, SYSTEM] },
+    material_loading: { actors: [SUPPLIER, ADMIN], effects: ['endCoolingPeriod'] },
+    cancelled: CANCEL
+  },
+  preparing: {
+    material_loading: { actors: [SUPPLIER, ADMIN], effects: ['endCoolingPeriod'] },
+    cancelled: CANCEL
+  },
+  material_loading: {
+    processing: { actors: [SUPPLIER, ADMIN], guards: ['coolingPeriodOver'], effects: ['endCoolingPeriod'] },
+    cancelled: CANCEL_AFTER_LOADING
+  },
+  processing: {
+    dispatched: {
+      actors: [SUPPLIER, ADMIN, PILOT],
+      guards: ['coolingPeriodOver'],
+      effects: ['endCoolingPeriod', 'ensureDeliveryOTP']
+    },
+    cancelled: CANCEL_AFTER_LOADING
+  },
+  dispatched: {
+    partially_delivered: {
+      actors: [SUPPLIER, PILOT, ADMIN],
+      guards: ['deliveryOtpVerified'],
+      effects: ['endCoolingPeriod']
+    },
+    delivered: {
+      actors: [SUPPLIER, PILOT, ADMIN],
+      guards: ['deliveryOtpVerified'],
+      effects: ['endCoolingPeriod', 'stampDelivery']
+    }
+  },
+  partially_delivered: {
+    delivered: {
+      actors: [SUPPLIER, PILOT, ADMIN],
+      guards: ['deliveryOtpVerified'],
+      effects: ['stampDelivery']
+    },
+    cancelled: { actors: [ADMIN], effects: ['stampCancellation'] }
+  },
+  delivered: {},
+  cancelled: {}
+};
+
+// Statuses reachable from the given status, optionally limited to one actor
+const getAllowedTransitions = (fromStatus, actor) => {
+  const targets = TRANSITIONS[fromStatus] || {};
+  return Object.keys(targets).filter(toStatus => !actor || targets[toStatus].actors.includes(actor));
+};
+
+const canTransition = (fromStatus, toStatus, actor) => {
+  return getAllowedTransitions(fromStatus, actor).includes(toStatus);
+};
+
+// Throws a 409 ErrorHandler when the transition is illegal for this actor or a guard fails
+const assertTransition = (order, toStatus, context = {}) => {
+  const fromStatus = order.status;
+  const rule = TRANSITIONS[fromStatus]?.[toStatus];
+
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new ErrorHandler(`Unknown order status: ${toStatus}`, 400);
+  }
+
+  if (!rule || !rule.actors.includes(context.actor)) {
+    const allowed = getAllowedTransitions(fromStatus, context.actor);
+    throw new ErrorHandler(
+      `Cannot change order status from ${fromStatus} to ${toStatus}. Allowed transitions: ${allowed.length ? allowed.join(', ') : 'none'}`,
+      409
+    );
+  }
+
+  for (const guardName of rule.guards || []) {
+    const failure = GUARDS[guardName](order, { ...context, fromStatus, toStatus });
+    if (failure) {
+      throw new ErrorHandler(failure, 409);
+    }
+  }
+
+  return rule;
+};
+
+// Validate, apply and record a status change on an order document
+const transitionOrder = (order, toStatus, context = {}) => {
+  const fromStatus = order.status;
+  const rule = assertTransition(order, toStatus, context);
+
+  order.status = toStatus;
+  order.timeline.push({
+    status: toStatus,
+    timestamp: new Date(),
+    note: context.note || `Status updated to ${toStatus}`,
+    updatedBy: context.updatedBy
+  });
+
+  for (const effectName of rule.effects || []) {
+    EFFECTS[effectName](order, { ...context, fromStatus, toStatus });
+  }
+
+  return { fromStatus, toStatus };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_ACTORS,
+  TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition,
+  transitionOrder
+};
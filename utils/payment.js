@@ -60,11 +60,17 @@ if (CASHFREE_CONFIG.appId && CASHFREE_CONFIG.secretKey) {
   console.warn('⚠️  Cashfree credentials not configured');
 }
 
-// Initialize Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+// Razorpay instance, created on first use so the server starts without Razorpay keys
+let razorpayInstance = null;
+const getRazorpay = () => {
+  if (!razorpayInstance) {
+    razorpayInstance = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET,
+    });
+  }
+  return razorpayInstance;
+};
 
 // ENHANCED Helper function for Cashfree API calls with detailed logging
 const makeCashfreeAPICall = async (endpoint, method = 'POST', data = null) => {
@@ -151,7 +157,7 @@ const createRazorpayOrder = async (orderId, amount, currency = 'INR') => {
       },
     };
 
-    const order = await razorpay.orders.create(options);
+    const order = await getRazorpay().orders.create(options);
     
     return {
       success: true,
@@ -195,11 +201,12 @@ const verifyRazorpaySignature = async (paymentDetails) => {
 
 const fetchRazorpayPayment = async (paymentId) => {
   try {
-    const payment = await razorpay.payments.fetch(paymentId);
+    const payment = await getRazorpay().payments.fetch(paymentId);
     return {
       success: true,
       payment: {
         id: payment.id,
+        orderId: payment.order_id,
         amount: payment.amount / 100,
         currency: payment.currency,
         status: payment.status,
@@ -440,6 +447,248 @@ const fetchCashfreePayment = async (orderId) => {
   }
 };
 
+const CASHFREE_REFUND_STATUS = {
+  SUCCESS: 'processed',
+  PENDING: 'pending',
+  ONHOLD: 'pending',
+  CANCELLED: 'failed'
+};
+
+// Refund part or all of a Cashfree order; refundId is our reference and must be unique
+const createCashfreeRefund = async ({ orderId, refundId, amount, note }) => {
+  const response = await makeCashfreeAPICall(`/orders/${orderId}/refunds`, 'POST', {
+    refund_id: refundId,
+    refund_amount: parseFloat(amount.toFixed(2)),
+    refund_note: (note || 'AggreKart refund').substring(0, 100)
+  });
+
+  if (!response.success) {
+    return {
+      success: false,
+      // Cashfree answered and refused (not a timeout or a 5xx)
+      rejected: response.status >= 400 && response.status < 500,
+      error: response.details?.message || response.error
+    };
+  }
+
+  return {
+    success: true,
+    refundId: response.data.refund_id,
+    gatewayRefundId: response.data.cf_refund_id,
+    amount: response.data.refund_amount,
+    status: CASHFREE_REFUND_STATUS[response.data.refund_status] || 'pending'
+  };
+};
+
+// Current state of a refund started with createCashfreeRefund
+const fetchCashfreeRefund = async ({ orderId, refundId }) => {
+  const response = await makeCashfreeAPICall(`/orders/${orderId}/refunds/${refundId}`, 'GET');
+
+  if (!response.success) {
+    return {
+      success: false,
+      notFound: response.status === 404,
+      error: response.details?.message || response.error
+    };
+  }
+
+  return {
+    success: true,
+    refundId: response.data.refund_id,
+    gatewayRefundId: response.data.cf_refund_id,
+    amount: response.data.refund_amount,
+    status: CASHFREE_REFUND_STATUS[response.data.refund_status] || 'pending',
+    message: response.data.status_description
+  };
+};
+
+// ===== PAYMENT LINKS (post-delivery balance collection) =====
+
+const RAZORPAY_LINK_STATUS = {
+  created: 'created',
+  partially_paid: 'created',
+  paid: 'paid',
+  expired: 'expired',
+  cancelled: 'cancelled'
+};
+
+const CASHFREE_LINK_STATUS = {
+  ACTIVE: 'created',
+  PARTIALLY_PAID: 'created',
+  PAID: 'paid',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+const formatLinkPhone = (phone) => {
+  const digits = (phone || '').toString().replace(/\D/g, '');
+  return digits.length === 12 && digits.startsWith('91') ? digits.substring(2) : digits;
+};
+
+const createRazorpayPaymentLink = async (linkDetails) => {
+  try {
+    const { referenceId, orderId, amount, description, customerName, customerEmail, customerPhone, expiresAt, returnPath } = linkDetails;
+    const paymentUrls = getPaymentUrls(orderId);
+
+    const link = await getRazorpay().paymentLink.create({
+      amount: Math.round(amount * 100), // Amount in paise
+      currency: 'INR',
+      accept_partial: false,
+      reference_id: referenceId,
+      description: description.substring(0, 2048),
+      customer: {
+        name: customerName,
+        email: customerEmail,
+        contact: formatLinkPhone(customerPhone)
+      },
+      // Reminders are sent by us, not by Razorpay
+      notify: { sms: false, email: false },
+      reminder_enable: false,
+      expire_by: Math.floor(new Date(expiresAt).getTime() / 1000),
+      callback_url: `${paymentUrls.frontend_url}${returnPath || `/orders/${orderId}/balance-payment`}`,
+      callback_method: 'get',
+      notes: { order_id: orderId }
+    });
+
+    return {
+      success: true,
+      linkId: link.id,
+      url: link.short_url,
+      status: RAZORPAY_LINK_STATUS[link.status] || 'created'
+    };
+  } catch (error) {
+    console.error('Razorpay payment link creation failed:', error);
+    return {
+      success: false,
+      error: error.error?.description || error.message
+    };
+  }
+};
+
+const fetchRazorpayPaymentLink = async (linkId) => {
+  try {
+    const link = await getRazorpay().paymentLink.fetch(linkId);
+    const payment = (link.payments || []).find(p => p.status === 'captured');
+
+    return {
+      success: true,
+      linkId: link.id,
+      status: RAZORPAY_LINK_STATUS[link.status] || 'created',
+      amountPaid: (link.amount_paid || 0) / 100,
+      transactionId: payment?.payment_id || null
+    };
+  } catch (error) {
+    console.error('Razorpay payment link fetch failed:', error);
+    return {
+      success: false,
+      error: error.error?.description || error.message
+    };
+  }
+};
+
+const cancelRazorpayPaymentLink = async (linkId) => {
+  try {
+    await getRazorpay().paymentLink.cancel(linkId);
+    return { success: true };
+  } catch (error) {
+    console.error('Razorpay payment link cancel failed:', error);
+    return {
+      success: false,
+      error: error.error?.description || error.message
+    };
+  }
+};
+
+// Callback query params are signed with link id, reference id, link status and payment id
+const verifyRazorpayPaymentLinkSignature = (callbackDetails) => {
+  try {
+    const { linkId, referenceId, status, paymentId, signature } = callbackDetails;
+
+    const expectedSignature = crypto
+      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+      .update(`${linkId}|${referenceId}|${status}|${paymentId}`)
+      .digest('hex');
+
+    return expectedSignature === signature;
+  } catch (error) {
+    console.error('Razorpay payment link verification error:', error);
+    return false;
+  }
+};
+
+const createCashfreePaymentLink = async (linkDetails) => {
+  try {
+    const { referenceId, orderId, amount, description, customerName, customerEmail, customerPhone, expiresAt, returnPath } = linkDetails;
+    const paymentUrls = getPaymentUrls(orderId);
+
+    const response = await makeCashfreeAPICall('/links', 'POST', {
+      link_id: referenceId,
+      link_amount: parseFloat(amount.toFixed(2)),
+      link_currency: 'INR',
+      link_purpose: description.substring(0, 500),
+      customer_details: {
+        customer_name: customerName.trim().substring(0, 50),
+        customer_email: customerEmail.toLowerCase().trim(),
+        customer_phone: formatLinkPhone(customerPhone)
+      },
+      link_partial_payments: false,
+      link_notify: { send_sms: false, send_email: false },
+      link_expiry_time: new Date(expiresAt).toISOString(),
+      link_meta: {
+        return_url: `${paymentUrls.frontend_url}${returnPath || `/orders/${orderId}/balance-payment`}`,
+        notify_url: `${paymentUrls.backend_url}/api/payments/cashfree/webhook`
+      },
+      link_notes: { order_id: orderId }
+    });
+
+    if (!response.success) {
+      return {
+        success: false,
+        error: response.details?.message || response.error
+      };
+    }
+
+    return {
+      success: true,
+      linkId: response.data.link_id,
+      url: response.data.link_url,
+      status: CASHFREE_LINK_STATUS[response.data.link_status] || 'created'
+    };
+  } catch (error) {
+    console.error('❌ Cashfree payment link creation error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
+const fetchCashfreePaymentLink = async (linkId) => {
+  const response = await makeCashfreeAPICall(`/links/${linkId}`, 'GET');
+
+  if (!response.success) {
+    return {
+      success: false,
+      error: response.details?.message || response.error
+    };
+  }
+
+  return {
+    success: true,
+    linkId: response.data.link_id,
+    status: CASHFREE_LINK_STATUS[response.data.link_status] || 'created',
+    amountPaid: response.data.link_amount_paid || 0,
+    transactionId: null
+  };
+};
+
+const cancelCashfreePaymentLink = async (linkId) => {
+  const response = await makeCashfreeAPICall(`/links/${linkId}/cancel`, 'POST');
+  return response.success
+    ? { success: true }
+    : { success: false, error: response.details?.message || response.error };
+};
+
 // ===== UTILITY FUNCTIONS =====
 
 const getPaymentMethods = () => {
@@ -461,7 +710,7 @@ const getPaymentMethods = () => {
 // Process refund (Razorpay)
 const processRefund = async (paymentId, amount, notes = {}) => {
   try {
-    const refund = await razorpay.payments.refund(paymentId, {
+    const refund = await getRazorpay().payments.refund(paymentId, {
       amount: Math.round(amount * 100), // Amount in paise
       notes: notes
     });
@@ -477,7 +726,56 @@ const processRefund = async (paymentId, amount, notes = {}) => {
     console.error('Refund processing error:', error);
     return {
       success: false,
-      error: error.message || 'Failed to process refund'
+      // Razorpay answered and refused (not a timeout or a 5xx)
+      rejected: error.statusCode >= 400 && error.statusCode < 500,
+      error: error.error?.description || error.message || 'Failed to process refund'
+    };
+  }
+};
+
+// Current state of a Razorpay refund
+const fetchRazorpayRefund = async (paymentId, refundId) => {
+  try {
+    const refund = await getRazorpay().payments.fetchRefund(paymentId, refundId);
+
+    return {
+      success: true,
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      status: refund.status
+    };
+
+  } catch (error) {
+    console.error('Refund fetch error:', error);
+    return {
+      success: false,
+      error: error.error?.description || error.message || 'Failed to fetch refund'
+    };
+  }
+};
+
+// Razorpay refund made with the given notes.reference (refunds have no id of ours)
+const findRazorpayRefund = async (paymentId, reference) => {
+  try {
+    const refunds = await getRazorpay().payments.fetchMultipleRefund(paymentId, { count: 100 });
+    const refund = refunds.items.find(item => item.notes?.reference === reference);
+
+    if (!refund) {
+      return { success: false, notFound: true, error: `No refund with reference ${reference}` };
+    }
+
+    return {
+      success: true,
+      refundId: refund.id,
+      amount: refund.amount / 100,
+      status: refund.status
+    };
+
+  } catch (error) {
+    console.error('Refund lookup error:', error);
+    return {
+      success: false,
+      error: error.error?.description || error.message || 'Failed to look up refund'
     };
   }
 };
@@ -493,10 +791,23 @@ module.exports = {
   createCashfreeOrder,
   verifyCashfreeSignature,
   fetchCashfreePayment,
+  createCashfreeRefund,
+  fetchCashfreeRefund,
+  
+  // Payment links
+  createRazorpayPaymentLink,
+  fetchRazorpayPaymentLink,
+  cancelRazorpayPaymentLink,
+  verifyRazorpayPaymentLinkSignature,
+  createCashfreePaymentLink,
+  fetchCashfreePaymentLink,
+  cancelCashfreePaymentLink,
   
   // Utilities
   getPaymentMethods,
   processRefund,
+  fetchRazorpayRefund,
+  findRazorpayRefund,
   
   // Legacy support (for backward compatibility)
   initiatePayment: createRazorpayOrder,
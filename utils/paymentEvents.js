@@ -0,0 +1,144 @@
+const Order = require('../models/Order');
+const CreditRepayment = require('../models/CreditRepayment');
+const PaymentEvent = require('../models/PaymentEvent');
+const { WEBHOOK_EVENTS } = require('./paymentProviders');
+const { markBalancePaid } = require('./balanceCollection');
+const { applyCreditRepayment } = require('./credit');
+const { applyRefundWebhook } = require('./refunds');
+const {
+  findPaymentTargetByGatewayOrder,
+  markPaymentTargetPaid,
+  markPaymentTargetFailed
+} = require('./orderGroups');
+
+/**
+ * PAYMENT EVENTS
+ * Verified webhook events from every gateway are logged once in PaymentEvent
+ * and applied here. Replays are acknowledged without touching any order, and
+ * each handler works from the order's current state, so an event arriving
+ * late or out of order never credits a payment twice.
+ */
+
+// Gateway order paid or failed (checkout payments)
+const applyOrderPayment = async (provider, event) => {
+  const target = await findPaymentTargetByGatewayOrder(provider.orderIdField, event.gatewayOrderId);
+  if (!target) {
+    return { status: 'ignored', note: `No order for ${provider.displayName} order ${event.gatewayOrderId}` };
+  }
+
+  const { order } = target;
+  const orders = target.orders.map(o => o._id);
+
+  if (['paid', 'partial'].includes(order.payment.status)) {
+    // A second capture against a paid order is money to hand back, not a payment
+    if (event.type === WEBHOOK_EVENTS.PAYMENT_PAID && event.transactionId &&
+      order.payment.transactionId && order.payment.transactionId !== event.transactionId) {
+      console.warn(`⚠️ Order ${order.orderId} already paid by ${order.payment.transactionId}; ${provider.displayName} payment ${event.transactionId} is a duplicate`);
+      return {
+        status: 'ignored',
+        note: `Order already paid by ${order.payment.transactionId}; payment ${event.transactionId} is a duplicate charge`,
+        orders
+      };
+    }
+    return { status: 'ignored', note: 'Order already paid', orders };
+  }
+
+  if (event.type === WEBHOOK_EVENTS.PAYMENT_PAID) {
+    await markPaymentTargetPaid(target, {
+      transactionId: event.transactionId,
+      gateway: provider.name,
+      note: `Payment completed via ${provider.displayName} webhook - Transaction ID: ${event.transactionId}`,
+      updatedBy: order.customer._id
+    });
+    console.log(`✅ Order ${order.orderId} marked as paid via ${provider.displayName} webhook`);
+    return { status: 'processed', orders };
+  }
+
+  if (order.payment.status === 'failed') {
+    return { status: 'ignored', note: 'Payment already marked failed', orders };
+  }
+
+  await markPaymentTargetFailed(target, event.message || 'Payment failed');
+  console.log(`❌ Order ${order.orderId} payment failed via ${provider.displayName} webhook`);
+  return { status: 'processed', orders };
+};
+
+// Payment link paid: an order's post-delivery balance or a credit line repayment
+const applyLinkPayment = async (provider, event) => {
+  const order = await Order.findOne({
+    'payment.balanceCollection.gateway': provider.name,
+    'payment.balanceCollection.linkId': event.linkId
+  });
+
+  if (order) {
+    if (!markBalancePaid(order, { amount: event.amount, transactionId: event.transactionId })) {
+      return { status: 'ignored', note: 'Balance already paid', orders: [order._id] };
+    }
+    await order.save();
+    console.log(`✅ Balance for order ${order.orderId} paid via ${provider.displayName} link ${event.linkId}`);
+    return { status: 'processed', orders: [order._id] };
+  }
+
+  const repayment = await CreditRepayment.findOne({ gateway: provider.name, 'link.linkId': event.linkId });
+  if (!repayment) {
+    return { status: 'ignored', note: `No balance or credit repayment for link ${event.linkId}` };
+  }
+
+  if (!await applyCreditRepayment(repayment, { amount: event.amount, transactionId: event.transactionId })) {
+    return { status: 'ignored', note: `Credit repayment ${repayment.repaymentId} already paid` };
+  }
+
+  console.log(`✅ Credit repayment ${repayment.repaymentId} paid via ${provider.displayName} link ${event.linkId}`);
+  return { status: 'processed', orders: repayment.allocations.map(allocation => allocation.order) };
+};
+
+const EVENT_HANDLERS = {
+  [WEBHOOK_EVENTS.PAYMENT_PAID]: applyOrderPayment,
+  [WEBHOOK_EVENTS.PAYMENT_FAILED]: applyOrderPayment,
+  [WEBHOOK_EVENTS.LINK_PAID]: applyLinkPayment,
+  [WEBHOOK_EVENTS.REFUND_PROCESSED]: applyRefundWebhook,
+  [WEBHOOK_EVENTS.REFUND_FAILED]: applyRefundWebhook
+};
+
+/**
+ * Log and apply a verified webhook event
+ * @param {Object} provider - payment provider the event came from
+ * @param {Object} event - normalized event from provider.parseWebhook
+ * @returns {Object} { duplicate, paymentEvent }
+ * A handler error marks the event failed and is rethrown, so the webhook
+ * answers 500 and the gateway's retry gets to process it again.
+ */
+const handlePaymentEvent = async (provider, event) => {
+  const { paymentEvent, claimed } = await PaymentEvent.claim(provider.name, event);
+
+  if (!claimed) {
+    console.log(`🔁 ${provider.displayName} webhook ${event.id} already ${paymentEvent.status}, skipping`);
+    return { duplicate: true, paymentEvent };
+  }
+
+  try {
+    const handler = EVENT_HANDLERS[event.type];
+    const result = handler
+      ? await handler(provider, event)
+      : { status: 'ignored', note: `No action for ${event.gatewayEvent}` };
+
+    paymentEvent.status = result.status;
+    paymentEvent.note = result.note;
+    paymentEvent.orders = result.orders || [];
+    paymentEvent.processedAt = new Date();
+    await paymentEvent.save();
+
+    return { duplicate: false, paymentEvent };
+  } catch (error) {
+    paymentEvent.status = 'failed';
+    paymentEvent.note = error.message;
+    await paymentEvent.save().catch(saveError => {
+      console.error(`❌ Failed to record failure of webhook ${event.id}:`, saveError.message);
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  handlePaymentEvent
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const PaymentGateway = require('../payment');
+const { PAYMENT_STATUS, REFUND_STATUS, WEBHOOK_EVENTS } = require('./index');
+
+/**
+ * CASHFREE PROVIDER
+ * PG orders, payment verification, refunds and webhooks (signed with the
+ * secret key over timestamp + raw request body)
+ */
+
+const ORDER_STATUSES = {
+  PAID: PAYMENT_STATUS.PAID,
+  ACTIVE: PAYMENT_STATUS.PENDING,
+  EXPIRED: PAYMENT_STATUS.FAILED,
+  TERMINATED: PAYMENT_STATUS.FAILED
+};
+
+const REFUND_STATUSES = {
+  SUCCESS: REFUND_STATUS.PROCESSED,
+  PENDING: REFUND_STATUS.PENDING,
+  ONHOLD: REFUND_STATUS.PENDING,
+  CANCELLED: REFUND_STATUS.FAILED
+};
+
+const name = 'cashfree';
+
+const isConfigured = () => !!(process.env.CASHFREE_APP_ID && process.env.CASHFREE_SECRET_KEY);
+
+const getInfo = () => PaymentGateway.getPaymentMethods().cashfree;
+
+const createOrder = async ({ reference, amount, currency = 'INR', customer = {} }) => {
+  const result = await PaymentGateway.createCashfreeOrder({
+    orderId: reference,
+    amount: parseFloat(amount.toFixed(2)),
+    currency,
+    customerEmail: customer.email,
+    customerPhone: customer.phone,
+    customerName: customer.name
+  });
+
+  if (!result.success) {
+    return { success: false, error: result.error, details: result.details };
+  }
+
+  return {
+    success: true,
+    gatewayOrderId: result.data.id,
+    amount: result.data.amount,
+    currency: result.data.currency,
+    // What the Cashfree JS SDK is opened with
+    checkout: {
+      payment_session_id: result.data.payment_session_id,
+      order_token: result.data.order_token,
+      payment_link: result.data.payment_link,
+      appId: result.data.appId,
+      environment: result.data.environment
+    }
+  };
+};
+
+const verifyPayment = async ({ gatewayOrderId, paymentId }) => {
+  const result = await PaymentGateway.verifyCashfreeSignature({ orderId: gatewayOrderId, paymentId });
+  const isValid = !!(result.success && result.isValid);
+
+  return {
+    success: result.success,
+    isValid,
+    transactionId: paymentId,
+    status: isValid ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.FAILED,
+    paymentDetails: result.paymentDetails,
+    error: result.error
+  };
+};
+
+const fetchPayment = async ({ gatewayOrderId }) => {
+  const result = await PaymentGateway.fetchCashfreePayment(gatewayOrderId);
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  return {
+    success: true,
+    status: ORDER_STATUSES[result.order.order_status] || PAYMENT_STATUS.PENDING,
+    gatewayOrderId: result.order.order_id,
+    amount: result.order.order_amount,
+    raw: result.order
+  };
+};
+
+const refund = async ({ gatewayOrderId, amount, refundReference, reason }) => {
+  const result = await PaymentGateway.createCashfreeRefund({
+    orderId: gatewayOrderId,
+    refundId: refundReference,
+    amount,
+    note: reason
+  });
+
+  if (!result.success) {
+    return { success: false, rejected: result.rejected, error: result.error };
+  }
+
+  return {
+    success: true,
+    refundId: result.refundId,
+    amount: result.amount,
+    status: result.status
+  };
+};
+
+// Cashfree refunds are looked up by our own reference
+const fetchRefund = async ({ gatewayOrderId, refundReference }) => {
+  const result = await PaymentGateway.fetchCashfreeRefund({ orderId: gatewayOrderId, refundId: refundReference });
+
+  if (!result.success) {
+    return { success: false, notFound: result.notFound, error: result.error };
+  }
+
+  return {
+    success: true,
+    refundId: result.refundId,
+    amount: result.amount,
+    status: result.status,
+    message: result.message
+  };
+};
+
+const verifyWebhookSignature = (rawBody, timestamp, signature) => {
+  const secret = process.env.CASHFREE_SECRET_KEY;
+  if (!secret || !rawBody || !timestamp || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret)
+    .update(timestamp + rawBody.toString())
+    .digest('base64');
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+const toEvent = (type, data = {}) => {
+  const { order, payment, refund: refundData } = data;
+
+  switch (type) {
+    case 'PAYMENT_SUCCESS_WEBHOOK':
+      return {
+        type: WEBHOOK_EVENTS.PAYMENT_PAID,
+        gatewayOrderId: order?.order_id,
+        transactionId: payment?.cf_payment_id?.toString(),
+        amount: payment?.payment_amount
+      };
+    case 'PAYMENT_FAILED_WEBHOOK':
+    case 'PAYMENT_USER_DROPPED_WEBHOOK':
+      return {
+        type: WEBHOOK_EVENTS.PAYMENT_FAILED,
+        gatewayOrderId: order?.order_id,
+        transactionId: payment?.cf_payment_id?.toString(),
+        amount: payment?.payment_amount,
+        message: payment?.payment_message
+      };
+    case 'PAYMENT_LINK_EVENT':
+      return {
+        type: data.link_status === 'PAID' ? WEBHOOK_EVENTS.LINK_PAID : WEBHOOK_EVENTS.UNKNOWN,
+        linkId: data.link_id,
+        amount: data.link_amount_paid
+      };
+    case 'REFUND_STATUS_WEBHOOK': {
+      const status = REFUND_STATUSES[refundData?.refund_status];
+      return {
+        type: status === REFUND_STATUS.PROCESSED
+          ? WEBHOOK_EVENTS.REFUND_PROCESSED
+          : status === REFUND_STATUS.FAILED ? WEBHOOK_EVENTS.REFUND_FAILED : WEBHOOK_EVENTS.UNKNOWN,
+        gatewayOrderId: refundData?.order_id,
+        refundId: refundData?.refund_id,
+        amount: refundData?.refund_amount,
+        message: refundData?.status_description
+      };
+    }
+    default:
+      return { type: WEBHOOK_EVENTS.UNKNOWN };
+  }
+};
+
+const parseWebhook = (req) => {
+  const timestamp = req.headers['x-webhook-timestamp'];
+  if (!verifyWebhookSignature(req.rawBody, timestamp, req.headers['x-webhook-signature'])) {
+    return { valid: false, error: 'Invalid webhook signature' };
+  }
+
+  const { type, data } = req.body || {};
+  const event = toEvent(type, data);
+
+  return {
+    valid: true,
+    event: {
+      // Cashfree sends no event id; retries repeat the same reference and status
+      id: [
+        type,
+        event.transactionId || event.refundId || event.linkId || event.gatewayOrderId,
+        data?.payment?.payment_status || data?.link_status || data?.refund?.refund_status
+      ].join(':'),
+      gatewayEvent: type,
+      ...event,
+      raw: req.body
+    }
+  };
+};
+
+module.exports = {
+  name,
+  displayName: 'Cashfree',
+  orderIdField: 'cashfreeOrderId',
+  isConfigured,
+  getInfo,
+  createOrder,
+  verifyPayment,
+  fetchPayment,
+  refund,
+  fetchRefund,
+  parseWebhook
+};
@@ -0,0 +1,94 @@
+/**
+ * PAYMENT PROVIDERS
+ * Every gateway implements the same interface so routes and jobs don't branch
+ * on the gateway name:
+ *
+ *   name, displayName, orderIdField ('razorpayOrderId', ... on order.payment)
+ *   isConfigured()                 -> Boolean
+ *   getInfo()                      -> { name, enabled, supports, ... } for GET /api/payments/methods
+ *   createOrder({ reference, amount, currency, customer: { name, email, phone } })
+ *     -> { success, gatewayOrderId, amount, currency, checkout, error }
+ *   verifyPayment({ gatewayOrderId, paymentId, signature, params })
+ *     -> { success, isValid, transactionId, status, paymentDetails, error }
+ *   fetchPayment({ gatewayOrderId, transactionId })
+ *     -> { success, status, transactionId, amount, method, raw, error }
+ *   refund({ gatewayOrderId, transactionId, amount, refundReference, reason })
+ *     -> { success, refundId, amount, status, rejected, error }
+ *        rejected: the gateway answered and turned the refund down; a failure
+ *        without it (timeout, network error) may still have reached the gateway
+ *   fetchRefund({ gatewayOrderId, transactionId, refundId, refundReference })
+ *     -> { success, refundId, amount, status, message, notFound, error }
+ *        looked up by refundReference when refundId is not known; notFound:
+ *        the gateway has no refund under that reference
+ *   parseWebhook(req)
+ *     -> { valid, error, event: { id, type, gatewayEvent, gatewayOrderId, transactionId, linkId, refundId, amount, message, raw } }
+ *
+ * Amounts are in rupees. Payment statuses are PAYMENT_STATUS values, refund
+ * statuses REFUND_STATUS values and webhook event types WEBHOOK_EVENTS values.
+ */
+
+const PAYMENT_STATUS = {
+  PAID: 'paid',
+  PENDING: 'pending',
+  FAILED: 'failed',
+  REFUNDED: 'refunded'
+};
+
+const REFUND_STATUS = {
+  PENDING: 'pending',
+  PROCESSED: 'processed',
+  FAILED: 'failed'
+};
+
+const WEBHOOK_EVENTS = {
+  PAYMENT_PAID: 'payment.paid',
+  PAYMENT_FAILED: 'payment.failed',
+  PAYMENT_PENDING: 'payment.pending',
+  LINK_PAID: 'link.paid',
+  REFUND_PROCESSED: 'refund.processed',
+  REFUND_FAILED: 'refund.failed',
+  UNKNOWN: 'unknown'
+};
+
+// Adapters are loaded on first use so an unused gateway's SDK is never initialised
+const PROVIDER_MODULES = {
+  razorpay: './razorpay',
+  cashfree: './cashfree',
+  paytm: './paytm',
+  mock: './mock'
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_MODULES);
+
+const isProviderName = (name) => PROVIDER_NAMES.includes(name);
+
+const getProvider = (name) => {
+  if (!isProviderName(name)) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return require(PROVIDER_MODULES[name]);
+};
+
+// Providers that can take payments right now, e.g. for GET /api/payments/methods
+const getPaymentMethods = () => {
+  const methods = {};
+
+  PROVIDER_NAMES.forEach(name => {
+    const provider = getProvider(name);
+    // The mock gateway is only listed where it is switched on
+    if (name === 'mock' && !provider.isConfigured()) return;
+    methods[name] = provider.getInfo();
+  });
+
+  return methods;
+};
+
+module.exports = {
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  WEBHOOK_EVENTS,
+  PROVIDER_NAMES,
+  isProviderName,
+  getProvider,
+  getPaymentMethods
+};
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { PAYMENT_STATUS, REFUND_STATUS, WEBHOOK_EVENTS } = require('./index');
+
+/**
+ * MOCK PROVIDER
+ * Local stand-in for a gateway so checkout-to-paid runs without credentials.
+ * Orders live in memory; POST /api/payments/mock/simulate/:mockOrderId picks
+ * the outcome (success, failure or pending) and when the webhook arrives.
+ * Webhooks are posted back to /api/payments/mock/webhook, signed like a real
+ * gateway's. Only available outside production with PAYMENT_MOCK_ENABLED=true.
+ */
+
+const MOCK_OUTCOMES = ['success', 'failure', 'pending'];
+const MOCK_MAX_WEBHOOK_DELAY_MS = 5 * 60 * 1000;
+const MOCK_REFUND_SETTLE_MS = 2000;
+
+const mockOrders = new Map();
+
+const name = 'mock';
+
+const isConfigured = () => process.env.PAYMENT_MOCK_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+const getInfo = () => ({
+  name: 'Mock gateway (local testing)',
+  enabled: isConfigured(),
+  supports: ['simulated'],
+  outcomes: MOCK_OUTCOMES
+});
+
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET || 'mock_payment_secret';
+
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+
+const safeEqual = (a, b) => !!a && !!b && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const getWebhookUrl = () => {
+  return process.env.MOCK_WEBHOOK_URL || `http://localhost:${process.env.PORT || 5000}/api/payments/mock/webhook`;
+};
+
+// Post a signed event to our own webhook endpoint, like a gateway would
+const deliverWebhook = async (type, data) => {
+  const payload = JSON.stringify({ id: randomId('evt'), type, data, createdAt: new Date().toISOString() });
+
+  try {
+    await axios.post(getWebhookUrl(), payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'x-mock-signature': sign(payload)
+      },
+      timeout: 10000
+    });
+    console.log(`🧪 Mock webhook ${type} delivered for ${data.gatewayOrderId || data.refundId}`);
+  } catch (error) {
+    console.error(`❌ Mock webhook ${type} delivery failed:`, error.message);
+  }
+};
+
+const ensureEnabled = () => {
+  if (!isConfigured()) {
+    throw new Error('Mock payment gateway is disabled');
+  }
+};
+
+const createOrder = async ({ reference, amount, currency = 'INR' }) => {
+  try {
+    ensureEnabled();
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+
+  const mockOrder = {
+    id: randomId('mock_order'),
+    reference,
+    amount: parseFloat(amount.toFixed(2)),
+    currency,
+    status: PAYMENT_STATUS.PENDING,
+    paymentId: null,
+    refunds: [],
+    createdAt: new Date()
+  };
+  mockOrders.set(mockOrder.id, mockOrder);
+
+  return {
+    success: true,
+    gatewayOrderId: mockOrder.id,
+    amount: mockOrder.amount,
+    currency,
+    checkout: {
+      mockOrderId: mockOrder.id,
+      simulateUrl: `/api/payments/mock/simulate/${mockOrder.id}`,
+      outcomes: MOCK_OUTCOMES
+    }
+  };
+};
+
+/**
+ * Play out a payment on a mock order (mock only, not part of the interface)
+ * @param {String} gatewayOrderId
+ * @param {Object} options - { outcome, webhookDelayMs, settleAs }: a pending
+ *   payment settles as settleAs ('success' or 'failure') when its webhook fires
+ * @returns {Object} { success, paymentId, signature, status, webhookAt, error }
+ */
+const simulatePayment = (gatewayOrderId, { outcome = 'success', webhookDelayMs = 0, settleAs = null } = {}) => {
+  ensureEnabled();
+
+  const mockOrder = mockOrders.get(gatewayOrderId);
+  if (!mockOrder) {
+    return { success: false, error: 'Mock order not found' };
+  }
+  if (mockOrder.status === PAYMENT_STATUS.PAID) {
+    return { success: false, error: 'Mock order is already paid' };
+  }
+
+  const delay = Math.min(Math.max(0, webhookDelayMs), MOCK_MAX_WEBHOOK_DELAY_MS);
+  const paymentId = randomId('mock_pay');
+  mockOrder.paymentId = paymentId;
+
+  const finalOutcome = outcome === 'pending' ? settleAs : outcome;
+  const finalStatus = finalOutcome === 'success'
+    ? PAYMENT_STATUS.PAID
+    : finalOutcome === 'failure' ? PAYMENT_STATUS.FAILED : PAYMENT_STATUS.PENDING;
+
+  // A pending payment only resolves when its webhook is sent
+  mockOrder.status = outcome === 'pending' ? PAYMENT_STATUS.PENDING : finalStatus;
+
+  const webhookType = {
+    [PAYMENT_STATUS.PAID]: WEBHOOK_EVENTS.PAYMENT_PAID,
+    [PAYMENT_STATUS.FAILED]: WEBHOOK_EVENTS.PAYMENT_FAILED,
+    [PAYMENT_STATUS.PENDING]: WEBHOOK_EVENTS.PAYMENT_PENDING
+  }[finalStatus];
+
+  const timer = setTimeout(() => {
+    mockOrder.status = finalStatus;
+    deliverWebhook(webhookType, {
+      gatewayOrderId,
+      transactionId: paymentId,
+      amount: mockOrder.amount,
+      message: finalStatus === PAYMENT_STATUS.FAILED ? 'Simulated payment failure' : undefined
+    });
+  }, delay);
+  timer.unref();
+
+  return {
+    success: true,
+    paymentId,
+    // Same shape as a Razorpay checkout response, for POST /api/payments/mock/verify
+    signature: mockOrder.status === PAYMENT_STATUS.PAID ? sign(`${gatewayOrderId}|${paymentId}`) : null,
+    status: mockOrder.status,
+    webhookAt: new Date(Date.now() + delay)
+  };
+};
+
+const verifyPayment = async ({ gatewayOrderId, paymentId, signature }) => {
+  const isSigned = safeEqual(sign(`${gatewayOrderId}|${paymentId}`), signature);
+  const mockOrder = mockOrders.get(gatewayOrderId);
+  // Orders are lost on restart; a valid signature is enough then
+  const isValid = isSigned && (!mockOrder || mockOrder.status === PAYMENT_STATUS.PAID);
+
+  return {
+    success: true,
+    isValid,
+    transactionId: paymentId,
+    status: isValid ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.FAILED,
+    error: isValid ? undefined : 'Invalid mock payment signature'
+  };
+};
+
+const fetchPayment = async ({ gatewayOrderId }) => {
+  const mockOrder = mockOrders.get(gatewayOrderId);
+  if (!mockOrder) {
+    return { success: false, error: 'Mock order not found' };
+  }
+
+  const refunded = mockOrder.refunds
+    .filter(refund => refund.status === REFUND_STATUS.PROCESSED)
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  return {
+    success: true,
+    status: refunded >= mockOrder.amount ? PAYMENT_STATUS.REFUNDED : mockOrder.status,
+    gatewayOrderId: mockOrder.id,
+    transactionId: mockOrder.paymentId,
+    amount: mockOrder.amount,
+    method: 'mock',
+    raw: mockOrder
+  };
+};
+
+// Refunds start pending and settle by webhook shortly after, like a real gateway
+const refund = async ({ gatewayOrderId, transactionId, amount, refundReference }) => {
+  const mockOrder = mockOrders.get(gatewayOrderId) ||
+    [...mockOrders.values()].find(order => order.paymentId === transactionId);
+
+  if (!isConfigured()) {
+    return { success: false, rejected: true, error: 'Mock payment gateway is disabled' };
+  }
+  if (!mockOrder || mockOrder.status !== PAYMENT_STATUS.PAID) {
+    return { success: false, rejected: true, error: 'No paid mock payment to refund' };
+  }
+
+  const mockRefund = {
+    id: randomId('mock_rfnd'),
+    reference: refundReference,
+    amount: parseFloat(amount.toFixed(2)),
+    status: REFUND_STATUS.PENDING
+  };
+  mockOrder.refunds.push(mockRefund);
+
+  const timer = setTimeout(() => {
+    mockRefund.status = REFUND_STATUS.PROCESSED;
+    deliverWebhook(WEBHOOK_EVENTS.REFUND_PROCESSED, {
+      gatewayOrderId: mockOrder.id,
+      transactionId: mockOrder.paymentId,
+      refundId: mockRefund.id,
+      amount: mockRefund.amount
+    });
+  }, MOCK_REFUND_SETTLE_MS);
+  timer.unref();
+
+  return {
+    success: true,
+    refundId: mockRefund.id,
+    amount: mockRefund.amount,
+    status: mockRefund.status
+  };
+};
+
+const fetchRefund = async ({ refundId, refundReference }) => {
+  const mockRefund = [...mockOrders.values()]
+    .flatMap(order => order.refunds)
+    .find(candidate => refundId ? candidate.id === refundId : candidate.reference === refundReference);
+
+  if (!mockRefund) {
+    return { success: false, notFound: true, error: 'Mock refund not found' };
+  }
+
+  return {
+    success: true,
+    refundId: mockRefund.id,
+    amount: mockRefund.amount,
+    status: mockRefund.status
+  };
+};
+
+const parseWebhook = (req) => {
+  if (!safeEqual(req.rawBody ? sign(req.rawBody) : null, req.headers['x-mock-signature'])) {
+    return { valid: false, error: 'Invalid webhook signature' };
+  }
+
+  const { id, type, data = {} } = req.body || {};
+
+  return {
+    valid: true,
+    event: {
+      id,
+      gatewayEvent: type,
+      type: Object.values(WEBHOOK_EVENTS).includes(type) ? type : WEBHOOK_EVENTS.UNKNOWN,
+      gatewayOrderId: data.gatewayOrderId,
+      transactionId: data.transactionId,
+      refundId: data.refundId,
+      amount: data.amount,
+      message: data.message,
+      raw: req.body
+    }
+  };
+};
+
+module.exports = {
+  name,
+  displayName: 'Mock gateway',
+  orderIdField: 'mockOrderId',
+  MOCK_OUTCOMES,
+  isConfigured,
+  getInfo,
+  createOrder,
+  verifyPayment,
+  fetchPayment,
+  refund,
+  fetchRefund,
+  parseWebhook,
+  simulatePayment
+};
@@ -0,0 +1,291 @@
+const axios = require('axios');
+const PaytmChecksum = require('paytmchecksum');
+const { PAYMENT_STATUS, REFUND_STATUS, WEBHOOK_EVENTS } = require('./index');
+
+/**
+ * PAYTM PROVIDER
+ * Initiate Transaction (JS Checkout), transaction status, refunds and the
+ * payment callback/webhook (payment and refund notifications), all signed
+ * with the merchant key via PaytmChecksum
+ */
+
+const PAYTM_CONFIG = {
+  baseURL: process.env.PAYTM_ENVIRONMENT === 'PROD'
+    ? 'https://securegw.paytm.in'
+    : 'https://securegw-stage.paytm.in',
+  mid: process.env.PAYTM_MID,
+  merchantKey: process.env.PAYTM_MERCHANT_KEY,
+  website: process.env.PAYTM_WEBSITE || 'WEBSTAGING',
+  environment: process.env.PAYTM_ENVIRONMENT || 'STAGE'
+};
+
+const PAYTM_TIMEOUT_MS = 15000;
+
+const TXN_STATUSES = {
+  TXN_SUCCESS: PAYMENT_STATUS.PAID,
+  PENDING: PAYMENT_STATUS.PENDING,
+  TXN_FAILURE: PAYMENT_STATUS.FAILED
+};
+
+const REFUND_STATUSES = {
+  TXN_SUCCESS: REFUND_STATUS.PROCESSED,
+  PENDING: REFUND_STATUS.PENDING,
+  TXN_FAILURE: REFUND_STATUS.FAILED
+};
+
+const name = 'paytm';
+
+const isConfigured = () => !!(PAYTM_CONFIG.mid && PAYTM_CONFIG.merchantKey);
+
+const getInfo = () => ({
+  name: 'Paytm',
+  enabled: isConfigured(),
+  supports: ['upi', 'cards', 'netbanking', 'wallets'],
+  environment: PAYTM_CONFIG.environment
+});
+
+const getBackendUrl = () => process.env.BACKEND_URL || 'https://aggrekart-com-backend.onrender.com';
+
+// Signed { head, body } request to a Paytm API
+const callPaytmAPI = async (endpoint, body) => {
+  if (!isConfigured()) {
+    throw new Error('Paytm credentials not configured');
+  }
+
+  const signature = await PaytmChecksum.generateSignature(JSON.stringify(body), PAYTM_CONFIG.merchantKey);
+  const response = await axios.post(`${PAYTM_CONFIG.baseURL}${endpoint}`, {
+    body,
+    head: { signature }
+  }, {
+    headers: { 'Content-Type': 'application/json' },
+    timeout: PAYTM_TIMEOUT_MS
+  });
+
+  return response.data.body;
+};
+
+const createOrder = async ({ reference, amount, currency = 'INR', customer = {} }) => {
+  try {
+    // Paytm order ids must be unique per attempt
+    const paytmOrderId = `AGK_${reference}_${Date.now()}`;
+
+    const body = await callPaytmAPI(
+      `/theia/api/v1/initiateTransaction?mid=${PAYTM_CONFIG.mid}&orderId=${paytmOrderId}`,
+      {
+        requestType: 'Payment',
+        mid: PAYTM_CONFIG.mid,
+        websiteName: PAYTM_CONFIG.website,
+        orderId: paytmOrderId,
+        callbackUrl: `${getBackendUrl()}/api/payments/paytm/callback`,
+        txnAmount: { value: amount.toFixed(2), currency },
+        userInfo: {
+          custId: customer.id || `cust_${reference}`,
+          mobile: customer.phone,
+          email: customer.email,
+          firstName: customer.name
+        }
+      }
+    );
+
+    if (body.resultInfo?.resultStatus !== 'S' || !body.txnToken) {
+      return { success: false, error: body.resultInfo?.resultMsg || 'Failed to initiate Paytm transaction' };
+    }
+
+    return {
+      success: true,
+      gatewayOrderId: paytmOrderId,
+      amount: parseFloat(amount.toFixed(2)),
+      currency,
+      // What the Paytm JS Checkout is opened with
+      checkout: {
+        mid: PAYTM_CONFIG.mid,
+        orderId: paytmOrderId,
+        txnToken: body.txnToken,
+        amount: amount.toFixed(2),
+        host: PAYTM_CONFIG.baseURL,
+        environment: PAYTM_CONFIG.environment
+      }
+    };
+  } catch (error) {
+    console.error('❌ Paytm initiate transaction error:', error.response?.data || error.message);
+    return { success: false, error: error.message || 'Failed to initiate Paytm transaction' };
+  }
+};
+
+const fetchPayment = async ({ gatewayOrderId }) => {
+  try {
+    const body = await callPaytmAPI('/v3/order/status', {
+      mid: PAYTM_CONFIG.mid,
+      orderId: gatewayOrderId
+    });
+
+    return {
+      success: true,
+      status: TXN_STATUSES[body.resultInfo?.resultStatus] || PAYMENT_STATUS.PENDING,
+      gatewayOrderId: body.orderId,
+      transactionId: body.txnId,
+      amount: body.txnAmount ? parseFloat(body.txnAmount) : undefined,
+      method: body.paymentMode,
+      message: body.resultInfo?.resultMsg,
+      raw: body
+    };
+  } catch (error) {
+    console.error('❌ Paytm transaction status error:', error.response?.data || error.message);
+    return { success: false, error: error.message || 'Failed to fetch Paytm transaction status' };
+  }
+};
+
+// Callback and webhook posts carry every field plus CHECKSUMHASH over the rest
+const verifyChecksum = (params = {}) => {
+  const { CHECKSUMHASH, ...fields } = params;
+  if (!CHECKSUMHASH || !PAYTM_CONFIG.merchantKey) return false;
+
+  try {
+    return PaytmChecksum.verifySignature(fields, PAYTM_CONFIG.merchantKey, CHECKSUMHASH);
+  } catch (error) {
+    console.error('❌ Paytm checksum verification error:', error.message);
+    return false;
+  }
+};
+
+// The callback checksum proves where it came from; the status API confirms the outcome
+const verifyPayment = async ({ gatewayOrderId, params }) => {
+  if (params && !verifyChecksum(params)) {
+    return { success: true, isValid: false, status: PAYMENT_STATUS.FAILED, error: 'Invalid checksum' };
+  }
+
+  const result = await fetchPayment({ gatewayOrderId: gatewayOrderId || params?.ORDERID });
+  if (!result.success) {
+    return { success: false, isValid: false, error: result.error };
+  }
+
+  return {
+    success: true,
+    isValid: result.status === PAYMENT_STATUS.PAID,
+    transactionId: result.transactionId,
+    status: result.status,
+    paymentDetails: {
+      payment_method: result.method,
+      bank_reference: result.raw.bankTxnId,
+      message: result.message
+    },
+    error: result.status === PAYMENT_STATUS.PAID ? undefined : result.message
+  };
+};
+
+const refund = async ({ gatewayOrderId, transactionId, amount, refundReference }) => {
+  try {
+    const body = await callPaytmAPI('/refund/apply', {
+      mid: PAYTM_CONFIG.mid,
+      txnType: 'REFUND',
+      orderId: gatewayOrderId,
+      txnId: transactionId,
+      refId: refundReference,
+      refundAmount: amount.toFixed(2)
+    });
+
+    const status = REFUND_STATUSES[body.resultInfo?.resultStatus];
+    if (!status || status === REFUND_STATUS.FAILED) {
+      return { success: false, rejected: true, error: body.resultInfo?.resultMsg || 'Paytm refund failed' };
+    }
+
+    return {
+      success: true,
+      refundId: body.refundId || refundReference,
+      amount: parseFloat(body.refundAmount || amount),
+      status
+    };
+  } catch (error) {
+    console.error('❌ Paytm refund error:', error.response?.data || error.message);
+    return {
+      success: false,
+      rejected: error.response?.status >= 400 && error.response?.status < 500,
+      error: error.message || 'Paytm refund failed'
+    };
+  }
+};
+
+const fetchRefund = async ({ gatewayOrderId, refundReference }) => {
+  try {
+    const body = await callPaytmAPI('/v2/refund/status', {
+      mid: PAYTM_CONFIG.mid,
+      orderId: gatewayOrderId,
+      refId: refundReference
+    });
+
+    return {
+      success: true,
+      refundId: body.refundId || refundReference,
+      amount: body.refundAmount ? parseFloat(body.refundAmount) : undefined,
+      status: REFUND_STATUSES[body.resultInfo?.resultStatus] || REFUND_STATUS.PENDING,
+      message: body.resultInfo?.resultMsg
+    };
+  } catch (error) {
+    console.error('❌ Paytm refund status error:', error.response?.data || error.message);
+    return { success: false, error: error.message || 'Failed to fetch Paytm refund status' };
+  }
+};
+
+// Refund notifications carry the refund ids and the refund's status
+const toRefundEvent = (params) => {
+  const status = REFUND_STATUSES[params.STATUS];
+  const refundId = params.REFID || params.REFUNDID;
+
+  return {
+    id: `${params.ORDERID}:${refundId}:${params.STATUS}`,
+    gatewayEvent: `REFUND_${params.STATUS}`,
+    type: status === REFUND_STATUS.PROCESSED
+      ? WEBHOOK_EVENTS.REFUND_PROCESSED
+      : status === REFUND_STATUS.FAILED ? WEBHOOK_EVENTS.REFUND_FAILED : WEBHOOK_EVENTS.UNKNOWN,
+    gatewayOrderId: params.ORDERID,
+    transactionId: params.TXNID,
+    refundId,
+    amount: params.REFUNDAMOUNT ? parseFloat(params.REFUNDAMOUNT) : undefined,
+    message: params.RESPMSG,
+    raw: params
+  };
+};
+
+const parseWebhook = (req) => {
+  const params = req.body || {};
+  if (!verifyChecksum(params)) {
+    return { valid: false, error: 'Invalid checksum' };
+  }
+
+  if (params.REFID || params.REFUNDID) {
+    return { valid: true, event: toRefundEvent(params) };
+  }
+
+  const status = TXN_STATUSES[params.STATUS];
+  const type = status === PAYMENT_STATUS.PAID
+    ? WEBHOOK_EVENTS.PAYMENT_PAID
+    : status === PAYMENT_STATUS.FAILED ? WEBHOOK_EVENTS.PAYMENT_FAILED : WEBHOOK_EVENTS.PAYMENT_PENDING;
+
+  return {
+    valid: true,
+    event: {
+      id: `${params.ORDERID}:${params.TXNID || ''}:${params.STATUS}`,
+      gatewayEvent: params.STATUS,
+      type,
+      gatewayOrderId: params.ORDERID,
+      transactionId: params.TXNID,
+      amount: params.TXNAMOUNT ? parseFloat(params.TXNAMOUNT) : undefined,
+      message: params.RESPMSG,
+      raw: params
+    }
+  };
+};
+
+module.exports = {
+  name,
+  displayName: 'Paytm',
+  orderIdField: 'paytmOrderId',
+  isConfigured,
+  getInfo,
+  createOrder,
+  verifyPayment,
+  fetchPayment,
+  refund,
+  fetchRefund,
+  parseWebhook
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const PaymentGateway = require('../payment');
+const { PAYMENT_STATUS, REFUND_STATUS, WEBHOOK_EVENTS } = require('./index');
+
+/**
+ * RAZORPAY PROVIDER
+ * Standard checkout orders, signature verification, refunds and webhooks
+ * (signed with RAZORPAY_WEBHOOK_SECRET over the raw request body)
+ */
+
+const PAYMENT_STATUSES = {
+  captured: PAYMENT_STATUS.PAID,
+  authorized: PAYMENT_STATUS.PENDING,
+  created: PAYMENT_STATUS.PENDING,
+  failed: PAYMENT_STATUS.FAILED,
+  refunded: PAYMENT_STATUS.REFUNDED
+};
+
+const REFUND_STATUSES = {
+  pending: REFUND_STATUS.PENDING,
+  processed: REFUND_STATUS.PROCESSED,
+  failed: REFUND_STATUS.FAILED
+};
+
+const name = 'razorpay';
+
+const isConfigured = () => !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
+
+const getInfo = () => PaymentGateway.getPaymentMethods().razorpay;
+
+const createOrder = async ({ reference, amount, currency = 'INR' }) => {
+  const result = await PaymentGateway.createRazorpayOrder(reference, amount, currency);
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  return {
+    success: true,
+    gatewayOrderId: result.orderId,
+    amount: result.amount / 100,
+    currency: result.currency,
+    // What Razorpay Checkout is opened with
+    checkout: {
+      key: result.key_id,
+      order_id: result.orderId,
+      amount: result.amount,
+      currency: result.currency
+    }
+  };
+};
+
+const verifyPayment = async ({ gatewayOrderId, paymentId, signature }) => {
+  const isValid = await PaymentGateway.verifyRazorpaySignature({ orderId: gatewayOrderId, paymentId, signature });
+
+  return {
+    success: true,
+    isValid,
+    transactionId: paymentId,
+    status: isValid ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.FAILED,
+    error: isValid ? undefined : 'Invalid payment signature'
+  };
+};
+
+const fetchPayment = async ({ transactionId }) => {
+  const result = await PaymentGateway.fetchRazorpayPayment(transactionId);
+
+  if (!result.success) {
+    return { success: false, error: result.error };
+  }
+
+  return {
+    success: true,
+    status: PAYMENT_STATUSES[result.payment.status] || PAYMENT_STATUS.PENDING,
+    transactionId: result.payment.id,
+    gatewayOrderId: result.payment.orderId,
+    amount: result.payment.amount,
+    method: result.payment.method,
+    raw: result.payment
+  };
+};
+
+const refund = async ({ transactionId, amount, refundReference, reason }) => {
+  const result = await PaymentGateway.processRefund(transactionId, amount, {
+    reference: refundReference,
+    reason: reason || ''
+  });
+
+  if (!result.success) {
+    return { success: false, rejected: result.rejected, error: result.error };
+  }
+
+  return {
+    success: true,
+    refundId: result.refundId,
+    amount: result.amount,
+    status: REFUND_STATUSES[result.status] || REFUND_STATUS.PENDING
+  };
+};
+
+// Without a refund id the refund is found by the reference kept in its notes
+const fetchRefund = async ({ transactionId, refundId, refundReference }) => {
+  const result = refundId
+    ? await PaymentGateway.fetchRazorpayRefund(transactionId, refundId)
+    : await PaymentGateway.findRazorpayRefund(transactionId, refundReference);
+
+  if (!result.success) {
+    return { success: false, notFound: result.notFound, error: result.error };
+  }
+
+  return {
+    success: true,
+    refundId: result.refundId,
+    amount: result.amount,
+    status: REFUND_STATUSES[result.status] || REFUND_STATUS.PENDING
+  };
+};
+
+const verifyWebhookSignature = (rawBody, signature) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+const toEvent = (body) => {
+  const payment = body.payload?.payment?.entity;
+  const refundEntity = body.payload?.refund?.entity;
+  const link = body.payload?.payment_link?.entity;
+
+  switch (body.event) {
+    case 'payment.captured':
+    case 'order.paid':
+      return {
+        type: WEBHOOK_EVENTS.PAYMENT_PAID,
+        gatewayOrderId: payment?.order_id || body.payload?.order?.entity?.id,
+        transactionId: payment?.id,
+        amount: payment ? payment.amount / 100 : undefined
+      };
+    case 'payment.failed':
+      return {
+        type: WEBHOOK_EVENTS.PAYMENT_FAILED,
+        gatewayOrderId: payment?.order_id,
+        transactionId: payment?.id,
+        amount: payment ? payment.amount / 100 : undefined,
+        message: payment?.error_description
+      };
+    case 'payment_link.paid':
+      return {
+        type: WEBHOOK_EVENTS.LINK_PAID,
+        linkId: link?.id,
+        transactionId: payment?.id,
+        amount: link ? link.amount_paid / 100 : undefined
+      };
+    case 'refund.processed':
+    case 'refund.failed':
+      return {
+        type: body.event === 'refund.processed' ? WEBHOOK_EVENTS.REFUND_PROCESSED : WEBHOOK_EVENTS.REFUND_FAILED,
+        refundId: refundEntity?.id,
+        transactionId: refundEntity?.payment_id,
+        amount: refundEntity ? refundEntity.amount / 100 : undefined
+      };
+    default:
+      return { type: WEBHOOK_EVENTS.UNKNOWN };
+  }
+};
+
+const parseWebhook = (req) => {
+  if (!verifyWebhookSignature(req.rawBody, req.headers['x-razorpay-signature'])) {
+    return { valid: false, error: 'Invalid webhook signature' };
+  }
+
+  const body = req.body || {};
+  const event = toEvent(body);
+
+  return {
+    valid: true,
+    event: {
+      // Razorpay sends the same event id on every retry
+      id: req.headers['x-razorpay-event-id'] || `${body.event}:${event.transactionId || event.refundId || event.linkId}`,
+      gatewayEvent: body.event,
+      ...event,
+      raw: body
+    }
+  };
+};
+
+module.exports = {
+  name,
+  displayName: 'Razorpay',
+  orderIdField: 'razorpayOrderId',
+  isConfigured,
+  getInfo,
+  createOrder,
+  verifyPayment,
+  fetchPayment,
+  refund,
+  fetchRefund,
+  parseWebhook
+};
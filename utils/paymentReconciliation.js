@@ -0,0 +1,667 @@
+const { Readable } = require('stream');
+const csvParser = require('csv-parser');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const CreditRepayment = require('../models/CreditRepayment');
+const GatewaySettlement = require('../models/GatewaySettlement');
+const PaymentReconciliation = require('../models/PaymentReconciliation');
+const PaymentProviders = require('./paymentProviders');
+const { generateId } = require('./sequence');
+const { toDateKey } = require('./deliverySlots');
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * PAYMENT RECONCILIATION
+ * Settlement files downloaded from the Razorpay and Cashfree dashboards are
+ * imported line by line, and each day's run checks them against what we
+ * recorded as paid: payments with no settlement line, settled payments on
+ * orders still pending, amounts that differ and settled transactions we have
+ * no record of. The run's findings are kept as that day's report.
+ */
+
+const RECONCILIATION_GATEWAYS = ['razorpay', 'cashfree'];
+// Payments and settlement lines from this far back are re-checked every run
+const RECONCILIATION_LOOKBACK_DAYS = 30;
+// Gateways settle T+2 working days; a payment older than this should have settled
+const RECONCILIATION_SETTLEMENT_DAYS = 4;
+const SETTLEMENT_FILE_MAX_BYTES = 10 * 1024 * 1024;
+const AMOUNT_TOLERANCE = 0.01;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Part of an order's advance charged at the gateway (the wallet paid the rest)
+const getGatewayAdvance = (order) => (order.payment.advanceAmount || 0) - (order.payment.wallet?.amount || 0);
+
+// Settlement file columns (normalized header -> field), first non-empty wins.
+// Amounts are in rupees, as in the dashboard exports.
+const SETTLEMENT_FILE_COLUMNS = {
+  razorpay: {
+    entityId: ['entity_id', 'id'],
+    type: ['type', 'entity_type'],
+    paymentId: ['payment_id'],
+    gatewayOrderId: ['order_id'],
+    amount: ['amount'],
+    fee: ['fee'],
+    tax: ['tax'],
+    credit: ['credit'],
+    debit: ['debit'],
+    settlementId: ['settlement_id'],
+    utr: ['settlement_utr', 'utr'],
+    transactionDate: ['created_at'],
+    settledAt: ['settled_at', 'settlement_date']
+  },
+  cashfree: {
+    entityId: ['event_id', 'cf_refund_id', 'refund_id', 'cf_payment_id', 'transaction_id', 'reference_id'],
+    type: ['event_type', 'transaction_type', 'type'],
+    paymentId: ['cf_payment_id', 'transaction_id', 'reference_id'],
+    gatewayOrderId: ['order_id'],
+    amount: ['event_amount', 'payment_amount', 'transaction_amount', 'order_amount', 'amount'],
+    fee: ['payment_service_charge', 'service_charge'],
+    tax: ['payment_service_tax', 'service_tax'],
+    settledAmount: ['event_settlement_amount', 'settlement_amount'],
+    settlementId: ['cf_settlement_id', 'settlement_id'],
+    utr: ['settlement_utr', 'utr'],
+    transactionDate: ['payment_time', 'event_time', 'transaction_time', 'transaction_date'],
+    settledAt: ['settlement_date', 'settled_at', 'settlement_time']
+  }
+};
+
+// "Settlement UTR", "settlement_utr" and "Settlement-UTR" (with or without a BOM) all become settlement_utr
+const normalizeHeader = (header) => String(header)
+  .replace(/^\uFEFF/, '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+const pick = (row, columns = []) => {
+  for (const column of columns) {
+    const value = row[column];
+    if (value !== undefined && String(value).trim() !== '') return String(value).trim();
+  }
+  return undefined;
+};
+
+const parseAmount = (value) => {
+  if (value === undefined) return undefined;
+  const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(amount) ? roundAmount(amount) : undefined;
+};
+
+// Dashboard exports use dd/mm/yyyy or local timestamps; both are IST
+const parseDate = (value) => {
+  if (!value) return undefined;
+
+  if (/^\d{10}$/.test(value)) return new Date(Number(value) * 1000);
+
+  const dmy = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (dmy) {
+    const [, day, month, year, hours = '0', minutes = '00', seconds = '00'] = dmy;
+    return new Date(`${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}T${hours.padStart(2, '0')}:${minutes}:${seconds}+05:30`);
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/.test(value)
+    ? new Date(`${value.replace(' ', 'T')}+05:30`)
+    : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const normalizeLineType = (value) => {
+  if (!value) return 'payment'; // payment-only reports have no type column
+  const type = value.toLowerCase();
+  if (['payment', 'refund'].includes(type)) return type;
+  if (['adjustment', 'dispute', 'chargeback', 'refund_reversal', 'transfer'].includes(type)) return 'adjustment';
+  return 'other';
+};
+
+const readCSV = (buffer) => new Promise((resolve, reject) => {
+  const rows = [];
+  Readable.from(buffer)
+    .pipe(csvParser({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+    .on('data', row => rows.push(row))
+    .on('end', () => resolve(rows))
+    .on('error', reject);
+});
+
+/**
+ * Parse a gateway settlement CSV into settlement lines
+ * @param {Buffer} buffer
+ * @param {String} gateway - 'razorpay' or 'cashfree'
+ * @returns {Object} { lines, skipped: [{ row, reason }] }
+ */
+const parseSettlementFile = async (buffer, gateway) => {
+  const columns = SETTLEMENT_FILE_COLUMNS[gateway];
+  const rows = await readCSV(buffer);
+  const lines = [];
+  const skipped = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // header is row 1
+    const entityId = pick(row, columns.entityId);
+    if (!entityId) {
+      skipped.push({ row: rowNumber, reason: 'No transaction id' });
+      return;
+    }
+
+    const type = normalizeLineType(pick(row, columns.type));
+    const amount = parseAmount(pick(row, columns.amount));
+    if (amount === undefined) {
+      skipped.push({ row: rowNumber, reason: 'No amount' });
+      return;
+    }
+
+    const fee = parseAmount(pick(row, columns.fee)) || 0;
+    const tax = parseAmount(pick(row, columns.tax)) || 0;
+    let settledAmount = parseAmount(pick(row, columns.settledAmount));
+    if (settledAmount === undefined && (columns.credit || columns.debit)) {
+      settledAmount = roundAmount((parseAmount(pick(row, columns.credit)) || 0) - (parseAmount(pick(row, columns.debit)) || 0));
+    }
+
+    lines.push({
+      gateway,
+      type,
+      entityId,
+      // Razorpay payment lines carry the payment id as entity_id
+      transactionId: (type === 'payment' && gateway === 'razorpay') ? entityId : pick(row, columns.paymentId),
+      gatewayOrderId: pick(row, columns.gatewayOrderId),
+      amount: Math.abs(amount),
+      fee,
+      tax,
+      settledAmount: settledAmount ?? roundAmount(Math.abs(amount) - fee - tax),
+      settlementId: pick(row, columns.settlementId),
+      utr: pick(row, columns.utr),
+      transactionDate: parseDate(pick(row, columns.transactionDate)),
+      settledAt: parseDate(pick(row, columns.settledAt))
+    });
+  });
+
+  return { lines, skipped };
+};
+
+/**
+ * Import a settlement file. Lines already imported (same gateway, type and
+ * id) are updated and checked again, so a file can be uploaded twice.
+ * @returns {Object} { importId, imported, updated, skipped }
+ */
+const importSettlementFile = async ({ buffer, gateway, fileName }) => {
+  const { lines, skipped } = await parseSettlementFile(buffer, gateway);
+  if (lines.length === 0) {
+    throw new ErrorHandler(`No ${gateway} settlement lines found in the file; check it is the settlement report CSV`, 400);
+  }
+
+  const importId = await generateId('settlementImport');
+
+  const result = await GatewaySettlement.bulkWrite(lines.map(line => ({
+    updateOne: {
+      filter: { gateway: line.gateway, type: line.type, entityId: line.entityId },
+      update: {
+        $set: {
+          ...line,
+          importId,
+          fileName,
+          'reconciliation.status': 'unreconciled'
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return {
+    importId,
+    imported: result.upsertedCount,
+    updated: result.matchedCount,
+    skipped
+  };
+};
+
+/**
+ * Our side of a settled payment: checkout orders, a post-delivery balance or
+ * a credit repayment
+ * @returns {Object|null} { paymentType, orders, reference, expectedAmount, paid, note }
+ */
+const findRecordedPayment = async (line) => {
+  const provider = PaymentProviders.getProvider(line.gateway);
+  const match = [];
+  if (line.transactionId) {
+    match.push({ 'payment.transactionId': line.transactionId });
+  }
+  if (line.gatewayOrderId) {
+    match.push({ [`payment.${provider.orderIdField}`]: line.gatewayOrderId });
+  }
+
+  const orders = match.length > 0
+    ? await Order.find({ $or: match }).select('orderId payment.status payment.transactionId payment.advanceAmount payment.wallet payment.paidAt')
+    : [];
+
+  if (orders.length > 0) {
+    // A multi-supplier checkout is one payment across the group's orders
+    const paid = orders.some(order => order.payment.paidAt && order.payment.transactionId === line.transactionId);
+    const otherPayment = orders.find(order => order.payment.transactionId && order.payment.transactionId !== line.transactionId);
+    return {
+      paymentType: 'checkout',
+      orders,
+      expectedAmount: roundAmount(orders.reduce((sum, order) => sum + getGatewayAdvance(order), 0)),
+      paid,
+      note: !paid && otherPayment
+        ? `Order paid by ${otherPayment.payment.transactionId}; this payment is a duplicate capture`
+        : undefined
+    };
+  }
+
+  if (!line.transactionId) return null;
+
+  const balanceOrder = await Order.findOne({
+    'payment.balanceCollection.gateway': line.gateway,
+    'payment.balanceCollection.transactionId': line.transactionId
+  }).select('orderId payment.balanceCollection');
+
+  if (balanceOrder) {
+    return {
+      paymentType: 'balance',
+      orders: [balanceOrder],
+      expectedAmount: balanceOrder.payment.balanceCollection.amount,
+      paid: balanceOrder.payment.balanceCollection.status === 'paid'
+    };
+  }
+
+  const repayment = await CreditRepayment.findOne({ gateway: line.gateway, transactionId: line.transactionId })
+    .select('repaymentId amount status');
+
+  if (repayment) {
+    return {
+      paymentType: 'credit_repayment',
+      orders: [],
+      reference: repayment.repaymentId,
+      expectedAmount: repayment.amount,
+      paid: repayment.status === 'paid'
+    };
+  }
+
+  return null;
+};
+
+// Our side of a settled refund line
+const findRecordedRefund = async (line) => {
+  const refund = await Refund.findOne({
+    gateway: line.gateway,
+    $or: [{ gatewayRefundId: line.entityId }, { gatewayReference: line.entityId }]
+  }).select('refundId order orderId amount status');
+
+  if (!refund) return null;
+
+  return {
+    paymentType: 'refund',
+    orders: [{ _id: refund.order, orderId: refund.orderId }],
+    reference: refund.refundId,
+    expectedAmount: refund.amount,
+    paid: refund.status === 'processed',
+    note: refund.status !== 'processed' ? `Refund ${refund.refundId} is ${refund.status} in our records` : undefined
+  };
+};
+
+/**
+ * Check one settlement line against our records and store the outcome
+ * @returns {Object} { line, recorded }
+ */
+const reconcileSettlementLine = async (line) => {
+  const recorded = line.type === 'refund'
+    ? await findRecordedRefund(line)
+    : await findRecordedPayment(line);
+
+  let status = 'matched';
+  let difference;
+  let note = recorded?.note;
+
+  if (!recorded) {
+    status = 'unmatched';
+    note = `No ${line.type} of ours carries ${line.gateway} ${line.transactionId || line.entityId}`;
+  } else if (!recorded.paid) {
+    status = 'settled_not_paid';
+    note = note || `${line.gateway} settled it but our ${recorded.paymentType.replace('_', ' ')} is not marked paid`;
+  } else {
+    difference = roundAmount(line.amount - recorded.expectedAmount);
+    if (Math.abs(difference) > AMOUNT_TOLERANCE) {
+      status = 'amount_mismatch';
+      note = `Settled ${line.amount}, recorded ${recorded.expectedAmount}`;
+    }
+  }
+
+  line.reconciliation = {
+    status,
+    orders: (recorded?.orders || []).map(order => order._id),
+    orderIds: (recorded?.orders || []).map(order => order.orderId),
+    expectedAmount: recorded?.expectedAmount,
+    difference,
+    note,
+    reconciledAt: new Date()
+  };
+  await line.save();
+
+  return { line, recorded };
+};
+
+/**
+ * Gateway payments we recorded as paid in [from, to): checkout payments
+ * (one per transaction, across a group's orders), balance payments and
+ * credit repayments
+ */
+const getRecordedPayments = async (from, to) => {
+  const payments = new Map();
+  const paidAt = { $gte: from, $lt: to };
+
+  const checkoutOrders = await Order.find({
+    'payment.gateway': { $in: RECONCILIATION_GATEWAYS },
+    'payment.paidAt': paidAt,
+    'payment.transactionId': { $exists: true, $ne: null }
+  }).select('orderId payment.gateway payment.transactionId payment.razorpayOrderId payment.cashfreeOrderId payment.advanceAmount payment.wallet payment.paidAt');
+
+  checkoutOrders.forEach(order => {
+    const { gateway, transactionId } = order.payment;
+    const key = `${gateway}:${transactionId}`;
+    const payment = payments.get(key) || {
+      gateway,
+      transactionId,
+      gatewayOrderId: order.payment[PaymentProviders.getProvider(gateway).orderIdField],
+      paymentType: 'checkout',
+      orders: [],
+      expectedAmount: 0,
+      paidAt: order.payment.paidAt
+    };
+    payment.orders.push(order);
+    payment.expectedAmount = roundAmount(payment.expectedAmount + getGatewayAdvance(order));
+    payments.set(key, payment);
+  });
+
+  const balanceOrders = await Order.find({
+    'payment.balanceCollection.gateway': { $in: RECONCILIATION_GATEWAYS },
+    'payment.balanceCollection.status': 'paid',
+    'payment.balanceCollection.paidAt': paidAt
+  }).select('orderId payment.balanceCollection');
+
+  balanceOrders.forEach(order => {
+    const { gateway, transactionId, amount, paidAt: balancePaidAt } = order.payment.balanceCollection;
+    if (!transactionId) return;
+    payments.set(`${gateway}:${transactionId}`, {
+      gateway,
+      transactionId,
+      paymentType: 'balance',
+      orders: [order],
+      expectedAmount: amount,
+      paidAt: balancePaidAt
+    });
+  });
+
+  const repayments = await CreditRepayment.find({ status: 'paid', paidAt })
+    .select('repaymentId gateway transactionId amount paidAt');
+
+  repayments.forEach(repayment => {
+    if (!repayment.transactionId) return;
+    payments.set(`${repayment.gateway}:${repayment.transactionId}`, {
+      gateway: repayment.gateway,
+      transactionId: repayment.transactionId,
+      paymentType: 'credit_repayment',
+      orders: [],
+      reference: repayment.repaymentId,
+      expectedAmount: repayment.amount,
+      paidAt: repayment.paidAt
+    });
+  });
+
+  return [...payments.values()];
+};
+
+// UPI payments recorded at the door and not yet verified, shaped like recorded payments
+const findUnverifiedUpiCollections = async () => {
+  const orders = await Order.find({ 'payment.doorstepCollections.status': 'unverified' })
+    .select('orderId payment.doorstepCollections');
+
+  return orders.flatMap(order => order.payment.doorstepCollections
+    .filter(collection => collection.status === 'unverified')
+    .map(collection => ({
+      gateway: 'upi',
+      transactionId: collection.upiTransactionId,
+      paymentType: collection.purpose === 'cod' ? 'cod' : 'balance',
+      orders: [order],
+      reference: collection.collectionId,
+      expectedAmount: collection.amount,
+      paidAt: collection.collectedAt
+    })));
+};
+
+const toMismatch = (type, { line, recorded, payment, note }) => {
+  const source = payment || recorded || {};
+  return {
+    type,
+    gateway: line?.gateway || payment.gateway,
+    transactionId: line?.transactionId || payment?.transactionId,
+    gatewayOrderId: line?.gatewayOrderId || payment?.gatewayOrderId,
+    paymentType: source.paymentType || line?.type,
+    orders: (source.orders || []).map(order => order._id),
+    orderIds: (source.orders || []).map(order => order.orderId),
+    reference: source.reference,
+    expectedAmount: source.expectedAmount,
+    settledAmount: line?.amount,
+    difference: line?.reconciliation?.difference,
+    paidAt: payment?.paidAt,
+    settledAt: line?.settledAt,
+    settlementId: line?.settlementId,
+    utr: line?.utr,
+    note: note || line?.reconciliation?.note || (payment && `No ${payment.gateway} settlement line ${RECONCILIATION_SETTLEMENT_DAYS}+ days after payment`)
+  };
+};
+
+const LINE_MISMATCH_TYPES = {
+  amount_mismatch: 'amount_mismatch',
+  settled_not_paid: 'settled_not_paid',
+  unmatched: 'unmatched_settlement'
+};
+
+/**
+ * Reconcile recent settlement lines and payments and store today's report
+ * @param {Object} options - { now, runBy }
+ * @returns {Object} the PaymentReconciliation report
+ */
+const reconcilePayments = async ({ now = new Date(), runBy = null } = {}) => {
+  const windowStart = new Date(now.getTime() - RECONCILIATION_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+  const settleBy = new Date(now.getTime() - RECONCILIATION_SETTLEMENT_DAYS * 24 * 60 * 60 * 1000);
+
+  const summary = {
+    paymentsChecked: 0,
+    settlementLinesChecked: 0,
+    matched: 0,
+    awaitingSettlement: 0,
+    paidNotSettled: 0,
+    settledNotPaid: 0,
+    amountMismatch: 0,
+    unmatchedSettlement: 0,
+    unverifiedUpiCollections: 0,
+    expectedAmount: 0,
+    settledAmount: 0
+  };
+  const mismatches = [];
+  const countKeys = {
+    paid_not_settled: 'paidNotSettled',
+    settled_not_paid: 'settledNotPaid',
+    amount_mismatch: 'amountMismatch',
+    unmatched_settlement: 'unmatchedSettlement',
+    unverified_upi_collection: 'unverifiedUpiCollections'
+  };
+  const flag = (type, details) => {
+    summary[countKeys[type]]++;
+    mismatches.push(toMismatch(type, details));
+  };
+
+  const lines = await GatewaySettlement.find({
+    type: { $in: ['payment', 'refund'] },
+    $or: [
+      { 'reconciliation.status': 'unreconciled' },
+      { createdAt: { $gte: windowStart } }
+    ]
+  });
+
+  for (const settlementLine of lines) {
+    try {
+      const { line, recorded } = await reconcileSettlementLine(settlementLine);
+      summary.settlementLinesChecked++;
+      if (line.type === 'payment') {
+        summary.settledAmount = roundAmount(summary.settledAmount + line.amount);
+      }
+
+      if (line.reconciliation.status === 'matched') {
+        summary.matched++;
+      } else {
+        flag(LINE_MISMATCH_TYPES[line.reconciliation.status], { line, recorded });
+      }
+    } catch (error) {
+      console.error(`❌ Could not reconcile ${settlementLine.gateway} settlement line ${settlementLine.entityId}:`, error);
+    }
+  }
+
+  const payments = await getRecordedPayments(windowStart, now);
+  const settled = await GatewaySettlement.find({
+    type: 'payment',
+    transactionId: { $in: payments.map(payment => payment.transactionId) }
+  }).select('gateway transactionId');
+  const settledKeys = new Set(settled.map(line => `${line.gateway}:${line.transactionId}`));
+
+  payments.forEach(payment => {
+    summary.paymentsChecked++;
+    summary.expectedAmount = roundAmount(summary.expectedAmount + payment.expectedAmount);
+
+    if (settledKeys.has(`${payment.gateway}:${payment.transactionId}`)) return;
+
+    if (payment.paidAt > settleBy) {
+      summary.awaitingSettlement++;
+    } else {
+      flag('paid_not_settled', { payment });
+    }
+  });
+
+  // UPI paid at the door never reaches a gateway settlement; until verified it is on the pilot's word
+  const unverified = await findUnverifiedUpiCollections();
+  unverified.forEach(payment => flag('unverified_upi_collection', {
+    payment,
+    note: 'UPI payment recorded by the pilot; UTR not yet verified against the bank'
+  }));
+
+  const report = await PaymentReconciliation.findOneAndUpdate(
+    { date: toDateKey(now) },
+    {
+      $set: {
+        windowStart,
+        windowEnd: now,
+        summary,
+        mismatches,
+        runAt: new Date(),
+        runBy
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  console.log(`🧾 Payment reconciliation ${report.date}: ${summary.matched} matched, ${mismatches.length} mismatches`);
+  return report;
+};
+
+const MISMATCH_LABELS = {
+  paid_not_settled: 'Paid, not settled',
+  settled_not_paid: 'Settled, order not paid',
+  amount_mismatch: 'Amount mismatch',
+  unmatched_settlement: 'Unknown settlement',
+  unverified_upi_collection: 'UPI at the door, not verified'
+};
+
+// Excel export of a reconciliation report: summary and one row per mismatch
+const generateReconciliationExcel = (report, mismatches = report.mismatches) => {
+  const workbook = new ExcelJS.Workbook();
+  const headerFill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF366EF5' }
+  };
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.addRow(['Payment reconciliation', report.date]).font = { bold: true };
+  summarySheet.addRow(['Window', `${report.windowStart?.toISOString() || ''} - ${report.windowEnd?.toISOString() || ''}`]);
+  summarySheet.addRow([]);
+  Object.entries(report.summary.toObject ? report.summary.toObject() : report.summary).forEach(([key, value]) => {
+    summarySheet.addRow([key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase()), value]);
+  });
+  summarySheet.getColumn(1).width = 28;
+  summarySheet.getColumn(2).width = 40;
+
+  const sheet = workbook.addWorksheet('Mismatches');
+  const headerRow = sheet.addRow([
+    'Issue', 'Gateway', 'Transaction ID', 'Gateway order ID', 'Payment type', 'Orders', 'Reference',
+    'Expected amount', 'Settled amount', 'Difference', 'Paid at', 'Settled at', 'Settlement ID', 'UTR', 'Note'
+  ]);
+  headerRow.font = { bold: true };
+  headerRow.fill = headerFill;
+
+  mismatches.forEach(mismatch => {
+    sheet.addRow([
+      MISMATCH_LABELS[mismatch.type],
+      mismatch.gateway,
+      mismatch.transactionId,
+      mismatch.gatewayOrderId,
+      mismatch.paymentType,
+      (mismatch.orderIds || []).join(', '),
+      mismatch.reference,
+      mismatch.expectedAmount,
+      mismatch.settledAmount,
+      mismatch.difference,
+      mismatch.paidAt ? new Date(mismatch.paidAt).toLocaleString('en-IN') : '',
+      mismatch.settledAt ? new Date(mismatch.settledAt).toLocaleString('en-IN') : '',
+      mismatch.settlementId,
+      mismatch.utr,
+      mismatch.note
+    ]);
+  });
+
+  sheet.columns.forEach(column => {
+    column.width = 18;
+  });
+  sheet.getColumn(15).width = 60;
+
+  return workbook;
+};
+
+// Settlement CSV upload (field "file"), kept in memory for parsing
+const settlementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: SETTLEMENT_FILE_MAX_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.csv$/i.test(file.originalname) || ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new ErrorHandler('Settlement file must be a CSV', 400), false);
+    }
+  }
+}).single('file');
+
+const uploadSettlementFile = (req, res, next) => {
+  settlementUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new ErrorHandler('File size too large. Maximum 10MB allowed.', 400));
+      }
+      return next(new ErrorHandler(err.message, 400));
+    } else if (err) {
+      return next(err);
+    }
+    next();
+  });
+};
+
+module.exports = {
+  RECONCILIATION_GATEWAYS,
+  parseSettlementFile,
+  importSettlementFile,
+  reconcilePayments,
+  generateReconciliationExcel,
+  uploadSettlementFile
+};
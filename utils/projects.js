@@ -0,0 +1,223 @@
+const Project = require('../models/Project');
+const Order = require('../models/Order');
+const { ErrorHandler } = require('./errorHandler');
+const { sumTripQuantities, getItemUnit } = require('./tripPlanner');
+
+/**
+ * PROJECTS
+ * Access checks for construction projects and the figures behind the
+ * project dashboard: spend against budget, spend over time and deliveries
+ * still due at the site.
+ */
+
+// Orders that still have material on its way to the site
+const PENDING_DELIVERY_STATUSES = [
+  'pending_payment',
+  'pending',
+  'confirmed',
+  'preparing',
+  'material_loading',
+  'processing',
+  'dispatched',
+  'partially_delivered'
+];
+
+const SPEND_INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Load a project the user owns or belongs to
+ * @param {String} projectId - projectId (PRJ...) or _id
+ * @param {Object} options - { forOrdering: require owner/manager, ownerOnly }
+ */
+const findAccessibleProject = async (projectId, userId, { forOrdering = false, ownerOnly = false } = {}) => {
+  const project = await Project.findOne(
+    /^[a-f\d]{24}$/i.test(projectId) ? { _id: projectId } : { projectId }
+  );
+
+  const role = project && project.getRole(userId);
+  if (!role) {
+    throw new ErrorHandler('Project not found', 404);
+  }
+  if (ownerOnly && role !== 'owner') {
+    throw new ErrorHandler('Only the project owner can do this', 403);
+  }
+  if (forOrdering && !project.canOrder(userId)) {
+    throw new ErrorHandler('Only the project owner and managers can order for this project', 403);
+  }
+  if (forOrdering && project.status !== 'active') {
+    throw new ErrorHandler(`Project is ${project.status.replace('_', ' ')} and cannot take new orders`, 400);
+  }
+
+  return project;
+};
+
+// Delivery address for orders placed against the project site
+const getSiteDeliveryAddress = (project) => ({
+  address: project.siteAddress.address,
+  city: project.siteAddress.city,
+  state: project.siteAddress.state,
+  pincode: project.siteAddress.pincode,
+  coordinates: project.siteAddress.coordinates
+});
+
+// Material spend (pre-tax item value) per category against the budgets
+const getBudgetConsumption = async (project) => {
+  const spend = await Order.aggregate([
+    { $match: { project: project._id, status: { $ne: 'cancelled' } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: '$items.productSnapshot.category',
+        spent: { $sum: '$items.totalPrice' },
+        quantity: { $sum: { $ifNull: ['$items.reconciliation.billedQuantity', '$items.quantity'] } },
+        unit: { $first: '$items.productSnapshot.unit' },
+        orders: { $addToSet: '$_id' }
+      }
+    }
+  ]);
+
+  const categories = new Set([
+    ...project.budgets.map(budget => budget.category),
+    ...spend.map(row => row._id).filter(Boolean)
+  ]);
+
+  const consumption = [...categories].map(category => {
+    const budget = project.budgets.find(b => b.category === category)?.amount ?? null;
+    const row = spend.find(s => s._id === category);
+    const spent = roundAmount(row?.spent || 0);
+
+    return {
+      category,
+      budget,
+      spent,
+      remaining: budget === null ? null : roundAmount(budget - spent),
+      utilizationPercentage: budget ? roundAmount((spent / budget) * 100) : null,
+      overBudget: budget !== null && spent > budget,
+      quantity: roundAmount(row?.quantity || 0),
+      unit: row?.unit || null,
+      orderCount: row?.orders.length || 0
+    };
+  });
+
+  const totalBudget = project.budgets.reduce((sum, budget) => sum + budget.amount, 0);
+  const totalSpent = consumption.reduce((sum, row) => sum + row.spent, 0);
+
+  return {
+    categories: consumption,
+    totals: {
+      budget: roundAmount(totalBudget),
+      spent: roundAmount(totalSpent),
+      remaining: roundAmount(totalBudget - totalSpent),
+      utilizationPercentage: totalBudget ? roundAmount((totalSpent / totalBudget) * 100) : null
+    }
+  };
+};
+
+// Order value per day, ISO week or month (IST)
+const getSpendOverTime = async (project, interval = 'month') => {
+  const rows = await Order.aggregate([
+    { $match: { project: project._id, status: { $ne: 'cancelled' } } },
+    {
+      $group: {
+        _id: {
+          $dateToString: { format: SPEND_INTERVAL_FORMATS[interval], date: '$createdAt', timezone: 'Asia/Kolkata' }
+        },
+        amount: { $sum: '$pricing.totalAmount' },
+        materialValue: { $sum: '$pricing.subtotal' },
+        orders: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  let cumulative = 0;
+  return rows.map(row => {
+    cumulative += row.amount;
+    return {
+      period: row._id,
+      amount: roundAmount(row.amount),
+      materialValue: roundAmount(row.materialValue),
+      orders: row.orders,
+      cumulativeAmount: roundAmount(cumulative)
+    };
+  });
+};
+
+// Orders with material still to arrive, with what has been delivered so far
+const getPendingDeliveries = async (project) => {
+  const orders = await Order.find({
+    project: project._id,
+    status: { $in: PENDING_DELIVERY_STATUSES }
+  })
+    .populate('supplier', 'companyName contactPersonNumber')
+    .select('orderId status supplier items trips deliverySlot delivery.estimatedTime createdAt')
+    .sort({ 'deliverySlot.start': 1, createdAt: 1 });
+
+  return orders.map(order => {
+    const delivered = sumTripQuantities(order.trips, ['delivered']);
+    const inTransit = sumTripQuantities(order.trips, ['in_transit']);
+
+    return {
+      orderId: order.orderId,
+      status: order.status,
+      supplier: order.supplier,
+      deliverySlot: order.deliverySlot?.date ? order.deliverySlot : null,
+      estimatedDelivery: order.delivery?.estimatedTime,
+      placedAt: order.createdAt,
+      items: order.items.map(item => {
+        const key = item._id.toString();
+        return {
+          name: item.productSnapshot?.name,
+          category: item.productSnapshot?.category,
+          unit: getItemUnit(item),
+          quantity: item.quantity,
+          delivered: delivered[key] || 0,
+          inTransit: inTransit[key] || 0,
+          pending: Math.max(0, roundAmount(item.quantity - (delivered[key] || 0)))
+        };
+      })
+    };
+  });
+};
+
+/**
+ * Everything the project dashboard shows
+ * @param {Object} project - Project document
+ * @param {Object} options - { interval: 'day' | 'week' | 'month' }
+ */
+const getProjectDashboard = async (project, { interval = 'month' } = {}) => {
+  const [budget, spendOverTime, pendingDeliveries] = await Promise.all([
+    getBudgetConsumption(project),
+    getSpendOverTime(project, interval),
+    getPendingDeliveries(project)
+  ]);
+
+  return {
+    project: {
+      projectId: project.projectId,
+      name: project.name,
+      status: project.status,
+      siteAddress: project.siteAddress
+    },
+    budget,
+    spendOverTime: { interval, periods: spendOverTime },
+    pendingDeliveries
+  };
+};
+
+module.exports = {
+  PENDING_DELIVERY_STATUSES,
+  SPEND_INTERVAL_FORMATS,
+  findAccessibleProject,
+  getSiteDeliveryAddress,
+  getBudgetConsumption,
+  getSpendOverTime,
+  getPendingDeliveries,
+  getProjectDashboard
+};
@@ -0,0 +1,581 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const User = require('../models/User');
+const PaymentProviders = require('./paymentProviders');
+const { getPaidAmount } = require('./cancellationPolicy');
+const { creditRefundToWallet } = require('./wallet');
+const { generateId } = require('./sequence');
+const { sendSMS, sendEmail } = require('./notifications');
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * REFUNDS
+ * Every refund owed to a customer (cancellations, admin refunds, weighbridge
+ * shortfalls) is a Refund record. It is sent to the gateway the order was
+ * paid through, followed by webhook or polling until the gateway settles it,
+ * retried with backoff when an attempt fails and escalated to the admin
+ * queue when retries run out or the gateway never settles it. Wallet refunds
+ * (and whatever was paid from the wallet) are credited to the customer's
+ * wallet straight away.
+ */
+
+const { REFUND_STATUS } = PaymentProviders;
+
+const REFUND_MAX_ATTEMPTS = 5;
+// Wait before attempt 2, 3, ...
+const REFUND_RETRY_DELAYS_MS = [15 * 60 * 1000, 60 * 60 * 1000, 6 * 60 * 60 * 1000, 24 * 60 * 60 * 1000];
+// How often an initiated refund is checked with the gateway
+const REFUND_POLL_INTERVAL_MS = 60 * 60 * 1000;
+// Gateways settle within 5-7 working days; anything older needs a person
+const REFUND_SETTLE_TIMEOUT_MS = 10 * 24 * 60 * 60 * 1000;
+// An attempt with no gateway answer after this long has died mid-request
+const REFUND_ATTEMPT_TIMEOUT_MS = 15 * 60 * 1000;
+const REFUND_BATCH_SIZE = 50;
+// Where cancellation refunds go unless the cancellation chose: 'wallet' or 'original'
+const CANCELLATION_REFUND_METHOD = process.env.CANCELLATION_REFUND_METHOD === 'original' ? 'original' : 'wallet';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const addHistory = (refund, status, note, by = null) => {
+  refund.status = status;
+  refund.history.push({ status, note, at: new Date(), by });
+};
+
+// Gateway payment a refund for this order can go back to (null when none)
+const getRefundTarget = (order) => {
+  const { gateway, transactionId } = order.payment || {};
+  if (!PaymentProviders.isProviderName(gateway) || !transactionId) return null;
+
+  const provider = PaymentProviders.getProvider(gateway);
+  return {
+    gateway,
+    gatewayOrderId: order.payment[provider.orderIdField],
+    transactionId
+  };
+};
+
+// Paid on the order and not yet claimed by any refund
+const getRefundableAmount = async (order) => {
+  const refunds = await Refund.find({ order: order._id }).select('amount');
+  const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  return roundAmount(Math.max(0, getPaidAmount(order) - refunded));
+};
+
+// Paid through the gateway (or by hand) and not yet refunded that way; the wallet part is left out
+const getGatewayRefundableAmount = async (order) => {
+  const refunds = await Refund.find({ order: order._id, method: { $ne: 'wallet' } }).select('amount');
+  const refunded = refunds.reduce((sum, refund) => sum + refund.amount, 0);
+  return roundAmount(Math.max(0, getPaidAmount(order) - (order.payment?.wallet?.amount || 0) - refunded));
+};
+
+// Retries and escalations are internal; the customer sees a refund as in progress until it settles
+const getCustomerRefundStatus = (status) => status === 'processed' ? 'processed' : 'in_progress';
+
+// Mirror the refund onto order.payment.refundDetails, which the customer sees
+const syncOrderRefund = async (refund) => {
+  const entry = {
+    refundId: refund.refundId,
+    amount: refund.amount,
+    reason: refund.reason,
+    status: getCustomerRefundStatus(refund.status),
+    processedAt: refund.processedAt
+  };
+
+  const result = await Order.updateOne(
+    { _id: refund.order, 'payment.refundDetails.refundId': refund.refundId },
+    {
+      $set: {
+        'payment.refundDetails.$.status': entry.status,
+        'payment.refundDetails.$.processedAt': entry.processedAt
+      }
+    }
+  );
+
+  if (result.matchedCount === 0) {
+    await Order.updateOne(
+      { _id: refund.order },
+      { $push: { 'payment.refundDetails': { ...entry, processedBy: refund.requestedBy } } }
+    );
+  }
+};
+
+const notifyRefundProcessed = async (refund) => {
+  try {
+    const customer = await User.findById(refund.customer).select('phoneNumber email');
+    if (!customer) return;
+
+    const message = refund.method === 'wallet'
+      ? `Your refund of ₹${refund.amount.toFixed(2)} for order ${refund.orderId} (${refund.refundId}) has been added to your AggreKart wallet. You can use it on your next order. - AggreKart`
+      : `Your refund of ₹${refund.amount.toFixed(2)} for order ${refund.orderId} (${refund.refundId}) has been processed${refund.gateway ? ' to your original payment method' : ''}. It may take a few working days to show in your account. - AggreKart`;
+
+    if (customer.phoneNumber) {
+      await sendSMS(customer.phoneNumber, message);
+    }
+    if (customer.email) {
+      await sendEmail(customer.email, `Refund processed for order ${refund.orderId}`, message);
+    }
+  } catch (error) {
+    console.error(`❌ Refund notification failed for ${refund.refundId}:`, error.message);
+  }
+};
+
+/**
+ * Record a refund owed on an order. Calling again for the same source and
+ * reference returns the existing refund, so retried requests never add a second one.
+ * A refund to the original payment that is more than the gateway took goes
+ * back to the wallet for the rest (the wallet paid that part).
+ * @param {Object} order - Order document
+ * @param {Object} details - { source, reference, amount, reason, method, requestedBy }
+ * @returns {Object|null} the Refund (the gateway one when split), or null when there is nothing to refund
+ */
+const createRefund = async (order, details) => {
+  const { source, reference, amount, reason, method = 'original', requestedBy = null } = details;
+  const refundAmount = roundAmount(amount || 0);
+  if (refundAmount <= 0) return null;
+
+  if (reference) {
+    const existing = await Refund.findOne({ order: order._id, source, sourceReference: reference });
+    if (existing) return existing;
+  }
+
+  if (method === 'original' && order.payment?.wallet?.amount > 0) {
+    const gatewayAmount = await getGatewayRefundableAmount(order);
+    if (gatewayAmount <= 0) {
+      return createRefund(order, { ...details, method: 'wallet' });
+    }
+    if (refundAmount > gatewayAmount) {
+      const refund = await createRefund(order, { ...details, amount: gatewayAmount });
+      await createRefund(order, {
+        ...details,
+        reference: `${refund.sourceReference}:wallet`,
+        amount: refundAmount - gatewayAmount,
+        method: 'wallet'
+      });
+      return refund;
+    }
+  }
+
+  // Bank transfers and orders paid outside a gateway are paid out by the team;
+  // wallet refunds are credited right after they are recorded
+  const isWallet = method === 'wallet';
+  const target = method === 'original' ? getRefundTarget(order) : null;
+  const refundId = await generateId('refund');
+
+  const refund = new Refund({
+    refundId,
+    order: order._id,
+    orderId: order.orderId,
+    customer: order.customer?._id || order.customer,
+    source,
+    sourceReference: reference || refundId,
+    amount: refundAmount,
+    reason,
+    method,
+    gateway: target?.gateway,
+    gatewayOrderId: target?.gatewayOrderId,
+    transactionId: target?.transactionId,
+    nextAttemptAt: target || isWallet ? new Date() : null,
+    requestedBy
+  });
+  addHistory(
+    refund,
+    target || isWallet ? 'pending' : 'manual',
+    target || isWallet
+      ? `Refund of ₹${refundAmount.toFixed(2)} requested (${source})${isWallet ? ' to the wallet' : ''}`
+      : `Refund of ₹${refundAmount.toFixed(2)} requested (${source}); no gateway payment to refund, to be paid out by bank transfer`,
+    requestedBy
+  );
+
+  try {
+    await refund.save();
+  } catch (error) {
+    // Raced with an identical request
+    if (error.code === 11000) {
+      return Refund.findOne({ order: order._id, source, sourceReference: reference });
+    }
+    throw error;
+  }
+
+  await syncOrderRefund(refund);
+  console.log(`💸 Refund ${refund.refundId} of ₹${refundAmount} created for order ${order.orderId} (${source})`);
+  return isWallet ? submitRefund(refund) : refund;
+};
+
+// Where a cancelled order's refund goes
+const getCancellationRefundMethod = (order) => order.cancellation?.refundMethod || CANCELLATION_REFUND_METHOD;
+
+// Refund what the cancellation policy left the customer (or everything paid when no policy applied)
+const createCancellationRefund = async (order) => {
+  const amount = order.cancellation?.refundAmount ?? getPaidAmount(order);
+
+  return createRefund(order, {
+    source: 'cancellation',
+    reference: order.orderId,
+    amount: Math.min(amount, await getRefundableAmount(order)),
+    reason: order.cancellation?.reason || 'Order cancelled',
+    method: getCancellationRefundMethod(order),
+    requestedBy: order.cancellation?.cancelledBy || null
+  });
+};
+
+// Advance collected beyond the total revised by a weighbridge credit note
+const createShortfallRefund = async (order, adjustment, requestedBy = null) => {
+  if (!adjustment || adjustment.type !== 'credit' || !(adjustment.refundableAmount > 0)) return null;
+
+  return createRefund(order, {
+    source: 'shortfall',
+    reference: adjustment.noteNumber,
+    amount: adjustment.refundableAmount,
+    reason: `Delivered quantity short of the order (credit note ${adjustment.noteNumber})`,
+    requestedBy
+  });
+};
+
+const markRefundProcessed = (refund, note, by = null) => {
+  refund.processedAt = new Date();
+  refund.nextAttemptAt = null;
+  refund.lastError = undefined;
+  addHistory(refund, 'processed', note, by);
+  console.log(`✅ Refund ${refund.refundId} of ₹${refund.amount} processed for order ${refund.orderId}`);
+};
+
+const escalateRefund = (refund, note) => {
+  refund.escalatedAt = new Date();
+  refund.nextAttemptAt = null;
+  addHistory(refund, 'escalated', note);
+  console.warn(`⚠️ Refund ${refund.refundId} for order ${refund.orderId} escalated: ${note}`);
+};
+
+// Schedule the next attempt, or escalate once the attempts are used up
+const recordRefundFailure = (refund, error) => {
+  refund.lastError = error;
+
+  if (refund.attempts >= REFUND_MAX_ATTEMPTS) {
+    escalateRefund(refund, `Failed ${refund.attempts} times: ${error}`);
+    return;
+  }
+
+  const delay = REFUND_RETRY_DELAYS_MS[Math.min(refund.attempts, REFUND_RETRY_DELAYS_MS.length) - 1];
+  refund.nextAttemptAt = new Date(Date.now() + delay);
+  addHistory(refund, 'failed', `Attempt ${refund.attempts} failed: ${error}`);
+  console.error(`❌ Refund ${refund.refundId} attempt ${refund.attempts} failed:`, error);
+};
+
+// The order's payment shows a refund only once it is processed. A cancelled
+// order is refunded when processed refunds cover the cancellation refund (the
+// whole payment when it came in after the cancellation); an admin refund
+// leaves it refunded or partial_refund against what was paid.
+const settleOrderPaymentStatus = async (refund) => {
+  const order = await Order.findById(refund.order).select('status payment pricing cancellation');
+  if (!order || order.payment.status === 'refunded') return;
+
+  const refunds = await Refund.find({ order: order._id, status: 'processed' }).select('amount');
+  const refunded = roundAmount(refunds.reduce((sum, processed) => sum + processed.amount, 0));
+  let status = null;
+
+  if (order.status === 'cancelled') {
+    const owed = roundAmount(order.cancellation?.refundAmount || getPaidAmount(order));
+    status = owed > 0 && refunded >= owed ? 'refunded' : null;
+  } else if (refund.source === 'admin') {
+    status = refunded >= roundAmount(getPaidAmount(order)) ? 'refunded' : 'partial_refund';
+  }
+
+  if (status) {
+    await Order.updateOne({ _id: order._id }, { $set: { 'payment.status': status } });
+  }
+};
+
+const saveRefund = async (refund, { wasProcessed = false } = {}) => {
+  await refund.save();
+  await syncOrderRefund(refund);
+
+  if (!wasProcessed && refund.status === 'processed') {
+    await settleOrderPaymentStatus(refund);
+    await notifyRefundProcessed(refund);
+  }
+  return refund;
+};
+
+/**
+ * Send a pending or failed refund to its gateway (or credit it to the wallet).
+ * The attempt is claimed first, so the scheduled job and an admin retry never
+ * send it twice.
+ * @returns {Object} the Refund as it stands after the attempt
+ */
+const submitRefund = async (refund) => {
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'initiated', lastAttemptAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return Refund.findById(refund._id);
+  }
+
+  if (claimed.method === 'wallet') {
+    try {
+      const { transaction } = await creditRefundToWallet(claimed);
+      markRefundProcessed(claimed, `Credited to the wallet (${transaction.transactionId})`);
+    } catch (error) {
+      recordRefundFailure(claimed, error.message);
+    }
+    return saveRefund(claimed);
+  }
+
+  const provider = PaymentProviders.getProvider(claimed.gateway);
+  // Each attempt needs its own reference at gateways that dedupe on it. A
+  // refund only comes back here after the gateway turned the last attempt
+  // down (or confirmed it never got it), so a new reference can't pay twice.
+  claimed.gatewayReference = claimed.attempts > 1 ? `${claimed.refundId}_${claimed.attempts}` : claimed.refundId;
+  claimed.gatewayRefundId = undefined;
+
+  let result;
+  try {
+    result = await provider.refund({
+      gatewayOrderId: claimed.gatewayOrderId,
+      transactionId: claimed.transactionId,
+      amount: claimed.amount,
+      refundReference: claimed.gatewayReference,
+      reason: claimed.reason
+    });
+  } catch (error) {
+    result = { success: false, error: error.message };
+  }
+
+  if (!result.success && result.rejected) {
+    recordRefundFailure(claimed, result.error || 'Gateway refused the refund');
+  } else if (!result.success) {
+    // The request may have reached the gateway; the queue looks it up by
+    // reference before anything is sent again (see findUnansweredRefund)
+    addHistory(claimed, 'initiated', `No answer from ${provider.displayName} (${result.error || 'request failed'}); to be checked before any retry`);
+  } else {
+    claimed.gatewayRefundId = result.refundId;
+    if (result.status === REFUND_STATUS.PROCESSED) {
+      markRefundProcessed(claimed, `Refunded via ${provider.displayName} (${result.refundId})`);
+    } else if (result.status === REFUND_STATUS.FAILED) {
+      recordRefundFailure(claimed, `${provider.displayName} rejected refund ${result.refundId}`);
+    } else {
+      addHistory(claimed, 'initiated', `Refund initiated with ${provider.displayName} (${result.refundId})`);
+    }
+  }
+
+  return saveRefund(claimed);
+};
+
+// Apply a settlement status reported by the gateway (poll or webhook)
+const applyGatewayRefundStatus = (refund, status, { source, message } = {}) => {
+  if (status === REFUND_STATUS.PROCESSED && refund.status !== 'processed') {
+    markRefundProcessed(refund, `Settled at the gateway (${source})`);
+    return true;
+  }
+  if (status === REFUND_STATUS.FAILED && refund.status === 'initiated') {
+    recordRefundFailure(refund, message || `Gateway reported the refund failed (${source})`);
+    return true;
+  }
+  return false;
+};
+
+// Ask the gateway where an initiated refund stands
+const checkRefundStatus = async (refund) => {
+  const provider = PaymentProviders.getProvider(refund.gateway);
+  const wasProcessed = refund.status === 'processed';
+
+  const result = await provider.fetchRefund({
+    gatewayOrderId: refund.gatewayOrderId,
+    transactionId: refund.transactionId,
+    refundId: refund.gatewayRefundId,
+    refundReference: refund.gatewayReference
+  });
+  refund.lastCheckedAt = new Date();
+
+  if (!result.success) {
+    console.error(`❌ Refund status check failed for ${refund.refundId}:`, result.error);
+  } else {
+    applyGatewayRefundStatus(refund, result.status, { source: 'status check', message: result.message });
+  }
+
+  if (refund.status === 'initiated' && Date.now() - refund.lastAttemptAt.getTime() > REFUND_SETTLE_TIMEOUT_MS) {
+    escalateRefund(refund, `Not settled by ${provider.displayName} within ${REFUND_SETTLE_TIMEOUT_MS / (24 * 60 * 60 * 1000)} days`);
+  }
+
+  return saveRefund(refund, { wasProcessed });
+};
+
+// An attempt that got no answer: find it at the gateway by its reference.
+// Retried only when the gateway says it never got it; escalated when the
+// gateway can't be asked.
+const findUnansweredRefund = async (refund) => {
+  const provider = PaymentProviders.getProvider(refund.gateway);
+  const wasProcessed = refund.status === 'processed';
+
+  const result = await provider.fetchRefund({
+    gatewayOrderId: refund.gatewayOrderId,
+    transactionId: refund.transactionId,
+    refundReference: refund.gatewayReference
+  });
+  refund.lastCheckedAt = new Date();
+
+  if (result.success) {
+    refund.gatewayRefundId = result.refundId;
+    if (!applyGatewayRefundStatus(refund, result.status, { source: 'status check', message: result.message })) {
+      addHistory(refund, 'initiated', `Found at ${provider.displayName} (${result.refundId})`);
+    }
+  } else if (result.notFound) {
+    recordRefundFailure(refund, `${provider.displayName} never received the refund request`);
+  } else {
+    escalateRefund(refund, `No answer from ${provider.displayName} to the refund request and it could not be looked up (${result.error}); check its dashboard before retrying`);
+  }
+
+  return saveRefund(refund, { wasProcessed });
+};
+
+/**
+ * Refund webhook from a gateway (see utils/paymentEvents)
+ * @returns {Object} { status, note, orders } for the payment event log
+ */
+const applyRefundWebhook = async (provider, event) => {
+  const refund = await Refund.findOne({
+    gateway: provider.name,
+    $or: [{ gatewayRefundId: event.refundId }, { gatewayReference: event.refundId }]
+  });
+
+  if (!refund) {
+    return { status: 'ignored', note: `No refund for ${provider.displayName} refund ${event.refundId}` };
+  }
+
+  const wasProcessed = refund.status === 'processed';
+  const status = event.type === PaymentProviders.WEBHOOK_EVENTS.REFUND_PROCESSED
+    ? REFUND_STATUS.PROCESSED
+    : REFUND_STATUS.FAILED;
+
+  if (!applyGatewayRefundStatus(refund, status, { source: `${provider.displayName} webhook`, message: event.message })) {
+    return { status: 'ignored', note: `Refund ${refund.refundId} is already ${refund.status}`, orders: [refund.order] };
+  }
+
+  await saveRefund(refund, { wasProcessed });
+  return { status: 'processed', orders: [refund.order] };
+};
+
+/**
+ * Admin: send a failed or escalated refund again, with a fresh set of attempts
+ */
+const retryRefund = async (refund, by) => {
+  if (!['failed', 'escalated'].includes(refund.status)) {
+    throw new ErrorHandler(`A ${refund.status} refund cannot be retried`, 400);
+  }
+  if (!refund.gateway && refund.method !== 'wallet') {
+    throw new ErrorHandler('This refund has no gateway payment; record the bank transfer instead', 400);
+  }
+
+  refund.attempts = 0;
+  refund.nextAttemptAt = new Date();
+  addHistory(refund, 'pending', 'Retry requested by admin', by);
+  await refund.save();
+
+  return submitRefund(refund);
+};
+
+/**
+ * Admin: close a refund paid out by hand (bank transfer, or settled at the gateway dashboard)
+ */
+const resolveRefund = async (refund, { reference, note, by }) => {
+  if (!['manual', 'escalated', 'failed'].includes(refund.status)) {
+    throw new ErrorHandler(`A ${refund.status} refund cannot be marked as paid`, 400);
+  }
+
+  refund.manualReference = reference;
+  markRefundProcessed(refund, note || `Paid out manually - Reference: ${reference}`, by);
+  return saveRefund(refund);
+};
+
+/**
+ * Scheduled job: send due refunds, check initiated ones with the gateway and
+ * escalate those that are stuck
+ * @returns {Object} summary counts
+ */
+const processRefundQueue = async () => {
+  const now = Date.now();
+  const summary = { submitted: 0, checked: 0, processed: 0, failed: 0, escalated: 0 };
+
+  const tally = (refund) => {
+    if (['processed', 'failed', 'escalated'].includes(refund?.status)) summary[refund.status]++;
+  };
+
+  const due = await Refund.find({
+    status: { $in: ['pending', 'failed'] },
+    nextAttemptAt: { $lte: new Date(now) }
+  }).sort({ nextAttemptAt: 1 }).limit(REFUND_BATCH_SIZE);
+
+  for (const refund of due) {
+    try {
+      tally(await submitRefund(refund));
+      summary.submitted++;
+    } catch (error) {
+      console.error(`❌ Refund ${refund.refundId} could not be submitted:`, error);
+    }
+  }
+
+  const waiting = await Refund.find({
+    status: 'initiated',
+    lastAttemptAt: { $lte: new Date(now - REFUND_ATTEMPT_TIMEOUT_MS) },
+    $or: [
+      { lastCheckedAt: null },
+      { lastCheckedAt: { $lte: new Date(now - REFUND_POLL_INTERVAL_MS) } }
+    ]
+  }).sort({ lastCheckedAt: 1 }).limit(REFUND_BATCH_SIZE);
+
+  for (const refund of waiting) {
+    try {
+      // The attempt died before the gateway answered; it may or may not exist there
+      if (refund.method === 'wallet') {
+        escalateRefund(refund, 'Wallet credit was interrupted; retry it (a credit already made is not repeated)');
+        tally(await saveRefund(refund));
+        continue;
+      }
+      if (!refund.gatewayRefundId) {
+        tally(await findUnansweredRefund(refund));
+        summary.checked++;
+        continue;
+      }
+
+      tally(await checkRefundStatus(refund));
+      summary.checked++;
+    } catch (error) {
+      console.error(`❌ Refund ${refund.refundId} status check failed:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Refunds on an order as shown to the customer
+const getOrderRefunds = async (orderId) => {
+  const refunds = await Refund.find({ order: orderId }).sort({ createdAt: 1 });
+
+  return refunds.map(refund => ({
+    refundId: refund.refundId,
+    source: refund.source,
+    amount: refund.amount,
+    reason: refund.reason,
+    method: refund.method,
+    status: getCustomerRefundStatus(refund.status),
+    requestedAt: refund.createdAt,
+    processedAt: refund.processedAt
+  }));
+};
+
+module.exports = {
+  REFUND_MAX_ATTEMPTS,
+  getRefundableAmount,
+  getCancellationRefundMethod,
+  createRefund,
+  createCancellationRefund,
+  createShortfallRefund,
+  submitRefund,
+  checkRefundStatus,
+  applyRefundWebhook,
+  retryRefund,
+  resolveRefund,
+  processRefundQueue,
+  getOrderRefunds
+};
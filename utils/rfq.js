@@ -0,0 +1,117 @@
+const Rfq = require('../models/Rfq');
+const Supplier = require('../models/Supplier');
+const { calculateOrderPricing } = require('./orderPricing');
+const { sendSMS, sendEmail } = require('./notifications');
+
+/**
+ * RFQ (REQUEST FOR QUOTE)
+ * Supplier matching, landed-cost comparison and notifications for bulk
+ * requirements that are bid on instead of bought at list price.
+ */
+
+// Suppliers without declared service areas are matched by distance from their dispatch point
+const DEFAULT_MATCH_RADIUS_KM = 50;
+const EARTH_RADIUS_KM = 6378.1;
+
+// Approved suppliers dealing in the category that serve the delivery pincode
+const findMatchingSuppliers = (rfq, radiusKm = DEFAULT_MATCH_RADIUS_KM) => {
+  const { pincode, coordinates } = rfq.deliveryAddress;
+  const areaMatch = [{ 'serviceAreas.pincode': pincode }];
+
+  if (coordinates?.latitude && coordinates?.longitude) {
+    areaMatch.push({
+      'serviceAreas.0': { $exists: false },
+      'dispatchLocation.coordinates': {
+        $geoWithin: {
+          $centerSphere: [[coordinates.longitude, coordinates.latitude], radiusKm / EARTH_RADIUS_KM]
+        }
+      }
+    });
+  }
+
+  return Supplier.find({
+    isApproved: true,
+    isActive: true,
+    categories: rfq.category,
+    $or: areaMatch
+  }).populate('user', 'email');
+};
+
+/**
+ * What the customer would pay for a quote, excluding payment gateway charges
+ * @param {Number} [gstRate] - GST rate of the quoted product (see utils/gstCalculator)
+ * @returns {Object} pricing breakdown plus landed cost per unit
+ */
+const calculateLandedCost = (rfq, quote, supplier, gstRate) => {
+  const pricing = calculateOrderPricing({
+    supplier,
+    items: [{ quantity: rfq.quantity, priceAtTime: quote.unitPrice }],
+    deliveryAddress: rfq.deliveryAddress,
+    paymentMethod: 'cod',
+    quotedTransportCost: quote.transportCost,
+    gstRates: [gstRate]
+  });
+
+  return {
+    ...pricing,
+    landedCost: pricing.totalAmount,
+    landedCostPerUnit: Math.round((pricing.totalAmount / rfq.quantity) * 100) / 100
+  };
+};
+
+const notifyMatchingSuppliers = async (rfq, suppliers) => {
+  const closes = rfq.closesAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+  const message = `New RFQ ${rfq.rfqId}: ${rfq.quantity} ${rfq.unit} ${rfq.category.replace('_', ' ')}${rfq.specification ? ` (${rfq.specification})` : ''} to ${rfq.deliveryAddress.city} ${rfq.deliveryAddress.pincode}. Quotes close ${closes}. Submit your quote in the Aggrekart supplier portal.`;
+
+  let sent = 0;
+  for (const supplier of suppliers) {
+    try {
+      if (supplier.contactPersonNumber) {
+        await sendSMS(supplier.contactPersonNumber, message);
+      }
+      const email = supplier.email || supplier.user?.email;
+      if (email) {
+        await sendEmail(email, `New request for quote ${rfq.rfqId}`, `${message}\n\n${rfq.description || ''}`);
+      }
+      sent++;
+    } catch (error) {
+      console.error(`❌ Failed to notify supplier ${supplier.companyName} about RFQ ${rfq.rfqId}:`, error);
+    }
+  }
+  return sent;
+};
+
+/**
+ * Reopen the RFQ an order was awarded from once that order is cancelled, so
+ * the customer can award another quote. The quote that fell through is
+ * rejected; the quotes turned down by the award can be accepted again.
+ * @param {Object} order - cancelled Order document
+ * @returns {Object|null} the reopened Rfq, or null when there was no award to release
+ */
+const releaseRfqAward = async (order) => {
+  const rfq = await Rfq.findOne({ _id: order.rfq, status: 'awarded', order: order._id });
+  if (!rfq) return null;
+
+  rfq.quotes.forEach(quote => {
+    if (quote._id.equals(rfq.awardedQuote)) {
+      quote.status = 'rejected';
+    } else if (quote.status === 'rejected') {
+      quote.status = 'submitted';
+    }
+  });
+  rfq.status = 'open';
+  rfq.awardedQuote = undefined;
+  rfq.order = undefined;
+  await rfq.save();
+
+  console.log(`🔓 RFQ ${rfq.rfqId} reopened after order ${order.orderId} was cancelled`);
+  return rfq;
+};
+
+module.exports = {
+  DEFAULT_MATCH_RADIUS_KM,
+  findMatchingSuppliers,
+  calculateLandedCost,
+  notifyMatchingSuppliers,
+  releaseRfqAward
+};
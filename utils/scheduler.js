@@ -0,0 +1,160 @@
+const os = require('os');
+const cron = require('node-cron');
+const JobLock = require('../models/JobLock');
+const {
+  closeExpiredCoolingPeriods,
+  autoConfirmPendingOrders,
+  alertSuppliersAboutPendingOrders,
+  expireUnpaidOrders
+} = require('./orderJobs');
+const { processDueStandingOrders } = require('./standingOrders');
+const { processBalanceReminders } = require('./balanceCollection');
+const { processCreditReminders } = require('./credit');
+const { processRefundQueue } = require('./refunds');
+const { syncSupplierLedger, closeSettlementCycles } = require('./supplierLedger');
+const { reconcilePayments } = require('./paymentReconciliation');
+
+/**
+ * SCHEDULER
+ * Cron jobs for time-driven work. Every server instance registers them, and
+ * each run first takes a lease in the joblocks collection, so a tick is only
+ * processed by one instance.
+ */
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// lockMs must exceed the longest expected run; an expired lease can be taken over.
+// minIntervalMs is under the cron period, so each tick runs once across instances.
+const JOBS = [
+  {
+    name: 'order-cooling-period',
+    schedule: '* * * * *',
+    lockMs: 5 * 60 * 1000,
+    minIntervalMs: 30 * 1000,
+    run: async () => ({ closed: await closeExpiredCoolingPeriods() })
+  },
+  {
+    name: 'order-auto-confirm',
+    schedule: '* * * * *',
+    lockMs: 5 * 60 * 1000,
+    minIntervalMs: 30 * 1000,
+    run: async () => ({ confirmed: await autoConfirmPendingOrders() })
+  },
+  {
+    name: 'order-pending-alerts',
+    schedule: '*/10 * * * *',
+    lockMs: 10 * 60 * 1000,
+    minIntervalMs: 5 * 60 * 1000,
+    run: async () => ({ alerted: await alertSuppliersAboutPendingOrders() })
+  },
+  {
+    name: 'order-unpaid-expiry',
+    schedule: '*/5 * * * *',
+    lockMs: 10 * 60 * 1000,
+    minIntervalMs: 2 * 60 * 1000,
+    run: async () => ({ cancelled: await expireUnpaidOrders() })
+  },
+  {
+    name: 'standing-orders',
+    schedule: '*/15 * * * *',
+    lockMs: 30 * 60 * 1000,
+    minIntervalMs: 10 * 60 * 1000,
+    run: () => processDueStandingOrders()
+  },
+  {
+    name: 'balance-reminders',
+    schedule: '0 10 * * *',
+    lockMs: 60 * 60 * 1000,
+    minIntervalMs: 12 * 60 * 60 * 1000,
+    run: () => processBalanceReminders()
+  },
+  {
+    name: 'credit-reminders',
+    schedule: '30 10 * * *',
+    lockMs: 60 * 60 * 1000,
+    minIntervalMs: 12 * 60 * 60 * 1000,
+    run: () => processCreditReminders()
+  },
+  {
+    name: 'refund-processing',
+    schedule: '*/5 * * * *',
+    lockMs: 15 * 60 * 1000,
+    minIntervalMs: 2 * 60 * 1000,
+    run: () => processRefundQueue()
+  },
+  {
+    name: 'supplier-ledger',
+    schedule: '15 * * * *',
+    lockMs: 30 * 60 * 1000,
+    minIntervalMs: 30 * 60 * 1000,
+    run: () => syncSupplierLedger()
+  },
+  {
+    // Weekly cycles end Monday 00:00
+    name: 'supplier-settlements',
+    schedule: '0 2 * * 1',
+    lockMs: 60 * 60 * 1000,
+    minIntervalMs: 24 * 60 * 60 * 1000,
+    run: () => closeSettlementCycles()
+  },
+  {
+    name: 'payment-reconciliation',
+    schedule: '0 7 * * *',
+    lockMs: 60 * 60 * 1000,
+    minIntervalMs: 12 * 60 * 60 * 1000,
+    run: async () => {
+      const report = await reconcilePayments();
+      return { date: report.date, mismatches: report.mismatches.length };
+    }
+  }
+];
+
+const tasks = [];
+
+/**
+ * Run a job if this instance can take its lease
+ * @returns {Object|null} the job result, or null when another instance holds the lease
+ */
+const runExclusive = async (job) => {
+  if (!await JobLock.acquire(job.name, INSTANCE_ID, job.lockMs, job.minIntervalMs)) {
+    return null;
+  }
+
+  try {
+    const result = await job.run();
+    await JobLock.release(job.name, INSTANCE_ID, { result });
+    return result;
+  } catch (error) {
+    console.error(`❌ Scheduled job ${job.name} failed:`, error);
+    await JobLock.release(job.name, INSTANCE_ID, { error: error.message });
+    return null;
+  }
+};
+
+const startScheduler = () => {
+  if (tasks.length > 0) return;
+
+  JOBS.forEach(job => {
+    tasks.push(cron.schedule(job.schedule, () => {
+      runExclusive(job).catch(error => {
+        console.error(`❌ Scheduled job ${job.name} could not run:`, error);
+      });
+    }, { timezone: TIMEZONE }));
+  });
+
+  console.log(`⏰ Scheduler started on ${INSTANCE_ID} with ${JOBS.length} jobs`);
+};
+
+const stopScheduler = () => {
+  tasks.forEach(task => task.stop());
+  tasks.length = 0;
+};
+
+module.exports = {
+  JOBS,
+  runExclusive,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,78 @@
+const Counter = require('../models/Counter');
+
+/**
+ * SEQUENCE SERVICE
+ * Collision-free sequential identifiers backed by the counters collection.
+ * Each prefix (optionally per financial year) is its own series.
+ */
+
+// Series used across the platform
+const SEQUENCES = {
+  order: { prefix: 'ORD', padding: 8 },
+  orderGroup: { prefix: 'GRP', padding: 8 },
+  ticket: { prefix: 'TKT', padding: 6, separator: '-' },
+  pilot: { prefix: 'PIL', padding: 6 },
+  promotion: { prefix: 'PROMO', padding: 6 },
+  standingOrder: { prefix: 'STO', padding: 6 },
+  rfq: { prefix: 'RFQ', padding: 6 },
+  project: { prefix: 'PRJ', padding: 6 },
+  creditRepayment: { prefix: 'CRP', padding: 8 },
+  refund: { prefix: 'RFD', padding: 8 },
+  ledgerEntry: { prefix: 'LED', padding: 10 },
+  settlement: { prefix: 'STL', padding: 8 },
+  payoutBatch: { prefix: 'PAY', padding: 6 },
+  settlementImport: { prefix: 'SIM', padding: 6 },
+  walletTransaction: { prefix: 'WTX', padding: 10 },
+  doorstepCollection: { prefix: 'DSC', padding: 8 },
+  invoice: { prefix: 'INV', padding: 6, separator: '/', perFinancialYear: true },
+  creditNote: { prefix: 'CN', padding: 6, separator: '/', perFinancialYear: true },
+  debitNote: { prefix: 'DN', padding: 6, separator: '/', perFinancialYear: true }
+};
+
+// Indian financial year (April - March) as a short label, e.g. "25-26"
+const getFinancialYear = (date = new Date()) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  const start = String(startYear).slice(-2);
+  const end = String(startYear + 1).slice(-2);
+  return `${start}-${end}`;
+};
+
+const getCounterKey = (prefix, { perFinancialYear = false, date } = {}) => {
+  return perFinancialYear ? `${prefix}:${getFinancialYear(date)}` : prefix;
+};
+
+// Next raw number in a series
+const nextSequence = (prefix, options = {}) => {
+  return Counter.next(getCounterKey(prefix, options));
+};
+
+// Next formatted identifier in a series, e.g. ORD00000042 or INV/25-26/000007
+const generateSequentialId = async (prefix, options = {}) => {
+  const { padding = 6, separator = '', perFinancialYear = false, date } = options;
+  const seq = await nextSequence(prefix, { perFinancialYear, date });
+  const number = String(seq).padStart(padding, '0');
+
+  if (perFinancialYear) {
+    return [prefix, getFinancialYear(date), number].join(separator || '/');
+  }
+  return `${prefix}${separator}${number}`;
+};
+
+// Convenience wrapper for the named series above
+const generateId = (type, date) => {
+  const config = SEQUENCES[type];
+  if (!config) {
+    throw new Error(`Unknown sequence type: ${type}`);
+  }
+  return generateSequentialId(config.prefix, { ...config, date });
+};
+
+module.exports = {
+  SEQUENCES,
+  getFinancialYear,
+  getCounterKey,
+  nextSequence,
+  generateSequentialId,
+  generateId
+};
@@ -0,0 +1,385 @@
+const StandingOrder = require('../models/StandingOrder');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { ErrorHandler } = require('./errorHandler');
+const { generateId } = require('./sequence');
+const { calculateOrderPricing, buildSupplierOrder } = require('./orderPricing');
+const { resolveItemGSTRates } = require('./gstCalculator');
+const { toDateKey, addDays, toDateTime, reserveDeliverySlot, releaseDeliverySlot, formatDeliverySlot } = require('./deliverySlots');
+const {
+  sendSMS,
+  sendEmail,
+  sendOrderPlacementNotification,
+  sendSupplierOrderNotification
+} = require('./notifications');
+
+/**
+ * STANDING ORDERS
+ * Recurring orders for builders and contractors. Each run is re-priced at the
+ * supplier's current rates and placed through the same pricing path as checkout.
+ * The customer is told about every run ahead of time so they can skip or edit it.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const dayOfWeekOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+const daysBetween = (fromKey, toKey) => {
+  return Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / MS_PER_DAY);
+};
+
+// First date on or after `fromKey` that falls on `dayOfWeek`
+const nextWeekday = (fromKey, dayOfWeek) => {
+  return addDays(fromKey, (dayOfWeek - dayOfWeekOf(fromKey) + 7) % 7);
+};
+
+// Schedule date on or after `fromKey`, ignoring skips
+const nextScheduledDate = (schedule, fromKey, anchorKey) => {
+  if (schedule.frequency === 'custom') {
+    return [...schedule.customDates].sort().find(date => date >= fromKey) || null;
+  }
+
+  const candidate = nextWeekday(fromKey, schedule.dayOfWeek);
+  if (schedule.frequency === 'fortnightly') {
+    const firstRun = nextWeekday(anchorKey, schedule.dayOfWeek);
+    if (candidate < firstRun) return firstRun;
+    const weeks = daysBetween(firstRun, candidate) / 7;
+    return weeks % 2 === 0 ? candidate : addDays(candidate, 7);
+  }
+  return candidate;
+};
+
+/**
+ * Next run date for a standing order on or after a given day
+ * @param {Object} standingOrder - StandingOrder document
+ * @param {String} fromKey - YYYY-MM-DD, defaults to today
+ * @returns {String|null} null once the schedule has no dates left
+ */
+const getNextRunDate = (standingOrder, fromKey = toDateKey()) => {
+  const { schedule } = standingOrder;
+  const anchorKey = schedule.startDate || toDateKey(standingOrder.createdAt || new Date());
+  let cursor = fromKey > anchorKey ? fromKey : anchorKey;
+
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    const date = nextScheduledDate(schedule, cursor, anchorKey);
+    if (!date || (schedule.endDate && date > schedule.endDate)) return null;
+    if (!standingOrder.isSkipped(date)) return date;
+    cursor = addDays(date, 1);
+  }
+  return null;
+};
+
+const validateSchedule = (schedule = {}) => {
+  if (['weekly', 'fortnightly'].includes(schedule.frequency) && schedule.dayOfWeek === undefined) {
+    throw new ErrorHandler('Day of week is required for weekly and fortnightly schedules', 400);
+  }
+  if (schedule.frequency === 'custom' && !(schedule.customDates || []).length) {
+    throw new ErrorHandler('At least one date is required for a custom schedule', 400);
+  }
+  if (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate) {
+    throw new ErrorHandler('Schedule end date must be on or after start date', 400);
+  }
+};
+
+// Time the order for a run date is placed
+const getRunAt = (standingOrder, dateKey = standingOrder.nextRunDate) => {
+  return toDateTime(dateKey, standingOrder.schedule.runTime || '07:00');
+};
+
+/**
+ * First day a run can still be placed for: today until its run time, then
+ * tomorrow, and never on or before a run already placed or claimed
+ * @returns {String} YYYY-MM-DD to pass to getNextRunDate
+ */
+const getEarliestRunDate = (standingOrder, now = new Date()) => {
+  const today = toDateKey(now);
+  let fromKey = now < getRunAt(standingOrder, today) ? today : addDays(today, 1);
+
+  const lastRunDate = standingOrder.runs
+    .filter(run => run.status !== 'skipped')
+    .map(run => run.runDate)
+    .sort()
+    .pop();
+  if (lastRunDate && lastRunDate >= fromKey) {
+    fromKey = addDays(lastRunDate, 1);
+  }
+  return fromKey;
+};
+
+/**
+ * Re-price a standing order at current supplier rates
+ * @returns {Promise<Object>} { deliveryAddress, groups, unavailable, totalAmount }
+ */
+const priceStandingOrder = async (standingOrder, customer) => {
+  const user = customer || await User.findById(standingOrder.customer);
+  const deliveryAddress = user?.addresses.id(standingOrder.deliveryAddressId);
+  if (!deliveryAddress) {
+    throw new ErrorHandler('Delivery address for this standing order no longer exists', 400);
+  }
+
+  const products = await Product.find({
+    _id: { $in: standingOrder.items.map(item => item.product) }
+  }).populate('supplier');
+
+  const groups = {};
+  const unavailable = [];
+
+  standingOrder.items.forEach(item => {
+    const product = products.find(p => p._id.toString() === item.product.toString());
+
+    let reason = null;
+    if (!product) {
+      reason = 'Product no longer exists';
+    } else if (!product.isActive || !product.isApproved || !product.supplier?.isActive) {
+      reason = 'Product is not available';
+    } else if (item.quantity < (product.pricing.minimumQuantity || 0)) {
+      reason = `Minimum quantity is ${product.pricing.minimumQuantity} ${product.pricing.unit}`;
+    } else if (product.stock && !product.isInStock(item.quantity)) {
+      reason = `Insufficient stock. Available: ${product.getAvailableStock()} ${product.pricing.unit}`;
+    }
+
+    if (reason) {
+      unavailable.push({ product: item.product, name: product?.name, quantity: item.quantity, reason });
+      return;
+    }
+
+    const supplierId = product.supplier._id.toString();
+    if (!groups[supplierId]) {
+      groups[supplierId] = { supplier: product.supplier, items: [] };
+    }
+    groups[supplierId].items.push({
+      product,
+      quantity: item.quantity,
+      priceAtTime: product.pricing.basePrice,
+      specifications: item.specifications || {}
+    });
+  });
+
+  const pricedGroups = [];
+  for (const group of Object.values(groups)) {
+    const gstRates = await resolveItemGSTRates(group.items);
+    pricedGroups.push({
+      ...group,
+      gstRates,
+      pricing: calculateOrderPricing({
+        supplier: group.supplier,
+        items: group.items,
+        deliveryAddress,
+        paymentMethod: standingOrder.paymentMethod,
+        gstRates
+      })
+    });
+  }
+
+  return {
+    deliveryAddress,
+    groups: pricedGroups,
+    unavailable,
+    totalAmount: pricedGroups.reduce((sum, group) => sum + group.pricing.totalAmount, 0)
+  };
+};
+
+// Tell the customer what the next run will place and at what price
+const notifyUpcomingRun = async (standingOrder) => {
+  const customer = await User.findById(standingOrder.customer);
+  if (!customer) return;
+
+  const quote = await priceStandingOrder(standingOrder, customer);
+  const runAt = getRunAt(standingOrder).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+  const amount = `₹${Math.round(quote.totalAmount).toLocaleString('en-IN')}`;
+  const unavailableNote = quote.unavailable.length
+    ? ` ${quote.unavailable.length} item(s) are currently unavailable and will be left out.`
+    : '';
+
+  const message = `Your standing order ${standingOrder.standingOrderId} will be placed on ${runAt} for about ${amount} at current rates.${unavailableNote} Skip or edit it in the app before then. Aggrekart`;
+
+  try {
+    if (customer.phoneNumber) {
+      await sendSMS(customer.phoneNumber, message);
+    }
+    if (customer.email) {
+      const lines = quote.groups.flatMap(group => group.items.map(item =>
+        `- ${item.product.name}: ${item.quantity} ${item.product.pricing.unit} @ ₹${item.priceAtTime} (${group.supplier.companyName})`
+      ));
+      await sendEmail(
+        customer.email,
+        `Upcoming standing order ${standingOrder.standingOrderId}`,
+        `Dear ${customer.name},\n\n${message}\n\n${lines.join('\n')}\n\nEstimated total: ${amount}`
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Failed to notify customer about standing order ${standingOrder.standingOrderId}:`, error);
+  }
+
+  standingOrder.notifiedForDate = standingOrder.nextRunDate;
+  await standingOrder.save();
+};
+
+// Same notifications checkout sends; suppliers only hear about confirmed (COD) orders
+const notifyOrdersPlaced = async (customer, placed) => {
+  for (const { order, supplier } of placed) {
+    try {
+      await sendOrderPlacementNotification(customer, order);
+      if (order.payment.method === 'cod') {
+        await sendSupplierOrderNotification(supplier.toObject(), {
+          ...order.toObject(),
+          customer: { name: customer.name, phoneNumber: customer.phoneNumber, email: customer.email }
+        });
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send standing order notifications for ${order.orderId}:`, error);
+    }
+  }
+};
+
+/**
+ * Place the orders for one run date and record the run. A run that fails
+ * part way keeps nothing: orders already saved are deleted and slot holds released.
+ * @returns {Promise<Object>} the recorded run
+ */
+const placeStandingOrderRun = async (standingOrder, runDate) => {
+  const customer = await User.findById(standingOrder.customer);
+  const placed = [];
+  const slotHolds = [];
+  let run;
+
+  try {
+    const quote = await priceStandingOrder(standingOrder, customer);
+
+    for (const group of quote.groups) {
+      const orderId = await generateId('order');
+      const order = buildSupplierOrder({
+        orderId,
+        customerId: standingOrder.customer,
+        supplier: group.supplier,
+        items: group.items,
+        deliveryAddress: quote.deliveryAddress,
+        paymentMethod: standingOrder.paymentMethod,
+        advancePercentage: standingOrder.advancePercentage,
+        notes: standingOrder.notes,
+        gstRates: group.gstRates,
+        timelineNote: `Placed by standing order ${standingOrder.standingOrderId} for ${runDate}`
+      });
+      order.standingOrder = standingOrder._id;
+
+      // The preferred window is best effort; the order still goes out without it
+      if (standingOrder.schedule.preferredSlotTime) {
+        try {
+          order.deliverySlot = await reserveDeliverySlot(
+            group.supplier,
+            { date: runDate, startTime: standingOrder.schedule.preferredSlotTime },
+            order._id
+          );
+          slotHolds.push(order._id);
+          order.delivery.estimatedTime = formatDeliverySlot(order.deliverySlot);
+        } catch (slotError) {
+          console.warn(`⚠️ Preferred slot unavailable for standing order ${standingOrder.standingOrderId}: ${slotError.message}`);
+        }
+      }
+
+      await order.save();
+      placed.push({ order, supplier: group.supplier });
+    }
+
+    const orders = placed.map(({ order }) => order);
+
+    run = standingOrder.recordRun({
+      runDate,
+      status: orders.length === 0 ? 'failed' : (quote.unavailable.length ? 'partially_placed' : 'placed'),
+      orders: orders.map(order => order._id),
+      totalAmount: orders.reduce((sum, order) => sum + order.pricing.totalAmount, 0),
+      message: quote.unavailable.length
+        ? `Left out: ${quote.unavailable.map(item => `${item.name || item.product} (${item.reason})`).join(', ')}`
+        : undefined
+    });
+
+    if (customer && placed.length) {
+      await notifyOrdersPlaced(customer, placed);
+    }
+  } catch (error) {
+    console.error(`❌ Standing order ${standingOrder.standingOrderId} run for ${runDate} failed:`, error);
+    await Promise.all(slotHolds.map(orderId => releaseDeliverySlot(orderId)));
+    if (placed.length > 0) {
+      await Order.deleteMany({ _id: { $in: placed.map(({ order }) => order._id) } });
+    }
+    run = standingOrder.recordRun({ runDate, status: 'failed', message: error.message });
+  }
+
+  if (run.status === 'failed' && customer?.phoneNumber) {
+    await sendSMS(
+      customer.phoneNumber,
+      `Your standing order ${standingOrder.standingOrderId} could not be placed for ${runDate}: ${run.message || 'no products available'}. Aggrekart`
+    ).catch(error => console.error('❌ Failed to send standing order failure SMS:', error));
+  }
+
+  await standingOrder.save();
+  return run;
+};
+
+// Claim a run date so concurrent workers never place the same run twice
+const claimRun = async (standingOrder, now) => {
+  const runDate = standingOrder.nextRunDate;
+  const nextRunDate = getNextRunDate(standingOrder, addDays(runDate, 1));
+
+  const claimed = await StandingOrder.findOneAndUpdate(
+    { _id: standingOrder._id, status: 'active', nextRunDate: runDate },
+    {
+      $set: {
+        nextRunDate,
+        status: nextRunDate ? 'active' : 'completed'
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+  console.log(`🔁 Placing standing order ${claimed.standingOrderId} for ${runDate} (${now.toISOString()})`);
+  return placeStandingOrderRun(claimed, runDate);
+};
+
+/**
+ * Place due runs and send advance notices. Safe to call repeatedly.
+ * @param {Date} now
+ * @returns {Promise<{ placed: Number, notified: Number }>}
+ */
+const processDueStandingOrders = async (now = new Date()) => {
+  const horizon = addDays(toDateKey(now), 3);
+  const candidates = await StandingOrder.find({
+    status: 'active',
+    nextRunDate: { $ne: null, $lte: horizon }
+  });
+
+  let placed = 0;
+  let notified = 0;
+
+  for (const standingOrder of candidates) {
+    try {
+      const runAt = getRunAt(standingOrder);
+      const notifyAt = new Date(runAt.getTime() - standingOrder.notifyBeforeHours * 60 * 60 * 1000);
+
+      if (now >= runAt) {
+        if (await claimRun(standingOrder, now)) placed++;
+      } else if (now >= notifyAt && standingOrder.notifiedForDate !== standingOrder.nextRunDate) {
+        await notifyUpcomingRun(standingOrder);
+        notified++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to process standing order ${standingOrder.standingOrderId}:`, error);
+    }
+  }
+
+  return { placed, notified };
+};
+
+module.exports = {
+  getNextRunDate,
+  validateSchedule,
+  getRunAt,
+  getEarliestRunDate,
+  priceStandingOrder,
+  notifyUpcomingRun,
+  placeStandingOrderRun,
+  processDueStandingOrders
+};
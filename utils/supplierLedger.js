@@ -0,0 +1,481 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Supplier = require('../models/Supplier');
+const SupplierLedgerEntry = require('../models/SupplierLedgerEntry');
+const SupplierSettlement = require('../models/SupplierSettlement');
+const { generateId } = require('./sequence');
+const { toDateKey, addDays, toDateTime } = require('./deliverySlots');
+const { ErrorHandler } = require('./errorHandler');
+
+/**
+ * SUPPLIER LEDGER
+ * Double-entry ledger of what the platform owes each supplier. The ledger job
+ * compares every delivered or cancelled order with what has already been
+ * posted for it and journals the difference, so revisions, refunds and
+ * cancellations show up as further entries instead of edits. Entries are
+ * closed into weekly settlement cycles, which admins pay out in bank batches.
+ */
+
+// TDS on e-commerce payments to the supplier (Income Tax s.194-O)
+const SUPPLIER_TDS_RATE = parseFloat(process.env.SUPPLIER_TDS_RATE || '0.1');
+// TCS collected as the e-commerce operator (CGST Act s.52)
+const SUPPLIER_TCS_RATE = parseFloat(process.env.SUPPLIER_TCS_RATE || '0.5');
+
+// Orders changed within this window are re-checked by every ledger run
+const LEDGER_SYNC_LOOKBACK_DAYS = 7;
+const LEDGER_SYNC_BATCH_SIZE = 500;
+
+// Order figure -> entry type and the platform account on the other side
+const LEDGER_COMPONENTS = {
+  order_value: { type: 'order_value', account: 'customer_receipts', label: 'Order value' },
+  commission: { type: 'commission', account: 'platform_commission', label: 'Platform commission' },
+  gateway_charges: { type: 'gateway_charges', account: 'gateway_charges', label: 'Payment gateway charges' },
+  tds: { type: 'tds', account: 'tds_payable', label: `TDS u/s 194-O @ ${SUPPLIER_TDS_RATE}%` },
+  tcs: { type: 'tcs', account: 'tcs_payable', label: `TCS u/s 52 @ ${SUPPLIER_TCS_RATE}%` },
+  refund: { type: 'refund', account: 'customer_refunds', label: 'Customer refund' },
+  compensation: { type: 'adjustment', account: 'adjustments', label: 'Cancellation compensation' }
+};
+
+// Entry type -> settlement total it is counted in
+const SETTLEMENT_TOTAL_KEYS = {
+  order_value: 'orderValue',
+  commission: 'commission',
+  gateway_charges: 'gatewayCharges',
+  tds: 'tds',
+  tcs: 'tcs',
+  refund: 'refunds',
+  adjustment: 'adjustments'
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const hasBankDetails = (supplier) => !!(supplier?.bankDetails?.accountNumber && supplier?.bankDetails?.ifscCode);
+
+// Settlement cycles run Monday to Monday, IST
+const getCycleStart = (date = new Date()) => {
+  const dateKey = toDateKey(date);
+  const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return toDateTime(addDays(dateKey, -((weekday + 6) % 7)), '00:00');
+};
+
+/**
+ * What the ledger should hold for an order, per component (positive = owed to
+ * the supplier). Only a delivered order earns anything; a cancelled one
+ * leaves the supplier its cancellation compensation.
+ * @param {Object} order
+ * @param {Array} refunds - admin refunds on the order, charged to the supplier
+ */
+const getOrderLedgerTargets = (order, refunds = []) => {
+  if (order.status === 'cancelled') {
+    return { compensation: roundAmount(order.cancellation?.supplierCompensation || 0) };
+  }
+  if (order.status !== 'delivered') {
+    return {};
+  }
+
+  const { totalAmount = 0, gstAmount = 0, commission = 0, paymentGatewayCharges = 0 } = order.pricing || {};
+  // TDS and TCS are both levied on the order value net of GST
+  const taxableValue = Math.max(0, totalAmount - gstAmount);
+
+  return {
+    order_value: roundAmount(totalAmount),
+    commission: -roundAmount(commission),
+    gateway_charges: -roundAmount(paymentGatewayCharges),
+    tds: -roundAmount(taxableValue * SUPPLIER_TDS_RATE / 100),
+    tcs: -roundAmount(taxableValue * SUPPLIER_TCS_RATE / 100),
+    refund: -roundAmount(refunds.reduce((sum, refund) => sum + refund.amount, 0))
+  };
+};
+
+/**
+ * Journal one movement on a supplier's payable
+ * @param {Number} amount - signed effect on supplier_payable
+ * @param {String} account - platform account on the other side
+ */
+const postLedgerEntry = async ({ supplier, order = null, type, component, account, amount, description, reference, settlement = null, createdBy = null }) => {
+  const value = roundAmount(Math.abs(amount));
+  const owed = amount > 0;
+
+  return SupplierLedgerEntry.create({
+    entryId: await generateId('ledgerEntry'),
+    supplier,
+    order: order?._id || null,
+    orderId: order?.orderId,
+    type,
+    component,
+    description,
+    reference,
+    amount: roundAmount(amount),
+    lines: [
+      { account: 'supplier_payable', debit: owed ? 0 : value, credit: owed ? value : 0 },
+      { account, debit: owed ? value : 0, credit: owed ? 0 : value }
+    ],
+    settlement,
+    createdBy
+  });
+};
+
+/**
+ * Post whatever an order's ledger entries are missing
+ * @param {Object} order - with supplier, status, pricing, cancellation and adjustments
+ * @returns {Array} entries posted
+ */
+const syncOrderLedger = async (order) => {
+  const refunds = await Refund.find({ order: order._id, source: 'admin' }).select('refundId amount');
+  const targets = getOrderLedgerTargets(order, refunds);
+
+  const posted = await SupplierLedgerEntry.aggregate([
+    { $match: { order: order._id } },
+    { $group: { _id: '$component', amount: { $sum: '$amount' }, lastPostedAt: { $max: '$entryDate' } } }
+  ]);
+
+  const entries = [];
+  for (const [component, config] of Object.entries(LEDGER_COMPONENTS)) {
+    const previous = posted.find(row => row._id === component);
+    const delta = roundAmount((targets[component] || 0) - (previous?.amount || 0));
+    if (Math.abs(delta) < 0.01) continue;
+
+    let type = config.type;
+    let description = `${config.label} - order ${order.orderId}`;
+    let reference;
+
+    if (component === 'order_value' && previous) {
+      // A revised order value comes from the credit/debit notes raised since
+      const notes = (order.adjustments || [])
+        .filter(note => note.createdAt > previous.lastPostedAt)
+        .map(note => note.noteNumber);
+      type = 'adjustment';
+      description = `Order ${order.orderId} value revised`;
+      reference = notes.join(', ') || undefined;
+    } else if (component === 'refund') {
+      reference = refunds.map(refund => refund.refundId).join(', ') || undefined;
+    } else if (previous) {
+      description += ' (revised)';
+    }
+
+    entries.push(await postLedgerEntry({
+      supplier: order.supplier,
+      order,
+      type,
+      component,
+      account: config.account,
+      amount: delta,
+      description,
+      reference
+    }));
+  }
+
+  return entries;
+};
+
+// Scheduled: bring the ledger up to date with recently delivered/cancelled orders
+const syncSupplierLedger = async () => {
+  const summary = { orders: 0, entries: 0, failed: 0 };
+
+  const orders = await Order.find({
+    status: { $in: ['delivered', 'cancelled'] },
+    updatedAt: { $gte: new Date(Date.now() - LEDGER_SYNC_LOOKBACK_DAYS * 24 * 60 * 60 * 1000) }
+  })
+    .select('orderId supplier status pricing cancellation adjustments')
+    .sort({ updatedAt: 1 })
+    .limit(LEDGER_SYNC_BATCH_SIZE);
+
+  for (const order of orders) {
+    try {
+      const entries = await syncOrderLedger(order);
+      summary.orders++;
+      summary.entries += entries.length;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Ledger sync failed for order ${order.orderId}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+// Signed entry amounts grouped into settlement totals
+const summarizeEntries = (entries) => {
+  const totals = Object.values(SETTLEMENT_TOTAL_KEYS).reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+  entries.forEach(entry => {
+    const key = SETTLEMENT_TOTAL_KEYS[entry.type];
+    if (key) totals[key] = roundAmount(totals[key] + entry.amount);
+  });
+  return totals;
+};
+
+/**
+ * Close a supplier's unsettled entries before periodEnd into a settlement.
+ * Earlier cycles that ended negative are carried into its opening balance.
+ * @returns {Object|null} the settlement, or null when there was nothing to close
+ */
+const closeSupplierCycle = async (supplierId, periodEnd) => {
+  const entries = await SupplierLedgerEntry.find({
+    supplier: supplierId,
+    settlement: null,
+    type: { $ne: 'payout' },
+    entryDate: { $lt: periodEnd }
+  }).sort({ entryDate: 1 });
+
+  if (entries.length === 0) return null;
+
+  const [supplier, previous, carried] = await Promise.all([
+    Supplier.findById(supplierId).select('companyName bankDetails'),
+    SupplierSettlement.findOne({ supplier: supplierId }).sort({ periodEnd: -1 }),
+    SupplierSettlement.find({ supplier: supplierId, status: 'carried_forward', carriedInto: null })
+  ]);
+
+  const openingBalance = roundAmount(carried.reduce((sum, settlement) => sum + settlement.netPayable, 0));
+  const netPayable = roundAmount(openingBalance + entries.reduce((sum, entry) => sum + entry.amount, 0));
+
+  let status = 'pending';
+  let holdReason;
+  if (netPayable <= 0) {
+    status = 'carried_forward';
+  } else if (!hasBankDetails(supplier)) {
+    status = 'on_hold';
+    holdReason = 'Bank account details missing';
+  }
+
+  const settlement = await SupplierSettlement.create({
+    settlementId: await generateId('settlement'),
+    supplier: supplierId,
+    periodStart: previous?.periodEnd || entries[0].entryDate,
+    periodEnd,
+    openingBalance,
+    totals: summarizeEntries(entries),
+    entryCount: entries.length,
+    netPayable,
+    status,
+    holdReason
+  });
+
+  await SupplierLedgerEntry.updateMany(
+    { _id: { $in: entries.map(entry => entry._id) } },
+    { $set: { settlement: settlement._id } }
+  );
+  if (carried.length > 0) {
+    await SupplierSettlement.updateMany(
+      { _id: { $in: carried.map(c => c._id) } },
+      { $set: { carriedInto: settlement._id } }
+    );
+  }
+
+  return settlement;
+};
+
+// Scheduled: close the cycle that ended at the start of this week
+const closeSettlementCycles = async (now = new Date()) => {
+  const periodEnd = getCycleStart(now);
+  const summary = { settlements: 0, carriedForward: 0, onHold: 0, failed: 0 };
+
+  const supplierIds = await SupplierLedgerEntry.distinct('supplier', {
+    settlement: null,
+    type: { $ne: 'payout' },
+    entryDate: { $lt: periodEnd }
+  });
+
+  for (const supplierId of supplierIds) {
+    try {
+      const settlement = await closeSupplierCycle(supplierId, periodEnd);
+      if (!settlement) continue;
+      summary.settlements++;
+      if (settlement.status === 'carried_forward') summary.carriedForward++;
+      if (settlement.status === 'on_hold') summary.onHold++;
+    } catch (error) {
+      summary.failed++;
+      console.error(`❌ Settlement cycle failed for supplier ${supplierId}:`, error);
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Move pending settlements into a payout batch for the bank file. Settlements
+ * whose supplier has no bank details by now are put on hold instead.
+ * @param {Object} options - { settlementIds (optional, defaults to all pending) }
+ * @returns {Object} { batchId, settlements, held }
+ */
+const createPayoutBatch = async ({ settlementIds } = {}) => {
+  const filter = { status: 'pending', netPayable: { $gt: 0 } };
+  if (settlementIds?.length) {
+    filter.settlementId = { $in: settlementIds };
+  }
+
+  const candidates = await SupplierSettlement.find(filter)
+    .populate('supplier', 'supplierId companyName bankDetails')
+    .sort({ periodEnd: 1 });
+
+  if (candidates.length === 0) {
+    throw new ErrorHandler('No settlements are waiting for payout', 400);
+  }
+
+  const batchId = await generateId('payoutBatch');
+  const exportedAt = new Date();
+  const settlements = [];
+  const held = [];
+
+  for (const settlement of candidates) {
+    const { supplier } = settlement;
+
+    if (!hasBankDetails(supplier)) {
+      await SupplierSettlement.updateOne(
+        { _id: settlement._id, status: 'pending' },
+        { $set: { status: 'on_hold', holdReason: 'Bank account details missing' } }
+      );
+      held.push(settlement.settlementId);
+      continue;
+    }
+
+    // Claimed atomically so two admins can't put a settlement in two batches
+    const claimed = await SupplierSettlement.findOneAndUpdate(
+      { _id: settlement._id, status: 'pending' },
+      {
+        $set: {
+          status: 'processing',
+          'payout.batchId': batchId,
+          'payout.exportedAt': exportedAt,
+          'payout.beneficiary': {
+            name: supplier.companyName,
+            accountNumber: supplier.bankDetails.accountNumber,
+            ifscCode: supplier.bankDetails.ifscCode,
+            bankName: supplier.bankDetails.bankName
+          }
+        }
+      },
+      { new: true }
+    );
+    if (claimed) settlements.push(claimed);
+  }
+
+  if (settlements.length === 0) {
+    throw new ErrorHandler('None of the settlements could be added to a payout batch', 400);
+  }
+
+  return { batchId, settlements, held };
+};
+
+/**
+ * Record the bank's outcome for a payout batch. Paid settlements get a payout
+ * entry clearing the supplier's payable; rejected ones go on hold.
+ * @param {String} batchId
+ * @param {Object} options - { reference (batch UTR), references ({ settlementId: UTR }), failed ([settlementId]), by }
+ * @returns {Object} { paid, failed }
+ */
+const markPayoutBatchPaid = async (batchId, { reference, references = {}, failed = [], by = null } = {}) => {
+  const settlements = await SupplierSettlement.find({ 'payout.batchId': batchId, status: 'processing' });
+
+  if (settlements.length === 0) {
+    throw new ErrorHandler('No settlements in this batch are awaiting confirmation', 404);
+  }
+
+  const result = { paid: [], failed: [] };
+
+  for (const settlement of settlements) {
+    if (failed.includes(settlement.settlementId)) {
+      const held = await SupplierSettlement.findOneAndUpdate(
+        { _id: settlement._id, status: 'processing' },
+        { $set: { status: 'on_hold', holdReason: `Payout rejected by the bank in batch ${batchId}` } },
+        { new: true }
+      );
+      if (held) result.failed.push(held.settlementId);
+      continue;
+    }
+
+    const utr = references[settlement.settlementId] || reference;
+    const paid = await SupplierSettlement.findOneAndUpdate(
+      { _id: settlement._id, status: 'processing' },
+      {
+        $set: {
+          status: 'paid',
+          'payout.reference': utr,
+          'payout.paidAt': new Date(),
+          'payout.markedBy': by
+        }
+      },
+      { new: true }
+    );
+    if (!paid) continue;
+
+    await postLedgerEntry({
+      supplier: paid.supplier,
+      type: 'payout',
+      component: 'payout',
+      account: 'bank',
+      amount: -paid.netPayable,
+      description: `Payout for settlement ${paid.settlementId}`,
+      reference: utr || batchId,
+      settlement: paid._id,
+      createdBy: by
+    });
+    result.paid.push(paid.settlementId);
+  }
+
+  return result;
+};
+
+// Put an on-hold settlement back in the payout queue (e.g. after bank details are fixed)
+const releaseSettlement = async (settlementId) => {
+  const settlement = await SupplierSettlement.findOne({ settlementId }).populate('supplier', 'bankDetails');
+  if (!settlement) {
+    throw new ErrorHandler('Settlement not found', 404);
+  }
+  if (settlement.status !== 'on_hold') {
+    throw new ErrorHandler(`Only settlements on hold can be released (this one is ${settlement.status})`, 400);
+  }
+  if (!hasBankDetails(settlement.supplier)) {
+    throw new ErrorHandler('Supplier has no bank account details', 400);
+  }
+
+  settlement.status = 'pending';
+  settlement.holdReason = undefined;
+  settlement.payout = undefined;
+  await settlement.save();
+  return settlement;
+};
+
+/**
+ * Supplier's payable position
+ * @returns {Object} { balance, unsettled, inPayout }
+ * balance is everything owed, unsettled the part not yet closed into a cycle
+ */
+const getSupplierBalance = async (supplierId) => {
+  const [ledger, inPayout] = await Promise.all([
+    SupplierLedgerEntry.aggregate([
+      { $match: { supplier: supplierId } },
+      {
+        $group: {
+          _id: null,
+          balance: { $sum: '$amount' },
+          unsettled: { $sum: { $cond: [{ $eq: ['$settlement', null] }, '$amount', 0] } }
+        }
+      }
+    ]),
+    SupplierSettlement.aggregate([
+      { $match: { supplier: supplierId, status: 'processing' } },
+      { $group: { _id: null, amount: { $sum: '$netPayable' } } }
+    ])
+  ]);
+
+  return {
+    balance: roundAmount(ledger[0]?.balance || 0),
+    unsettled: roundAmount(ledger[0]?.unsettled || 0),
+    inPayout: roundAmount(inPayout[0]?.amount || 0)
+  };
+};
+
+module.exports = {
+  SUPPLIER_TDS_RATE,
+  SUPPLIER_TCS_RATE,
+  LEDGER_COMPONENTS,
+  getCycleStart,
+  getOrderLedgerTargets,
+  syncOrderLedger,
+  syncSupplierLedger,
+  closeSettlementCycles,
+  createPayoutBatch,
+  markPayoutBatchPaid,
+  releaseSettlement,
+  getSupplierBalance
+};
@@ -0,0 +1,320 @@
+/**
+ * SUPPLIER STATEMENTS
+ * Ledger statements for suppliers (PDF and Excel, with a running balance)
+ * and the bank upload file for a payout batch
+ */
+
+const ExcelJS = require('exceljs');
+const SupplierLedgerEntry = require('../models/SupplierLedgerEntry');
+const SupplierSettlement = require('../models/SupplierSettlement');
+const { ErrorHandler } = require('./errorHandler');
+const { renderPDF, formatCurrency, formatDate, csvValue } = require('./orderDocuments');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const ENTRY_TYPE_LABELS = {
+  order_value: 'Order value',
+  commission: 'Commission',
+  gateway_charges: 'Gateway charges',
+  tds: 'TDS',
+  tcs: 'TCS',
+  refund: 'Refund',
+  adjustment: 'Adjustment',
+  payout: 'Payout'
+};
+
+const styleHeaderRow = (row) => {
+  row.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  row.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF366EF5' }
+  };
+};
+
+/**
+ * Ledger entries for a supplier in [from, to) with opening, running and
+ * closing balances
+ * @param {Object} supplier - Supplier document
+ * @param {Object} range - { from, to } Dates, to exclusive
+ */
+const buildSupplierStatement = async (supplier, { from, to }) => {
+  const [opening, entries] = await Promise.all([
+    SupplierLedgerEntry.aggregate([
+      { $match: { supplier: supplier._id, entryDate: { $lt: from } } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ]),
+    SupplierLedgerEntry.find({ supplier: supplier._id, entryDate: { $gte: from, $lt: to } })
+      .populate('settlement', 'settlementId')
+      .sort({ entryDate: 1, _id: 1 })
+  ]);
+
+  const openingBalance = roundAmount(opening[0]?.amount || 0);
+  const totals = {};
+  let balance = openingBalance;
+
+  const rows = entries.map(entry => {
+    balance = roundAmount(balance + entry.amount);
+    totals[entry.type] = roundAmount((totals[entry.type] || 0) + entry.amount);
+    return {
+      entryId: entry.entryId,
+      date: entry.entryDate,
+      type: entry.type,
+      orderId: entry.orderId,
+      description: entry.description,
+      reference: entry.reference,
+      settlementId: entry.settlement?.settlementId,
+      credit: entry.amount > 0 ? entry.amount : 0,
+      debit: entry.amount < 0 ? -entry.amount : 0,
+      balance
+    };
+  });
+
+  const settlements = await SupplierSettlement.find({
+    supplier: supplier._id,
+    periodEnd: { $gt: from, $lte: to }
+  }).sort({ periodEnd: 1 });
+
+  return {
+    supplier: {
+      supplierId: supplier.supplierId,
+      companyName: supplier.companyName,
+      gstNumber: supplier.gstNumber,
+      panNumber: supplier.panNumber
+    },
+    from,
+    to,
+    openingBalance,
+    closingBalance: balance,
+    totals,
+    rows,
+    settlements
+  };
+};
+
+// Last day covered by a statement (to is exclusive)
+const getLastDay = (to) => new Date(to.getTime() - 1);
+
+const generateStatementPDF = (statement) => renderPDF(doc => {
+  const { supplier } = statement;
+
+  doc.fontSize(22).font('Helvetica-Bold').fillColor('#2563eb').text('AGGREKART', 40, 40);
+  doc.fontSize(16).fillColor('#111').text('Supplier Account Statement', 40, 70);
+  doc.fontSize(10).font('Helvetica').fillColor('#666')
+    .text(`${supplier.companyName} (${supplier.supplierId})${supplier.gstNumber ? ` | GSTIN ${supplier.gstNumber}` : ''}`, 40, 92)
+    .text(`${formatDate(statement.from)} to ${formatDate(getLastDay(statement.to))}`, 40, 106);
+  doc.strokeColor('#2563eb').lineWidth(1.5).moveTo(40, 124).lineTo(555, 124).stroke();
+
+  const columns = [
+    { label: 'Date', x: 40, width: 60 },
+    { label: 'Description', x: 100, width: 185 },
+    { label: 'Reference', x: 285, width: 80 },
+    { label: 'Debit', x: 365, width: 60, align: 'right' },
+    { label: 'Credit', x: 425, width: 60, align: 'right' },
+    { label: 'Balance', x: 485, width: 70, align: 'right' }
+  ];
+
+  const drawRow = (values, y, font = 'Helvetica') => {
+    doc.font(font).fontSize(8).fillColor('#111');
+    const heights = columns.map((column, i) => doc.heightOfString(String(values[i] ?? ''), { width: column.width }));
+    columns.forEach((column, i) => {
+      doc.text(String(values[i] ?? ''), column.x, y, { width: column.width, align: column.align || 'left' });
+    });
+    return y + Math.max(...heights) + 4;
+  };
+
+  let y = drawRow(columns.map(column => column.label), 136, 'Helvetica-Bold');
+  y = drawRow(['', 'Opening balance', '', '', '', formatCurrency(statement.openingBalance)], y, 'Helvetica-Bold');
+
+  statement.rows.forEach(row => {
+    if (y > 760) {
+      doc.addPage();
+      y = drawRow(columns.map(column => column.label), 40, 'Helvetica-Bold');
+    }
+    y = drawRow([
+      new Date(row.date).toLocaleDateString('en-IN'),
+      row.description,
+      row.reference || row.orderId || '',
+      row.debit ? formatCurrency(row.debit) : '',
+      row.credit ? formatCurrency(row.credit) : '',
+      formatCurrency(row.balance)
+    ], y);
+  });
+
+  y = drawRow(['', 'Closing balance', '', '', '', formatCurrency(statement.closingBalance)], y + 4, 'Helvetica-Bold');
+
+  if (y > 650) {
+    doc.addPage();
+    y = 40;
+  }
+  doc.font('Helvetica-Bold').fontSize(11).text('Summary', 40, y + 12);
+  doc.font('Helvetica').fontSize(9).moveDown(0.5);
+  Object.entries(statement.totals).forEach(([type, amount]) => {
+    doc.text(`${ENTRY_TYPE_LABELS[type]}: ${formatCurrency(amount)}`);
+  });
+  statement.settlements.forEach(settlement => {
+    doc.text(`Settlement ${settlement.settlementId} (${formatDate(settlement.periodStart)} - ${formatDate(getLastDay(settlement.periodEnd))}): ${formatCurrency(settlement.netPayable)}, ${settlement.status}${settlement.payout?.reference ? `, UTR ${settlement.payout.reference}` : ''}`);
+  });
+
+  doc.moveDown().fontSize(8).fillColor('#666')
+    .text('Credits are amounts owed to you, debits are deductions and payouts. This is a computer generated statement.');
+});
+
+const generateStatementExcel = (statement) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Statement');
+
+  worksheet.addRow([`${statement.supplier.companyName} (${statement.supplier.supplierId})`]);
+  worksheet.addRow([`Statement from ${formatDate(statement.from)} to ${formatDate(getLastDay(statement.to))}`]);
+  worksheet.addRow([]);
+
+  worksheet.columns = [
+    { key: 'date', width: 14 },
+    { key: 'entryId', width: 16 },
+    { key: 'type', width: 16 },
+    { key: 'orderId', width: 16 },
+    { key: 'description', width: 40 },
+    { key: 'reference', width: 24 },
+    { key: 'settlementId', width: 14 },
+    { key: 'debit', width: 14 },
+    { key: 'credit', width: 14 },
+    { key: 'balance', width: 14 }
+  ];
+
+  styleHeaderRow(worksheet.addRow(['Date', 'Entry', 'Type', 'Order', 'Description', 'Reference', 'Settlement', 'Debit', 'Credit', 'Balance']));
+  worksheet.addRow({ description: 'Opening balance', balance: statement.openingBalance }).font = { bold: true };
+
+  statement.rows.forEach(row => {
+    worksheet.addRow({
+      ...row,
+      date: new Date(row.date).toLocaleDateString('en-IN'),
+      type: ENTRY_TYPE_LABELS[row.type],
+      debit: row.debit || null,
+      credit: row.credit || null
+    });
+  });
+
+  worksheet.addRow({ description: 'Closing balance', balance: statement.closingBalance }).font = { bold: true };
+  ['debit', 'credit', 'balance'].forEach(key => {
+    worksheet.getColumn(key).numFmt = '#,##0.00';
+  });
+
+  const settlementSheet = workbook.addWorksheet('Settlements');
+  styleHeaderRow(settlementSheet.addRow(['Settlement', 'Period start', 'Period end', 'Opening', 'Order value', 'Commission', 'Gateway charges', 'TDS', 'TCS', 'Refunds', 'Adjustments', 'Net payable', 'Status', 'UTR', 'Paid on']));
+  statement.settlements.forEach(settlement => {
+    settlementSheet.addRow([
+      settlement.settlementId,
+      formatDate(settlement.periodStart),
+      formatDate(getLastDay(settlement.periodEnd)),
+      settlement.openingBalance,
+      settlement.totals.orderValue,
+      settlement.totals.commission,
+      settlement.totals.gatewayCharges,
+      settlement.totals.tds,
+      settlement.totals.tcs,
+      settlement.totals.refunds,
+      settlement.totals.adjustments,
+      settlement.netPayable,
+      settlement.status,
+      settlement.payout?.reference || '',
+      settlement.payout?.paidAt ? formatDate(settlement.payout.paidAt) : ''
+    ]);
+  });
+  settlementSheet.columns.forEach(column => {
+    column.width = 15;
+  });
+
+  return workbook;
+};
+
+/**
+ * Write a statement to the response
+ * @param {String} format - 'pdf' or 'excel'
+ * @param {String} fileName - without extension
+ */
+const sendSupplierStatement = async (res, statement, format, fileName) => {
+  if (format === 'excel') {
+    const workbook = generateStatementExcel(statement);
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+    await workbook.xlsx.write(res);
+    return res.end();
+  }
+
+  const pdf = await generateStatementPDF(statement);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+  res.send(pdf);
+};
+
+const PAYOUT_FILE_HEADERS = ['Beneficiary Name', 'Account Number', 'IFSC', 'Bank Name', 'Amount', 'Payment Mode', 'Narration', 'Settlement ID', 'Supplier ID'];
+
+// One bank transfer row per settlement in a payout batch
+const getPayoutBatchRows = async (batchId) => {
+  const settlements = await SupplierSettlement.find({ 'payout.batchId': batchId })
+    .populate('supplier', 'supplierId')
+    .sort({ settlementId: 1 });
+
+  if (settlements.length === 0) {
+    throw new ErrorHandler('Payout batch not found', 404);
+  }
+
+  return settlements.map(settlement => {
+    const { beneficiary } = settlement.payout;
+    return [
+      beneficiary.name,
+      beneficiary.accountNumber,
+      beneficiary.ifscCode,
+      beneficiary.bankName || '',
+      settlement.netPayable.toFixed(2),
+      settlement.netPayable >= 200000 ? 'RTGS' : 'NEFT',
+      `AGGREKART ${settlement.settlementId}`,
+      settlement.settlementId,
+      settlement.supplier?.supplierId || ''
+    ];
+  });
+};
+
+/**
+ * Bank upload file for a payout batch
+ * @param {String} batchId
+ * @param {String} format - 'csv' or 'excel'
+ * @returns {Object} { buffer, contentType, extension }
+ */
+const generatePayoutFile = async (batchId, format = 'csv') => {
+  const rows = await getPayoutBatchRows(batchId);
+
+  if (format === 'excel') {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet(batchId);
+    styleHeaderRow(worksheet.addRow(PAYOUT_FILE_HEADERS));
+    rows.forEach(row => {
+      // Account numbers stay text so leading zeros survive
+      worksheet.addRow([...row.slice(0, 4), Number(row[4]), ...row.slice(5)]);
+    });
+    worksheet.columns.forEach(column => {
+      column.width = 20;
+    });
+
+    return {
+      buffer: await workbook.xlsx.writeBuffer(),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+
+  const csv = [PAYOUT_FILE_HEADERS, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+  return {
+    buffer: Buffer.from(csv),
+    contentType: 'text/csv',
+    extension: 'csv'
+  };
+};
+
+module.exports = {
+  buildSupplierStatement,
+  generateStatementPDF,
+  generateStatementExcel,
+  sendSupplierStatement,
+  generatePayoutFile
+};
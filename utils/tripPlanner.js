@@ -0,0 +1,101 @@
+const { UNITS, PRODUCT_CATEGORIES } = require('./constants');
+
+/**
+ * TRIP PLANNER
+ * Splits order items into vehicle-sized trips. Vehicle capacity is in MT,
+ * so bagged and counted material is converted with an approximate unit weight.
+ */
+
+// Approximate weight of one unit in metric tons
+const UNIT_WEIGHT_MT = {
+  [UNITS.METRIC_TONS]: 1,
+  [UNITS.BAGS]: 0.05,      // 50 kg cement bag
+  [UNITS.NUMBERS]: 0.0035  // average brick/block piece
+};
+
+// Orders placed before the unit was snapshotted fall back to the category default
+const CATEGORY_DEFAULT_UNIT = {
+  [PRODUCT_CATEGORIES.CEMENT]: UNITS.BAGS,
+  [PRODUCT_CATEGORIES.BRICKS_BLOCKS]: UNITS.NUMBERS
+};
+
+const QUANTITY_EPSILON = 0.001;
+
+const getItemUnit = (item) => {
+  return item.productSnapshot?.unit ||
+    CATEGORY_DEFAULT_UNIT[item.productSnapshot?.category] ||
+    UNITS.METRIC_TONS;
+};
+
+const getItemUnitWeight = (item) => {
+  return UNIT_WEIGHT_MT[getItemUnit(item)] || 1;
+};
+
+// MT can be split to two decimals; bags and pieces only in whole units
+const roundTripQuantity = (quantity, unit) => {
+  if (unit === UNITS.METRIC_TONS) {
+    return Math.floor(quantity * 100) / 100;
+  }
+  return Math.floor(quantity);
+};
+
+const getItemsWeight = (items) => {
+  return items.reduce((sum, item) => sum + (item.quantity * getItemUnitWeight(item)), 0);
+};
+
+// Quantity of each order item already carried by trips with the given statuses
+const sumTripQuantities = (trips = [], statuses) => {
+  const totals = {};
+  trips
+    .filter(trip => statuses.includes(trip.status))
+    .forEach(trip => {
+      trip.items.forEach(tripItem => {
+        const key = tripItem.orderItem.toString();
+        totals[key] = (totals[key] || 0) + tripItem.quantity;
+      });
+    });
+  return totals;
+};
+
+/**
+ * Fill one vehicle with the material not yet allocated to a trip
+ * @param {Array} items - order items
+ * @param {Object} remaining - orderItem id -> quantity still to allocate
+ * @param {Number} capacityMT - vehicle capacity in metric tons
+ * @returns {{ items: Array, weightMT: Number }}
+ */
+const planTripItems = (items, remaining, capacityMT) => {
+  let capacityLeft = capacityMT;
+  const tripItems = [];
+
+  for (const item of items) {
+    const left = remaining[item._id.toString()] || 0;
+    if (left <= QUANTITY_EPSILON || capacityLeft <= QUANTITY_EPSILON) continue;
+
+    const unitWeight = getItemUnitWeight(item);
+    // Whatever is left goes as it is once it fits, so an odd remainder below
+    // the rounding step (0.005 MT, half a bag) still gets a trip
+    const quantity = left * unitWeight <= capacityLeft + QUANTITY_EPSILON
+      ? Math.round(left * 1000) / 1000
+      : roundTripQuantity(capacityLeft / unitWeight, getItemUnit(item));
+    if (quantity <= 0) continue;
+
+    tripItems.push({ orderItem: item._id, quantity });
+    capacityLeft -= quantity * unitWeight;
+  }
+
+  return {
+    items: tripItems,
+    weightMT: Math.round((capacityMT - capacityLeft) * 100) / 100
+  };
+};
+
+module.exports = {
+  UNIT_WEIGHT_MT,
+  QUANTITY_EPSILON,
+  getItemUnit,
+  getItemUnitWeight,
+  getItemsWeight,
+  sumTripQuantities,
+  planTripItems
+};
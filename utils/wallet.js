@@ -0,0 +1,328 @@
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const { generateId } = require('./sequence');
+const { sendSMS } = require('./notifications');
+const { ErrorHandler } = require('./errorHandler');
+const { summarizeOrders, getGroupPayableAmount, markPaymentTargetPaid } = require('./orderGroups');
+
+/**
+ * CUSTOMER WALLET
+ * Store credit a customer can spend at checkout. Refunds, promotion cashback
+ * and admin credits are paid in; checkout spends it, alone or with a gateway
+ * paying the rest. Every movement is a transaction in the wallet's ledger and
+ * each source and reference moves money once, so a retried refund or
+ * cashback never pays twice.
+ */
+
+// A concurrent movement changed the balance between read and write
+const WALLET_UPDATE_RETRIES = 5;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// The customer's wallet, created empty on first use
+const getWallet = async (userId) => {
+  try {
+    return await Wallet.findOneAndUpdate(
+      { user: userId },
+      { $setOnInsert: { user: userId } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Created by a concurrent first use
+    if (error.code === 11000) return Wallet.findOne({ user: userId });
+    throw error;
+  }
+};
+
+const findTransaction = (wallet, source, reference) => {
+  return wallet.transactions.find(transaction =>
+    transaction.source === source && transaction.reference === reference
+  ) || null;
+};
+
+/**
+ * Move money into or out of a wallet. The write only lands while the balance
+ * is still the one read and the source + reference is unused; otherwise it
+ * is read again and retried. Without a reference the transaction is its own
+ * (a one-off admin adjustment).
+ * @param {String} type - credit | debit
+ * @param {Object} details - { source, reference, amount, order, orderId, program, description, createdBy }
+ * @returns {Object} { wallet, transaction, duplicate }
+ */
+const moveWalletFunds = async (userId, type, { source, reference, amount, order, orderId, program, description, createdBy = null }) => {
+  const value = roundAmount(amount || 0);
+  if (value <= 0) {
+    throw new ErrorHandler('Wallet amount must be greater than 0', 400);
+  }
+
+  let transactionId = reference ? null : await generateId('walletTransaction');
+  const key = reference || transactionId;
+
+  for (let attempt = 0; attempt < WALLET_UPDATE_RETRIES; attempt++) {
+    const wallet = await getWallet(userId);
+
+    const existing = findTransaction(wallet, source, key);
+    if (existing) {
+      return { wallet, transaction: existing, duplicate: true };
+    }
+
+    const balance = roundAmount(type === 'credit' ? wallet.balance + value : wallet.balance - value);
+    if (balance < 0) {
+      throw new ErrorHandler(`Wallet balance ₹${wallet.balance.toFixed(2)} is less than ₹${value.toFixed(2)}`, 400);
+    }
+
+    transactionId = transactionId || await generateId('walletTransaction');
+
+    const updated = await Wallet.findOneAndUpdate(
+      {
+        _id: wallet._id,
+        balance: wallet.balance,
+        transactions: { $not: { $elemMatch: { source, reference: key } } }
+      },
+      {
+        $set: { balance },
+        $inc: { [type === 'credit' ? 'totalCredited' : 'totalDebited']: value },
+        $push: {
+          transactions: {
+            transactionId,
+            type,
+            source,
+            reference: key,
+            amount: value,
+            balanceAfter: balance,
+            order,
+            orderId,
+            program,
+            description,
+            createdBy,
+            createdAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      console.log(`👛 Wallet ${type} ${transactionId} of ₹${value} (${source}) for user ${userId}; balance ₹${balance}`);
+      return { wallet: updated, transaction: findTransaction(updated, source, key), duplicate: false };
+    }
+  }
+
+  throw new ErrorHandler('The wallet is being updated, please try again', 409);
+};
+
+const creditWallet = (userId, details) => moveWalletFunds(userId, 'credit', details);
+
+const debitWallet = (userId, details) => moveWalletFunds(userId, 'debit', details);
+
+// Pay a refund into the customer's wallet (see utils/refunds)
+const creditRefundToWallet = (refund) => {
+  return creditWallet(refund.customer, {
+    source: 'refund',
+    reference: refund.refundId,
+    amount: refund.amount,
+    order: refund.order,
+    orderId: refund.orderId,
+    description: `Refund ${refund.refundId} for order ${refund.orderId}`
+  });
+};
+
+/**
+ * Balance and a page of the ledger, newest first
+ * @param {Object} options - { page, limit, source }
+ */
+const getWalletStatement = async (userId, { page = 1, limit = 20, source } = {}) => {
+  const wallet = await Wallet.findOne({ user: userId });
+  const transactions = (wallet?.transactions || [])
+    .filter(transaction => !source || transaction.source === source)
+    .reverse();
+
+  return {
+    wallet: {
+      balance: wallet?.balance || 0,
+      totalCredited: wallet?.totalCredited || 0,
+      totalDebited: wallet?.totalDebited || 0,
+      updatedAt: wallet?.updatedAt || null
+    },
+    transactions: transactions.slice((page - 1) * limit, page * limit),
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(transactions.length / limit),
+      totalItems: transactions.length,
+      itemsPerPage: limit
+    }
+  };
+};
+
+/**
+ * Pay for orders just placed at checkout from the wallet: their whole advance,
+ * or with partial as much of it as the balance covers, leaving the rest to a
+ * gateway payment. Orders the wallet covers in full are marked paid. If the
+ * orders cannot be updated the debit is credited back and the error rethrown.
+ * @param {Object} params - { customerId, orders, group, partial }
+ * @returns {Object|null} { amount, transactionId, balance, paid }, null when nothing was taken
+ */
+const applyWalletToCheckout = async ({ customerId, orders, group = null, partial = false }) => {
+  const payable = roundAmount(orders.reduce((sum, order) => sum + (order.payment.advanceAmount || 0), 0));
+  const wallet = await getWallet(customerId);
+  const amount = partial ? Math.min(wallet.balance, payable) : payable;
+  if (amount <= 0) return null;
+
+  const reference = group ? group.groupId : orders[0].orderId;
+  const { wallet: updated, transaction } = await debitWallet(customerId, {
+    source: 'checkout',
+    reference,
+    amount,
+    order: group ? undefined : orders[0]._id,
+    orderId: reference,
+    description: `Paid for order${orders.length > 1 ? 's' : ''} ${orders.map(order => order.orderId).join(', ')}`,
+    createdBy: customerId
+  });
+
+  const paid = transaction.amount >= payable;
+  try {
+    // Each order takes what it can of the wallet amount, in the order they were placed
+    let remaining = transaction.amount;
+    const appliedAt = new Date();
+    for (const order of orders) {
+      const share = roundAmount(Math.min(remaining, order.payment.advanceAmount || 0));
+      if (share <= 0) continue;
+
+      remaining = roundAmount(remaining - share);
+      order.payment.wallet = { amount: share, transactionId: transaction.transactionId, appliedAt };
+      await order.save();
+    }
+
+    if (group) {
+      group.summary = summarizeOrders(orders);
+      group.payment.amount = getGroupPayableAmount(group);
+      await group.save();
+    }
+
+    if (paid) {
+      await markPaymentTargetPaid({ group, orders }, {
+        transactionId: transaction.transactionId,
+        gateway: 'wallet',
+        note: 'Paid from wallet',
+        updatedBy: customerId
+      });
+    }
+  } catch (error) {
+    // The debit never reached the orders: hand it back and let the caller drop the checkout
+    await creditWallet(customerId, {
+      source: 'checkout_reversal',
+      reference,
+      amount: transaction.amount,
+      order: group ? undefined : orders[0]._id,
+      orderId: reference,
+      description: `Checkout for order${orders.length > 1 ? 's' : ''} ${orders.map(order => order.orderId).join(', ')} did not go through`,
+      createdBy: customerId
+    });
+    throw error;
+  }
+
+  return {
+    amount: transaction.amount,
+    transactionId: transaction.transactionId,
+    balance: updated.balance,
+    paid
+  };
+};
+
+// How an order is being paid: from the wallet, through a gateway, and what is still due
+const getPaymentBreakdown = (order) => {
+  const payment = order.payment || {};
+  const walletAmount = payment.wallet?.amount || 0;
+  const payLater = ['cod', 'credit'].includes(payment.method);
+
+  return {
+    totalAmount: order.pricing?.totalAmount || 0,
+    advanceAmount: payment.advanceAmount || 0,
+    walletAmount,
+    gatewayAmount: payLater ? 0 : roundAmount(Math.max(0, (payment.advanceAmount || 0) - walletAmount)),
+    balancePaid: payment.balancePaid || 0,
+    remainingAmount: payment.remainingAmount || 0
+  };
+};
+
+// Cashback promotions open now: platform-wide ones and the order's supplier's own
+const findCashbackPrograms = (order, now) => {
+  return LoyaltyProgram.find({
+    'rewards.type': 'cashback',
+    isActive: true,
+    'conditions.validFrom': { $lte: now },
+    'conditions.validTill': { $gte: now },
+    $or: [{ scope: { $ne: 'supplier' } }, { supplier: order.supplier }]
+  });
+};
+
+/**
+ * Pay promotion cashback on a delivered order into the customer's wallet.
+ * Each program pays an order once, within its per-customer limit.
+ * @returns {Array} wallet transactions credited
+ */
+const creditOrderCashback = async (order) => {
+  const programs = await findCashbackPrograms(order, new Date());
+  if (programs.length === 0) return [];
+
+  const customer = await User.findById(order.customer?._id || order.customer);
+  if (!customer) return [];
+
+  const orderValue = order.pricing.totalAmount;
+  const category = order.items[0]?.productSnapshot?.category;
+  const credited = [];
+
+  for (const program of programs) {
+    if (!program.isUserEligible(customer, orderValue, category)) continue;
+
+    const wallet = await getWallet(customer._id);
+    const reference = `${order.orderId}:${program.programId}`;
+    const earned = wallet.transactions.filter(transaction =>
+      transaction.source === 'cashback' && transaction.program?.equals(program._id)
+    );
+    const perUser = program.conditions.usageLimit?.perUser;
+    if (earned.some(transaction => transaction.reference === reference)) continue;
+    if (perUser && earned.length >= perUser) continue;
+
+    let amount = program.calculateReward(orderValue);
+    if (program.rewards.maxDiscount) amount = Math.min(amount, program.rewards.maxDiscount);
+    if (amount <= 0) continue;
+
+    const { transaction, duplicate } = await creditWallet(customer._id, {
+      source: 'cashback',
+      reference,
+      amount,
+      order: order._id,
+      orderId: order.orderId,
+      program: program._id,
+      description: `Cashback from ${program.name} on order ${order.orderId}`
+    });
+    if (duplicate) continue;
+
+    await LoyaltyProgram.updateOne({ _id: program._id }, { $inc: { usageCount: 1, totalSavings: amount } });
+    credited.push(transaction);
+  }
+
+  if (credited.length > 0 && customer.phoneNumber) {
+    const total = credited.reduce((sum, transaction) => sum + transaction.amount, 0);
+    try {
+      await sendSMS(customer.phoneNumber, `₹${total.toFixed(2)} cashback for order ${order.orderId} has been added to your AggreKart wallet. Use it on your next order. - AggreKart`);
+    } catch (error) {
+      console.error(`❌ Cashback SMS failed for order ${order.orderId}:`, error.message);
+    }
+  }
+
+  return credited;
+};
+
+module.exports = {
+  getWallet,
+  creditWallet,
+  debitWallet,
+  creditRefundToWallet,
+  getWalletStatement,
+  applyWalletToCheckout,
+  getPaymentBreakdown,
+  creditOrderCashback
+};
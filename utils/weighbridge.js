@@ -0,0 +1,267 @@
+const WeighbridgeTolerance = require('../models/WeighbridgeTolerance');
+const { calculateOrderPricing } = require('./orderPricing');
+const { getOrderGSTRates } = require('./gstCalculator');
+const { getItemUnit } = require('./tripPlanner');
+const { generateId } = require('./sequence');
+const { sendSMS, sendEmail } = require('./notifications');
+const { ErrorHandler } = require('./errorHandler');
+const { UNITS } = require('./constants');
+
+/**
+ * WEIGHBRIDGE RECONCILIATION
+ * Compares weigh-bill net weights with ordered quantities. Variance inside the
+ * category tolerance is billed as ordered; anything beyond it re-prices the
+ * item at the weighed quantity and raises a credit or debit note.
+ */
+
+// Loading weigh bills are issued at the quarry; delivery ones at site
+const RECONCILABLE_STATUSES = ['processing', 'dispatched', 'partially_delivered', 'delivered'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const calculateVariance = (orderedQuantity, netWeight, tolerancePercentage) => {
+  const variance = round2(netWeight - orderedQuantity);
+  const variancePercentage = round2((variance / orderedQuantity) * 100);
+  const withinTolerance = Math.abs(variancePercentage) <= tolerancePercentage;
+
+  return {
+    variance,
+    variancePercentage,
+    tolerancePercentage,
+    withinTolerance,
+    billedQuantity: withinTolerance ? orderedQuantity : netWeight
+  };
+};
+
+// Tolerance for a weighed item, or why it cannot be reconciled
+const getWeighingRule = async (item) => {
+  const name = item.productSnapshot?.name || 'Item';
+  if (getItemUnit(item) !== UNITS.METRIC_TONS) {
+    return { error: `${name} is not sold by weight and cannot be reconciled` };
+  }
+
+  const tolerancePercentage = await WeighbridgeTolerance.getToleranceForCategory(item.productSnapshot?.category);
+  if (tolerancePercentage === null) {
+    return { error: `${name} is not reconciled against the weighbridge` };
+  }
+
+  return { tolerancePercentage };
+};
+
+/**
+ * Reject net weights for items that are not on the order or cannot be
+ * reconciled, before anything is recorded
+ * @param {Array} weights - [{ itemId, netWeight }]
+ */
+const validateNetWeights = async (order, weights = []) => {
+  for (const { itemId } of weights) {
+    const item = order.items.id(itemId);
+    if (!item) {
+      throw new ErrorHandler(`Order item ${itemId} not found`, 404);
+    }
+
+    const { error } = await getWeighingRule(item);
+    if (error) {
+      throw new ErrorHandler(error, 400);
+    }
+  }
+};
+
+/**
+ * Store the net weights weighed for one trip and roll them up onto the order
+ * items. An item only gets a delivered weight once every delivered trip
+ * carrying it has been weighed.
+ * @returns {Number} count of items whose delivered weight is now complete
+ */
+const recordTripNetWeights = (order, trip, weights = []) => {
+  weights.forEach(({ itemId, netWeight }) => {
+    const tripItem = trip.items.find(item => item.orderItem.toString() === itemId.toString());
+    if (!tripItem) {
+      throw new ErrorHandler(`Item ${itemId} is not part of trip ${trip.tripNumber}`, 400);
+    }
+    tripItem.netWeight = netWeight;
+  });
+
+  let completed = 0;
+  order.items.forEach(item => {
+    const loads = order.trips
+      .filter(t => t.status === 'delivered')
+      .map(t => t.items.find(tripItem => tripItem.orderItem.toString() === item._id.toString()))
+      .filter(Boolean);
+
+    if (loads.length > 0 && loads.every(load => load.netWeight !== null && load.netWeight !== undefined)) {
+      item.actualQuantityDelivered = round2(loads.reduce((sum, load) => sum + load.netWeight, 0));
+      completed++;
+    }
+  });
+
+  return completed;
+};
+
+/**
+ * Reconcile weighed items, re-price the order and raise a credit/debit note
+ * for the change in value. Mutates the order; the caller saves it.
+ * @param {Order} order
+ * @param {Supplier} supplier - for the commission rate
+ * @param {Object} [options]
+ * @param {Array} [options.weights] - [{ itemId, netWeight, weighBillUrl }] to record first
+ * @param {ObjectId} [options.updatedBy]
+ * @param {Boolean} [options.skipUnreconcilable] - leave out weighed items that cannot be
+ *   reconciled instead of failing (delivery must not be blocked by them)
+ * @returns {Object} { items, adjustment } where adjustment is null when the value is unchanged
+ */
+const reconcileOrder = async (order, supplier, { weights = [], updatedBy = null, skipUnreconcilable = false } = {}) => {
+  if (!RECONCILABLE_STATUSES.includes(order.status)) {
+    throw new ErrorHandler(`Quantities cannot be reconciled while the order is ${order.status}`, 400);
+  }
+
+  await validateNetWeights(order, weights);
+
+  for (const { itemId, netWeight, weighBillUrl } of weights) {
+    const item = order.items.id(itemId);
+    item.actualQuantityDelivered = netWeight;
+    if (weighBillUrl) {
+      item.weighBillUrl = weighBillUrl;
+    }
+  }
+
+  const reconciled = [];
+  const now = new Date();
+
+  for (const item of order.items) {
+    if (item.actualQuantityDelivered === null || item.actualQuantityDelivered === undefined) continue;
+
+    const { tolerancePercentage, error } = await getWeighingRule(item);
+    if (error) {
+      if (skipUnreconcilable) continue;
+      throw new ErrorHandler(error, 400);
+    }
+
+    const result = calculateVariance(item.quantity, item.actualQuantityDelivered, tolerancePercentage);
+    const previousAmount = item.totalPrice;
+
+    item.reconciliation = { ...result, reconciledAt: now };
+    item.totalPrice = round2(result.billedQuantity * item.unitPrice);
+
+    reconciled.push({
+      orderItem: item._id,
+      orderedQuantity: item.quantity,
+      netWeight: item.actualQuantityDelivered,
+      billedQuantity: result.billedQuantity,
+      previousAmount,
+      revisedAmount: item.totalPrice,
+      variancePercentage: result.variancePercentage,
+      withinTolerance: result.withinTolerance
+    });
+  }
+
+  if (reconciled.length === 0) {
+    if (skipUnreconcilable) return { items: [], adjustment: null };
+    throw new ErrorHandler('No weigh-bill net weights recorded for this order', 400);
+  }
+
+  // Transport was agreed for the trip, so only the material side is re-priced
+  const previousTotal = order.pricing.totalAmount;
+  // Money already in: a paid COD order was collected in full at the quoted total
+  const collected = order.payment.method === 'cod'
+    ? (order.payment.status === 'paid' ? previousTotal : 0)
+    : (order.payment.paidAt ? order.payment.advanceAmount + (order.payment.balancePaid || 0) : 0);
+
+  const pricing = calculateOrderPricing({
+    supplier,
+    items: order.items.map(item => ({
+      quantity: item.reconciliation?.billedQuantity ?? item.quantity,
+      priceAtTime: item.unitPrice
+    })),
+    deliveryAddress: order.deliveryAddress,
+    paymentMethod: order.payment.method,
+    quotedTransportCost: order.pricing.transportCost,
+    // Taxed at the rates the order was placed at, not today's
+    gstRates: getOrderGSTRates(order)
+  });
+  Object.assign(order.pricing, pricing);
+
+  const difference = round2(pricing.totalAmount - previousTotal);
+  let adjustment = null;
+
+  if (Math.abs(difference) >= 0.01) {
+    const type = difference < 0 ? 'credit' : 'debit';
+
+    // Only money already collected can exceed the revised total
+    const refundableAmount = round2(
+      Math.max(0, collected - pricing.totalAmount) - Math.max(0, collected - previousTotal)
+    );
+
+    order.adjustments.push({
+      noteNumber: await generateId(type === 'credit' ? 'creditNote' : 'debitNote'),
+      type,
+      amount: Math.abs(difference),
+      previousTotal,
+      revisedTotal: pricing.totalAmount,
+      refundableAmount: Math.max(0, refundableAmount),
+      items: reconciled
+        .filter(item => item.previousAmount !== item.revisedAmount)
+        .map(({ variancePercentage, withinTolerance, ...item }) => item),
+      createdBy: updatedBy
+    });
+    adjustment = order.adjustments[order.adjustments.length - 1];
+
+    // A debit on a COD order paid at the door leaves the difference due as a
+    // balance: what was collected stands as the advance (see the Order pre-save hook)
+    if (type === 'debit' && order.payment.method === 'cod' && order.payment.status === 'paid') {
+      order.payment.advanceAmount = collected;
+      order.payment.status = 'partial';
+    }
+
+    // The invoice is re-issued with billed quantities; notes reference its number
+    if (!order.invoice?.invoiceNumber) {
+      order.invoice = order.invoice || {};
+      order.invoice.invoiceNumber = await generateId('invoice');
+      order.invoice.generatedAt = now;
+    }
+    order.invoice.isUpdated = true;
+    order.invoice.updatedAt = now;
+  }
+
+  order.timeline.push({
+    status: order.status,
+    timestamp: now,
+    note: adjustment
+      ? `Weighbridge reconciliation: ${adjustment.type} note ${adjustment.noteNumber} for ₹${adjustment.amount.toFixed(2)}`
+      : 'Weighbridge reconciliation: net weights within tolerance',
+    updatedBy
+  });
+
+  return { items: reconciled, adjustment };
+};
+
+const notifyInvoiceRevision = async (customer, order, adjustment) => {
+  if (!customer || !adjustment) return;
+
+  const direction = adjustment.type === 'credit' ? 'reduced' : 'increased';
+  const message = `Weighbridge reconciliation for order ${order.orderId}: invoice ${direction} by ₹${adjustment.amount.toFixed(2)} (${adjustment.type} note ${adjustment.noteNumber}). Revised total ₹${order.pricing.totalAmount.toFixed(2)}, balance due ₹${(order.payment.remainingAmount || 0).toFixed(2)}. - AggreKart`;
+
+  try {
+    if (customer.phoneNumber) {
+      await sendSMS(customer.phoneNumber, message);
+    }
+    if (customer.email) {
+      await sendEmail(
+        customer.email,
+        `Revised invoice for order ${order.orderId}`,
+        `${message}\n\nDownload the revised invoice from your order details.`
+      );
+    }
+  } catch (error) {
+    console.error(`❌ Failed to send invoice revision for order ${order.orderId}:`, error);
+  }
+};
+
+module.exports = {
+  RECONCILABLE_STATUSES,
+  calculateVariance,
+  validateNetWeights,
+  recordTripNetWeights,
+  reconcileOrder,
+  notifyInvoiceRevision
+};